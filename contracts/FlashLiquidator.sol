@@ -0,0 +1,119 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+
+interface ILendingProtocolLiquidation {
+    function liquidationCall(
+        address collateralAsset,
+        address debtAsset,
+        address user,
+        uint256 debtToCover,
+        bool receiveAToken
+    ) external;
+}
+
+interface IUniswapV2Router {
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external returns (uint256[] memory amounts);
+}
+
+/**
+ * @title FlashLiquidator
+ * @dev Reference ERC-3156 receiver for LendingProtocol: flash borrows the debt asset, calls liquidationCall,
+ * swaps just enough seized collateral back through a Uniswap V2 router to repay loan + fee,
+ * and keeps the remaining collateral as profit for the owner.
+ */
+contract FlashLiquidator is IERC3156FlashBorrower, Ownable {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    IERC3156FlashLender public immutable lender;
+    IUniswapV2Router public router;
+
+    event RouterSet(address indexed router);
+    event Liquidated(
+        address indexed user,
+        address indexed collateralAsset,
+        address indexed debtAsset,
+        uint256 debtCovered,
+        uint256 fee,
+        uint256 collateralProfit
+    );
+
+    constructor(address _lender, address _router) Ownable(msg.sender) {
+        require(_lender != address(0), "Invalid lender");
+        lender = IERC3156FlashLender(_lender);
+        router = IUniswapV2Router(_router);
+    }
+
+    function setRouter(address _router) external onlyOwner {
+        router = IUniswapV2Router(_router);
+        emit RouterSet(_router);
+    }
+
+    /**
+     * @param maxCollateralIn Slippage bound: most collateral the router may take to repay the loan
+     */
+    function liquidate(
+        address collateralAsset,
+        address debtAsset,
+        address user,
+        uint256 debtToCover,
+        uint256 maxCollateralIn
+    ) external onlyOwner {
+        uint256 collateralBefore = IERC20(collateralAsset).balanceOf(address(this));
+        uint256 fee = lender.flashFee(debtAsset, debtToCover);
+
+        lender.flashLoan(this, debtAsset, debtToCover, abi.encode(collateralAsset, user, maxCollateralIn));
+
+        uint256 profit = IERC20(collateralAsset).balanceOf(address(this)) - collateralBefore;
+        emit Liquidated(user, collateralAsset, debtAsset, debtToCover, fee, profit);
+    }
+
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        require(msg.sender == address(lender), "Untrusted lender");
+        require(initiator == address(this), "Untrusted initiator");
+        (address collateralAsset, address user, uint256 maxCollateralIn) = abi.decode(data, (address, address, uint256));
+
+        IERC20(token).forceApprove(address(lender), amount);
+        ILendingProtocolLiquidation(address(lender)).liquidationCall(collateralAsset, token, user, amount, false);
+
+        // liquidationCall may cover less than `amount`, so only swap the shortfall
+        uint256 owed = amount + fee;
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        if (balance < owed) {
+            require(address(router) != address(0), "Router not set");
+            address[] memory path = new address[](2);
+            path[0] = collateralAsset;
+            path[1] = token;
+            IERC20(collateralAsset).forceApprove(address(router), maxCollateralIn);
+            router.swapTokensForExactTokens(owed - balance, maxCollateralIn, path, address(this), block.timestamp);
+            IERC20(collateralAsset).forceApprove(address(router), 0);
+        }
+
+        IERC20(token).forceApprove(address(lender), owed);
+        return CALLBACK_SUCCESS;
+    }
+
+    function withdraw(address token, address to) external onlyOwner {
+        require(to != address(0), "Invalid recipient");
+        IERC20(token).safeTransfer(to, IERC20(token).balanceOf(address(this)));
+    }
+}
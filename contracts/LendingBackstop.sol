@@ -0,0 +1,320 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./interfaces/ILendingBackstop.sol";
+
+interface ILendingBackstopPool {
+    function getAssetPrice(address asset) external view returns (uint256);
+    function getConfiguration(address asset) external view returns (
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        uint256 decimals,
+        bool usageAsCollateralEnabled
+    );
+    function getReserveDeficit(address asset) external view returns (uint256 deficit, uint256 cumulative);
+    function coverDeficit(address asset, uint256 amount) external returns (uint256);
+    function balanceOf(address user, address asset) external view returns (uint256);
+    function withdraw(address asset, uint256 amount, address to) external returns (uint256);
+}
+
+/**
+ * @title LendingBackstop
+ * @dev Safety pool and collateral auction house for LendingProtocol bad debt (register with setBackstop).
+ *
+ * Safety pool: stakers deposit a reserve asset and receive shares of that asset's pool. coverShortfall() pays down
+ * the reserve's deficit from the pool, so losses are shared pro rata. All calls within a slashingPeriod together take
+ * at most maxSlashingBps of the pool as it stood at the period's first shortfall.
+ * Withdrawals need cooldown() and then fall in a window after cooldownPeriod, so stakers cannot leave ahead of a
+ * known shortfall; depositing again resets the cooldown.
+ *
+ * Auctions: collateral seized from insolvent accounts arrives as this contract's supply position in the pool and
+ * is sold in a Dutch auction per collateral asset. The price starts at startPriceBps of the oracle price and decays
+ * linearly to floorPriceBps over auctionDuration; seizing more collateral restarts the auction. Bidders pay in any
+ * reserve asset: proceeds pay down that reserve's deficit first and the rest goes to its safety pool (or to the
+ * owner when the pool has no stakers).
+ */
+contract LendingBackstop is ILendingBackstop, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BASIS_POINTS_FACTOR = 10000;
+    // Virtual shares against donation/inflation of the share price while a pool is nearly empty
+    uint256 private constant VIRTUAL_SHARES = 1e3;
+
+    ILendingBackstopPool public immutable lending;
+
+    // Safety pools: asset => staked amount (after shortfalls and rewards) / total shares
+    mapping(address => uint256) public totalStaked;
+    mapping(address => uint256) public totalShares;
+    // asset => staker => shares / cooldown start
+    mapping(address => mapping(address => uint256)) public shares;
+    mapping(address => mapping(address => uint256)) public cooldownStart;
+
+    uint256 public cooldownPeriod = 7 days;
+    uint256 public unstakeWindow = 2 days;
+    uint256 public maxSlashingBps = 3000; // 30% of a pool per slashingPeriod
+    uint256 public slashingPeriod = 7 days;
+
+    // asset => start of the running slashing period / amount coverShortfall may still take in it
+    mapping(address => uint256) public slashingPeriodStart;
+    mapping(address => uint256) public slashingAllowance;
+
+    // Collateral asset => start of its running auction (0 = none)
+    mapping(address => uint256) public auctionStart;
+
+    uint256 public auctionDuration = 6 hours;
+    uint256 public startPriceBps = 11000; // 110% of the oracle price
+    uint256 public floorPriceBps = 8000; // 80% of the oracle price
+
+    event Staked(address indexed asset, address indexed user, uint256 amount, uint256 shares);
+    event CooldownStarted(address indexed asset, address indexed user);
+    event Unstaked(address indexed asset, address indexed user, uint256 amount, uint256 shares);
+    event RewardAdded(address indexed asset, address indexed from, uint256 amount);
+    event ShortfallCovered(address indexed asset, uint256 amount);
+    event AuctionStarted(address indexed collateralAsset, uint256 amount);
+    event AuctionBid(
+        address indexed collateralAsset,
+        address indexed bidder,
+        uint256 collateralAmount,
+        address indexed payAsset,
+        uint256 payment
+    );
+    event ProceedsDistributed(address indexed asset, uint256 deficitCovered, uint256 toSafetyPool);
+    event StakingParamsUpdated(uint256 cooldownPeriod, uint256 unstakeWindow, uint256 maxSlashingBps, uint256 slashingPeriod);
+    event AuctionParamsUpdated(uint256 auctionDuration, uint256 startPriceBps, uint256 floorPriceBps);
+
+    constructor(address _lending) Ownable(msg.sender) {
+        require(_lending != address(0), "Invalid lending protocol");
+        lending = ILendingBackstopPool(_lending);
+    }
+
+    // ============ Safety Pool ============
+
+    /**
+     * @dev Stakes `amount` of `asset` into its safety pool; resets the caller's cooldown
+     */
+    function deposit(address asset, uint256 amount) external nonReentrant returns (uint256 mintedShares) {
+        require(amount > 0, "Amount must be greater than 0");
+        mintedShares = _toShares(asset, amount);
+        require(mintedShares > 0, "Amount too small");
+
+        totalStaked[asset] += amount;
+        totalShares[asset] += mintedShares;
+        shares[asset][msg.sender] += mintedShares;
+        cooldownStart[asset][msg.sender] = 0;
+
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+
+        emit Staked(asset, msg.sender, amount, mintedShares);
+    }
+
+    function cooldown(address asset) external {
+        require(shares[asset][msg.sender] > 0, "Nothing staked");
+        cooldownStart[asset][msg.sender] = block.timestamp;
+        emit CooldownStarted(asset, msg.sender);
+    }
+
+    /**
+     * @dev Redeems shares for their part of the pool, within unstakeWindow after the cooldown has passed
+     */
+    function withdraw(address asset, uint256 shareAmount) external nonReentrant returns (uint256 amount) {
+        uint256 start = cooldownStart[asset][msg.sender];
+        require(start != 0 && block.timestamp >= start + cooldownPeriod, "Cooldown not finished");
+        require(block.timestamp <= start + cooldownPeriod + unstakeWindow, "Unstake window passed");
+        require(shareAmount > 0 && shareAmount <= shares[asset][msg.sender], "Invalid shares");
+
+        amount = previewRedeem(asset, shareAmount);
+        totalStaked[asset] -= amount;
+        totalShares[asset] -= shareAmount;
+        shares[asset][msg.sender] -= shareAmount;
+        if (shares[asset][msg.sender] == 0) {
+            cooldownStart[asset][msg.sender] = 0;
+        }
+
+        IERC20(asset).safeTransfer(msg.sender, amount);
+
+        emit Unstaked(asset, msg.sender, amount, shareAmount);
+    }
+
+    /**
+     * @dev Adds `amount` of `asset` to its safety pool as a reward for current stakers
+     */
+    function addReward(address asset, uint256 amount) external nonReentrant {
+        require(totalShares[asset] > 0, "No stakers");
+        totalStaked[asset] += amount;
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
+        emit RewardAdded(asset, msg.sender, amount);
+    }
+
+    /**
+     * @dev Pays down the lending reserve's deficit from the asset's safety pool, within what is left of the current
+     * slashing period's allowance. Callable by anyone.
+     */
+    function coverShortfall(address asset) external nonReentrant returns (uint256 amount) {
+        uint256 staked = totalStaked[asset];
+        // A period only starts from a funded pool, so an empty pool does not fix the cap at zero
+        if (staked != 0 && block.timestamp >= slashingPeriodStart[asset] + slashingPeriod) {
+            slashingPeriodStart[asset] = block.timestamp;
+            slashingAllowance[asset] = (staked * maxSlashingBps) / BASIS_POINTS_FACTOR;
+        }
+
+        (uint256 deficit, ) = lending.getReserveDeficit(asset);
+        // Stakers may have left since the period started
+        amount = Math.min(deficit, Math.min(slashingAllowance[asset], staked));
+        require(amount > 0, "Nothing to cover");
+
+        slashingAllowance[asset] -= amount;
+        totalStaked[asset] = staked - amount;
+        IERC20(asset).forceApprove(address(lending), amount);
+        lending.coverDeficit(asset, amount);
+
+        emit ShortfallCovered(asset, amount);
+    }
+
+    /**
+     * @dev Staked amount currently backing `user`'s shares
+     */
+    function balanceOf(address asset, address user) external view returns (uint256) {
+        return previewRedeem(asset, shares[asset][user]);
+    }
+
+    function previewRedeem(address asset, uint256 shareAmount) public view returns (uint256) {
+        return (shareAmount * (totalStaked[asset] + 1)) / (totalShares[asset] + VIRTUAL_SHARES);
+    }
+
+    function _toShares(address asset, uint256 amount) internal view returns (uint256) {
+        return (amount * (totalShares[asset] + VIRTUAL_SHARES)) / (totalStaked[asset] + 1);
+    }
+
+    // ============ Collateral Auctions ============
+
+    /**
+     * @dev Starts (or restarts) the Dutch auction of seized collateral; called by LendingProtocol
+     */
+    function onCollateralSeized(address asset, uint256 amount) external override {
+        require(msg.sender == address(lending), "Caller is not the lending protocol");
+        auctionStart[asset] = block.timestamp;
+        emit AuctionStarted(asset, amount);
+    }
+
+    /**
+     * @dev Current auction price as a share of the oracle price, and the collateral left to sell
+     */
+    function getAuction(address collateralAsset) public view returns (uint256 priceBps, uint256 available) {
+        uint256 start = auctionStart[collateralAsset];
+        if (start == 0) {
+            return (0, 0);
+        }
+
+        uint256 elapsed = Math.min(block.timestamp - start, auctionDuration);
+        priceBps = startPriceBps - ((startPriceBps - floorPriceBps) * elapsed) / auctionDuration;
+        available = lending.balanceOf(address(this), collateralAsset);
+    }
+
+    /**
+     * @dev Amount of payAsset a bid for `collateralAmount` costs right now (rounded up)
+     */
+    function quoteBid(address collateralAsset, uint256 collateralAmount, address payAsset) public view returns (uint256) {
+        (uint256 priceBps, ) = getAuction(collateralAsset);
+        require(priceBps > 0, "No auction");
+
+        uint256 payPrice = lending.getAssetPrice(payAsset);
+        require(payPrice > 0, "Invalid pay asset");
+        (, , , uint256 collateralDecimals, ) = lending.getConfiguration(collateralAsset);
+        (, , , uint256 payDecimals, ) = lending.getConfiguration(payAsset);
+
+        // USD value (18 decimals) at the auction price, converted to payAsset units
+        uint256 value = Math.mulDiv(
+            lending.getAssetPrice(collateralAsset) * collateralAmount,
+            priceBps,
+            BASIS_POINTS_FACTOR * 10**collateralDecimals
+        );
+        return Math.mulDiv(value, 10**payDecimals, payPrice, Math.Rounding.Ceil);
+    }
+
+    /**
+     * @dev Buys auctioned collateral (capped at what is left), paying in payAsset
+     * @param maxPayment Most payAsset the bidder accepts to pay (slippage bound against price updates)
+     */
+    function bid(
+        address collateralAsset,
+        uint256 collateralAmount,
+        address payAsset,
+        uint256 maxPayment
+    ) external nonReentrant returns (uint256 payment) {
+        (, uint256 available) = getAuction(collateralAsset);
+        if (collateralAmount > available) {
+            collateralAmount = available;
+        }
+        require(collateralAmount > 0, "Nothing to buy");
+
+        payment = quoteBid(collateralAsset, collateralAmount, payAsset);
+        require(payment <= maxPayment, "Price above max payment");
+
+        IERC20(payAsset).safeTransferFrom(msg.sender, address(this), payment);
+        if (collateralAmount == available) {
+            lending.withdraw(collateralAsset, type(uint256).max, msg.sender);
+            auctionStart[collateralAsset] = 0;
+        } else {
+            lending.withdraw(collateralAsset, collateralAmount, msg.sender);
+        }
+
+        emit AuctionBid(collateralAsset, msg.sender, collateralAmount, payAsset, payment);
+        _distributeProceeds(payAsset, payment);
+    }
+
+    function _distributeProceeds(address asset, uint256 amount) internal {
+        (uint256 deficit, ) = lending.getReserveDeficit(asset);
+        uint256 covered = Math.min(deficit, amount);
+        if (covered > 0) {
+            IERC20(asset).forceApprove(address(lending), covered);
+            lending.coverDeficit(asset, covered);
+        }
+
+        uint256 rest = amount - covered;
+        if (rest > 0) {
+            if (totalShares[asset] > 0) {
+                totalStaked[asset] += rest;
+            } else {
+                IERC20(asset).safeTransfer(owner(), rest);
+            }
+        }
+
+        emit ProceedsDistributed(asset, covered, rest);
+    }
+
+    // ============ Admin Functions ============
+
+    /**
+     * @dev New maxSlashingBps and slashingPeriod apply from the next slashing period of each asset
+     */
+    function setStakingParams(
+        uint256 _cooldownPeriod,
+        uint256 _unstakeWindow,
+        uint256 _maxSlashingBps,
+        uint256 _slashingPeriod
+    ) external onlyOwner {
+        require(_unstakeWindow > 0, "Invalid unstake window");
+        require(_maxSlashingBps <= BASIS_POINTS_FACTOR, "Invalid slashing");
+        require(_slashingPeriod > 0, "Invalid slashing period");
+        cooldownPeriod = _cooldownPeriod;
+        unstakeWindow = _unstakeWindow;
+        maxSlashingBps = _maxSlashingBps;
+        slashingPeriod = _slashingPeriod;
+        emit StakingParamsUpdated(_cooldownPeriod, _unstakeWindow, _maxSlashingBps, _slashingPeriod);
+    }
+
+    function setAuctionParams(uint256 _auctionDuration, uint256 _startPriceBps, uint256 _floorPriceBps) external onlyOwner {
+        require(_auctionDuration > 0, "Invalid duration");
+        require(_floorPriceBps > 0 && _floorPriceBps <= _startPriceBps, "Invalid prices");
+        auctionDuration = _auctionDuration;
+        startPriceBps = _startPriceBps;
+        floorPriceBps = _floorPriceBps;
+        emit AuctionParamsUpdated(_auctionDuration, _startPriceBps, _floorPriceBps);
+    }
+}
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+interface ILendingDataSource {
+    function getReservesList() external view returns (address[] memory);
+    function getConfiguration(address asset) external view returns (
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        uint256 decimals,
+        bool usageAsCollateralEnabled
+    );
+    function getAssetPrice(address asset) external view returns (uint256);
+    function balanceOf(address user, address asset) external view returns (uint256);
+    function getUserVariableDebt(address user, address asset) external view returns (uint256);
+    function getUserFixedDebt(address user, address asset) external view returns (uint256);
+    function getUserAccountData(address user) external view returns (
+        uint256 totalCollateralBase,
+        uint256 totalDebtBase,
+        uint256 availableBorrowsBase,
+        uint256 currentLiquidationThreshold,
+        uint256 ltv,
+        uint256 healthFactor
+    );
+    function getTreasuryFees(address asset) external view returns (uint256 scaledAmount, uint256 actualAmount);
+    function protocolFeeRate() external view returns (uint256);
+    function calculateCurrentVariableBorrowRate(address asset) external view returns (uint256);
+    function getUtilizationRate(address asset) external view returns (uint256);
+    function getReserveDeficit(address asset) external view returns (uint256 deficit, uint256 cumulative);
+    function getReserveTotals(address asset) external view returns (uint256 totalSupplied, uint256 totalBorrowed);
+    function totalFixedDebt(address asset) external view returns (uint256);
+    function averageFixedRate(address asset) external view returns (uint256);
+}
+
+/**
+ * @title LendingDataProvider
+ * @dev Read-only aggregation views for LendingProtocol frontends and bots. The pool deploys one in its
+ * constructor and forwards its own aggregated views here, keeping their logic out of the pool bytecode.
+ * Rates are Ray; the *Percent values are percentages with 2 decimals (rate / 1e23).
+ */
+contract LendingDataProvider {
+    uint256 private constant RAY = 1e27;
+
+    ILendingDataSource public immutable lending;
+
+    constructor(address _lending) {
+        require(_lending != address(0), "Invalid lending protocol");
+        lending = ILendingDataSource(_lending);
+    }
+
+    /**
+     * @dev Gets detailed user account data including per-asset positions (with real-time interest).
+     * borrowBalances are variable debt and fixedBorrowBalances fixed-term debt; totalDebtUSD includes both.
+     */
+    function getUserAccountDataDetailed(address user) external view returns (
+        address[] memory assets,
+        uint256[] memory supplyBalances,
+        uint256[] memory borrowBalances,
+        uint256[] memory fixedBorrowBalances,
+        uint256[] memory supplyBalancesUSD,
+        uint256[] memory borrowBalancesUSD,
+        uint256[] memory fixedBorrowBalancesUSD,
+        uint256 totalCollateralUSD,
+        uint256 totalDebtUSD,
+        uint256 healthFactor
+    ) {
+        (assets, supplyBalances, borrowBalances, fixedBorrowBalances) = _getUserPositions(user);
+
+        uint256 fixedDebtUSD;
+        (supplyBalancesUSD, totalCollateralUSD) = _toUSD(assets, supplyBalances);
+        (borrowBalancesUSD, totalDebtUSD) = _toUSD(assets, borrowBalances);
+        (fixedBorrowBalancesUSD, fixedDebtUSD) = _toUSD(assets, fixedBorrowBalances);
+        totalDebtUSD += fixedDebtUSD;
+
+        (, , , , , healthFactor) = lending.getUserAccountData(user);
+    }
+
+    /**
+     * @dev Current supply rate (Ray): borrow rate × utilization × (1 - protocol fee rate), where the borrow rate
+     * is the debt-weighted average of the variable rate and the fixed-term loans' averageFixedRate
+     */
+    function calculateCurrentLiquidityRate(address asset) public view returns (uint256) {
+        uint256 utilizationRate = lending.getUtilizationRate(asset);
+        if (utilizationRate == 0) {
+            return 0;
+        }
+
+        uint256 borrowRate = lending.calculateCurrentVariableBorrowRate(asset);
+        uint256 fixedDebt = lending.totalFixedDebt(asset);
+        if (fixedDebt != 0) {
+            (, uint256 variableDebt) = lending.getReserveTotals(asset);
+            borrowRate = (borrowRate * variableDebt + lending.averageFixedRate(asset) * fixedDebt) / (variableDebt + fixedDebt);
+        }
+
+        uint256 grossSupplyRate = _rayMul(borrowRate, utilizationRate);
+        return _rayMul(grossSupplyRate, RAY - lending.protocolFeeRate() * 1e23);
+    }
+
+    /**
+     * @dev Gets current rates for an asset, in Ray and as percentages with 2 decimals
+     */
+    function getAssetRates(address asset) public view returns (
+        uint256 supplyRate,
+        uint256 borrowRate,
+        uint256 utilizationRate,
+        uint256 supplyRatePercent,
+        uint256 borrowRatePercent,
+        uint256 utilizationPercent
+    ) {
+        supplyRate = calculateCurrentLiquidityRate(asset);
+        borrowRate = lending.calculateCurrentVariableBorrowRate(asset);
+        utilizationRate = lending.getUtilizationRate(asset);
+
+        supplyRatePercent = supplyRate / 1e23;
+        borrowRatePercent = borrowRate / 1e23;
+        utilizationPercent = utilizationRate / 1e23;
+    }
+
+    /**
+     * @dev Gets rates for all reserves (percentages with 2 decimals)
+     */
+    function getAllAssetRates() external view returns (
+        address[] memory assets,
+        uint256[] memory supplyRates,
+        uint256[] memory borrowRates,
+        uint256[] memory utilizationRates
+    ) {
+        assets = lending.getReservesList();
+        supplyRates = new uint256[](assets.length);
+        borrowRates = new uint256[](assets.length);
+        utilizationRates = new uint256[](assets.length);
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            (, , , supplyRates[i], borrowRates[i], utilizationRates[i]) = getAssetRates(assets[i]);
+        }
+    }
+
+    /**
+     * @dev Gets total treasury fees across all reserves in USD (18 decimals)
+     */
+    function getTotalTreasuryFeesUSD() external view returns (uint256 totalFeesUSD) {
+        address[] memory reservesList = lending.getReservesList();
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            (, uint256 actualAmount) = lending.getTreasuryFees(asset);
+            if (actualAmount == 0) continue;
+
+            (, , , uint256 decimals, ) = lending.getConfiguration(asset);
+            totalFeesUSD += (lending.getAssetPrice(asset) * actualAmount) / 10**decimals;
+        }
+    }
+
+    /**
+     * @dev Gets the outstanding and cumulative bad-debt deficit of every reserve, and the outstanding deficit in USD
+     */
+    function getReserveDeficits() external view returns (
+        address[] memory assets,
+        uint256[] memory deficits,
+        uint256[] memory cumulativeDeficits,
+        uint256[] memory deficitsUSD,
+        uint256 totalDeficitUSD
+    ) {
+        assets = lending.getReservesList();
+        deficits = new uint256[](assets.length);
+        cumulativeDeficits = new uint256[](assets.length);
+
+        for (uint256 i = 0; i < assets.length; i++) {
+            (deficits[i], cumulativeDeficits[i]) = lending.getReserveDeficit(assets[i]);
+        }
+        (deficitsUSD, totalDeficitUSD) = _toUSD(assets, deficits);
+    }
+
+    /**
+     * @dev Reserves where the user has a supply, variable debt or fixed-term debt, with those balances
+     */
+    function _getUserPositions(address user) internal view returns (
+        address[] memory assets,
+        uint256[] memory supplies,
+        uint256[] memory debts,
+        uint256[] memory fixedDebts
+    ) {
+        address[] memory reservesList = lending.getReservesList();
+        assets = new address[](reservesList.length);
+        supplies = new uint256[](reservesList.length);
+        debts = new uint256[](reservesList.length);
+        fixedDebts = new uint256[](reservesList.length);
+
+        uint256 positionCount = 0;
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            uint256 supplied = lending.balanceOf(user, asset);
+            uint256 debt = lending.getUserVariableDebt(user, asset);
+            uint256 fixedDebt = lending.getUserFixedDebt(user, asset);
+            if (supplied == 0 && debt == 0 && fixedDebt == 0) continue;
+
+            assets[positionCount] = asset;
+            supplies[positionCount] = supplied;
+            debts[positionCount] = debt;
+            fixedDebts[positionCount] = fixedDebt;
+            positionCount++;
+        }
+
+        // Shrink the arrays to the number of positions
+        assembly {
+            mstore(assets, positionCount)
+            mstore(supplies, positionCount)
+            mstore(debts, positionCount)
+            mstore(fixedDebts, positionCount)
+        }
+    }
+
+    /**
+     * @dev USD values (18 decimals) of per-asset amounts, and their sum
+     */
+    function _toUSD(address[] memory assets, uint256[] memory amounts) internal view returns (
+        uint256[] memory values,
+        uint256 total
+    ) {
+        values = new uint256[](assets.length);
+        for (uint256 i = 0; i < assets.length; i++) {
+            if (amounts[i] == 0) continue;
+            (, , , uint256 decimals, ) = lending.getConfiguration(assets[i]);
+            values[i] = (lending.getAssetPrice(assets[i]) * amounts[i]) / 10**decimals;
+            total += values[i];
+        }
+    }
+
+    function _rayMul(uint256 a, uint256 b) internal pure returns (uint256) {
+        return (a * b + RAY / 2) / RAY;
+    }
+}
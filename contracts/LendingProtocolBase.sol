@@ -0,0 +1,953 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./interfaces/IPriceOracle.sol";
+
+/**
+ * @title LendingProtocolBase
+ * @dev Storage layout, events and shared accounting of LendingProtocol. Inherited by both LendingProtocol and
+ * LendingProtocolExtension, which the pool delegatecalls, so both contracts see the same storage slots:
+ * state variables must only ever be appended here, never declared in the inheriting contracts.
+ */
+abstract contract LendingProtocolBase is Ownable, ReentrancyGuard, Pausable {
+    // ============ Constants ============
+    uint256 public constant RAY = 1e27; // Ray precision (AAVE standard)
+    uint256 public constant HALF_RAY = RAY / 2;
+    uint256 public constant WAD = 1e18; // Wad precision
+    uint256 public constant HALF_WAD = WAD / 2;
+    uint256 public constant SECONDS_PER_YEAR = 365 days;
+    uint256 public constant LIQUIDATION_CLOSE_FACTOR_HF_THRESHOLD = 0.95e18; // Health factor threshold for 100% liquidation
+    uint256 public constant DEFAULT_LIQUIDATION_THRESHOLD = 8500; // 85%
+    uint256 public constant DEFAULT_LIQUIDATION_BONUS = 500; // 5%
+    uint256 public constant DEFAULT_MAX_LTV = 7500; // 75%
+    uint256 public constant BASIS_POINTS_FACTOR = 10000; // 100% = 10000 basis points
+    uint256 public constant MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD = 1e18; // 1.0
+    uint256 public constant MAX_FLASH_LOAN_FEE_RATE = 100; // 1%
+    bytes32 public constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    uint256 public constant MAX_PROTOCOL_FEE_RATE = 5000; // 50%
+    
+    // Timelocked parameters (pending changes are keyed by parameter and asset)
+    bytes32 public constant INTEREST_RATE_MODEL = keccak256("INTEREST_RATE_MODEL");
+    bytes32 public constant RESERVE_CONFIGURATION = keccak256("RESERVE_CONFIGURATION");
+    bytes32 public constant PROTOCOL_FEE_RATE = keccak256("PROTOCOL_FEE_RATE");
+    bytes32 public constant TIMELOCK_DELAY = keccak256("TIMELOCK_DELAY");
+    
+    // Fixed-term loans
+    uint256 public constant MIN_FIXED_TERM = 7 days;
+    uint256 public constant MAX_FIXED_TERM = 365 days;
+
+    // ============ Structs ============
+    
+    /**
+     * @dev Reserve data structure (similar to AAVE)
+     */
+    struct ReserveData {
+        // Configuration
+        bool isActive;
+        bool isFrozen;
+        bool canBeCollateral;
+        bool canBeBorrowed;
+        
+        // Interest rate data
+        uint256 liquidityIndex; // Cumulative liquidity interest (Ray)
+        uint256 variableBorrowIndex; // Cumulative variable borrow interest (Ray)
+        uint256 currentVariableBorrowRate; // Current variable borrow rate (Ray)
+        
+        // Reserve state
+        uint256 scaledTotalSupply; // Total supply in normalized form
+        uint256 scaledTotalVariableDebt; // Total variable debt in normalized form
+        uint256 lastUpdateTimestamp; // Last time indices were updated
+        
+        // Asset configuration
+        uint256 decimals;
+        uint256 ltv; // Loan-to-value ratio (basis points)
+        uint256 liquidationThreshold; // Liquidation threshold (basis points)
+        uint256 liquidationBonus; // Liquidation bonus (basis points)
+        
+        // Risk management
+        uint256 supplyCap; // Maximum supply allowed (asset units, 0 = no cap)
+        uint256 borrowCap; // Maximum borrow allowed (asset units, 0 = no cap)
+        
+        // Bad debt tracking
+        uint256 accruedToTreasury; // Accrued to treasury
+        uint256 deficit; // Bad debt amount
+        
+        // Isolation mode
+        uint256 debtCeiling; // Max debt backed by this asset as isolated collateral (WAD, 0 = not isolated)
+        uint256 isolationModeTotalDebt; // Debt currently backed by this asset in isolation (WAD)
+        bool borrowableInIsolation; // Whether isolated-collateral users may borrow this asset
+    }
+
+    /**
+     * @dev User data structure
+     */
+    struct UserData {
+        mapping(address => uint256) scaledBalance; // Scaled supply balance
+        mapping(address => uint256) scaledVariableDebt; // Scaled variable debt
+        mapping(address => bool) usageAsCollateralEnabled; // Whether asset is used as collateral
+    }
+
+    /**
+     * @dev Liquidation parameters
+     */
+    struct LiquidationParams {
+        address collateralAsset;
+        address debtAsset;
+        address user;
+        uint256 debtToCover;
+        bool receiveAToken;
+    }
+
+    /**
+     * @dev Interest Rate Model parameters (similar to Compound/AAVE)
+     */
+    struct InterestRateModel {
+        uint256 baseRatePerYear;        // Base interest rate (Ray format)
+        uint256 multiplierPerYear;      // Slope 1 - rate increase before kink (Ray format)  
+        uint256 jumpMultiplierPerYear;  // Slope 2 - rate increase after kink (Ray format)
+        uint256 kink;                   // Optimal utilization rate (Ray format)
+    }
+
+    /**
+     * @dev E-mode category: correlated assets (e.g. XDC/WXDC/bXDC) sharing higher risk parameters.
+     * The label is only emitted in EModeCategoryUpdated to keep it out of storage.
+     */
+    struct EModeCategory {
+        uint256 ltv; // Loan-to-value ratio (basis points)
+        uint256 liquidationThreshold; // Liquidation threshold (basis points)
+        uint256 liquidationBonus; // Liquidation bonus (basis points)
+        address priceSource; // Optional IPriceOracle pricing every asset of the category
+    }
+
+    /**
+     * @dev Queued parameter change; newValues use the argument order of the matching propose* function
+     * (unused slots are zero)
+     */
+    struct PendingChange {
+        bytes32 param;
+        address asset; // address(0) for protocol-wide parameters
+        uint256[4] newValues;
+        uint256 executableAt;
+    }
+
+    /**
+     * @dev Fixed-term loan: accrues at a rate locked at origination until it is repaid, repriced or converted
+     */
+    struct FixedLoan {
+        uint256 principal; // Debt at lastUpdateTimestamp (accrued interest is capitalized on every update)
+        uint256 rate; // Locked borrow rate (Ray)
+        uint40 lastUpdateTimestamp;
+        uint40 maturity; // After maturity anyone can convert the loan into variable debt
+    }
+
+    /**
+     * @dev Fixed-term borrowing settings of a reserve
+     */
+    struct FixedRateConfig {
+        bool enabled;
+        uint256 premium; // Added to the variable borrow rate at origination (Ray)
+        uint256 rebalanceUtilization; // Utilization (Ray) from which loans below the variable rate can be repriced
+    }
+
+    // ============ State Variables ============
+    
+    // List of supported assets
+    address[] public reservesList;
+    
+    // Asset address => Reserve data
+    mapping(address => ReserveData) public reserves;
+    
+    // User address => User data
+    mapping(address => UserData) internal users;
+    
+    // Price oracle
+    mapping(address => uint256) public assetPrices; // Asset prices (USD, 18 decimal precision)
+    IPriceOracle public priceOracle; // When set, replaces assetPrices for every asset
+    uint256 public maxPriceAge = 1 days; // Oldest updatedAt (seconds) accepted from priceOracle and e-mode price sources
+    
+    // Configuration
+    uint256 public maxNumberOfReserves = 128;
+    uint256 public protocolFeeRate = 3000; // 30% (basis points)
+    uint256 public flashLoanFeeRate = 9; // 0.09% (basis points), accrued to treasury
+    
+    // Bad debt management
+    mapping(address => uint256) public protocolReserves;
+    
+    // Interest rate models for each asset
+    mapping(address => InterestRateModel) public interestRateModels;
+    
+    // E-mode: category id => category, asset => category id, user => chosen category id (0 = none)
+    mapping(uint8 => EModeCategory) public eModeCategories;
+    mapping(address => uint8) public reserveEModeCategory;
+    mapping(address => uint8) public userEModeCategory;
+    
+    // Parameter timelock: keccak256(abi.encode(param, asset)) => pending change
+    uint256 public timelockDelay = 1 days;
+    mapping(bytes32 => PendingChange) internal pendingChanges;
+    bytes32[] internal pendingKeys;
+    
+    // Receipt tokens: asset => AToken (transferable supply) / VariableDebtToken (non-transferable debt)
+    mapping(address => address) public aTokens;
+    mapping(address => address) public variableDebtTokens;
+    
+    // Fixed-term loans: user => asset => loan; totalFixedDebt is part of utilization and accrues in updateState
+    mapping(address => mapping(address => FixedLoan)) public fixedLoans;
+    mapping(address => FixedRateConfig) public fixedRateConfigs;
+    mapping(address => uint256) public totalFixedDebt;
+    
+    // Credit delegation: delegator => asset => delegatee => amount the delegatee may borrow on the delegator's behalf
+    mapping(address => mapping(address => mapping(address => uint256))) public borrowAllowance;
+    mapping(address => uint256) public nonces; // delegationWithSig nonces
+    
+    // Bad debt: receiver of seized collateral (LendingBackstop) and all debt ever written off per reserve
+    address public backstop;
+    mapping(address => uint256) public cumulativeDeficit;
+
+    // totalFixedDebt-weighted average of the locked fixed-term rates per reserve (Ray)
+    mapping(address => uint256) public averageFixedRate;
+
+    // ============ Events ============
+    
+    event ReserveDataUpdated(
+        address indexed reserve,
+        uint256 liquidityRate,
+        uint256 variableBorrowRate,
+        uint256 liquidityIndex,
+        uint256 variableBorrowIndex
+    );
+    
+    event Supply(
+        address indexed reserve,
+        address user,
+        address indexed onBehalfOf,
+        uint256 amount,
+        uint16 indexed referralCode
+    );
+    
+    event Withdraw(
+        address indexed reserve,
+        address indexed user,
+        address indexed to,
+        uint256 amount
+    );
+    
+    event Borrow(
+        address indexed reserve,
+        address user,
+        address indexed onBehalfOf,
+        uint256 amount,
+        uint16 indexed referralCode
+    );
+    
+    event Repay(
+        address indexed reserve,
+        address indexed user,
+        address indexed repayer,
+        uint256 amount
+    );
+    
+    event LiquidationCall(
+        address indexed collateralAsset,
+        address indexed debtAsset,
+        address indexed user,
+        uint256 debtToCover,
+        uint256 liquidatedCollateralAmount,
+        address liquidator,
+        bool receiveAToken
+    );
+    
+    event ReserveUsedAsCollateralEnabled(address indexed reserve, address indexed user);
+    event ReserveUsedAsCollateralDisabled(address indexed reserve, address indexed user);
+    
+    event PriceUpdated(address indexed asset, uint256 price);
+
+    event PriceOracleUpdated(address indexed oldOracle, address indexed newOracle);
+
+    event MaxPriceAgeUpdated(uint256 maxPriceAge);
+
+    event TreasuryWithdraw(address indexed asset, uint256 amount, address indexed to);
+    
+    event ProtocolFeeRateUpdated(uint256 oldRate, uint256 newRate);
+
+    event FlashLoan(
+        address indexed receiver,
+        address indexed initiator,
+        address indexed asset,
+        uint256 amount,
+        uint256 fee
+    );
+
+    event FlashLoanFeeRateUpdated(uint256 oldRate, uint256 newRate);
+
+    event ReserveCapsUpdated(address indexed asset, uint256 supplyCap, uint256 borrowCap);
+
+    event ReserveIsolationUpdated(address indexed asset, uint256 debtCeiling, bool borrowableInIsolation);
+
+    event IsolationModeTotalDebtUpdated(address indexed asset, uint256 totalDebt);
+
+    event EModeCategoryUpdated(
+        uint8 indexed categoryId,
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        address priceSource,
+        string label
+    );
+
+    event ReserveEModeCategoryUpdated(address indexed asset, uint8 indexed categoryId);
+
+    event UserEModeSet(address indexed user, uint8 categoryId);
+
+    event ParameterProposed(
+        bytes32 indexed param,
+        address indexed asset,
+        uint256[4] oldValues,
+        uint256[4] newValues,
+        uint256 executableAt
+    );
+
+    event ParameterChanged(bytes32 indexed param, address indexed asset, uint256[4] oldValues, uint256[4] newValues);
+
+    event ParameterProposalCancelled(bytes32 indexed param, address indexed asset);
+
+    event ReserveTokensUpdated(address indexed asset, address aToken, address variableDebtToken);
+    
+    event FixedRateConfigUpdated(address indexed asset, bool enabled, uint256 premium, uint256 rebalanceUtilization);
+    
+    event FixedBorrow(
+        address indexed reserve,
+        address user,
+        address indexed onBehalfOf,
+        uint256 amount,
+        uint256 rate,
+        uint256 maturity
+    );
+    
+    event FixedRepay(
+        address indexed reserve,
+        address indexed user,
+        address indexed repayer,
+        uint256 amount
+    );
+    
+    event FixedLoanRebalanced(address indexed reserve, address indexed user, uint256 oldRate, uint256 newRate);
+    
+    event FixedLoanConverted(address indexed reserve, address indexed user, uint256 amount);
+    
+    event DeficitRecorded(
+        address indexed reserve,
+        address indexed user,
+        uint256 amount,
+        uint256 deficit,
+        uint256 cumulativeDeficit
+    );
+    
+    event DeficitCovered(address indexed reserve, address indexed from, uint256 amount, uint256 deficit);
+    
+    event CollateralSeized(address indexed reserve, address indexed user, address indexed receiver, uint256 amount);
+    
+    event BackstopUpdated(address indexed oldBackstop, address indexed newBackstop);
+    
+    event BorrowAllowanceDelegated(
+        address indexed delegator,
+        address indexed delegatee,
+        address indexed asset,
+        uint256 amount
+    );
+
+    // ============ Modifiers ============
+    
+    modifier onlyValidReserve(address asset) {
+        require(reserves[asset].isActive, "Reserve not active");
+        _;
+    }
+
+    modifier onlyActiveTrueFrozenFalse(address asset) {
+        require(reserves[asset].isActive, "Reserve not active");
+        require(!reserves[asset].isFrozen, "Reserve frozen");
+        _;
+    }
+
+    // ============ Constructor ============
+    
+    constructor() Ownable(msg.sender) {
+        // Initialize with RAY precision
+    }
+
+    // ============ Ray Math Library ============
+    
+    /**
+     * @dev Multiplies two ray values
+     */
+    function rayMul(uint256 a, uint256 b) internal pure returns (uint256) {
+        if (a == 0 || b == 0) {
+            return 0;
+        }
+        require(a <= (type(uint256).max - HALF_RAY) / b, "Ray multiplication overflow");
+        return (a * b + HALF_RAY) / RAY;
+    }
+
+    /**
+     * @dev Divides two ray values
+     */
+    function rayDiv(uint256 a, uint256 b) internal pure returns (uint256) {
+        require(b != 0, "Division by zero");
+        uint256 halfB = b / 2;
+        require(a <= (type(uint256).max - halfB) / RAY, "Ray division overflow");
+        return (a * RAY + halfB) / b;
+    }
+
+    /**
+     * @dev Converts WAD to RAY
+     */
+    function wadToRay(uint256 a) internal pure returns (uint256) {
+        uint256 result = a * (RAY / WAD);
+        require(result / (RAY / WAD) == a, "WAD to RAY overflow");
+        return result;
+    }
+
+    /**
+     * @dev Converts RAY to WAD
+     */
+    function rayToWad(uint256 a) internal pure returns (uint256) {
+        uint256 halfRatio = (RAY / WAD) / 2;
+        return (a + halfRatio) / (RAY / WAD);
+    }
+
+    // ============ Interest Rate Calculations ============
+    
+    /**
+     * @dev Calculates compound interest using Taylor series approximation
+     * @param rate The interest rate (in ray)
+     * @param lastUpdateTimestamp The timestamp of the last update
+     * @return The compound interest rate (in ray)
+     */
+    function calculateCompoundedInterest(
+        uint256 rate,
+        uint256 lastUpdateTimestamp
+    ) public view returns (uint256) {
+        uint256 exp = block.timestamp - lastUpdateTimestamp;
+        if (exp == 0) {
+            return RAY;
+        }
+        
+        uint256 expMinusOne = exp - 1;
+        uint256 expMinusTwo = exp > 2 ? exp - 2 : 0;
+        
+        uint256 ratePerSecond = rate / SECONDS_PER_YEAR;
+        
+        uint256 basePowerTwo = rayMul(ratePerSecond, ratePerSecond);
+        uint256 basePowerThree = rayMul(basePowerTwo, ratePerSecond);
+        
+        uint256 secondTerm = (exp * expMinusOne * basePowerTwo) / 2;
+        uint256 thirdTerm = (exp * expMinusOne * expMinusTwo * basePowerThree) / 6;
+        
+        return RAY + (ratePerSecond * exp) + secondTerm + thirdTerm;
+    }
+
+    /**
+     * @dev Updates the liquidity cumulative index and variable borrow index. Fixed-term debt accrues at
+     * averageFixedRate into totalFixedDebt, and its interest is credited to suppliers with the variable interest.
+     * @param reserve The reserve object
+     */
+    function updateState(ReserveData storage reserve, address asset) internal {
+        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
+        uint256 previousVariableBorrowIndex = reserve.variableBorrowIndex;
+        uint256 previousLiquidityIndex = reserve.liquidityIndex;
+        uint256 newLiquidityIndex = previousLiquidityIndex;
+        uint256 newVariableBorrowIndex = previousVariableBorrowIndex;
+        uint256 debtIncrease;
+
+        // Update to dynamic interest rate
+        uint256 newVariableBorrowRate = calculateCurrentVariableBorrowRate(asset);
+        reserve.currentVariableBorrowRate = newVariableBorrowRate;
+
+        if (scaledVariableDebt != 0) {
+            uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
+                reserve.currentVariableBorrowRate,
+                reserve.lastUpdateTimestamp
+            );
+            newVariableBorrowIndex = rayMul(previousVariableBorrowIndex, cumulatedVariableBorrowInterest);
+            reserve.variableBorrowIndex = newVariableBorrowIndex;
+
+            uint256 totalDebt = rayMul(scaledVariableDebt, newVariableBorrowIndex);
+            uint256 newTotalDebt = rayMul(scaledVariableDebt, previousVariableBorrowIndex);
+            debtIncrease = totalDebt - newTotalDebt;
+        }
+
+        uint256 fixedDebtIncrease = _getFixedDebtIncrease(reserve, asset);
+        if (fixedDebtIncrease != 0) {
+            totalFixedDebt[asset] += fixedDebtIncrease;
+            debtIncrease += fixedDebtIncrease;
+        }
+
+        if (debtIncrease != 0) {
+            uint256 protocolFee = rayMul(debtIncrease, wadToRay(protocolFeeRate * 1e14)); // Convert basis points to ray
+            
+            if (protocolFee != 0) {
+                reserve.accruedToTreasury += rayDiv(protocolFee, newLiquidityIndex);
+            }
+
+            if (reserve.scaledTotalSupply != 0) {
+                uint256 liquidityIncrease = debtIncrease - protocolFee;
+                uint256 cumulatedLiquidityInterest = rayDiv(liquidityIncrease, reserve.scaledTotalSupply) + RAY;
+                newLiquidityIndex = rayMul(previousLiquidityIndex, cumulatedLiquidityInterest);
+                reserve.liquidityIndex = newLiquidityIndex;
+            }
+        }
+
+        reserve.lastUpdateTimestamp = uint40(block.timestamp);
+
+        emit ReserveDataUpdated(
+            asset,
+            0, // No longer using fixed liquidity rate
+            newVariableBorrowRate,
+            newLiquidityIndex,
+            newVariableBorrowIndex
+        );
+    }
+
+    // ============ Internal Functions ============
+    
+    /**
+     * @dev Calculates the current liquidity index without updating state
+     * @param reserve The reserve data
+     * @param asset The asset address (needed for real-time rate calculation)
+     * @return The current liquidity index including accrued interest
+     */
+    function _getCurrentLiquidityIndex(ReserveData storage reserve, address asset) internal view returns (uint256) {
+        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
+        uint256 debtIncrease = _getFixedDebtIncrease(reserve, asset);
+        
+        if (scaledVariableDebt != 0) {
+            // Use real-time dynamic rate instead of stored rate
+            uint256 currentDynamicRate = calculateCurrentVariableBorrowRate(asset);
+            
+            uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
+                currentDynamicRate,
+                reserve.lastUpdateTimestamp
+            );
+            uint256 currentVariableBorrowIndex = rayMul(reserve.variableBorrowIndex, cumulatedVariableBorrowInterest);
+            
+            uint256 totalDebt = rayMul(scaledVariableDebt, currentVariableBorrowIndex);
+            uint256 previousTotalDebt = rayMul(scaledVariableDebt, reserve.variableBorrowIndex);
+            debtIncrease += totalDebt - previousTotalDebt;
+        }
+        
+        if (debtIncrease == 0 || reserve.scaledTotalSupply == 0) {
+            return reserve.liquidityIndex;
+        }
+        
+        uint256 protocolFee = rayMul(debtIncrease, wadToRay(protocolFeeRate * 1e14));
+        uint256 liquidityIncrease = debtIncrease - protocolFee;
+        uint256 cumulatedLiquidityInterest = rayDiv(liquidityIncrease, reserve.scaledTotalSupply) + RAY;
+        return rayMul(reserve.liquidityIndex, cumulatedLiquidityInterest);
+    }
+
+    /**
+     * @dev Interest accrued on totalFixedDebt at averageFixedRate since the reserve's last update
+     */
+    function _getFixedDebtIncrease(ReserveData storage reserve, address asset) internal view returns (uint256) {
+        uint256 fixedDebt = totalFixedDebt[asset];
+        if (fixedDebt == 0) {
+            return 0;
+        }
+        return rayMul(fixedDebt, calculateCompoundedInterest(averageFixedRate[asset], reserve.lastUpdateTimestamp)) - fixedDebt;
+    }
+    
+    /**
+     * @dev Calculates the current borrow index without updating state
+     * @param reserve The reserve data
+     * @param asset The asset address (needed for real-time rate calculation)
+     * @return The current variable borrow index including accrued interest
+     */
+    function _getCurrentBorrowIndex(ReserveData storage reserve, address asset) internal view returns (uint256) {
+        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
+        if (scaledVariableDebt == 0) {
+            return reserve.variableBorrowIndex;
+        }
+        
+        // Use real-time dynamic rate instead of stored rate
+        uint256 currentDynamicRate = calculateCurrentVariableBorrowRate(asset);
+        
+        uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
+            currentDynamicRate,
+            reserve.lastUpdateTimestamp
+        );
+        return rayMul(reserve.variableBorrowIndex, cumulatedVariableBorrowInterest);
+    }
+
+    /**
+     * @dev Calculates the current variable borrow rate based on utilization
+     * @param asset The asset address
+     * @return The current variable borrow rate (in Ray)
+     */
+    function calculateCurrentVariableBorrowRate(address asset) public view returns (uint256) {
+        ReserveData storage reserve = reserves[asset];
+        InterestRateModel storage model = interestRateModels[asset];
+        
+        // Get current liquidity and debt
+        uint256 totalLiquidity = rayMul(reserve.scaledTotalSupply, reserve.liquidityIndex);
+        uint256 totalDebt = rayMul(reserve.scaledTotalVariableDebt, reserve.variableBorrowIndex) + totalFixedDebt[asset];
+        
+        // If no debt or liquidity, return base rate
+        if (totalDebt == 0 || totalLiquidity == 0) {
+            return model.baseRatePerYear;
+        }
+        
+        // Calculate utilization rate using AAVE formula
+        uint256 utilizationRate = rayDiv(totalDebt, totalLiquidity);
+        
+        // Cap utilization rate at 100% for rate calculation
+        if (utilizationRate > RAY) {
+            utilizationRate = RAY; // 100%
+        }
+        
+        // Calculate interest rate based on utilization
+        if (utilizationRate <= model.kink) {
+            // Below kink: rate = baseRate + (utilizationRate * multiplier)
+            return model.baseRatePerYear + rayMul(utilizationRate, model.multiplierPerYear);
+        } else {
+            // Above kink: rate = baseRate + (kink * multiplier) + ((utilizationRate - kink) * jumpMultiplier)
+            uint256 normalRate = model.baseRatePerYear + rayMul(model.kink, model.multiplierPerYear);
+            uint256 excessUtil = utilizationRate - model.kink;
+            return normalRate + rayMul(excessUtil, model.jumpMultiplierPerYear);
+        }
+    }
+    
+    /**
+     * @dev Gets the current utilization rate for an asset
+     * @param asset The asset address
+     * @return utilizationRate The utilization rate (in Ray)
+     */
+    function getUtilizationRate(address asset) public view returns (uint256) {
+        ReserveData storage reserve = reserves[asset];
+        
+        uint256 totalLiquidity = rayMul(reserve.scaledTotalSupply, reserve.liquidityIndex);
+        uint256 totalDebt = rayMul(reserve.scaledTotalVariableDebt, reserve.variableBorrowIndex) + totalFixedDebt[asset];
+        
+        if (totalDebt == 0 || totalLiquidity == 0) {
+            return 0;
+        }
+        
+        // ✅ AAVE正确公式：利用率 = 总借款 / 总存款
+        uint256 utilizationRate = rayDiv(totalDebt, totalLiquidity);
+        
+        // Cap at 100% for consistency  
+        if (utilizationRate > RAY) {
+            utilizationRate = RAY; // 100%
+        }
+        
+        return utilizationRate;
+    }
+
+    function _getUserAccountData(
+        address user
+    )
+        internal 
+        view 
+        returns (
+            uint256 totalCollateralBase,
+            uint256 totalDebtBase,
+            uint256 availableBorrowsBase,
+            uint256 currentLiquidationThreshold,
+            uint256 ltv,
+            uint256 healthFactor
+        ) 
+    {
+        UserData storage userData = users[user];
+        
+        if (reservesList.length == 0) {
+            return (0, 0, 0, 0, 0, type(uint256).max);
+        }
+
+        uint256 avgLtv;
+        uint256 avgLiquidationThreshold;
+        uint256 totalCollateralForLTV; // ✅ 新增：只计算启用作为抵押品的资产总价值
+        uint8 category = userEModeCategory[user];
+        
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address currentReserveAddress = reservesList[i];
+            ReserveData storage currentReserve = reserves[currentReserveAddress];
+            
+            if (!currentReserve.isActive) continue;
+            
+            uint256 fixedDebt = _getFixedDebt(fixedLoans[user][currentReserveAddress]);
+            if (
+                userData.scaledBalance[currentReserveAddress] == 0 &&
+                userData.scaledVariableDebt[currentReserveAddress] == 0 &&
+                fixedDebt == 0
+            ) continue;
+            
+            (uint256 ltv, uint256 liquidationThreshold, , uint256 price) = _getUserAssetParams(category, currentReserveAddress);
+            
+            uint256 tokenUnit = 10**currentReserve.decimals;
+            
+            if (userData.scaledBalance[currentReserveAddress] != 0) {
+                uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(currentReserve, currentReserveAddress);
+                uint256 balance = rayMul(userData.scaledBalance[currentReserveAddress], currentLiquidityIndex);
+                uint256 balanceInBaseCurrency = (price * balance) / tokenUnit;
+                totalCollateralBase += balanceInBaseCurrency;
+                
+                if (userData.usageAsCollateralEnabled[currentReserveAddress]) {
+                    totalCollateralForLTV += balanceInBaseCurrency; // ✅ 只累计启用作为抵押品的资产
+                    avgLtv += balanceInBaseCurrency * ltv;
+                    avgLiquidationThreshold += balanceInBaseCurrency * liquidationThreshold;
+                }
+            }
+            
+            uint256 debt = fixedDebt;
+            if (userData.scaledVariableDebt[currentReserveAddress] != 0) {
+                uint256 currentBorrowIndex = _getCurrentBorrowIndex(currentReserve, currentReserveAddress);
+                debt += rayMul(userData.scaledVariableDebt[currentReserveAddress], currentBorrowIndex);
+            }
+            if (debt != 0) {
+                uint256 debtInBaseCurrency = (price * debt) / tokenUnit;
+                totalDebtBase += debtInBaseCurrency;
+            }
+        }
+        
+        // ✅ 修复：用正确的分母计算加权平均
+        if (totalCollateralForLTV > 0) {
+            avgLtv = avgLtv / totalCollateralForLTV;
+            avgLiquidationThreshold = avgLiquidationThreshold / totalCollateralForLTV;
+        }
+        
+        // ✅ 修复：基于启用作为抵押品的资产计算借贷能力
+        availableBorrowsBase = totalCollateralForLTV * avgLtv / BASIS_POINTS_FACTOR;
+        
+        if (availableBorrowsBase > totalDebtBase) {
+            availableBorrowsBase = availableBorrowsBase - totalDebtBase;
+        } else {
+            availableBorrowsBase = 0;
+        }
+        
+        // ✅ 修复：健康因子应该基于启用作为抵押品的资产，并使用正确的精度
+        healthFactor = totalDebtBase == 0
+            ? type(uint256).max
+            : (totalCollateralForLTV * avgLiquidationThreshold * 1e18) / (totalDebtBase * BASIS_POINTS_FACTOR);
+            
+        ltv = avgLtv;
+        currentLiquidationThreshold = avgLiquidationThreshold;
+    }
+
+    function _calculateCollateralForLTV(address user) internal view returns (uint256) {
+        UserData storage userData = users[user];
+        uint256 totalCollateralForLTV = 0;
+        
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address currentReserveAddress = reservesList[i];
+            ReserveData storage currentReserve = reserves[currentReserveAddress];
+            
+            if (!currentReserve.isActive) continue;
+            
+            if (userData.scaledBalance[currentReserveAddress] != 0 && userData.usageAsCollateralEnabled[currentReserveAddress]) {
+                uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(currentReserve, currentReserveAddress);
+                uint256 balance = rayMul(userData.scaledBalance[currentReserveAddress], currentLiquidityIndex);
+                uint256 balanceInBaseCurrency = (getAssetPrice(currentReserveAddress) * balance) / (10**currentReserve.decimals);
+                totalCollateralForLTV += balanceInBaseCurrency;
+            }
+        }
+        
+        return totalCollateralForLTV;
+    }
+
+
+
+
+
+    /**
+     * @dev Validates a borrow and returns the user's isolated collateral (address(0) if not in isolation mode)
+     */
+    function _validateBorrow(
+        address asset,
+        address user,
+        uint256 amount
+    ) internal view returns (address isolatedCollateral) {
+        uint8 category = userEModeCategory[user];
+        require(category == 0 || reserveEModeCategory[asset] == category, "Asset not in E-mode category");
+        
+        (, isolatedCollateral) = _getCollateralState(user);
+        if (isolatedCollateral != address(0)) {
+            ReserveData storage isolatedReserve = reserves[isolatedCollateral];
+            require(reserves[asset].borrowableInIsolation, "Asset not borrowable in isolation");
+            require(
+                isolatedReserve.isolationModeTotalDebt + _toIsolationDebt(asset, amount) <= isolatedReserve.debtCeiling,
+                "Debt ceiling exceeded"
+            );
+        }
+        
+        (, uint256 totalDebtBase, uint256 availableBorrowsBase, , , uint256 healthFactor) = _getUserAccountData(user);
+        
+        // Check if borrowing capacity exists (collateral enabled)
+        require(availableBorrowsBase > 0, "No borrowing capacity - ensure collateral assets are enabled");
+        
+        (, , , uint256 price) = _getUserAssetParams(category, asset);
+        uint256 amountInBaseCurrency = (price * amount) / (10**reserves[asset].decimals);
+        require(amountInBaseCurrency <= availableBorrowsBase, "Amount exceeds borrowing capacity");
+        
+        // 健康因子检查
+        if (totalDebtBase > 0) {
+            require(healthFactor > MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "Current health factor too low");
+        }
+    }
+
+    /**
+     * @dev Scans the user's enabled collateral. Isolated collateral (debtCeiling > 0) is only ever
+     * enabled on its own, so finding one means the user is in isolation mode.
+     */
+    function _getCollateralState(address user) internal view returns (bool hasCollateral, address isolatedCollateral) {
+        UserData storage userData = users[user];
+        
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            if (!userData.usageAsCollateralEnabled[asset]) continue;
+            
+            hasCollateral = true;
+            if (reserves[asset].debtCeiling != 0) {
+                isolatedCollateral = asset;
+            }
+        }
+    }
+
+    /**
+     * @dev Risk parameters and price of `asset` for a user in e-mode `category` (0 = none).
+     * Assets of the user's category use the category parameters and price source.
+     */
+    function _getUserAssetParams(uint8 category, address asset) internal view returns (
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        uint256 price
+    ) {
+        if (category != 0 && reserveEModeCategory[asset] == category) {
+            EModeCategory storage eMode = eModeCategories[category];
+            if (eMode.priceSource != address(0)) {
+                price = _getOraclePrice(IPriceOracle(eMode.priceSource), asset);
+            } else {
+                price = getAssetPrice(asset);
+            }
+            return (eMode.ltv, eMode.liquidationThreshold, eMode.liquidationBonus, price);
+        }
+        
+        ReserveData storage reserve = reserves[asset];
+        return (reserve.ltv, reserve.liquidationThreshold, reserve.liquidationBonus, getAssetPrice(asset));
+    }
+
+    /**
+     * @dev Isolated collateral cannot be combined with any other collateral
+     */
+    function _canEnableAsCollateral(address user, address asset) internal view returns (bool) {
+        (bool hasCollateral, address isolatedCollateral) = _getCollateralState(user);
+        if (isolatedCollateral != address(0)) return false;
+        return reserves[asset].debtCeiling == 0 || !hasCollateral;
+    }
+
+    /**
+     * @dev Debt ceilings count borrowed units, not USD (borrowable-in-isolation assets are expected
+     * to be stablecoins), normalized to WAD
+     */
+    function _toIsolationDebt(address asset, uint256 amount) internal view returns (uint256) {
+        return (amount * WAD) / (10**reserves[asset].decimals);
+    }
+
+    function _reduceIsolationDebt(address user, address asset, uint256 amount) internal {
+        (, address isolatedCollateral) = _getCollateralState(user);
+        if (isolatedCollateral == address(0)) return;
+        
+        ReserveData storage isolatedReserve = reserves[isolatedCollateral];
+        uint256 debt = _toIsolationDebt(asset, amount);
+        isolatedReserve.isolationModeTotalDebt = isolatedReserve.isolationModeTotalDebt > debt
+            ? isolatedReserve.isolationModeTotalDebt - debt
+            : 0;
+        emit IsolationModeTotalDebtUpdated(isolatedCollateral, isolatedReserve.isolationModeTotalDebt);
+    }
+
+    /**
+     * @dev Adds scaled supply to a user; the first supply of a collateral asset enables it as collateral
+     */
+    function _creditSupply(address user, address asset, uint256 amountScaled) internal {
+        UserData storage userData = users[user];
+        uint256 currentBalance = userData.scaledBalance[asset];
+        userData.scaledBalance[asset] = currentBalance + amountScaled;
+        
+        if (currentBalance == 0 && reserves[asset].canBeCollateral && _canEnableAsCollateral(user, asset)) {
+            userData.usageAsCollateralEnabled[asset] = true;
+            emit ReserveUsedAsCollateralEnabled(asset, user);
+        }
+    }
+
+    /**
+     * @dev Removes scaled supply from a user; if it was collateral, the health factor must stay above 1
+     */
+    function _debitSupply(address user, address asset, uint256 amountScaled) internal {
+        UserData storage userData = users[user];
+        userData.scaledBalance[asset] -= amountScaled;
+        
+        if (userData.usageAsCollateralEnabled[asset]) {
+            if (userData.scaledBalance[asset] == 0) {
+                userData.usageAsCollateralEnabled[asset] = false;
+                emit ReserveUsedAsCollateralDisabled(asset, user);
+            }
+            _requireHealthFactorAboveOne(user);
+        }
+    }
+
+    function _requireHealthFactorAboveOne(address user) internal view {
+        (, , , , , uint256 healthFactor) = _getUserAccountData(user);
+        require(healthFactor >= MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "Health factor too low");
+    }
+
+    function _approveDelegation(address delegator, address delegatee, address asset, uint256 amount) internal {
+        borrowAllowance[delegator][asset][delegatee] = amount;
+        emit BorrowAllowanceDelegated(delegator, delegatee, asset, amount);
+    }
+
+    /**
+     * @dev Borrowing on behalf of another user spends the allowance they delegated to msg.sender
+     * (type(uint256).max is never decreased)
+     */
+    function _spendBorrowAllowance(address onBehalfOf, address asset, uint256 amount) internal {
+        if (onBehalfOf == msg.sender) return;
+        
+        uint256 allowance = borrowAllowance[onBehalfOf][asset][msg.sender];
+        require(allowance >= amount, "Borrow allowance too low");
+        if (allowance != type(uint256).max) {
+            _approveDelegation(onBehalfOf, msg.sender, asset, allowance - amount);
+        }
+    }
+
+    /**
+     * @dev Current debt of a fixed-term loan, compounded at its locked rate since the last update
+     */
+    function _getFixedDebt(FixedLoan storage loan) internal view returns (uint256) {
+        if (loan.principal == 0) {
+            return 0;
+        }
+        return rayMul(loan.principal, calculateCompoundedInterest(loan.rate, loan.lastUpdateTimestamp));
+    }
+
+
+    /**
+     * @dev Returns the USD price of an asset (18 decimals) from priceOracle, or from assetPrices when no oracle is set
+     */
+    function getAssetPrice(address asset) public view returns (uint256 price) {
+        if (address(priceOracle) == address(0)) {
+            return assetPrices[asset];
+        }
+        return _getOraclePrice(priceOracle, asset);
+    }
+
+    /**
+     * @dev Price of `asset` from `oracle`, rejecting zero prices and observations older than maxPriceAge
+     */
+    function _getOraclePrice(IPriceOracle oracle, address asset) internal view returns (uint256 price) {
+        uint256 updatedAt;
+        (price, updatedAt) = oracle.getPrice(asset);
+        require(price > 0, "Invalid oracle price");
+        require(updatedAt <= block.timestamp && block.timestamp - updatedAt <= maxPriceAge, "Stale oracle price");
+    }
+}
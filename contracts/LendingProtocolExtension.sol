@@ -0,0 +1,671 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./LendingProtocolBase.sol";
+import "./interfaces/ILendingBackstop.sol";
+
+/**
+ * @title LendingProtocolExtension
+ * @dev Liquidation and bad debt, the parameter timelock, signed credit delegation and fixed-term borrowing for
+ * LendingProtocol, moved out of the pool to keep it under the contract size limit. Only meant to be delegatecalled by LendingProtocol, which holds the reentrancy lock;
+ * called directly it operates on its own empty storage.
+ *
+ * Fixed-term loans lock calculateCurrentVariableBorrowRate (after the borrow) plus the reserve premium until
+ * maturity. updateState accrues totalFixedDebt at averageFixedRate and credits that interest to suppliers
+ * continuously, while each loan capitalizes its own interest whenever it is touched (repay, rebalance,
+ * liquidation). A matured loan can be converted into variable debt by anyone, and
+ * while utilization is at or above the reserve's rebalanceUtilization, loans locked below the variable rate can
+ * be repriced to the current variable rate plus premium.
+ */
+contract LendingProtocolExtension is LendingProtocolBase {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant DELEGATION_WITH_SIG_TYPEHASH = keccak256(
+        "DelegationWithSig(address delegator,address delegatee,address asset,uint256 amount,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // ============ Liquidation ============
+
+    /**
+     * @dev Liquidates a user position when health factor drops below 1. Variable debt of debtAsset is
+     * covered first, then the user's fixed-term loan of the same asset.
+     */
+    function liquidationCall(
+        address collateralAsset,
+        address debtAsset,
+        address user,
+        uint256 debtToCover,
+        bool receiveAToken
+    ) external {
+        require(debtToCover > 0, "Debt to cover must be greater than 0");
+        
+        ReserveData storage collateralReserve = reserves[collateralAsset];
+        ReserveData storage debtReserve = reserves[debtAsset];
+        UserData storage userData = users[user];
+        
+        updateState(collateralReserve, collateralAsset);
+        updateState(debtReserve, debtAsset);
+        
+        (, , , , , uint256 healthFactor) = _getUserAccountData(user);
+        require(healthFactor < MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "Health factor not below threshold");
+        
+        uint256 userVariableDebt = rayMul(userData.scaledVariableDebt[debtAsset], debtReserve.variableBorrowIndex);
+        uint256 userDebt = userVariableDebt + _accrueFixedLoan(fixedLoans[user][debtAsset]);
+        
+        uint256 actualDebtToCover = debtToCover > userDebt ? userDebt : debtToCover;
+        
+        // Prices and bonus follow the user's e-mode category
+        uint8 category = userEModeCategory[user];
+        (, , , uint256 debtPrice) = _getUserAssetParams(category, debtAsset);
+        (, , uint256 liquidationBonus, uint256 collateralPrice) = _getUserAssetParams(category, collateralAsset);
+        
+        uint256 liquidatedCollateralAmount;
+        (actualDebtToCover, liquidatedCollateralAmount) = _calculateAvailableCollateralToLiquidate(
+            actualDebtToCover,
+            debtPrice,
+            collateralPrice,
+            liquidationBonus,
+            debtReserve.decimals,
+            collateralReserve.decimals,
+            rayMul(userData.scaledBalance[collateralAsset], collateralReserve.liquidityIndex)
+        );
+        
+        // Update user balances
+        uint256 variableDebtCovered = actualDebtToCover > userVariableDebt ? userVariableDebt : actualDebtToCover;
+        uint256 debtAmountScaled = rayDiv(variableDebtCovered, debtReserve.variableBorrowIndex);
+        userData.scaledVariableDebt[debtAsset] -= debtAmountScaled;
+        debtReserve.scaledTotalVariableDebt -= debtAmountScaled;
+        if (actualDebtToCover > variableDebtCovered) {
+            _reduceFixedLoan(user, debtAsset, actualDebtToCover - variableDebtCovered);
+        }
+        _reduceIsolationDebt(user, debtAsset, actualDebtToCover);
+        
+        uint256 collateralAmountScaled = rayDiv(liquidatedCollateralAmount, collateralReserve.liquidityIndex);
+        userData.scaledBalance[collateralAsset] -= collateralAmountScaled;
+        if (receiveAToken) {
+            // Liquidator takes over the supply position (and its aTokens)
+            _creditSupply(msg.sender, collateralAsset, collateralAmountScaled);
+        } else {
+            collateralReserve.scaledTotalSupply -= collateralAmountScaled;
+        }
+        
+        // Check for bad debt and cleanup if necessary
+        _handleBadDebtCleanup(user);
+        
+        // Transfer debt payment from liquidator
+        IERC20(debtAsset).safeTransferFrom(msg.sender, address(this), actualDebtToCover);
+        
+        // Transfer collateral to liquidator
+        if (!receiveAToken) {
+            IERC20(collateralAsset).safeTransfer(msg.sender, liquidatedCollateralAmount);
+        }
+        
+        emit LiquidationCall(
+            collateralAsset,
+            debtAsset,
+            user,
+            actualDebtToCover,
+            liquidatedCollateralAmount,
+            msg.sender,
+            receiveAToken
+        );
+    }
+
+    /**
+     * @dev Collateral seized for `debtToCover`, capped at the user's collateral balance
+     * @return debtAmount Debt actually covered
+     * @return collateralAmount Collateral seized (including the bonus)
+     */
+    function _calculateAvailableCollateralToLiquidate(
+        uint256 debtToCover,
+        uint256 debtAssetPrice,
+        uint256 collateralAssetPrice,
+        uint256 liquidationBonus,
+        uint256 debtAssetDecimals,
+        uint256 collateralAssetDecimals,
+        uint256 userCollateralBalance
+    ) internal pure returns (uint256 debtAmount, uint256 collateralAmount) {
+        collateralAmount = _calculateLiquidationAmount(
+            debtToCover,
+            debtAssetPrice,
+            collateralAssetPrice,
+            liquidationBonus,
+            debtAssetDecimals,
+            collateralAssetDecimals
+        );
+        
+        if (collateralAmount > userCollateralBalance) {
+            collateralAmount = userCollateralBalance;
+            debtAmount = (userCollateralBalance * collateralAssetPrice * (10**debtAssetDecimals) * BASIS_POINTS_FACTOR) /
+                (debtAssetPrice * (10**collateralAssetDecimals) * (BASIS_POINTS_FACTOR + liquidationBonus));
+        } else {
+            debtAmount = debtToCover;
+        }
+    }
+
+    function _calculateLiquidationAmount(
+        uint256 debtToCover,
+        uint256 debtAssetPrice,
+        uint256 collateralAssetPrice,
+        uint256 liquidationBonus,
+        uint256 debtAssetDecimals,
+        uint256 collateralAssetDecimals
+    ) internal pure returns (uint256) {
+        uint256 collateralValue = (debtToCover * debtAssetPrice * (BASIS_POINTS_FACTOR + liquidationBonus)) / BASIS_POINTS_FACTOR;
+        
+        uint256 collateralAmount = (collateralValue * (10**collateralAssetDecimals)) / 
+                                  (collateralAssetPrice * (10**debtAssetDecimals));
+        
+        return collateralAmount;
+    }
+
+    /**
+     * @dev Once a liquidation leaves the user insolvent (all supplied balances, collateral or not, worth less than
+     * the debt), all of the user's debt is written off as reserve deficit and every remaining supplied balance is
+     * seized: it becomes a supply position of the backstop, which auctions it, or of the treasury when no backstop is set
+     */
+    function _handleBadDebtCleanup(address user) internal {
+        UserData storage userData = users[user];
+        uint8 category = userEModeCategory[user];
+        uint256 supplyBase;
+        uint256 debtBase;
+        
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            ReserveData storage reserve = reserves[asset];
+            
+            uint256 supplied = rayMul(userData.scaledBalance[asset], reserve.liquidityIndex);
+            uint256 debt = rayMul(userData.scaledVariableDebt[asset], reserve.variableBorrowIndex) +
+                _getFixedDebt(fixedLoans[user][asset]);
+            if (supplied == 0 && debt == 0) continue;
+            
+            (, , , uint256 price) = _getUserAssetParams(category, asset);
+            supplyBase += (price * supplied) / 10**reserve.decimals;
+            debtBase += (price * debt) / 10**reserve.decimals;
+        }
+        
+        // Supply the user has not enabled as collateral still backs the debt before anything is written off
+        if (debtBase == 0 || supplyBase >= debtBase) return;
+        
+        // Write off the debt first: isolation debt is reduced through the collateral the user still has enabled
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            ReserveData storage reserve = reserves[asset];
+            FixedLoan storage loan = fixedLoans[user][asset];
+            if (userData.scaledVariableDebt[asset] == 0 && loan.principal == 0) continue;
+            
+            updateState(reserve, asset);
+            uint256 fixedDebt = _accrueFixedLoan(loan);
+            uint256 debtAmount = rayMul(userData.scaledVariableDebt[asset], reserve.variableBorrowIndex) + fixedDebt;
+            
+            // Burn the debt
+            reserve.scaledTotalVariableDebt -= userData.scaledVariableDebt[asset];
+            userData.scaledVariableDebt[asset] = 0;
+            if (fixedDebt != 0) {
+                _reduceFixedLoan(user, asset, fixedDebt);
+            }
+            _reduceIsolationDebt(user, asset, debtAmount);
+            
+            // Record as deficit
+            reserve.deficit += debtAmount;
+            cumulativeDeficit[asset] += debtAmount;
+            emit DeficitRecorded(asset, user, debtAmount, reserve.deficit, cumulativeDeficit[asset]);
+        }
+        
+        address receiver = backstop;
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            uint256 scaledBalance = userData.scaledBalance[asset];
+            if (scaledBalance == 0) continue;
+            
+            ReserveData storage reserve = reserves[asset];
+            userData.scaledBalance[asset] = 0;
+            if (userData.usageAsCollateralEnabled[asset]) {
+                userData.usageAsCollateralEnabled[asset] = false;
+                emit ReserveUsedAsCollateralDisabled(asset, user);
+            }
+            
+            uint256 amount = rayMul(scaledBalance, reserve.liquidityIndex);
+            emit CollateralSeized(asset, user, receiver, amount);
+            if (receiver != address(0)) {
+                users[receiver].scaledBalance[asset] += scaledBalance;
+                ILendingBackstop(receiver).onCollateralSeized(asset, amount);
+            } else {
+                reserve.scaledTotalSupply -= scaledBalance;
+                reserve.accruedToTreasury += scaledBalance;
+            }
+        }
+    }
+
+    // ============ Deficit ============
+
+    /**
+     * @dev Sets the LendingBackstop that receives collateral seized from insolvent accounts (address(0): treasury)
+     */
+    function setBackstop(address newBackstop) external onlyOwner {
+        emit BackstopUpdated(backstop, newBackstop);
+        backstop = newBackstop;
+    }
+
+    /**
+     * @dev Pays down a reserve's deficit with fresh funds, e.g. from the backstop's safety pool or auction proceeds
+     * @param amount Amount to pull from msg.sender, capped at the deficit
+     * @return covered The amount actually pulled
+     */
+    function coverDeficit(address asset, uint256 amount) external onlyValidReserve(asset) returns (uint256 covered) {
+        ReserveData storage reserve = reserves[asset];
+        covered = amount < reserve.deficit ? amount : reserve.deficit;
+        require(covered > 0, "No deficit to cover");
+        
+        reserve.deficit -= covered;
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), covered);
+        
+        emit DeficitCovered(asset, msg.sender, covered, reserve.deficit);
+    }
+
+    // ============ Parameter Timelock ============
+
+    /**
+     * @dev Queues new risk parameters for a reserve; applied by executeReserveConfiguration() after timelockDelay
+     * @dev Use proposeInterestRateModel() to change interest rates
+     */
+    function proposeReserveConfiguration(
+        address asset,
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus
+    ) external onlyOwner onlyValidReserve(asset) {
+        require(ltv <= liquidationThreshold, "LTV must be <= liquidation threshold");
+        require(liquidationThreshold <= BASIS_POINTS_FACTOR, "Invalid liquidation threshold");
+        require(liquidationBonus <= BASIS_POINTS_FACTOR, "Invalid liquidation bonus");
+        
+        _proposeChange(RESERVE_CONFIGURATION, asset, [ltv, liquidationThreshold, liquidationBonus, 0]);
+    }
+
+    /**
+     * @dev Applies the queued reserve configuration (risk parameters only)
+     */
+    function executeReserveConfiguration(address asset) external onlyOwner {
+        uint256[4] memory values = _executeChange(RESERVE_CONFIGURATION, asset);
+        ReserveData storage reserve = reserves[asset];
+        
+        // Update state before changing configuration
+        updateState(reserve, asset);
+        
+        reserve.ltv = values[0];
+        reserve.liquidationThreshold = values[1];
+        reserve.liquidationBonus = values[2];
+        
+        emit ReserveDataUpdated(
+            asset,
+            0, // No longer using fixed liquidity rate
+            reserve.currentVariableBorrowRate, // Keep current dynamic rate
+            reserve.liquidityIndex,
+            reserve.variableBorrowIndex
+        );
+    }
+
+    /**
+     * @dev Queues a new protocol fee rate; applied by executeProtocolFeeRate() after timelockDelay
+     * @param newRate The new fee rate in basis points (e.g., 1000 = 10%)
+     */
+    function proposeProtocolFeeRate(uint256 newRate) external onlyOwner {
+        require(newRate <= MAX_PROTOCOL_FEE_RATE, "Fee rate too high (max 50%)");
+        _proposeChange(PROTOCOL_FEE_RATE, address(0), [newRate, 0, 0, 0]);
+    }
+
+    /**
+     * @dev Applies the queued protocol fee rate
+     */
+    function executeProtocolFeeRate() external onlyOwner {
+        uint256 newRate = _executeChange(PROTOCOL_FEE_RATE, address(0))[0];
+        uint256 oldRate = protocolFeeRate;
+        protocolFeeRate = newRate;
+        
+        emit ProtocolFeeRateUpdated(oldRate, newRate);
+    }
+
+    /**
+     * @dev Queues a new interest rate model for an asset; applied by executeInterestRateModel() after timelockDelay
+     * @param asset The asset address
+     * @param baseRatePerYear Base interest rate (Ray format)
+     * @param multiplierPerYear Slope 1 rate (Ray format) 
+     * @param jumpMultiplierPerYear Slope 2 rate (Ray format)
+     * @param kink Optimal utilization rate (Ray format)
+     */
+    function proposeInterestRateModel(
+        address asset,
+        uint256 baseRatePerYear,
+        uint256 multiplierPerYear,
+        uint256 jumpMultiplierPerYear,
+        uint256 kink
+    ) external onlyOwner onlyValidReserve(asset) {
+        require(kink <= RAY, "Invalid kink value");
+        require(baseRatePerYear <= RAY, "Invalid base rate");
+        
+        _proposeChange(INTEREST_RATE_MODEL, asset, [baseRatePerYear, multiplierPerYear, jumpMultiplierPerYear, kink]);
+    }
+
+    /**
+     * @dev Applies the queued interest rate model for an asset
+     */
+    function executeInterestRateModel(address asset) external onlyOwner {
+        uint256[4] memory values = _executeChange(INTEREST_RATE_MODEL, asset);
+        
+        // Update state before changing rate model
+        ReserveData storage reserve = reserves[asset];
+        updateState(reserve, asset);
+        
+        interestRateModels[asset] = InterestRateModel({
+            baseRatePerYear: values[0],
+            multiplierPerYear: values[1],
+            jumpMultiplierPerYear: values[2],
+            kink: values[3]
+        });
+        
+        // Update current rate immediately
+        uint256 newRate = calculateCurrentVariableBorrowRate(asset);
+        reserve.currentVariableBorrowRate = newRate;
+        
+        emit ReserveDataUpdated(
+            asset,
+            0,
+            newRate,
+            reserve.liquidityIndex,
+            reserve.variableBorrowIndex
+        );
+    }
+
+    /**
+     * @dev Queues a new timelockDelay; the change itself waits for the current delay
+     */
+    function proposeTimelockDelay(uint256 delay) external onlyOwner {
+        _proposeChange(TIMELOCK_DELAY, address(0), [delay, 0, 0, 0]);
+    }
+
+    function executeTimelockDelay() external onlyOwner {
+        timelockDelay = _executeChange(TIMELOCK_DELAY, address(0))[0];
+    }
+
+    /**
+     * @dev Cancels a queued change; asset is address(0) for PROTOCOL_FEE_RATE and TIMELOCK_DELAY
+     */
+    function cancelPendingChange(bytes32 param, address asset) external onlyOwner {
+        bytes32 key = keccak256(abi.encode(param, asset));
+        require(pendingChanges[key].executableAt > 0, "No pending change");
+        _removePendingChange(key);
+        emit ParameterProposalCancelled(param, asset);
+    }
+
+    function _proposeChange(bytes32 param, address asset, uint256[4] memory values) internal {
+        bytes32 key = keccak256(abi.encode(param, asset));
+        if (pendingChanges[key].executableAt == 0) {
+            pendingKeys.push(key);
+        }
+        uint256 executableAt = block.timestamp + timelockDelay;
+        pendingChanges[key] = PendingChange({
+            param: param,
+            asset: asset,
+            newValues: values,
+            executableAt: executableAt
+        });
+        emit ParameterProposed(param, asset, _currentValues(param, asset), values, executableAt);
+    }
+
+    function _executeChange(bytes32 param, address asset) internal returns (uint256[4] memory values) {
+        bytes32 key = keccak256(abi.encode(param, asset));
+        PendingChange storage pc = pendingChanges[key];
+        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
+        values = pc.newValues;
+        _removePendingChange(key);
+        emit ParameterChanged(param, asset, _currentValues(param, asset), values);
+    }
+
+    function _removePendingChange(bytes32 key) internal {
+        delete pendingChanges[key];
+        uint256 len = pendingKeys.length;
+        for (uint256 i = 0; i < len; i++) {
+            if (pendingKeys[i] == key) {
+                pendingKeys[i] = pendingKeys[len - 1];
+                pendingKeys.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Current values of a timelocked parameter, in propose* argument order
+     */
+    function _currentValues(bytes32 param, address asset) internal view returns (uint256[4] memory values) {
+        if (param == INTEREST_RATE_MODEL) {
+            InterestRateModel storage model = interestRateModels[asset];
+            values = [model.baseRatePerYear, model.multiplierPerYear, model.jumpMultiplierPerYear, model.kink];
+        } else if (param == RESERVE_CONFIGURATION) {
+            ReserveData storage reserve = reserves[asset];
+            values = [reserve.ltv, reserve.liquidationThreshold, reserve.liquidationBonus, 0];
+        } else {
+            values[0] = param == PROTOCOL_FEE_RATE ? protocolFeeRate : timelockDelay;
+        }
+    }
+
+    // ============ Credit Delegation ============
+
+    /**
+     * @dev Sets borrowAllowance from an EIP-712 signature of the delegator. The domain is built at call time
+     * so that, delegatecalled, verifyingContract is the pool.
+     */
+    function delegationWithSig(
+        address delegator,
+        address delegatee,
+        address asset,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external {
+        require(block.timestamp <= deadline, "Signature expired");
+        
+        bytes32 structHash = keccak256(
+            abi.encode(DELEGATION_WITH_SIG_TYPEHASH, delegator, delegatee, asset, amount, nonces[delegator]++, deadline)
+        );
+        bytes32 domainSeparator = keccak256(
+            abi.encode(EIP712_DOMAIN_TYPEHASH, keccak256("LendingProtocol"), keccak256("1"), block.chainid, address(this))
+        );
+        address signer = ECDSA.recover(MessageHashUtils.toTypedDataHash(domainSeparator, structHash), v, r, s);
+        require(signer == delegator, "Invalid signature");
+        
+        _approveDelegation(delegator, delegatee, asset, amount);
+    }
+
+    // ============ Fixed-Term Loans ============
+
+    /**
+     * @dev Enables fixed-term borrowing of a reserve
+     * @param premium Added to the variable borrow rate when a loan is opened or repriced (Ray)
+     * @param rebalanceUtilization Utilization (Ray) from which loans below the variable rate can be repriced
+     */
+    function setFixedRateConfig(
+        address asset,
+        bool enabled,
+        uint256 premium,
+        uint256 rebalanceUtilization
+    ) external onlyOwner onlyValidReserve(asset) {
+        require(premium <= RAY, "Invalid premium");
+        require(rebalanceUtilization > 0 && rebalanceUtilization <= RAY, "Invalid rebalance utilization");
+        
+        fixedRateConfigs[asset] = FixedRateConfig({
+            enabled: enabled,
+            premium: premium,
+            rebalanceUtilization: rebalanceUtilization
+        });
+        
+        emit FixedRateConfigUpdated(asset, enabled, premium, rebalanceUtilization);
+    }
+
+    /**
+     * @dev Borrows at a fixed rate until maturity; one fixed-term loan per user and asset
+     * @param asset The address of the underlying asset to borrow
+     * @param amount The amount to be borrowed
+     * @param term Seconds until maturity (MIN_FIXED_TERM to MAX_FIXED_TERM)
+     * @param onBehalfOf Address of the user who will receive the debt (msg.sender or a delegator)
+     */
+    function borrowFixed(
+        address asset,
+        uint256 amount,
+        uint256 term,
+        address onBehalfOf
+    ) external onlyActiveTrueFrozenFalse(asset) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(reserves[asset].canBeBorrowed, "Borrowing not enabled");
+        require(fixedRateConfigs[asset].enabled, "Fixed rate not enabled");
+        require(term >= MIN_FIXED_TERM && term <= MAX_FIXED_TERM, "Invalid term");
+        
+        FixedLoan storage loan = fixedLoans[onBehalfOf][asset];
+        require(loan.principal == 0, "Fixed loan already open");
+        
+        ReserveData storage reserve = reserves[asset];
+        updateState(reserve, asset);
+        
+        if (reserve.borrowCap != 0) {
+            require(
+                rayMul(reserve.scaledTotalVariableDebt, reserve.variableBorrowIndex) + totalFixedDebt[asset] + amount <= reserve.borrowCap,
+                "Borrow cap exceeded"
+            );
+        }
+        
+        address isolatedCollateral = _validateBorrow(asset, onBehalfOf, amount);
+        
+        if (isolatedCollateral != address(0)) {
+            ReserveData storage isolatedReserve = reserves[isolatedCollateral];
+            isolatedReserve.isolationModeTotalDebt += _toIsolationDebt(asset, amount);
+            emit IsolationModeTotalDebtUpdated(isolatedCollateral, isolatedReserve.isolationModeTotalDebt);
+        }
+        
+        _spendBorrowAllowance(onBehalfOf, asset, amount);
+        
+        // Lock the rate at the utilization this loan creates
+        uint256 previousFixedDebt = totalFixedDebt[asset];
+        totalFixedDebt[asset] = previousFixedDebt + amount;
+        uint256 rate = calculateCurrentVariableBorrowRate(asset) + fixedRateConfigs[asset].premium;
+        averageFixedRate[asset] = (averageFixedRate[asset] * previousFixedDebt + rate * amount) / (previousFixedDebt + amount);
+        
+        loan.principal = amount;
+        loan.rate = rate;
+        loan.lastUpdateTimestamp = uint40(block.timestamp);
+        loan.maturity = uint40(block.timestamp + term);
+        
+        IERC20(asset).safeTransfer(msg.sender, amount);
+        
+        emit FixedBorrow(asset, msg.sender, onBehalfOf, amount, rate, loan.maturity);
+    }
+
+    /**
+     * @dev Repays a fixed-term loan; repaying before maturity carries no penalty
+     * @param asset The address of the borrowed underlying asset
+     * @param amount The amount to repay (use type(uint256).max to repay all)
+     * @param onBehalfOf Address of the user who will get his debt reduced
+     * @return The final amount repaid
+     */
+    function repayFixed(
+        address asset,
+        uint256 amount,
+        address onBehalfOf
+    ) external onlyValidReserve(asset) returns (uint256) {
+        ReserveData storage reserve = reserves[asset];
+        updateState(reserve, asset);
+        
+        uint256 fixedDebt = _accrueFixedLoan(fixedLoans[onBehalfOf][asset]);
+        uint256 paybackAmount = amount < fixedDebt ? amount : fixedDebt;
+        require(paybackAmount > 0, "No debt to repay");
+        
+        _reduceFixedLoan(onBehalfOf, asset, paybackAmount);
+        _reduceIsolationDebt(onBehalfOf, asset, paybackAmount);
+        
+        IERC20(asset).safeTransferFrom(msg.sender, address(this), paybackAmount);
+        
+        emit FixedRepay(asset, onBehalfOf, msg.sender, paybackAmount);
+        
+        return paybackAmount;
+    }
+
+    /**
+     * @dev Converts a matured loan into variable debt, or reprices an open loan to the variable rate plus
+     * premium while utilization is at or above rebalanceUtilization and the locked rate is below the variable rate
+     */
+    function rebalanceFixedLoan(address user, address asset) external onlyValidReserve(asset) {
+        FixedLoan storage loan = fixedLoans[user][asset];
+        require(loan.principal > 0, "No fixed loan");
+        
+        ReserveData storage reserve = reserves[asset];
+        updateState(reserve, asset);
+        uint256 fixedDebt = _accrueFixedLoan(loan);
+        
+        if (block.timestamp >= loan.maturity) {
+            uint256 amountScaled = rayDiv(fixedDebt, reserve.variableBorrowIndex);
+            _reduceFixedLoan(user, asset, fixedDebt);
+            users[user].scaledVariableDebt[asset] += amountScaled;
+            reserve.scaledTotalVariableDebt += amountScaled;
+            
+            emit FixedLoanConverted(asset, user, fixedDebt);
+            return;
+        }
+        
+        FixedRateConfig storage config = fixedRateConfigs[asset];
+        uint256 variableRate = calculateCurrentVariableBorrowRate(asset);
+        require(
+            getUtilizationRate(asset) >= config.rebalanceUtilization && loan.rate < variableRate,
+            "Rebalance conditions not met"
+        );
+        
+        uint256 newRate = variableRate + config.premium;
+        emit FixedLoanRebalanced(asset, user, loan.rate, newRate);
+        uint256 totalFixed = totalFixedDebt[asset];
+        if (totalFixed != 0) {
+            averageFixedRate[asset] += ((newRate - loan.rate) * fixedDebt) / totalFixed;
+        }
+        loan.rate = newRate;
+    }
+
+    /**
+     * @dev Capitalizes a fixed-term loan's accrued interest into its principal. Suppliers were already credited
+     * through updateState, which accrues the same interest on totalFixedDebt.
+     * @return The loan's current debt
+     */
+    function _accrueFixedLoan(FixedLoan storage loan) internal returns (uint256) {
+        uint256 debt = _getFixedDebt(loan);
+        if (debt != loan.principal) {
+            loan.principal = debt;
+            loan.lastUpdateTimestamp = uint40(block.timestamp);
+        }
+        return debt;
+    }
+
+    /**
+     * @dev Reduces an accrued fixed-term loan; a fully repaid loan is deleted. totalFixedDebt and
+     * averageFixedRate only track the loans in aggregate, so they are floored at zero.
+     */
+    function _reduceFixedLoan(address user, address asset, uint256 amount) internal {
+        FixedLoan storage loan = fixedLoans[user][asset];
+        uint256 totalFixed = totalFixedDebt[asset];
+        uint256 weightedRate = averageFixedRate[asset] * totalFixed;
+        if (amount >= totalFixed || loan.rate * amount >= weightedRate) {
+            totalFixedDebt[asset] = totalFixed > amount ? totalFixed - amount : 0;
+            averageFixedRate[asset] = 0;
+        } else {
+            totalFixedDebt[asset] = totalFixed - amount;
+            averageFixedRate[asset] = (weightedRate - loan.rate * amount) / (totalFixed - amount);
+        }
+        loan.principal -= amount;
+        if (loan.principal == 0) {
+            delete fixedLoans[user][asset];
+        }
+    }
+}
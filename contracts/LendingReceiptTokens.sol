@@ -0,0 +1,123 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+interface ILendingReceiptSource {
+    function balanceOf(address user, address asset) external view returns (uint256);
+    function getUserVariableDebt(address user, address asset) external view returns (uint256);
+    function getReserveTotals(address asset) external view returns (uint256 totalSupplied, uint256 totalBorrowed);
+    function transferSupply(address asset, address from, address to, uint256 amount) external;
+}
+
+/**
+ * @title AToken
+ * @dev Transferable ERC20 view of LendingProtocol supply positions for one reserve. Balances live in the pool
+ * as scaled balances and grow with the liquidity index, so they rebase without Transfer events; supply,
+ * withdraw and liquidation are reported by the pool's own events. Transfers move the position through
+ * LendingProtocol.transferSupply, which reverts if the sender's health factor would drop below 1.
+ * Register with LendingProtocol.setReserveTokens after deployment.
+ */
+contract AToken is IERC20Metadata {
+    ILendingReceiptSource public immutable pool;
+    address public immutable underlyingAsset;
+
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    constructor(address _pool, address _underlyingAsset, string memory _name, string memory _symbol) {
+        require(_pool != address(0), "Invalid pool");
+        require(_underlyingAsset != address(0), "Invalid asset");
+        pool = ILendingReceiptSource(_pool);
+        underlyingAsset = _underlyingAsset;
+        name = _name;
+        symbol = _symbol;
+        decimals = IERC20Metadata(_underlyingAsset).decimals();
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        return pool.balanceOf(account, underlyingAsset);
+    }
+
+    function totalSupply() external view returns (uint256 supplied) {
+        (supplied, ) = pool.getReserveTotals(underlyingAsset);
+    }
+
+    function approve(address spender, uint256 amount) external returns (bool) {
+        allowance[msg.sender][spender] = amount;
+        emit Approval(msg.sender, spender, amount);
+        return true;
+    }
+
+    function transfer(address to, uint256 amount) external returns (bool) {
+        _transfer(msg.sender, to, amount);
+        return true;
+    }
+
+    function transferFrom(address from, address to, uint256 amount) external returns (bool) {
+        uint256 allowed = allowance[from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= amount, "Insufficient allowance");
+            allowance[from][msg.sender] = allowed - amount;
+        }
+        _transfer(from, to, amount);
+        return true;
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal {
+        require(to != address(0), "Invalid recipient");
+        pool.transferSupply(underlyingAsset, from, to, amount);
+        emit Transfer(from, to, amount);
+    }
+}
+
+/**
+ * @title VariableDebtToken
+ * @dev Non-transferable ERC20 view of LendingProtocol variable debt for one reserve; balances grow with the
+ * borrow index. Lets wallets and indexers display debt; approve and transfers always revert.
+ */
+contract VariableDebtToken is IERC20Metadata {
+    ILendingReceiptSource public immutable pool;
+    address public immutable underlyingAsset;
+
+    string public name;
+    string public symbol;
+    uint8 public immutable decimals;
+
+    constructor(address _pool, address _underlyingAsset, string memory _name, string memory _symbol) {
+        require(_pool != address(0), "Invalid pool");
+        require(_underlyingAsset != address(0), "Invalid asset");
+        pool = ILendingReceiptSource(_pool);
+        underlyingAsset = _underlyingAsset;
+        name = _name;
+        symbol = _symbol;
+        decimals = IERC20Metadata(_underlyingAsset).decimals();
+    }
+
+    function balanceOf(address account) external view returns (uint256) {
+        return pool.getUserVariableDebt(account, underlyingAsset);
+    }
+
+    function totalSupply() external view returns (uint256 borrowed) {
+        (, borrowed) = pool.getReserveTotals(underlyingAsset);
+    }
+
+    function allowance(address, address) external pure returns (uint256) {
+        return 0;
+    }
+
+    function approve(address, uint256) external pure returns (bool) {
+        revert("Debt tokens are not transferable");
+    }
+
+    function transfer(address, uint256) external pure returns (bool) {
+        revert("Debt tokens are not transferable");
+    }
+
+    function transferFrom(address, address, uint256) external pure returns (bool) {
+        revert("Debt tokens are not transferable");
+    }
+}
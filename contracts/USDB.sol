@@ -4,15 +4,54 @@ pragma solidity ^0.8.0;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
+interface IUSDBReserveManager {
+    function getDeployedAmount(address token) external view returns (uint256);
+}
+
+/**
+ * @title USDB
+ * @dev Stablecoin minted 1:1 against supported stablecoins and redeemable for them through redeem().
+ * Supported tokens with other decimals are normalised to USDB's 6 decimals in both directions.
+ * Backing is the supported tokens held here or by USDBManager plus what it has deployed to strategies
+ * (see getReserveBreakdown); redemptions must leave it at or above minReserveRatioBps of the USDB supply.
+ */
 contract USDB is ERC20, ERC20Burnable, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant BASIS_POINTS = 10000;
+    uint256 public constant MAX_REDEMPTION_FEE_BPS = 500; // 5%
+
+    // Redemption settings and the current day's usage of a supported token
+    struct RedemptionConfig {
+        uint256 feeBps;         // Fee kept as backing, in basis points
+        uint256 dailyLimit;     // Max USDB redeemed per UTC day (0 = unlimited)
+        uint256 day;            // Day (timestamp / 1 days) redeemedToday refers to
+        uint256 redeemedToday;  // USDB redeemed during `day`
+    }
+
     // Miner management
     mapping(address => bool) public miners;
 
     // Supported staking tokens
     mapping(address => bool) public supportedTokens;
+    address[] public supportedTokenList;
+
+    mapping(address => RedemptionConfig) public redemptionConfigs;
+
+    // USDBManager, whose deployed funds count as backing
+    address public manager;
+    uint256 public minReserveRatioBps = BASIS_POINTS;
+
+    event Deposited(address indexed user, address indexed token, uint256 tokenAmount, uint256 usdbAmount);
+    event Redeemed(address indexed user, address indexed token, uint256 usdbAmount, uint256 tokenAmount, uint256 fee);
+    event RedemptionConfigUpdated(address indexed token, uint256 feeBps, uint256 dailyLimit);
+    event ManagerUpdated(address indexed oldManager, address indexed newManager);
+    event MinReserveRatioUpdated(uint256 oldRatioBps, uint256 newRatioBps);
 
     // Modifiers
     modifier onlyMiner() {
@@ -65,27 +104,110 @@ contract USDB is ERC20, ERC20Burnable, Ownable, ReentrancyGuard {
      */
     function addSupportedToken(address token) public onlyOwner {
         require(token != address(0), "USDB: token cannot be zero address");
+        if (supportedTokens[token]) return;
         supportedTokens[token] = true;
+        supportedTokenList.push(token);
     }
 
     /**
      * @dev Remove supported token from the whitelist
      */
     function removeSupportedToken(address token) external onlyOwner {
+        if (!supportedTokens[token]) return;
         supportedTokens[token] = false;
+        for (uint256 i = 0; i < supportedTokenList.length; i++) {
+            if (supportedTokenList[i] == token) {
+                supportedTokenList[i] = supportedTokenList[supportedTokenList.length - 1];
+                supportedTokenList.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Set the redemption fee (basis points) and daily redemption limit (USDB, 0 = unlimited) of a token
+     */
+    function setRedemptionConfig(
+        address token,
+        uint256 feeBps,
+        uint256 dailyLimit
+    ) external onlyOwner onlySupportedToken(token) {
+        require(feeBps <= MAX_REDEMPTION_FEE_BPS, "USDB: fee too high");
+        RedemptionConfig storage config = redemptionConfigs[token];
+        config.feeBps = feeBps;
+        config.dailyLimit = dailyLimit;
+        emit RedemptionConfigUpdated(token, feeBps, dailyLimit);
+    }
+
+    /**
+     * @dev Set the USDBManager whose deployed funds count as backing (address(0) to count only held tokens)
+     */
+    function setManager(address newManager) external onlyOwner {
+        emit ManagerUpdated(manager, newManager);
+        manager = newManager;
+    }
+
+    /**
+     * @dev Set the backing / supply ratio redemptions must preserve
+     */
+    function setMinReserveRatio(uint256 ratioBps) external onlyOwner {
+        require(ratioBps <= BASIS_POINTS, "USDB: ratio too high");
+        emit MinReserveRatioUpdated(minReserveRatioBps, ratioBps);
+        minReserveRatioBps = ratioBps;
     }
 
     /**
-     * @dev Deposit tokens 1:1 to mint USDB
+     * @dev Deposit tokens 1:1 to mint USDB (amounts normalised to 6 decimals, rounded down)
      */
     function deposit(
         address token,
         uint256 amount
     ) external onlySupportedToken(token) nonReentrant {
         require(amount > 0, "USDB: deposit amount must be greater than 0");
+        uint256 usdbAmount = _toUSDBAmount(token, amount);
+        require(usdbAmount > 0, "USDB: deposit amount too small");
 
         IERC20(token).transferFrom(msg.sender, address(this), amount);
-        _mint(msg.sender, amount);
+        _mint(msg.sender, usdbAmount);
+
+        emit Deposited(msg.sender, token, amount, usdbAmount);
+    }
+
+    /**
+     * @dev Burn USDB and receive the backing token 1:1, minus the token's redemption fee
+     * @return tokenAmount Amount of `token` sent to the caller
+     */
+    function redeem(
+        address token,
+        uint256 amount
+    ) external onlySupportedToken(token) nonReentrant returns (uint256 tokenAmount) {
+        require(amount > 0, "USDB: redeem amount must be greater than 0");
+
+        RedemptionConfig storage config = redemptionConfigs[token];
+        uint256 today = block.timestamp / 1 days;
+        if (config.day != today) {
+            config.day = today;
+            config.redeemedToday = 0;
+        }
+        require(
+            config.dailyLimit == 0 || config.redeemedToday + amount <= config.dailyLimit,
+            "USDB: daily redemption limit exceeded"
+        );
+        config.redeemedToday += amount;
+
+        uint256 fee;
+        (tokenAmount, fee) = previewRedeem(token, amount);
+        require(tokenAmount > 0, "USDB: redeem amount too small");
+        require(
+            IERC20(token).balanceOf(address(this)) >= tokenAmount,
+            "USDB: insufficient token balance"
+        );
+
+        _burn(msg.sender, amount);
+        IERC20(token).safeTransfer(msg.sender, tokenAmount);
+        require(getReserveRatio() >= minReserveRatioBps, "USDB: reserve ratio too low");
+
+        emit Redeemed(msg.sender, token, amount, tokenAmount, fee);
     }
 
     /**
@@ -104,6 +226,74 @@ contract USDB is ERC20, ERC20Burnable, Ownable, ReentrancyGuard {
         IERC20(token).transfer(msg.sender, amount);
     }
 
+    /**
+     * @dev Token amount and fee (in USDB) for redeeming `amount` USDB for `token`
+     */
+    function previewRedeem(
+        address token,
+        uint256 amount
+    ) public view returns (uint256 tokenAmount, uint256 fee) {
+        fee = (amount * redemptionConfigs[token].feeBps) / BASIS_POINTS;
+        tokenAmount = _fromUSDBAmount(token, amount - fee);
+    }
+
+    /**
+     * @dev USDB still redeemable for `token` today (type(uint256).max without a daily limit)
+     */
+    function getRemainingDailyRedemption(address token) external view returns (uint256) {
+        RedemptionConfig storage config = redemptionConfigs[token];
+        if (config.dailyLimit == 0) return type(uint256).max;
+        if (config.day != block.timestamp / 1 days) return config.dailyLimit;
+        return config.redeemedToday >= config.dailyLimit ? 0 : config.dailyLimit - config.redeemedToday;
+    }
+
+    /**
+     * @dev Backing in USDB units: supported tokens held here and by the manager, plus the manager's deployed amounts
+     */
+    function getTotalBacking() public view returns (uint256 backing) {
+        for (uint256 i = 0; i < supportedTokenList.length; i++) {
+            address token = supportedTokenList[i];
+            (uint256 held, uint256 managerHeld, uint256 deployed) = _getTokenReserves(token);
+            backing += _toUSDBAmount(token, held + managerHeld + deployed);
+        }
+    }
+
+    /**
+     * @dev Proof-of-reserves view: per supported token, the amounts (token decimals) held by this contract,
+     * held idle by the manager and deployed to manager strategies, and their total in USDB units
+     */
+    function getReserveBreakdown() external view returns (
+        address[] memory tokens,
+        uint256[] memory held,
+        uint256[] memory managerHeld,
+        uint256[] memory deployed,
+        uint256[] memory totals,
+        uint256 totalReserves,
+        uint256 supply
+    ) {
+        tokens = supportedTokenList;
+        held = new uint256[](tokens.length);
+        managerHeld = new uint256[](tokens.length);
+        deployed = new uint256[](tokens.length);
+        totals = new uint256[](tokens.length);
+
+        for (uint256 i = 0; i < tokens.length; i++) {
+            (held[i], managerHeld[i], deployed[i]) = _getTokenReserves(tokens[i]);
+            totals[i] = _toUSDBAmount(tokens[i], held[i] + managerHeld[i] + deployed[i]);
+            totalReserves += totals[i];
+        }
+        supply = totalSupply();
+    }
+
+    /**
+     * @dev Backing / USDB supply in basis points (type(uint256).max while nothing is minted)
+     */
+    function getReserveRatio() public view returns (uint256) {
+        uint256 supply = totalSupply();
+        if (supply == 0) return type(uint256).max;
+        return (getTotalBacking() * BASIS_POINTS) / supply;
+    }
+
     /**
      * @dev Check if address is a miner
      */
@@ -117,4 +307,28 @@ contract USDB is ERC20, ERC20Burnable, Ownable, ReentrancyGuard {
     function isTokenSupported(address token) external view returns (bool) {
         return supportedTokens[token];
     }
+
+    function _getTokenReserves(address token) internal view returns (
+        uint256 held,
+        uint256 managerHeld,
+        uint256 deployed
+    ) {
+        held = IERC20(token).balanceOf(address(this));
+        if (manager != address(0)) {
+            managerHeld = IERC20(token).balanceOf(manager);
+            deployed = IUSDBReserveManager(manager).getDeployedAmount(token);
+        }
+    }
+
+    function _toUSDBAmount(address token, uint256 amount) internal view returns (uint256) {
+        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        if (tokenDecimals > decimals()) return amount / 10**(tokenDecimals - decimals());
+        return amount * 10**(decimals() - tokenDecimals);
+    }
+
+    function _fromUSDBAmount(address token, uint256 amount) internal view returns (uint256) {
+        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        if (tokenDecimals > decimals()) return amount * 10**(tokenDecimals - decimals());
+        return amount / 10**(decimals() - tokenDecimals);
+    }
 }
@@ -2,34 +2,39 @@
 pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "./interfaces/IStrategyAdapter.sol";
 
 interface IUSDB {
     function withdrawToken(address token, uint256 amount) external;
     function supportedTokens(address token) external view returns (bool);
     function isTokenSupported(address token) external view returns (bool);
+    function deposit(address token, uint256 amount) external;
+    function burn(uint256 amount) external;
 }
 
 interface IsUSDB {
     function compoundYield(uint256 amount) external;
+    function reportLoss(uint256 amount) external returns (uint256);
     function usdbToken() external view returns (IERC20);
 }
 
-interface IDeFiProtocol {
-    function deposit(address token, uint256 amount) external returns (uint256);
-    function withdraw(address token, uint256 amount) external returns (uint256);
-    function getBalance(address token, address user) external view returns (uint256);
-    function getPendingRewards(address user) external view returns (uint256);
-    function claimRewards() external returns (uint256);
-}
-
 /**
  * @title USDBManager
  * @dev 自动化投资管理合约，管理USDB资金的投资和收益分配
+ *
+ * 每个策略通过一个 IStrategyAdapter 持有仓位，allocatedAmount 记录仓位的账面价值：
+ * - 投入 / 提取时按 maxSlippageBps 检查适配器实际增加 / 返还的金额，滑点以内的差额立即作为亏损确认
+ * - harvestAndCompound 收取奖励和 totalValue 超出账面价值的部分，存入 USDB 铸造后复投到 sUSDB
+ * - reportLoss 把账面价值下调到 totalValue，亏损由 sUSDB 持有人承担（sUSDB 返还的 USDB 在这里销毁）
  */
 contract USDBManager is Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+    
     // 合约地址
     IUSDB public immutable usdbContract;
     IsUSDB public immutable susdbContract;
@@ -37,7 +42,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     
     // 投资策略结构
     struct InvestmentStrategy {
-        address protocol;           // 协议地址
+        address protocol;           // 策略适配器地址（IStrategyAdapter）
         address token;             // 投资代币地址
         uint256 allocatedAmount;   // 已分配金额
         uint256 targetPercentage;  // 目标分配比例 (basis points, 10000 = 100%)
@@ -79,6 +84,8 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     uint256 public lastRebalanceTime;
     uint256 public rebalanceInterval = 1 days;
     uint256 public maxSlippageBps = 300; // 3% 最大滑点
+    uint256 public totalLossRealized;
+    mapping(address => bool) public adapterInUse; // 每个适配器只能服务一个策略
     
     // 事件
     event StrategyAdded(uint256 indexed strategyId, address protocol, address token, uint256 targetPercentage);
@@ -92,6 +99,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     event ProtocolAuthorized(address protocol);
     event ProtocolDeauthorized(address protocol);
     event EmergencyWithdrawal(address token, uint256 amount);
+    event LossReported(uint256 indexed strategyId, address token, uint256 loss, uint256 usdbAbsorbed);
     
     // 修饰符
     modifier onlyManager() {
@@ -121,7 +129,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 添加投资策略
+     * @dev 添加投资策略，protocol 为已授权的策略适配器，其 asset 必须是 token、manager 必须是本合约
      */
     function addStrategy(
         address protocol,
@@ -134,6 +142,10 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         require(targetPercentage <= 10000, "USDBManager: percentage too high");
         require(authorizedProtocols[protocol], "USDBManager: protocol not authorized");
         require(usdbContract.isTokenSupported(token), "USDBManager: token not supported by USDB");
+        require(IStrategyAdapter(protocol).asset() == token, "USDBManager: adapter asset mismatch");
+        require(IStrategyAdapter(protocol).manager() == address(this), "USDBManager: adapter manager mismatch");
+        require(!adapterInUse[protocol], "USDBManager: adapter already in use");
+        adapterInUse[protocol] = true;
         
         uint256 strategyId = nextStrategyId++;
         strategies[strategyId] = InvestmentStrategy({
@@ -167,7 +179,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 授权DeFi协议
+     * @dev 授权策略适配器
      */
     function authorizeProtocol(address protocol) external onlyOwner {
         require(protocol != address(0), "USDBManager: invalid protocol");
@@ -176,7 +188,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 取消授权DeFi协议
+     * @dev 取消授权策略适配器
      */
     function deauthorizeProtocol(address protocol) external onlyOwner {
         authorizedProtocols[protocol] = false;
@@ -219,15 +231,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         
         require(actualAmount > 0, "USDBManager: no tokens received");
         
-        // 批准协议使用代币
-        IERC20(strategy.token).approve(strategy.protocol, actualAmount);
-        
-        // 投资到协议
-        IDeFiProtocol(strategy.protocol).deposit(strategy.token, actualAmount);
-        
-        // 更新策略状态
-        strategy.allocatedAmount += actualAmount;
-        totalInvestedAmount += actualAmount;
+        _invest(strategyId, actualAmount);
         
         // 记录投资历史
         _recordInvestment(strategy.protocol, strategy.token, actualAmount, "invest", balanceBefore, balanceAfter);
@@ -236,7 +240,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 从协议提取资金
+     * @dev 从协议提取资金（amount 为要减少的账面价值，资金留在本合约）
      */
     function withdraw(
         uint256 strategyId,
@@ -248,24 +252,8 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         require(strategy.allocatedAmount >= amount, "USDBManager: insufficient allocated amount");
         
         uint256 balanceBefore = IERC20(strategy.token).balanceOf(address(this));
-        
-        // 从协议提取资金
-        IDeFiProtocol(strategy.protocol).withdraw(strategy.token, amount);
-        
+        uint256 actualAmount = _divest(strategyId, amount);
         uint256 balanceAfter = IERC20(strategy.token).balanceOf(address(this));
-        uint256 actualAmount = balanceAfter - balanceBefore;
-        
-        // 更新策略状态
-        if (actualAmount <= strategy.allocatedAmount) {
-            strategy.allocatedAmount -= actualAmount;
-            totalInvestedAmount -= actualAmount;
-        } else {
-            // 如果提取的金额大于分配金额，说明有收益
-            uint256 profit = actualAmount - strategy.allocatedAmount;
-            totalProfitGenerated += profit;
-            totalInvestedAmount -= strategy.allocatedAmount;
-            strategy.allocatedAmount = 0;
-        }
         
         // 记录提取历史
         _recordInvestment(strategy.protocol, strategy.token, actualAmount, "withdraw", balanceBefore, balanceAfter);
@@ -275,6 +263,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     
     /**
      * @dev 收取所有策略的收益并复投到sUSDB
+     * 收益包括适配器返还的奖励和 totalValue 超出账面价值的部分，先存入 USDB 铸造 USDB 再复投
      */
     function harvestAndCompound() external onlyManager nonReentrant whenNotPaused {
         uint256 totalProfit = 0;
@@ -283,19 +272,21 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         for (uint256 i = 0; i < nextStrategyId; i++) {
             if (strategies[i].active) {
                 InvestmentStrategy storage strategy = strategies[i];
+                IStrategyAdapter adapter = IStrategyAdapter(strategy.protocol);
+                uint256 balanceBefore = IERC20(strategy.token).balanceOf(address(this));
                 
-                // 检查是否有待收取的奖励
-                uint256 pendingRewards = IDeFiProtocol(strategy.protocol).getPendingRewards(address(this));
-                if (pendingRewards > 0) {
-                    uint256 balanceBefore = IERC20(strategy.token).balanceOf(address(this));
-                    
-                    // 收取奖励
-                    IDeFiProtocol(strategy.protocol).claimRewards();
-                    
+                // 收取奖励
+                uint256 rewards = adapter.harvest();
+                
+                // 提取超出账面价值的增值部分
+                uint256 value = adapter.totalValue();
+                if (value > strategy.allocatedAmount) {
+                    rewards += adapter.withdraw(value - strategy.allocatedAmount);
+                }
+                
+                if (rewards > 0) {
                     uint256 balanceAfter = IERC20(strategy.token).balanceOf(address(this));
-                    uint256 rewards = balanceAfter - balanceBefore;
-                    
-                    totalProfit += rewards;
+                    totalProfit += _mintUSDB(strategy.token, rewards);
                     
                     // 记录收益历史
                     _recordInvestment(strategy.protocol, strategy.token, rewards, "claim", balanceBefore, balanceAfter);
@@ -309,6 +300,22 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         }
     }
     
+    /**
+     * @dev 确认策略亏损：账面价值下调到适配器的 totalValue，亏损由 sUSDB 持有人承担
+     */
+    function reportLoss(uint256 strategyId) external onlyManager nonReentrant {
+        require(strategyId < nextStrategyId, "USDBManager: invalid strategy ID");
+        
+        InvestmentStrategy storage strategy = strategies[strategyId];
+        uint256 value = IStrategyAdapter(strategy.protocol).totalValue();
+        require(value < strategy.allocatedAmount, "USDBManager: no loss to report");
+        
+        uint256 loss = strategy.allocatedAmount - value;
+        strategy.allocatedAmount = value;
+        totalInvestedAmount -= loss;
+        _realizeLoss(strategyId, loss);
+    }
+    
     /**
      * @dev 执行策略再平衡
      */
@@ -355,38 +362,34 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 获取所有持仓信息
+     * @dev 获取所有持仓信息（活跃策略以及已停用但仍有资金的策略，与 getDeployedAmount 范围一致）
      */
     function getAllPositions() external view returns (PositionInfo[] memory) {
-        uint256 activeCount = 0;
+        uint256 positionCount = 0;
         
-        // 计算活跃策略数量
+        // 计算持仓策略数量
         for (uint256 i = 0; i < nextStrategyId; i++) {
-            if (strategies[i].active) {
-                activeCount++;
+            if (_hasPosition(i)) {
+                positionCount++;
             }
         }
         
-        PositionInfo[] memory positions = new PositionInfo[](activeCount);
+        PositionInfo[] memory positions = new PositionInfo[](positionCount);
         uint256 index = 0;
         
         // 填充持仓信息
         for (uint256 i = 0; i < nextStrategyId; i++) {
-            if (strategies[i].active) {
+            if (_hasPosition(i)) {
                 InvestmentStrategy storage strategy = strategies[i];
                 
-                uint256 protocolBalance = IDeFiProtocol(strategy.protocol).getBalance(
-                    strategy.token,
-                    address(this)
-                );
-                uint256 pendingRewards = IDeFiProtocol(strategy.protocol).getPendingRewards(address(this));
+                uint256 protocolBalance = IStrategyAdapter(strategy.protocol).totalValue();
                 
                 positions[index] = PositionInfo({
                     protocol: strategy.protocol,
                     token: strategy.token,
                     amount: protocolBalance,
                     value: protocolBalance, // 简化处理，实际应该用价格预言机
-                    pendingRewards: pendingRewards,
+                    pendingRewards: IStrategyAdapter(strategy.protocol).pendingRewards(),
                     lastUpdate: block.timestamp
                 });
                 index++;
@@ -405,17 +408,24 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
         for (uint256 i = 0; i < nextStrategyId; i++) {
             if (strategies[i].active) {
                 InvestmentStrategy storage strategy = strategies[i];
-                uint256 protocolBalance = IDeFiProtocol(strategy.protocol).getBalance(
-                    strategy.token,
-                    address(this)
-                );
-                totalValue += protocolBalance;
+                totalValue += IStrategyAdapter(strategy.protocol).totalValue();
             }
         }
         
         return totalValue;
     }
     
+    /**
+     * @dev 获取某代币已投入策略的金额（USDB 用于计算储备率）
+     */
+    function getDeployedAmount(address token) external view returns (uint256 amount) {
+        for (uint256 i = 0; i < nextStrategyId; i++) {
+            if (strategies[i].token == token && _hasPosition(i)) {
+                amount += strategies[i].allocatedAmount;
+            }
+        }
+    }
+    
     /**
      * @dev 获取投资历史记录
      */
@@ -466,7 +476,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 设置最大滑点
+     * @dev 设置最大滑点（投入 / 提取时适配器增加 / 返还的金额最多比请求金额少这个比例）
      */
     function setMaxSlippage(uint256 slippageBps) external onlyOwner {
         require(slippageBps <= 1000, "USDBManager: slippage too high"); // 最大10%
@@ -503,6 +513,13 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     
     // 内部函数
     
+    /**
+     * @dev 策略是否计入持仓：停用的策略在资金撤回前仍然持有储备
+     */
+    function _hasPosition(uint256 strategyId) internal view returns (bool) {
+        return strategies[strategyId].active || strategies[strategyId].allocatedAmount > 0;
+    }
+    
     /**
      * @dev 记录投资历史
      */
@@ -526,7 +543,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev 复投利润到sUSDB
+     * @dev 复投利润到sUSDB（在 sUSDB 的 vestingPeriod 内线性释放）
      */
     function _compoundProfit(uint256 profit) internal {
         // 批准sUSDB合约使用USDB代币
@@ -552,12 +569,7 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
             usdbContract.withdrawToken(strategy.token, amount - availableBalance);
         }
         
-        // 投资到协议
-        IERC20(strategy.token).approve(strategy.protocol, amount);
-        IDeFiProtocol(strategy.protocol).deposit(strategy.token, amount);
-        
-        strategy.allocatedAmount += amount;
-        totalInvestedAmount += amount;
+        _invest(strategyId, amount);
         
         _recordInvestment(strategy.protocol, strategy.token, amount, "rebalance", 0, 0);
     }
@@ -568,22 +580,93 @@ contract USDBManager is Ownable, ReentrancyGuard, Pausable {
     function _rebalanceWithdraw(uint256 strategyId, uint256 amount) internal {
         InvestmentStrategy storage strategy = strategies[strategyId];
         
-        // 从协议提取资金
-        IDeFiProtocol(strategy.protocol).withdraw(strategy.token, amount);
+        if (amount > strategy.allocatedAmount) {
+            amount = strategy.allocatedAmount;
+        }
+        uint256 actualAmount = _divest(strategyId, amount);
         
-        if (amount <= strategy.allocatedAmount) {
-            strategy.allocatedAmount -= amount;
-            totalInvestedAmount -= amount;
-        } else {
-            totalInvestedAmount -= strategy.allocatedAmount;
-            strategy.allocatedAmount = 0;
+        _recordInvestment(strategy.protocol, strategy.token, actualAmount, "rebalance", 0, 0);
+    }
+    
+    /**
+     * @dev 把本合约持有的 amount 投入策略，按适配器 totalValue 的实际增加额记账
+     */
+    function _invest(uint256 strategyId, uint256 amount) internal {
+        InvestmentStrategy storage strategy = strategies[strategyId];
+        IStrategyAdapter adapter = IStrategyAdapter(strategy.protocol);
+        
+        uint256 valueBefore = adapter.totalValue();
+        IERC20(strategy.token).forceApprove(address(adapter), amount);
+        adapter.deposit(amount);
+        uint256 valueAfter = adapter.totalValue();
+        uint256 added = valueAfter > valueBefore ? valueAfter - valueBefore : 0;
+        _checkSlippage(amount, added);
+        
+        strategy.allocatedAmount += added;
+        totalInvestedAmount += added;
+        if (added < amount) {
+            _realizeLoss(strategyId, amount - added);
         }
+    }
+    
+    /**
+     * @dev 从策略减少 amount 的账面价值，返回实际收到的代币数量
+     */
+    function _divest(uint256 strategyId, uint256 amount) internal returns (uint256 received) {
+        InvestmentStrategy storage strategy = strategies[strategyId];
         
-        _recordInvestment(strategy.protocol, strategy.token, amount, "rebalance", 0, 0);
+        received = IStrategyAdapter(strategy.protocol).withdraw(amount);
+        _checkSlippage(amount, received);
+        
+        strategy.allocatedAmount -= amount;
+        totalInvestedAmount -= amount;
+        if (received < amount) {
+            _realizeLoss(strategyId, amount - received);
+        }
+    }
+    
+    function _checkSlippage(uint256 expected, uint256 actual) internal view {
+        require(
+            actual >= (expected * (10000 - maxSlippageBps)) / 10000,
+            "USDBManager: slippage too high"
+        );
+    }
+    
+    /**
+     * @dev 亏损按 USDB 精度换算后由 sUSDB 承担，返还的 USDB 销毁以保持储备率
+     */
+    function _realizeLoss(uint256 strategyId, uint256 loss) internal {
+        InvestmentStrategy storage strategy = strategies[strategyId];
+        totalLossRealized += loss;
+        
+        uint256 absorbed = 0;
+        uint256 usdbLoss = _toUSDBAmount(strategy.token, loss);
+        if (usdbLoss > 0) {
+            absorbed = susdbContract.reportLoss(usdbLoss);
+            if (absorbed > 0) {
+                usdbContract.burn(absorbed);
+            }
+        }
+        
+        _recordInvestment(strategy.protocol, strategy.token, loss, "loss", 0, 0);
+        emit LossReported(strategyId, strategy.token, loss, absorbed);
+    }
+    
+    /**
+     * @dev 把收益代币存入 USDB 铸造 USDB（按精度换算，不足 1 个最小单位的部分留在本合约）
+     */
+    function _mintUSDB(address token, uint256 amount) internal returns (uint256 minted) {
+        if (_toUSDBAmount(token, amount) == 0) return 0;
+        
+        uint256 balanceBefore = usdbToken.balanceOf(address(this));
+        IERC20(token).forceApprove(address(usdbContract), amount);
+        usdbContract.deposit(token, amount);
+        minted = usdbToken.balanceOf(address(this)) - balanceBefore;
+    }
+    
+    function _toUSDBAmount(address token, uint256 amount) internal view returns (uint256) {
+        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        if (tokenDecimals > 6) return amount / 10**(tokenDecimals - 6);
+        return amount * 10**(6 - tokenDecimals);
     }
 }
-
-
-
-
-
@@ -81,10 +81,11 @@ contract USDBStake is Ownable, ReentrancyGuard, Pausable {
         _;
     }
 
-    constructor() Ownable(msg.sender) {
-        usdbToken = IUSDB(0xA23885c8E0743C734Bd6Da0df66e2631Ee9Bc6D8);
+    constructor(address _usdbToken) Ownable(msg.sender) {
+        require(_usdbToken != address(0), "Invalid USDB token address");
+        usdbToken = IUSDB(_usdbToken);
         addPool(
-            0xA23885c8E0743C734Bd6Da0df66e2631Ee9Bc6D8,
+            _usdbToken,
             0xFa4dDcFa8E3d0475f544d0de469277CF6e0A6Fd1,
             3 ether,
             999999999999,
@@ -0,0 +1,192 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./interfaces/IStrategyAdapter.sol";
+
+interface ILendingSupplyPool {
+    function supply(address asset, uint256 amount, address onBehalfOf, uint16 referralCode) external;
+    function withdraw(address asset, uint256 amount, address to) external returns (uint256);
+    function balanceOf(address user, address asset) external view returns (uint256);
+}
+
+interface ILpStakePool {
+    function poolInfo(uint256 pid) external view returns (
+        address lpToken,
+        address rewardToken,
+        uint256 lastRewardBlock,
+        uint256 accRewardPerShare,
+        uint256 totalStaked,
+        uint256 rewardPerBlock,
+        bool isActive,
+        uint256 startBlock,
+        uint256 endBlock
+    );
+    function userInfo(uint256 pid, address user) external view returns (uint256 amount, uint256 rewardDebt, uint256 pendingRewards);
+    function pendingReward(uint256 pid, address user) external view returns (uint256);
+    function deposit(uint256 pid, uint256 amount) external;
+    function withdraw(uint256 pid, uint256 amount) external;
+    function claimReward(uint256 pid) external;
+}
+
+/**
+ * @title StrategyAdapterBase
+ * @dev Moves funds between one USDBManager and a protocol position held by the adapter. Subclasses implement the
+ * protocol calls; withdrawals are forwarded to the manager and measured by the adapter's own balance change, so
+ * the manager's slippage check sees what the protocol actually paid out.
+ */
+abstract contract StrategyAdapterBase is IStrategyAdapter {
+    using SafeERC20 for IERC20;
+
+    address public immutable override asset;
+    address public immutable override manager;
+
+    modifier onlyManager() {
+        require(msg.sender == manager, "StrategyAdapter: caller is not the manager");
+        _;
+    }
+
+    constructor(address _manager, address _asset) {
+        require(_manager != address(0), "StrategyAdapter: invalid manager");
+        require(_asset != address(0), "StrategyAdapter: invalid asset");
+        manager = _manager;
+        asset = _asset;
+    }
+
+    function deposit(uint256 amount) external override onlyManager {
+        require(amount > 0, "StrategyAdapter: amount must be greater than 0");
+        IERC20(asset).safeTransferFrom(manager, address(this), amount);
+        _deposit(amount);
+    }
+
+    function withdraw(uint256 amount) external override onlyManager returns (uint256 received) {
+        require(amount > 0, "StrategyAdapter: amount must be greater than 0");
+        uint256 balanceBefore = IERC20(asset).balanceOf(address(this));
+        _withdraw(amount);
+        received = IERC20(asset).balanceOf(address(this)) - balanceBefore;
+        IERC20(asset).safeTransfer(manager, received);
+    }
+
+    function harvest() external override onlyManager returns (uint256) {
+        return _harvest();
+    }
+
+    /// @dev Deploys `amount` of asset already held by the adapter
+    function _deposit(uint256 amount) internal virtual;
+
+    /// @dev Brings `amount` of asset back to the adapter
+    function _withdraw(uint256 amount) internal virtual;
+
+    /// @dev Sends rewards to the manager and returns the asset-denominated part
+    function _harvest() internal virtual returns (uint256);
+}
+
+/**
+ * @title LendingSupplyAdapter
+ * @dev Supplies the asset to LendingProtocol. Interest accrues to the supply balance, so totalValue grows and
+ * there is nothing separate to harvest; USDBManager takes the growth above its allocation as profit.
+ */
+contract LendingSupplyAdapter is StrategyAdapterBase {
+    using SafeERC20 for IERC20;
+
+    ILendingSupplyPool public immutable lending;
+
+    constructor(address _manager, address _lending, address _asset) StrategyAdapterBase(_manager, _asset) {
+        require(_lending != address(0), "StrategyAdapter: invalid lending pool");
+        lending = ILendingSupplyPool(_lending);
+    }
+
+    function totalValue() external view override returns (uint256) {
+        return lending.balanceOf(address(this), asset);
+    }
+
+    function pendingRewards() external pure override returns (uint256) {
+        return 0;
+    }
+
+    function _deposit(uint256 amount) internal override {
+        IERC20(asset).forceApprove(address(lending), amount);
+        lending.supply(asset, amount, address(this), 0);
+    }
+
+    function _withdraw(uint256 amount) internal override {
+        lending.withdraw(asset, amount, address(this));
+    }
+
+    function _harvest() internal pure override returns (uint256) {
+        return 0;
+    }
+}
+
+/**
+ * @title LpStakeAdapter
+ * @dev Stakes the asset in an LpStake pool whose staking token is the asset. Pending rewards count towards
+ * totalValue only when the reward token is the asset itself; other reward tokens are forwarded to the manager
+ * on harvest without being counted.
+ */
+contract LpStakeAdapter is StrategyAdapterBase {
+    using SafeERC20 for IERC20;
+
+    ILpStakePool public immutable lpStake;
+    uint256 public immutable pid;
+    address public immutable rewardToken;
+
+    constructor(
+        address _manager,
+        address _lpStake,
+        uint256 _pid
+    ) StrategyAdapterBase(_manager, _stakingToken(_lpStake, _pid)) {
+        lpStake = ILpStakePool(_lpStake);
+        pid = _pid;
+        (, address _rewardToken, , , , , , , ) = ILpStakePool(_lpStake).poolInfo(_pid);
+        rewardToken = _rewardToken;
+    }
+
+    function totalValue() external view override returns (uint256) {
+        (uint256 staked, , ) = lpStake.userInfo(pid, address(this));
+        return staked + _pendingAssetRewards();
+    }
+
+    function pendingRewards() external view override returns (uint256) {
+        return _pendingAssetRewards();
+    }
+
+    function _deposit(uint256 amount) internal override {
+        IERC20(asset).forceApprove(address(lpStake), amount);
+        lpStake.deposit(pid, amount);
+    }
+
+    function _withdraw(uint256 amount) internal override {
+        lpStake.withdraw(pid, amount);
+    }
+
+    // claimReward reverts for inactive or paused pools; skip the harvest so one stalled pool
+    // does not block harvestAndCompound for every other strategy
+    function _harvest() internal override returns (uint256 harvested) {
+        uint256 balanceBefore = IERC20(rewardToken).balanceOf(address(this));
+        try lpStake.claimReward(pid) {} catch {
+            return 0;
+        }
+        uint256 rewards = IERC20(rewardToken).balanceOf(address(this)) - balanceBefore;
+        if (rewards == 0) return 0;
+
+        IERC20(rewardToken).safeTransfer(manager, rewards);
+        if (rewardToken == asset) harvested = rewards;
+    }
+
+    // pendingReward reverts for inactive pools
+    function _pendingAssetRewards() internal view returns (uint256) {
+        if (rewardToken != asset) return 0;
+        try lpStake.pendingReward(pid, address(this)) returns (uint256 pending) {
+            return pending;
+        } catch {
+            return 0;
+        }
+    }
+
+    function _stakingToken(address _lpStake, uint256 _pid) private view returns (address lpToken) {
+        require(_lpStake != address(0), "StrategyAdapter: invalid LpStake");
+        (lpToken, , , , , , , , ) = ILpStakePool(_lpStake).poolInfo(_pid);
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./interfaces/IAllocationStrategy.sol";
+import "./interfaces/IXDCValidator.sol";
+
+interface IStakingPoolAllocationView {
+    function validator() external view returns (IXDCValidator);
+    function operatorStake(address operator) external view returns (uint256);
+    function masternodeStakeAmount() external view returns (uint256);
+}
+
+/**
+ * @title WeightedAllocationStrategy
+ * @dev Targets each operator's share of total staked XDC by weight x performance score.
+ * Idle XDC fills the operators furthest below target: candidates get votes (any amount >= minVoterCap),
+ * operators that are not yet candidates only get a full masternodeStakeAmount proposal.
+ */
+contract WeightedAllocationStrategy is IAllocationStrategy, Ownable {
+    uint256 public constant SCORE_BASE = 10_000;
+
+    IStakingPoolAllocationView public immutable stakingPool;
+
+    address[] public operatorList;
+    mapping(address => bool) public isListed;
+    mapping(address => uint256) public weights;
+    /// @dev Performance score in SCORE_BASE units (10_000 = 100%), e.g. uptime or reward efficiency
+    mapping(address => uint256) public performanceScores;
+
+    event WeightSet(address indexed operator, uint256 weight);
+    event PerformanceScoreSet(address indexed operator, uint256 score);
+
+    constructor(address _stakingPool) Ownable(msg.sender) {
+        require(_stakingPool != address(0), "Invalid staking pool");
+        stakingPool = IStakingPoolAllocationView(_stakingPool);
+    }
+
+    /// @dev Weight 0 stops new allocations to the operator; existing stake stays until unvoted
+    function setWeight(address operator, uint256 weight) external onlyOwner {
+        require(operator != address(0), "Invalid operator");
+        if (!isListed[operator]) {
+            isListed[operator] = true;
+            operatorList.push(operator);
+            performanceScores[operator] = SCORE_BASE;
+        }
+        weights[operator] = weight;
+        emit WeightSet(operator, weight);
+    }
+
+    function setPerformanceScore(address operator, uint256 score) external onlyOwner {
+        require(isListed[operator], "Operator not listed");
+        require(score <= SCORE_BASE, "Invalid score");
+        performanceScores[operator] = score;
+        emit PerformanceScoreSet(operator, score);
+    }
+
+    function getOperators() external view returns (address[] memory) {
+        return operatorList;
+    }
+
+    /// @dev weight x score, kept unscaled so small weights don't truncate; only ratios matter
+    function effectiveWeight(address operator) public view returns (uint256) {
+        return weights[operator] * performanceScores[operator];
+    }
+
+    function allocate(uint256 available) external view override returns (address[] memory operators, uint256[] memory amounts) {
+        uint256 n = operatorList.length;
+        uint256[] memory stakes = new uint256[](n);
+        uint256 totalWeight;
+        uint256 totalStake = available;
+        for (uint256 i = 0; i < n; i++) {
+            stakes[i] = stakingPool.operatorStake(operatorList[i]);
+            totalStake += stakes[i];
+            totalWeight += effectiveWeight(operatorList[i]);
+        }
+        if (totalWeight == 0 || available == 0) {
+            return (new address[](0), new uint256[](0));
+        }
+
+        // Shortfall of each operator against its weighted target
+        uint256[] memory deficits = new uint256[](n);
+        uint256 totalDeficit;
+        for (uint256 i = 0; i < n; i++) {
+            uint256 target = (totalStake * effectiveWeight(operatorList[i])) / totalWeight;
+            if (target > stakes[i]) {
+                deficits[i] = target - stakes[i];
+                totalDeficit += deficits[i];
+            }
+        }
+
+        IXDCValidator validator = stakingPool.validator();
+        uint256 proposeAmount = stakingPool.masternodeStakeAmount();
+        uint256 minVoterCap = validator.minVoterCap();
+
+        operators = new address[](n);
+        amounts = new uint256[](n);
+        uint256 count;
+        uint256 remaining = available;
+        for (uint256 i = 0; i < n && remaining > 0; i++) {
+            if (deficits[i] == 0) continue;
+            address op = operatorList[i];
+            uint256 amount = totalDeficit > available ? (available * deficits[i]) / totalDeficit : deficits[i];
+
+            if (!validator.isCandidate(op)) {
+                // A new masternode needs the full candidate cap up front
+                if (deficits[i] < proposeAmount || remaining < proposeAmount) continue;
+                amount = proposeAmount;
+            } else if (amount < minVoterCap) {
+                continue;
+            }
+            if (amount > remaining) amount = remaining;
+
+            operators[count] = op;
+            amounts[count] = amount;
+            count++;
+            remaining -= amount;
+        }
+
+        // Trim to the number of entries actually used
+        assembly {
+            mstore(operators, count)
+            mstore(amounts, count)
+        }
+    }
+}
@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./interfaces/IWithdrawalNFTDescriptor.sol";
+
+interface IWithdrawalBatchSource {
+    function withdrawalBatches(uint256 batchId)
+        external
+        view
+        returns (uint256 xdcAmount, uint256 unlockBlock, bool redeemed, uint256 bxdcAmount);
+    function withdrawalNFT() external view returns (IWithdrawalNFTSupply);
+}
+
+interface IWithdrawalNFTSupply {
+    function totalSupply(uint256 id) external view returns (uint256);
+}
+
+/**
+ * @title WithdrawalNFTDescriptor
+ * @dev On-chain JSON metadata and SVG image for WithdrawalRequestNFT batches.
+ * The amount shown is the batch's outstanding NFT supply (NFT units are XDC wei), so it drops as holders redeem.
+ * Unlock time is estimated from the remaining blocks and the chain's average block time.
+ */
+contract WithdrawalNFTDescriptor is IWithdrawalNFTDescriptor {
+    using Strings for uint256;
+
+    IWithdrawalBatchSource public immutable stakingPool;
+    uint256 public immutable blockTime;
+
+    constructor(address _stakingPool, uint256 _blockTime) {
+        require(_stakingPool != address(0), "Invalid staking pool");
+        require(_blockTime > 0, "Invalid block time");
+        stakingPool = IWithdrawalBatchSource(_stakingPool);
+        blockTime = _blockTime;
+    }
+
+    function uri(uint256 batchId) external view override returns (string memory) {
+        (uint256 xdcAmount, uint256 unlockBlock, bool redeemed, ) = stakingPool.withdrawalBatches(batchId);
+        require(xdcAmount > 0, "Nonexistent batch");
+
+        string memory amount = _formatXDC(stakingPool.withdrawalNFT().totalSupply(batchId));
+        string memory status = _status(unlockBlock, redeemed);
+        string memory image = Base64.encode(bytes(_svg(batchId, amount, unlockBlock, status)));
+
+        string memory json = string.concat(
+            '{"name":"XDC Withdrawal #', batchId.toString(),
+            '","description":"Claim on ', amount,
+            ' XDC unbonding from XDC liquid staking. Redeemable for XDC at the staking pool once unlocked.",',
+            '"image":"data:image/svg+xml;base64,', image,
+            '","attributes":[',
+            '{"trait_type":"XDC Amount","value":', amount, "},",
+            '{"trait_type":"Unlock Block","value":', unlockBlock.toString(), "},",
+            '{"trait_type":"Estimated Unlock Time","display_type":"date","value":', estimatedUnlockTime(unlockBlock).toString(), "},",
+            '{"trait_type":"Status","value":"', status, '"}]}'
+        );
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /// @dev Unix timestamp at which `unlockBlock` is (or was) expected to be produced
+    function estimatedUnlockTime(uint256 unlockBlock) public view returns (uint256) {
+        if (unlockBlock >= block.number) {
+            return block.timestamp + (unlockBlock - block.number) * blockTime;
+        }
+        uint256 elapsed = (block.number - unlockBlock) * blockTime;
+        return elapsed > block.timestamp ? 0 : block.timestamp - elapsed;
+    }
+
+    function _status(uint256 unlockBlock, bool redeemed) internal view returns (string memory) {
+        if (redeemed) return "Redeemed";
+        return block.number >= unlockBlock ? "Redeemable" : "Unbonding";
+    }
+
+    function _svg(uint256 batchId, string memory amount, uint256 unlockBlock, string memory status)
+        internal
+        pure
+        returns (string memory)
+    {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" viewBox="0 0 350 350">',
+            '<rect width="350" height="350" rx="24" fill="#0b1f3a"/>',
+            '<text x="28" y="56" font-family="monospace" font-size="20" fill="#ffffff">XDC Withdrawal</text>',
+            '<text x="28" y="86" font-family="monospace" font-size="14" fill="#8fa9c8">#', batchId.toString(), "</text>",
+            '<text x="28" y="170" font-family="monospace" font-size="30" fill="#ffffff">', amount, " XDC</text>",
+            '<text x="28" y="260" font-family="monospace" font-size="14" fill="#8fa9c8">Unlock block ', unlockBlock.toString(), "</text>",
+            '<text x="28" y="300" font-family="monospace" font-size="16" fill="#4fd1c5">', status, "</text>",
+            "</svg>"
+        );
+    }
+
+    /// @dev 18-decimal amount to a decimal string with up to 4 fractional digits, e.g. "1234.5"
+    function _formatXDC(uint256 amount) internal pure returns (string memory) {
+        uint256 whole = amount / 1e18;
+        uint256 frac = (amount % 1e18) / 1e14;
+        if (frac == 0) return whole.toString();
+
+        uint256 len = 4;
+        while (frac % 10 == 0) {
+            frac /= 10;
+            len--;
+        }
+        bytes memory digits = new bytes(len);
+        for (uint256 i = len; i > 0; i--) {
+            digits[i - 1] = bytes1(uint8(48 + (frac % 10)));
+            frac /= 10;
+        }
+        return string.concat(whole.toString(), ".", string(digits));
+    }
+}
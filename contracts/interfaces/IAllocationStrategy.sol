@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IAllocationStrategy
+ * @dev Decides how XDCLiquidityStaking spreads idle XDC across masternode operators.
+ * The staking pool validates every entry (approved + KYC'd operator, candidate or full propose amount)
+ * and skips the ones it cannot execute, so strategies only need to express intent.
+ */
+interface IAllocationStrategy {
+    /// @param available Idle XDC the pool can stake right now
+    /// @return operators Operators to stake with; amounts go to validator.vote, or validator.propose for non-candidates
+    /// @return amounts XDC to stake with each operator
+    function allocate(uint256 available) external view returns (address[] memory operators, uint256[] memory amounts);
+}
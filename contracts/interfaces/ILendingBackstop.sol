@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ILendingBackstop
+ * @dev Receiver of collateral seized from insolvent LendingProtocol accounts (see LendingBackstop)
+ */
+interface ILendingBackstop {
+    /// @dev Called by LendingProtocol after crediting `amount` of `asset` to the backstop's supply position
+    function onCollateralSeized(address asset, uint256 amount) external;
+}
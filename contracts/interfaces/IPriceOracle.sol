@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPriceOracle
+ * @dev Price source for LendingProtocol. Prices are USD with 18 decimals per whole token,
+ * the same unit as LendingProtocol.assetPrices.
+ */
+interface IPriceOracle {
+    /// @return price USD price of one whole `asset` (18 decimals); reverts if unsupported
+    /// @return updatedAt Timestamp of the observation the price is based on
+    function getPrice(address asset) external view returns (uint256 price, uint256 updatedAt);
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IStrategyAdapter
+ * @dev How USDBManager deploys one USDB backing token into one protocol position. Adapters hold the position
+ * themselves and only act for their manager; amounts are in units of asset().
+ */
+interface IStrategyAdapter {
+    /// @return Token the adapter invests (a token USDB supports)
+    function asset() external view returns (address);
+
+    /// @return The USDBManager allowed to move funds
+    function manager() external view returns (address);
+
+    /// @return Current value of the position, including accrued interest and asset-denominated rewards
+    function totalValue() external view returns (uint256);
+
+    /// @return Rewards that harvest() would collect right now (asset-denominated rewards only)
+    function pendingRewards() external view returns (uint256);
+
+    /// @dev Pulls `amount` of asset from the manager and deploys it
+    function deposit(uint256 amount) external;
+
+    /// @dev Withdraws `amount` of asset from the position to the manager
+    /// @return received Asset actually sent to the manager
+    function withdraw(uint256 amount) external returns (uint256 received);
+
+    /// @dev Claims rewards to the manager
+    /// @return harvested Asset-denominated rewards sent to the manager (other reward tokens are sent but not counted)
+    function harvest() external returns (uint256 harvested);
+}
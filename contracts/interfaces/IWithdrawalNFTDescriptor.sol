@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IWithdrawalNFTDescriptor
+ * @dev Renders WithdrawalRequestNFT metadata - kept out of the NFT so the renderer can be upgraded
+ */
+interface IWithdrawalNFTDescriptor {
+    /// @dev Returns an ERC-1155 metadata URI (data:application/json;base64,...) for a withdrawal batch
+    function uri(uint256 batchId) external view returns (string memory);
+}
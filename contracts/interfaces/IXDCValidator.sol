@@ -10,6 +10,8 @@ interface IXDCValidator {
     function propose(address _candidate) external payable;
     function vote(address _candidate) external payable;
     function unvote(address _candidate, uint256 _cap) external;
+    /// @dev Claims unvoted/resigned XDC once the withdraw delay has passed
+    function withdraw(uint256 _blockNumber, uint256 _index) external;
     function resign(address _candidate) external;
     function uploadKYC(string calldata kycHash) external;
 
@@ -4,323 +4,37 @@ pragma solidity ^0.8.23;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "./LendingProtocolBase.sol";
+import "./LendingDataProvider.sol";
 
 /**
  * @title LendingProtocol
- * @dev AAVE V3-inspired decentralized lending protocol with Ray Math and normalized balances
+ * @dev AAVE V3-inspired decentralized lending protocol with Ray Math and normalized balances.
+ * State and shared accounting live in LendingProtocolBase; liquidation and bad debt, the parameter timelock,
+ * signed credit delegation and fixed-term borrowing are delegatecalled into LendingProtocolExtension to stay
+ * under the contract size limit.
  * @author Your Team
  */
-contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
+contract LendingProtocol is LendingProtocolBase, IERC3156FlashLender {
     using SafeERC20 for IERC20;
     using Math for uint256;
 
-    // ============ Constants ============
-    uint256 public constant RAY = 1e27; // Ray precision (AAVE standard)
-    uint256 public constant HALF_RAY = RAY / 2;
-    uint256 public constant WAD = 1e18; // Wad precision
-    uint256 public constant HALF_WAD = WAD / 2;
-    uint256 public constant SECONDS_PER_YEAR = 365 days;
-    uint256 public constant LIQUIDATION_CLOSE_FACTOR_HF_THRESHOLD = 0.95e18; // Health factor threshold for 100% liquidation
-    uint256 public constant DEFAULT_LIQUIDATION_THRESHOLD = 8500; // 85%
-    uint256 public constant DEFAULT_LIQUIDATION_BONUS = 500; // 5%
-    uint256 public constant DEFAULT_MAX_LTV = 7500; // 75%
-    uint256 public constant BASIS_POINTS_FACTOR = 10000; // 100% = 10000 basis points
-    uint256 public constant MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD = 1e18; // 1.0
-
-    // ============ Structs ============
-    
-    /**
-     * @dev Reserve data structure (similar to AAVE)
-     */
-    struct ReserveData {
-        // Configuration
-        bool isActive;
-        bool isFrozen;
-        bool canBeCollateral;
-        bool canBeBorrowed;
-        
-        // Interest rate data
-        uint256 liquidityIndex; // Cumulative liquidity interest (Ray)
-        uint256 variableBorrowIndex; // Cumulative variable borrow interest (Ray)
-        uint256 currentVariableBorrowRate; // Current variable borrow rate (Ray)
-        
-        // Reserve state
-        uint256 scaledTotalSupply; // Total supply in normalized form
-        uint256 scaledTotalVariableDebt; // Total variable debt in normalized form
-        uint256 lastUpdateTimestamp; // Last time indices were updated
-        
-        // Asset configuration
-        uint256 decimals;
-        uint256 ltv; // Loan-to-value ratio (basis points)
-        uint256 liquidationThreshold; // Liquidation threshold (basis points)
-        uint256 liquidationBonus; // Liquidation bonus (basis points)
-        
-        // Risk management
-        uint256 supplyCap; // Maximum supply allowed
-        uint256 borrowCap; // Maximum borrow allowed
-        
-        // Bad debt tracking
-        uint256 accruedToTreasury; // Accrued to treasury
-        uint256 deficit; // Bad debt amount
-    }
-
-    /**
-     * @dev User data structure
-     */
-    struct UserData {
-        mapping(address => uint256) scaledBalance; // Scaled supply balance
-        mapping(address => uint256) scaledVariableDebt; // Scaled variable debt
-        mapping(address => bool) usageAsCollateralEnabled; // Whether asset is used as collateral
-    }
-
-    /**
-     * @dev Liquidation parameters
-     */
-    struct LiquidationParams {
-        address collateralAsset;
-        address debtAsset;
-        address user;
-        uint256 debtToCover;
-        bool receiveAToken;
-    }
-
-    /**
-     * @dev Interest Rate Model parameters (similar to Compound/AAVE)
-     */
-    struct InterestRateModel {
-        uint256 baseRatePerYear;        // Base interest rate (Ray format)
-        uint256 multiplierPerYear;      // Slope 1 - rate increase before kink (Ray format)  
-        uint256 jumpMultiplierPerYear;  // Slope 2 - rate increase after kink (Ray format)
-        uint256 kink;                   // Optimal utilization rate (Ray format)
-    }
+    // Holds liquidationCall, deficit handling, the parameter timelock, credit delegation by signature and the
+    // fixed-term loan functions; runs on this contract's storage
+    address public immutable extension;
 
-    // ============ State Variables ============
-    
-    // List of supported assets
-    address[] public reservesList;
-    
-    // Asset address => Reserve data
-    mapping(address => ReserveData) public reserves;
-    
-    // User address => User data
-    mapping(address => UserData) internal users;
-    
-    // Price oracle
-    mapping(address => uint256) public assetPrices; // Asset prices (USD, 18 decimal precision)
-    
-    // Configuration
-    uint256 public maxNumberOfReserves = 128;
-    uint256 public protocolFeeRate = 3000; // 30% (basis points)
-    
-    // Bad debt management
-    mapping(address => uint256) public protocolReserves;
-    
-    // Interest rate models for each asset
-    mapping(address => InterestRateModel) public interestRateModels;
-
-    // ============ Events ============
-    
-    event ReserveDataUpdated(
-        address indexed reserve,
-        uint256 liquidityRate,
-        uint256 variableBorrowRate,
-        uint256 liquidityIndex,
-        uint256 variableBorrowIndex
-    );
-    
-    event Supply(
-        address indexed reserve,
-        address user,
-        address indexed onBehalfOf,
-        uint256 amount,
-        uint16 indexed referralCode
-    );
-    
-    event Withdraw(
-        address indexed reserve,
-        address indexed user,
-        address indexed to,
-        uint256 amount
-    );
-    
-    event Borrow(
-        address indexed reserve,
-        address user,
-        address indexed onBehalfOf,
-        uint256 amount,
-        uint16 indexed referralCode
-    );
-    
-    event Repay(
-        address indexed reserve,
-        address indexed user,
-        address indexed repayer,
-        uint256 amount
-    );
-    
-    event LiquidationCall(
-        address indexed collateralAsset,
-        address indexed debtAsset,
-        address indexed user,
-        uint256 debtToCover,
-        uint256 liquidatedCollateralAmount,
-        address liquidator,
-        bool receiveAToken
-    );
-    
-    event ReserveUsedAsCollateralEnabled(address indexed reserve, address indexed user);
-    event ReserveUsedAsCollateralDisabled(address indexed reserve, address indexed user);
-    
-    event PriceUpdated(address indexed asset, uint256 price);
-
-    event TreasuryWithdraw(address indexed asset, uint256 amount, address indexed to);
-    
-    event ProtocolFeeRateUpdated(uint256 oldRate, uint256 newRate);
-
-    // ============ Modifiers ============
-    
-    modifier onlyValidReserve(address asset) {
-        require(reserves[asset].isActive, "Reserve not active");
-        _;
-    }
-
-    modifier onlyActiveTrueFrozenFalse(address asset) {
-        require(reserves[asset].isActive, "Reserve not active");
-        require(!reserves[asset].isFrozen, "Reserve frozen");
-        _;
-    }
+    // Serves the aggregated frontend views below; deployed by the pool and reading from it
+    LendingDataProvider public immutable dataProvider;
 
     // ============ Constructor ============
     
-    constructor() Ownable(msg.sender) {
-        // Initialize with RAY precision
-    }
-
-    // ============ Ray Math Library ============
-    
-    /**
-     * @dev Multiplies two ray values
-     */
-    function rayMul(uint256 a, uint256 b) internal pure returns (uint256) {
-        if (a == 0 || b == 0) {
-            return 0;
-        }
-        require(a <= (type(uint256).max - HALF_RAY) / b, "Ray multiplication overflow");
-        return (a * b + HALF_RAY) / RAY;
-    }
-
-    /**
-     * @dev Divides two ray values
-     */
-    function rayDiv(uint256 a, uint256 b) internal pure returns (uint256) {
-        require(b != 0, "Division by zero");
-        uint256 halfB = b / 2;
-        require(a <= (type(uint256).max - halfB) / RAY, "Ray division overflow");
-        return (a * RAY + halfB) / b;
-    }
-
-    /**
-     * @dev Converts WAD to RAY
-     */
-    function wadToRay(uint256 a) internal pure returns (uint256) {
-        uint256 result = a * (RAY / WAD);
-        require(result / (RAY / WAD) == a, "WAD to RAY overflow");
-        return result;
-    }
-
-    /**
-     * @dev Converts RAY to WAD
-     */
-    function rayToWad(uint256 a) internal pure returns (uint256) {
-        uint256 halfRatio = (RAY / WAD) / 2;
-        return (a + halfRatio) / (RAY / WAD);
-    }
-
-    // ============ Interest Rate Calculations ============
-    
-    /**
-     * @dev Calculates compound interest using Taylor series approximation
-     * @param rate The interest rate (in ray)
-     * @param lastUpdateTimestamp The timestamp of the last update
-     * @return The compound interest rate (in ray)
-     */
-    function calculateCompoundedInterest(
-        uint256 rate,
-        uint256 lastUpdateTimestamp
-    ) public view returns (uint256) {
-        uint256 exp = block.timestamp - lastUpdateTimestamp;
-        if (exp == 0) {
-            return RAY;
-        }
-        
-        uint256 expMinusOne = exp - 1;
-        uint256 expMinusTwo = exp > 2 ? exp - 2 : 0;
-        
-        uint256 ratePerSecond = rate / SECONDS_PER_YEAR;
-        
-        uint256 basePowerTwo = rayMul(ratePerSecond, ratePerSecond);
-        uint256 basePowerThree = rayMul(basePowerTwo, ratePerSecond);
-        
-        uint256 secondTerm = (exp * expMinusOne * basePowerTwo) / 2;
-        uint256 thirdTerm = (exp * expMinusOne * expMinusTwo * basePowerThree) / 6;
-        
-        return RAY + (ratePerSecond * exp) + secondTerm + thirdTerm;
-    }
-
-    /**
-     * @dev Updates the liquidity cumulative index and variable borrow index
-     * @param reserve The reserve object
-     */
-    function updateState(ReserveData storage reserve, address asset) internal {
-        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
-        uint256 previousVariableBorrowIndex = reserve.variableBorrowIndex;
-        uint256 previousLiquidityIndex = reserve.liquidityIndex;
-        uint256 newLiquidityIndex = previousLiquidityIndex;
-        uint256 newVariableBorrowIndex = previousVariableBorrowIndex;
-
-        // Update to dynamic interest rate
-        uint256 newVariableBorrowRate = calculateCurrentVariableBorrowRate(asset);
-        reserve.currentVariableBorrowRate = newVariableBorrowRate;
-
-        if (scaledVariableDebt != 0) {
-            uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
-                reserve.currentVariableBorrowRate,
-                reserve.lastUpdateTimestamp
-            );
-            newVariableBorrowIndex = rayMul(previousVariableBorrowIndex, cumulatedVariableBorrowInterest);
-            reserve.variableBorrowIndex = newVariableBorrowIndex;
-
-            uint256 totalDebt = rayMul(scaledVariableDebt, newVariableBorrowIndex);
-            uint256 newTotalDebt = rayMul(scaledVariableDebt, previousVariableBorrowIndex);
-            uint256 debtIncrease = totalDebt - newTotalDebt;
-
-            uint256 protocolFee = rayMul(debtIncrease, wadToRay(protocolFeeRate * 1e14)); // Convert basis points to ray
-            
-            if (protocolFee != 0) {
-                reserve.accruedToTreasury += rayDiv(protocolFee, newLiquidityIndex);
-            }
-
-            if (reserve.scaledTotalSupply != 0) {
-                uint256 liquidityIncrease = debtIncrease - protocolFee;
-                uint256 cumulatedLiquidityInterest = rayDiv(liquidityIncrease, reserve.scaledTotalSupply) + RAY;
-                newLiquidityIndex = rayMul(previousLiquidityIndex, cumulatedLiquidityInterest);
-                reserve.liquidityIndex = newLiquidityIndex;
-            }
-        }
-
-        reserve.lastUpdateTimestamp = uint40(block.timestamp);
-
-        emit ReserveDataUpdated(
-            asset,
-            0, // No longer using fixed liquidity rate
-            newVariableBorrowRate,
-            newLiquidityIndex,
-            newVariableBorrowIndex
-        );
+    constructor(address _extension) {
+        require(_extension != address(0), "Invalid extension");
+        extension = _extension;
+        dataProvider = new LendingDataProvider(address(this));
     }
 
     // ============ Core Functions ============
@@ -362,7 +76,10 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
             supplyCap: supplyCap,
             borrowCap: borrowCap,
             accruedToTreasury: 0,
-            deficit: 0
+            deficit: 0,
+            debtCeiling: 0,
+            isolationModeTotalDebt: 0,
+            borrowableInIsolation: false
         });
         
         // Set default interest rate model (AAVE Volatile Assets parameters)
@@ -398,20 +115,19 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         
         updateState(reserve, asset);
         
-        uint256 currentBalance = userData.scaledBalance[asset];
-        bool isFirstSupply = (currentBalance == 0);
-        
         uint256 amountScaled = rayDiv(amount, reserve.liquidityIndex);
         require(amountScaled > 0, "Amount too small");
         
-        reserve.scaledTotalSupply += amountScaled;
-        userData.scaledBalance[asset] = currentBalance + amountScaled;
-        
-        if (isFirstSupply && reserve.canBeCollateral) {
-            userData.usageAsCollateralEnabled[asset] = true;
-            emit ReserveUsedAsCollateralEnabled(asset, onBehalfOf);
+        if (reserve.supplyCap != 0) {
+            require(
+                rayMul(reserve.scaledTotalSupply + reserve.accruedToTreasury + amountScaled, reserve.liquidityIndex) <= reserve.supplyCap,
+                "Supply cap exceeded"
+            );
         }
         
+        reserve.scaledTotalSupply += amountScaled;
+        _creditSupply(onBehalfOf, asset, amountScaled);
+        
         IERC20(asset).safeTransferFrom(msg.sender, address(this), amount);
         
         emit Supply(asset, msg.sender, onBehalfOf, amount, referralCode);
@@ -446,20 +162,10 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         require(amountToWithdraw <= userBalance, "Not enough balance");
         require(amountToWithdraw > 0, "Amount is 0");
         
-        // Validate withdrawal doesn't break health factor
-        if (userData.usageAsCollateralEnabled[asset]) {
-            _validateHealthFactorAfterWithdraw(asset, msg.sender, amountToWithdraw);
-        }
-        
         uint256 amountToWithdrawScaled = rayDiv(amountToWithdraw, reserve.liquidityIndex);
         
-        userData.scaledBalance[asset] -= amountToWithdrawScaled;
         reserve.scaledTotalSupply -= amountToWithdrawScaled;
-        
-        if (userData.scaledBalance[asset] == 0) {
-            userData.usageAsCollateralEnabled[asset] = false;
-            emit ReserveUsedAsCollateralDisabled(asset, msg.sender);
-        }
+        _debitSupply(msg.sender, asset, amountToWithdrawScaled);
         
         IERC20(asset).safeTransfer(to, amountToWithdraw);
         
@@ -469,10 +175,11 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Borrows an asset from the protocol
+     * @dev Borrows an asset from the protocol; the borrowed funds are sent to msg.sender
      * @param asset The address of the underlying asset to borrow
      * @param amount The amount to be borrowed
-     * @param onBehalfOf Address of the user who will receive the debt
+     * @param onBehalfOf Address of the user who will receive the debt: msg.sender, or a user who delegated
+     * enough borrowAllowance to msg.sender (approveDelegation / delegationWithSig)
      * @param referralCode Code used to register the integrator originating the operation
      */
     function borrow(
@@ -492,13 +199,27 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         uint256 amountInDebtTokens = rayDiv(amount, reserve.variableBorrowIndex);
         require(amountInDebtTokens > 0, "Amount too small");
         
+        if (reserve.borrowCap != 0) {
+            require(
+                rayMul(reserve.scaledTotalVariableDebt + amountInDebtTokens, reserve.variableBorrowIndex) + totalFixedDebt[asset] <= reserve.borrowCap,
+                "Borrow cap exceeded"
+            );
+        }
+        
         // ✅ 修复：先验证，再更新状态
-        _validateBorrow(asset, onBehalfOf, amount);
+        address isolatedCollateral = _validateBorrow(asset, onBehalfOf, amount);
         
+        if (isolatedCollateral != address(0)) {
+            ReserveData storage isolatedReserve = reserves[isolatedCollateral];
+            isolatedReserve.isolationModeTotalDebt += _toIsolationDebt(asset, amount);
+            emit IsolationModeTotalDebtUpdated(isolatedCollateral, isolatedReserve.isolationModeTotalDebt);
+        }
+        
+        _spendBorrowAllowance(onBehalfOf, asset, amount);
         userData.scaledVariableDebt[asset] += amountInDebtTokens;
         reserve.scaledTotalVariableDebt += amountInDebtTokens;
         
-        IERC20(asset).safeTransfer(onBehalfOf, amount);
+        IERC20(asset).safeTransfer(msg.sender, amount);
         
         emit Borrow(asset, msg.sender, onBehalfOf, amount, referralCode);
     }
@@ -534,6 +255,8 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         userData.scaledVariableDebt[asset] -= paybackAmountScaled;
         reserve.scaledTotalVariableDebt -= paybackAmountScaled;
         
+        _reduceIsolationDebt(onBehalfOf, asset, paybackAmount);
+        
         IERC20(asset).safeTransferFrom(msg.sender, address(this), paybackAmount);
         
         emit Repay(asset, onBehalfOf, msg.sender, paybackAmount);
@@ -542,88 +265,143 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Liquidates a user position when health factor drops below 1
+     * @dev Liquidates a user position when health factor drops below 1 (see LendingProtocolExtension)
      */
     function liquidationCall(
-        address collateralAsset,
-        address debtAsset,
-        address user,
-        uint256 debtToCover,
-        bool receiveAToken
+        address /* collateralAsset */,
+        address /* debtAsset */,
+        address /* user */,
+        uint256 /* debtToCover */,
+        bool /* receiveAToken */
     ) external nonReentrant {
-        require(debtToCover > 0, "Debt to cover must be greater than 0");
-        
-        ReserveData storage collateralReserve = reserves[collateralAsset];
-        ReserveData storage debtReserve = reserves[debtAsset];
-        UserData storage userData = users[user];
-        
-        updateState(collateralReserve, collateralAsset);
-        updateState(debtReserve, debtAsset);
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Opts the caller into an e-mode category (0 to leave). All borrowed assets must belong to
+     * the category, and the health factor must stay above 1 under the new parameters.
+     */
+    function setUserEMode(uint8 categoryId) external nonReentrant {
+        UserData storage userData = users[msg.sender];
         
-        (, , , uint256 healthFactor, , ) = getUserAccountData(user);
-        require(healthFactor < MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "Health factor not below threshold");
+        if (categoryId != 0) {
+            require(eModeCategories[categoryId].liquidationThreshold != 0, "Category not configured");
+            for (uint256 i = 0; i < reservesList.length; i++) {
+                address asset = reservesList[i];
+                if (userData.scaledVariableDebt[asset] != 0 || fixedLoans[msg.sender][asset].principal != 0) {
+                    require(reserveEModeCategory[asset] == categoryId, "Borrowed asset not in category");
+                }
+            }
+        }
         
-        uint256 userVariableDebt = rayMul(userData.scaledVariableDebt[debtAsset], debtReserve.variableBorrowIndex);
+        userEModeCategory[msg.sender] = categoryId;
+        _requireHealthFactorAboveOne(msg.sender);
         
-        uint256 actualDebtToCover = debtToCover > userVariableDebt ? userVariableDebt : debtToCover;
+        emit UserEModeSet(msg.sender, categoryId);
+    }
+
+    /**
+     * @dev Lets delegatee borrow up to amount of asset against the caller's collateral, with the debt on the
+     * caller (credit delegation). Replaces any previous allowance.
+     */
+    function approveDelegation(address delegatee, address asset, uint256 amount) external {
+        _approveDelegation(msg.sender, delegatee, asset, amount);
+    }
+
+    /**
+     * @dev approveDelegation by EIP-712 signature of the delegator (domain: name "LendingProtocol", version "1",
+     * this contract), over DelegationWithSig(address delegator,address delegatee,address asset,uint256 amount,
+     * uint256 nonce,uint256 deadline) with the delegator's current nonces value
+     */
+    function delegationWithSig(
+        address /* delegator */,
+        address /* delegatee */,
+        address /* asset */,
+        uint256 /* amount */,
+        uint256 /* deadline */,
+        uint8 /* v */,
+        bytes32 /* r */,
+        bytes32 /* s */
+    ) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Moves a supply position between users; called by the reserve's AToken on transfer.
+     * The sender's health factor must stay above 1 if the asset backs their debt.
+     */
+    function transferSupply(address asset, address from, address to, uint256 amount) external nonReentrant {
+        require(msg.sender == aTokens[asset] && msg.sender != address(0), "Caller is not the aToken");
         
-        (uint256 maxLiquidatableDebt, uint256 liquidationBonus) = _calculateAvailableCollateralToLiquidate(
-            collateralReserve,
-            debtReserve,
-            collateralAsset,
-            debtAsset,
-            actualDebtToCover,
-            rayMul(userData.scaledBalance[collateralAsset], collateralReserve.liquidityIndex),
-            healthFactor
-        );
+        ReserveData storage reserve = reserves[asset];
+        updateState(reserve, asset);
         
-        if (maxLiquidatableDebt < actualDebtToCover) {
-            actualDebtToCover = maxLiquidatableDebt;
-        }
+        uint256 amountScaled = rayDiv(amount, reserve.liquidityIndex);
+        require(amountScaled <= users[from].scaledBalance[asset], "Not enough balance");
         
-        // Calculate liquidation amounts
-        uint256 liquidatedCollateralAmount = _calculateLiquidationAmount(
-            actualDebtToCover,
-            assetPrices[debtAsset],
-            assetPrices[collateralAsset],
-            liquidationBonus,
-            debtReserve.decimals,
-            collateralReserve.decimals
-        );
+        _debitSupply(from, asset, amountScaled);
+        _creditSupply(to, asset, amountScaled);
+    }
+
+    /**
+     * @dev ERC-3156 flash loan of any active, unfrozen reserve. The receiver must approve
+     * amount + fee, which is pulled back after onFlashLoan; the fee accrues to the treasury.
+     * Not nonReentrant so the receiver can repay or liquidate (e.g. liquidationCall) inside the callback;
+     * repayment is pulled with transferFrom, so reserve accounting never relies on the token balance.
+     * @param receiver The contract receiving the tokens and the onFlashLoan callback
+     * @param token The reserve asset to borrow
+     * @param amount The amount to borrow
+     * @param data Arbitrary data passed to the receiver
+     */
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override onlyActiveTrueFrozenFalse(token) returns (bool) {
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= IERC20(token).balanceOf(address(this)), "Not enough liquidity");
         
-        // Update user balances
-        uint256 debtAmountScaled = rayDiv(actualDebtToCover, debtReserve.variableBorrowIndex);
-        userData.scaledVariableDebt[debtAsset] -= debtAmountScaled;
-        debtReserve.scaledTotalVariableDebt -= debtAmountScaled;
+        uint256 fee = flashFee(token, amount);
         
-        uint256 collateralAmountScaled = rayDiv(liquidatedCollateralAmount, collateralReserve.liquidityIndex);
-        userData.scaledBalance[collateralAsset] -= collateralAmountScaled;
-        collateralReserve.scaledTotalSupply -= collateralAmountScaled;
+        IERC20(token).safeTransfer(address(receiver), amount);
         
-        // Check for bad debt and cleanup if necessary
-        _handleBadDebtCleanup(user);
+        require(
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == FLASH_LOAN_CALLBACK_SUCCESS,
+            "Invalid flash loan callback"
+        );
         
-        // Transfer debt payment from liquidator
-        IERC20(debtAsset).safeTransferFrom(msg.sender, address(this), actualDebtToCover);
+        IERC20(token).safeTransferFrom(address(receiver), address(this), amount + fee);
         
-        // Transfer collateral to liquidator
-        if (!receiveAToken) {
-            IERC20(collateralAsset).safeTransfer(msg.sender, liquidatedCollateralAmount);
+        if (fee > 0) {
+            ReserveData storage reserve = reserves[token];
+            updateState(reserve, token);
+            reserve.accruedToTreasury += rayDiv(fee, reserve.liquidityIndex);
         }
         
-        emit LiquidationCall(
-            collateralAsset,
-            debtAsset,
-            user,
-            actualDebtToCover,
-            liquidatedCollateralAmount,
-            msg.sender,
-            receiveAToken
-        );
+        emit FlashLoan(address(receiver), msg.sender, token, amount, fee);
+        
+        return true;
     }
 
     // ============ View Functions ============
     
+    /**
+     * @dev Maximum flash loan amount for a reserve (0 if it cannot be flash borrowed)
+     */
+    function maxFlashLoan(address token) external view override returns (uint256) {
+        if (!reserves[token].isActive || reserves[token].isFrozen) return 0;
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Fee charged for a flash loan of `amount` of `token`
+     */
+    function flashFee(address token, uint256 amount) public view override returns (uint256) {
+        require(reserves[token].isActive, "Reserve not active");
+        return (amount * flashLoanFeeRate) / BASIS_POINTS_FACTOR;
+    }
+    
     /**
      * @dev Returns the user account data across all the reserves
      * @param user The address of the user
@@ -651,89 +429,6 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         return _getUserAccountData(user);
     }
 
-    /**
-     * @dev Gets real-time user account data with asset-level breakdown (Frontend helper)
-     * @param user The user address
-     * @return assets Array of asset addresses user has positions in
-     * @return supplyBalances Array of real-time supply balances (including accrued interest)
-     * @return borrowBalances Array of real-time borrow balances (including accrued interest)
-     * @return supplyBalancesUSD Array of supply balances in USD
-     * @return borrowBalancesUSD Array of borrow balances in USD
-     * @return totalCollateralUSD Total collateral value in USD
-     * @return totalDebtUSD Total debt value in USD
-     * @return healthFactor Current health factor
-     */
-    function getUserAccountDataDetailed(address user) external view returns (
-        address[] memory assets,
-        uint256[] memory supplyBalances,
-        uint256[] memory borrowBalances,
-        uint256[] memory supplyBalancesUSD,
-        uint256[] memory borrowBalancesUSD,
-        uint256 totalCollateralUSD,
-        uint256 totalDebtUSD,
-        uint256 healthFactor
-    ) {
-        UserData storage userData = users[user];
-        
-        // Count user positions
-        uint256 positionCount = 0;
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            if (!reserves[asset].isActive) continue;
-            
-            if (userData.scaledBalance[asset] > 0 || userData.scaledVariableDebt[asset] > 0) {
-                positionCount++;
-            }
-        }
-        
-        // Initialize arrays
-        assets = new address[](positionCount);
-        supplyBalances = new uint256[](positionCount);
-        borrowBalances = new uint256[](positionCount);
-        supplyBalancesUSD = new uint256[](positionCount);
-        borrowBalancesUSD = new uint256[](positionCount);
-        
-        // Fill position data
-        uint256 index = 0;
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            ReserveData storage reserve = reserves[asset];
-            
-            if (!reserve.isActive) continue;
-            
-            bool hasSupply = userData.scaledBalance[asset] > 0;
-            bool hasBorrow = userData.scaledVariableDebt[asset] > 0;
-            
-            if (hasSupply || hasBorrow) {
-                assets[index] = asset;
-                
-                uint256 tokenUnit = 10**reserve.decimals;
-                uint256 price = assetPrices[asset];
-                
-                // Calculate real-time supply balance (with accrued interest)
-                if (hasSupply) {
-                    uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(reserve, asset);
-                    supplyBalances[index] = rayMul(userData.scaledBalance[asset], currentLiquidityIndex);
-                    supplyBalancesUSD[index] = (price * supplyBalances[index]) / tokenUnit;
-                    totalCollateralUSD += supplyBalancesUSD[index];
-                }
-                
-                // Calculate real-time borrow balance (with accrued interest)
-                if (hasBorrow) {
-                    uint256 currentBorrowIndex = _getCurrentBorrowIndex(reserve, asset);
-                    borrowBalances[index] = rayMul(userData.scaledVariableDebt[asset], currentBorrowIndex);
-                    borrowBalancesUSD[index] = (price * borrowBalances[index]) / tokenUnit;
-                    totalDebtUSD += borrowBalancesUSD[index];
-                }
-                
-                index++;
-            }
-        }
-        
-        // Calculate health factor
-        (, , , , , healthFactor) = _getUserAccountData(user);
-    }
-
     /**
      * @dev Gets the user's current balance for a given asset (with real-time interest)
      * @param user The user address
@@ -758,6 +453,14 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         return rayMul(users[user].scaledVariableDebt[asset], currentBorrowIndex);
     }
 
+    /**
+     * @dev Gets the user's fixed-term debt for an asset (with interest at the locked rate); rate and
+     * maturity are in fixedLoans
+     */
+    function getUserFixedDebt(address user, address asset) external view returns (uint256) {
+        return _getFixedDebt(fixedLoans[user][asset]);
+    }
+
     /**
      * @dev Returns the list of all initialized reserves
      * @return The list of addresses of all initialized reserves
@@ -766,6 +469,22 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         return reservesList;
     }
 
+    /**
+     * @dev Total supplied and borrowed amounts of a reserve (with real-time interest), backing the receipt tokens' totalSupply
+     */
+    function getReserveTotals(address asset) external view returns (uint256 totalSupplied, uint256 totalBorrowed) {
+        ReserveData storage reserve = reserves[asset];
+        totalSupplied = rayMul(reserve.scaledTotalSupply, _getCurrentLiquidityIndex(reserve, asset));
+        totalBorrowed = rayMul(reserve.scaledTotalVariableDebt, _getCurrentBorrowIndex(reserve, asset));
+    }
+
+    /**
+     * @dev Outstanding deficit (bad debt not yet covered) and all debt ever written off for a reserve
+     */
+    function getReserveDeficit(address asset) external view returns (uint256 deficit, uint256 cumulative) {
+        return (reserves[asset].deficit, cumulativeDeficit[asset]);
+    }
+
     /**
      * @dev Manually updates the interest for a specific asset
      * @param asset The asset to update interest for
@@ -791,485 +510,127 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
 
 
 
-    // ============ Internal Functions ============
-    
-    /**
-     * @dev Calculates the current liquidity index without updating state
-     * @param reserve The reserve data
-     * @param asset The asset address (needed for real-time rate calculation)
-     * @return The current liquidity index including accrued interest
-     */
-    function _getCurrentLiquidityIndex(ReserveData storage reserve, address asset) internal view returns (uint256) {
-        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
-        if (scaledVariableDebt == 0) {
-            return reserve.liquidityIndex;
-        }
-        
-        // Use real-time dynamic rate instead of stored rate
-        uint256 currentDynamicRate = calculateCurrentVariableBorrowRate(asset);
-        
-        uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
-            currentDynamicRate,
-            reserve.lastUpdateTimestamp
-        );
-        uint256 currentVariableBorrowIndex = rayMul(reserve.variableBorrowIndex, cumulatedVariableBorrowInterest);
-        
-        uint256 totalDebt = rayMul(scaledVariableDebt, currentVariableBorrowIndex);
-        uint256 previousTotalDebt = rayMul(scaledVariableDebt, reserve.variableBorrowIndex);
-        uint256 debtIncrease = totalDebt - previousTotalDebt;
-        
-        uint256 protocolFee = rayMul(debtIncrease, wadToRay(protocolFeeRate * 1e14));
-        
-        if (reserve.scaledTotalSupply == 0) {
-            return reserve.liquidityIndex;
-        }
-        
-        uint256 liquidityIncrease = debtIncrease - protocolFee;
-        uint256 cumulatedLiquidityInterest = rayDiv(liquidityIncrease, reserve.scaledTotalSupply) + RAY;
-        return rayMul(reserve.liquidityIndex, cumulatedLiquidityInterest);
-    }
-    
-    /**
-     * @dev Calculates the current borrow index without updating state
-     * @param reserve The reserve data
-     * @param asset The asset address (needed for real-time rate calculation)
-     * @return The current variable borrow index including accrued interest
-     */
-    function _getCurrentBorrowIndex(ReserveData storage reserve, address asset) internal view returns (uint256) {
-        uint256 scaledVariableDebt = reserve.scaledTotalVariableDebt;
-        if (scaledVariableDebt == 0) {
-            return reserve.variableBorrowIndex;
-        }
-        
-        // Use real-time dynamic rate instead of stored rate
-        uint256 currentDynamicRate = calculateCurrentVariableBorrowRate(asset);
-        
-        uint256 cumulatedVariableBorrowInterest = calculateCompoundedInterest(
-            currentDynamicRate,
-            reserve.lastUpdateTimestamp
+    function getConfiguration(address asset) public view returns (
+        uint256 ltv,
+        uint256 liquidationThreshold,
+        uint256 liquidationBonus,
+        uint256 decimals,
+        bool usageAsCollateralEnabled
+    ) {
+        ReserveData storage reserve = reserves[asset];
+        return (
+            reserve.ltv,
+            reserve.liquidationThreshold,
+            reserve.liquidationBonus,
+            reserve.decimals,
+            reserve.canBeCollateral
         );
-        return rayMul(reserve.variableBorrowIndex, cumulatedVariableBorrowInterest);
     }
 
     /**
-     * @dev Calculates the current variable borrow rate based on utilization
-     * @param asset The asset address
-     * @return The current variable borrow rate (in Ray)
+     * @dev Returns the user's isolated collateral asset, or address(0) if the user is not in isolation mode
      */
-    function calculateCurrentVariableBorrowRate(address asset) public view returns (uint256) {
-        ReserveData storage reserve = reserves[asset];
-        InterestRateModel storage model = interestRateModels[asset];
-        
-        // Get current liquidity and debt
-        uint256 totalLiquidity = rayMul(reserve.scaledTotalSupply, reserve.liquidityIndex);
-        uint256 totalDebt = rayMul(reserve.scaledTotalVariableDebt, reserve.variableBorrowIndex);
-        
-        // If no debt or liquidity, return base rate
-        if (totalDebt == 0 || totalLiquidity == 0) {
-            return model.baseRatePerYear;
-        }
-        
-        // Calculate utilization rate using AAVE formula
-        uint256 utilizationRate = rayDiv(totalDebt, totalLiquidity);
-        
-        // Cap utilization rate at 100% for rate calculation
-        if (utilizationRate > RAY) {
-            utilizationRate = RAY; // 100%
-        }
-        
-        // Calculate interest rate based on utilization
-        if (utilizationRate <= model.kink) {
-            // Below kink: rate = baseRate + (utilizationRate * multiplier)
-            return model.baseRatePerYear + rayMul(utilizationRate, model.multiplierPerYear);
-        } else {
-            // Above kink: rate = baseRate + (kink * multiplier) + ((utilizationRate - kink) * jumpMultiplier)
-            uint256 normalRate = model.baseRatePerYear + rayMul(model.kink, model.multiplierPerYear);
-            uint256 excessUtil = utilizationRate - model.kink;
-            return normalRate + rayMul(excessUtil, model.jumpMultiplierPerYear);
-        }
+    function getUserIsolationMode(address user) external view returns (address isolatedCollateral) {
+        (, isolatedCollateral) = _getCollateralState(user);
     }
-    
+
+    // ============ Aggregated Views (LendingDataProvider) ============
+
     /**
-     * @dev Gets the current utilization rate for an asset
-     * @param asset The asset address
-     * @return utilizationRate The utilization rate (in Ray)
+     * @dev Per-asset positions of a user, see LendingDataProvider.getUserAccountDataDetailed
      */
-    function getUtilizationRate(address asset) public view returns (uint256) {
-        ReserveData storage reserve = reserves[asset];
-        
-        uint256 totalLiquidity = rayMul(reserve.scaledTotalSupply, reserve.liquidityIndex);
-        uint256 totalDebt = rayMul(reserve.scaledTotalVariableDebt, reserve.variableBorrowIndex);
-        
-        if (totalDebt == 0 || totalLiquidity == 0) {
-            return 0;
-        }
-        
-        // ✅ AAVE正确公式：利用率 = 总借款 / 总存款
-        uint256 utilizationRate = rayDiv(totalDebt, totalLiquidity);
-        
-        // Cap at 100% for consistency  
-        if (utilizationRate > RAY) {
-            utilizationRate = RAY; // 100%
-        }
-        
-        return utilizationRate;
+    function getUserAccountDataDetailed(address /* user */) external view returns (
+        address[] memory /* assets */,
+        uint256[] memory /* supplyBalances */,
+        uint256[] memory /* borrowBalances */,
+        uint256[] memory /* fixedBorrowBalances */,
+        uint256[] memory /* supplyBalancesUSD */,
+        uint256[] memory /* borrowBalancesUSD */,
+        uint256[] memory /* fixedBorrowBalancesUSD */,
+        uint256 /* totalCollateralUSD */,
+        uint256 /* totalDebtUSD */,
+        uint256 /* healthFactor */
+    ) {
+        _forwardToDataProvider();
     }
 
     /**
-     * @dev Calculates the current liquidity (supply) rate
-     * @param asset The asset address
-     * @return The current liquidity rate (in Ray) - what suppliers earn
+     * @dev Current supply rate (Ray), see LendingDataProvider.calculateCurrentLiquidityRate
      */
-    function calculateCurrentLiquidityRate(address asset) public view returns (uint256) {
-        uint256 borrowRate = calculateCurrentVariableBorrowRate(asset);
-        uint256 utilizationRate = getUtilizationRate(asset);
-        
-        if (utilizationRate == 0) {
-            return 0;
-        }
-        
-        // Supply rate = Borrow rate × Utilization rate × (1 - Protocol fee rate)
-        uint256 grossSupplyRate = rayMul(borrowRate, utilizationRate);
-        uint256 protocolFeeDecimal = wadToRay(protocolFeeRate * 1e14); // Convert basis points to ray
-        uint256 netSupplyRate = rayMul(grossSupplyRate, RAY - protocolFeeDecimal);
-        
-        return netSupplyRate;
+    function calculateCurrentLiquidityRate(address /* asset */) external view returns (uint256) {
+        _forwardToDataProvider();
     }
 
     /**
-     * @dev Gets comprehensive rate information for an asset (Frontend helper)
-     * @param asset The asset address
-     * @return supplyRate The current supply/deposit rate (Ray format, annual)
-     * @return borrowRate The current variable borrow rate (Ray format, annual)  
-     * @return utilizationRate The current utilization rate (Ray format)
-     * @return supplyRatePercent Supply rate in percentage (2 decimals: 250 = 2.50%)
-     * @return borrowRatePercent Borrow rate in percentage (2 decimals: 1050 = 10.50%)
-     * @return utilizationPercent Utilization in percentage (2 decimals: 8250 = 82.50%)
+     * @dev Current rates of an asset, see LendingDataProvider.getAssetRates
      */
-    function getAssetRates(address asset) external view returns (
-        uint256 supplyRate,
-        uint256 borrowRate, 
-        uint256 utilizationRate,
-        uint256 supplyRatePercent,
-        uint256 borrowRatePercent,
-        uint256 utilizationPercent
+    function getAssetRates(address /* asset */) external view returns (
+        uint256 /* supplyRate */,
+        uint256 /* borrowRate */,
+        uint256 /* utilizationRate */,
+        uint256 /* supplyRatePercent */,
+        uint256 /* borrowRatePercent */,
+        uint256 /* utilizationPercent */
     ) {
-        require(reserves[asset].isActive, "Reserve not active");
-        
-        supplyRate = calculateCurrentLiquidityRate(asset);
-        borrowRate = calculateCurrentVariableBorrowRate(asset);
-        utilizationRate = getUtilizationRate(asset);
-        
-        // Convert to percentage with 2 decimal places (divide by 1e25, multiply by 10000)
-        // Ray (1e27) to percentage with 2 decimals: rate * 10000 / 1e25 = rate / 1e23
-        supplyRatePercent = supplyRate / 1e23;
-        borrowRatePercent = borrowRate / 1e23; 
-        utilizationPercent = utilizationRate / 1e23;
+        _forwardToDataProvider();
     }
 
     /**
-     * @dev Gets rates for all active assets (Batch query for frontend)
-     * @return assets Array of asset addresses
-     * @return supplyRates Array of supply rates (percentage with 2 decimals)
-     * @return borrowRates Array of borrow rates (percentage with 2 decimals)
-     * @return utilizationRates Array of utilization rates (percentage with 2 decimals)
+     * @dev Rates of all reserves, see LendingDataProvider.getAllAssetRates
      */
     function getAllAssetRates() external view returns (
-        address[] memory assets,
-        uint256[] memory supplyRates,
-        uint256[] memory borrowRates,
-        uint256[] memory utilizationRates
+        address[] memory /* assets */,
+        uint256[] memory /* supplyRates */,
+        uint256[] memory /* borrowRates */,
+        uint256[] memory /* utilizationRates */
     ) {
-        uint256 activeCount = 0;
-        
-        // Count active reserves
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            if (reserves[reservesList[i]].isActive) {
-                activeCount++;
-            }
-        }
-        
-        // Initialize arrays
-        assets = new address[](activeCount);
-        supplyRates = new uint256[](activeCount);
-        borrowRates = new uint256[](activeCount);
-        utilizationRates = new uint256[](activeCount);
-        
-        // Fill arrays
-        uint256 index = 0;
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            if (reserves[asset].isActive) {
-                assets[index] = asset;
-                
-                uint256 supplyRate = calculateCurrentLiquidityRate(asset);
-                uint256 borrowRate = calculateCurrentVariableBorrowRate(asset);
-                uint256 utilizationRate = getUtilizationRate(asset);
-                
-                // Convert to percentage with 2 decimal places
-                supplyRates[index] = supplyRate / 1e23;
-                borrowRates[index] = borrowRate / 1e23;
-                utilizationRates[index] = utilizationRate / 1e23;
-                
-                index++;
-            }
-        }
+        _forwardToDataProvider();
     }
 
-    function _getUserAccountData(
-        address user
-    )
-        internal 
-        view 
-        returns (
-            uint256 totalCollateralBase,
-            uint256 totalDebtBase,
-            uint256 availableBorrowsBase,
-            uint256 currentLiquidationThreshold,
-            uint256 ltv,
-            uint256 healthFactor
-        ) 
-    {
-        UserData storage userData = users[user];
-        
-        if (reservesList.length == 0) {
-            return (0, 0, 0, 0, 0, type(uint256).max);
-        }
-
-        uint256 avgLtv;
-        uint256 avgLiquidationThreshold;
-        uint256 totalCollateralForLTV; // ✅ 新增：只计算启用作为抵押品的资产总价值
-        
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address currentReserveAddress = reservesList[i];
-            ReserveData storage currentReserve = reserves[currentReserveAddress];
-            
-            if (!currentReserve.isActive) continue;
-            
-            (uint256 ltv, uint256 liquidationThreshold, , , ) = getConfiguration(currentReserveAddress);
-            
-            uint256 tokenUnit = 10**currentReserve.decimals;
-            uint256 price = assetPrices[currentReserveAddress];
-            
-            if (userData.scaledBalance[currentReserveAddress] != 0) {
-                uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(currentReserve, currentReserveAddress);
-                uint256 balance = rayMul(userData.scaledBalance[currentReserveAddress], currentLiquidityIndex);
-                uint256 balanceInBaseCurrency = (price * balance) / tokenUnit;
-                totalCollateralBase += balanceInBaseCurrency;
-                
-                if (userData.usageAsCollateralEnabled[currentReserveAddress]) {
-                    totalCollateralForLTV += balanceInBaseCurrency; // ✅ 只累计启用作为抵押品的资产
-                    avgLtv += balanceInBaseCurrency * ltv;
-                    avgLiquidationThreshold += balanceInBaseCurrency * liquidationThreshold;
-                }
-            }
-            
-            if (userData.scaledVariableDebt[currentReserveAddress] != 0) {
-                uint256 currentBorrowIndex = _getCurrentBorrowIndex(currentReserve, currentReserveAddress);
-                uint256 debt = rayMul(userData.scaledVariableDebt[currentReserveAddress], currentBorrowIndex);
-                uint256 debtInBaseCurrency = (price * debt) / tokenUnit;
-                totalDebtBase += debtInBaseCurrency;
-            }
-        }
-        
-        // ✅ 修复：用正确的分母计算加权平均
-        if (totalCollateralForLTV > 0) {
-            avgLtv = avgLtv / totalCollateralForLTV;
-            avgLiquidationThreshold = avgLiquidationThreshold / totalCollateralForLTV;
-        }
-        
-        // ✅ 修复：基于启用作为抵押品的资产计算借贷能力
-        availableBorrowsBase = totalCollateralForLTV * avgLtv / BASIS_POINTS_FACTOR;
-        
-        if (availableBorrowsBase > totalDebtBase) {
-            availableBorrowsBase = availableBorrowsBase - totalDebtBase;
-        } else {
-            availableBorrowsBase = 0;
-        }
-        
-        // ✅ 修复：健康因子应该基于启用作为抵押品的资产，并使用正确的精度
-        healthFactor = totalDebtBase == 0
-            ? type(uint256).max
-            : (totalCollateralForLTV * avgLiquidationThreshold * 1e18) / (totalDebtBase * BASIS_POINTS_FACTOR);
-            
-        ltv = avgLtv;
-        currentLiquidationThreshold = avgLiquidationThreshold;
+    /**
+     * @dev Treasury fees of all reserves in USD, see LendingDataProvider.getTotalTreasuryFeesUSD
+     */
+    function getTotalTreasuryFeesUSD() external view returns (uint256) {
+        _forwardToDataProvider();
     }
 
-    function _calculateCollateralForLTV(address user) internal view returns (uint256) {
-        UserData storage userData = users[user];
-        uint256 totalCollateralForLTV = 0;
-        
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address currentReserveAddress = reservesList[i];
-            ReserveData storage currentReserve = reserves[currentReserveAddress];
-            
-            if (!currentReserve.isActive) continue;
-            
-            if (userData.scaledBalance[currentReserveAddress] != 0 && userData.usageAsCollateralEnabled[currentReserveAddress]) {
-                uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(currentReserve, currentReserveAddress);
-                uint256 balance = rayMul(userData.scaledBalance[currentReserveAddress], currentLiquidityIndex);
-                uint256 balanceInBaseCurrency = (assetPrices[currentReserveAddress] * balance) / (10**currentReserve.decimals);
-                totalCollateralForLTV += balanceInBaseCurrency;
+    /**
+     * @dev Answers the call with dataProvider's result for the same calldata, without decoding it
+     */
+    function _forwardToDataProvider() internal view {
+        address provider = address(dataProvider);
+        assembly ("memory-safe") {
+            let ptr := mload(0x40)
+            calldatacopy(ptr, 0, calldatasize())
+            let ok := staticcall(gas(), provider, ptr, calldatasize(), 0, 0)
+            returndatacopy(ptr, 0, returndatasize())
+            if iszero(ok) {
+                revert(ptr, returndatasize())
             }
+            return(ptr, returndatasize())
         }
-        
-        return totalCollateralForLTV;
-    }
-
-
-
-
-
-    function _validateBorrow(
-        address asset,
-        address user,
-        uint256 amount
-    ) internal view {
-        (, uint256 totalDebtBase, uint256 availableBorrowsBase, , , uint256 healthFactor) = _getUserAccountData(user);
-        
-        // Check if borrowing capacity exists (collateral enabled)
-        require(availableBorrowsBase > 0, "No borrowing capacity - ensure collateral assets are enabled");
-        
-        uint256 amountInBaseCurrency = (assetPrices[asset] * amount) / (10**reserves[asset].decimals);
-        require(amountInBaseCurrency <= availableBorrowsBase, "Amount exceeds borrowing capacity");
-        
-        // 健康因子检查
-        if (totalDebtBase > 0) {
-            require(healthFactor > MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD, "Current health factor too low");
-        }
-    }
-
-    function _validateHealthFactorAfterWithdraw(
-        address asset,
-        address user,
-        uint256 amountToWithdraw
-    ) internal view {
-        (, , , , , uint256 healthFactorBeforeWithdraw) = _getUserAccountData(user);
-        
-        if (healthFactorBeforeWithdraw <= MIN_HEALTH_FACTOR_LIQUIDATION_THRESHOLD) {
-            revert("Health factor already too low");
-        }
-        
-        // Simulate withdrawal and check health factor
-        // This is a simplified version - in production, you'd want more detailed simulation
-        UserData storage userData = users[user];
-        ReserveData storage reserve = reserves[asset];
-        uint256 currentLiquidityIndex = _getCurrentLiquidityIndex(reserve, asset);
-        uint256 currentBalance = rayMul(userData.scaledBalance[asset], currentLiquidityIndex);
-        
-        if (amountToWithdraw == currentBalance) {
-            // Full withdrawal - need to check if health factor remains above threshold
-            // Implementation details would go here
-        }
-    }
-
-    function _calculateAvailableCollateralToLiquidate(
-        ReserveData storage collateralReserve,
-        ReserveData storage principalReserve,
-        address collateralAsset,
-        address principalAsset,
-        uint256 debtToCover,
-        uint256 userCollateralBalance,
-        uint256 healthFactor
-    ) internal view returns (uint256, uint256) {
-        uint256 liquidationBonus = collateralReserve.liquidationBonus;
-        
-        uint256 maxAmountCollateralToLiquidate = ((debtToCover * assetPrices[principalAsset] * (BASIS_POINTS_FACTOR + liquidationBonus)) /
-            assetPrices[collateralAsset]) /
-            BASIS_POINTS_FACTOR;
-            
-        if (maxAmountCollateralToLiquidate > userCollateralBalance) {
-            return (
-                (userCollateralBalance * assetPrices[collateralAsset] * BASIS_POINTS_FACTOR) /
-                (assetPrices[principalAsset] * (BASIS_POINTS_FACTOR + liquidationBonus)),
-                liquidationBonus
-            );
-        } else {
-            return (debtToCover, liquidationBonus);
-        }
-    }
-
-    function _calculateLiquidationAmount(
-        uint256 debtToCover,
-        uint256 debtAssetPrice,
-        uint256 collateralAssetPrice,
-        uint256 liquidationBonus,
-        uint256 debtAssetDecimals,
-        uint256 collateralAssetDecimals
-    ) internal pure returns (uint256) {
-        uint256 collateralValue = (debtToCover * debtAssetPrice * (BASIS_POINTS_FACTOR + liquidationBonus)) / BASIS_POINTS_FACTOR;
-        
-        uint256 collateralAmount = (collateralValue * (10**collateralAssetDecimals)) / 
-                                  (collateralAssetPrice * (10**debtAssetDecimals));
-        
-        return collateralAmount;
     }
 
-    function _handleBadDebtCleanup(address user) internal {
-        // Check if user has zero collateral but non-zero debt
-        UserData storage userData = users[user];
-        bool hasCollateral = false;
-        bool hasDebt = false;
-        
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            ReserveData storage reserve = reserves[asset];
-            
-            if (userData.scaledBalance[asset] > 0) {
-                uint256 balance = rayMul(userData.scaledBalance[asset], reserve.liquidityIndex);
-                if (balance > 0) {
-                    hasCollateral = true;
-                }
-            }
-            
-            if (userData.scaledVariableDebt[asset] > 0) {
-                uint256 debt = rayMul(userData.scaledVariableDebt[asset], reserve.variableBorrowIndex);
-                if (debt > 0) {
-                    hasDebt = true;
-                }
-            }
-        }
-        
-        // If user has debt but no collateral, burn the debt and record as deficit
-        if (hasDebt && !hasCollateral) {
-            for (uint256 i = 0; i < reservesList.length; i++) {
-                address asset = reservesList[i];
-                ReserveData storage reserve = reserves[asset];
-                
-                if (userData.scaledVariableDebt[asset] > 0) {
-                    uint256 debtAmount = rayMul(userData.scaledVariableDebt[asset], reserve.variableBorrowIndex);
-                    
-                    // Record as deficit
-                    reserve.deficit += debtAmount;
-                    
-                    // Burn the debt
-                    reserve.scaledTotalVariableDebt -= userData.scaledVariableDebt[asset];
-                    userData.scaledVariableDebt[asset] = 0;
-                }
-            }
-        }
+    // ============ Admin Functions ============
+    
+    /**
+     * @dev Sets the price oracle (e.g. a CompositeOracle); address(0) falls back to the owner-set assetPrices
+     */
+    function setPriceOracle(address newOracle) external onlyOwner {
+        address oldOracle = address(priceOracle);
+        priceOracle = IPriceOracle(newOracle);
+        emit PriceOracleUpdated(oldOracle, newOracle);
     }
 
-    function getConfiguration(address asset) public view returns (
-        uint256 ltv,
-        uint256 liquidationThreshold,
-        uint256 liquidationBonus,
-        uint256 decimals,
-        bool usageAsCollateralEnabled
-    ) {
-        ReserveData storage reserve = reserves[asset];
-        return (
-            reserve.ltv,
-            reserve.liquidationThreshold,
-            reserve.liquidationBonus,
-            reserve.decimals,
-            reserve.canBeCollateral
-        );
+    /**
+     * @dev Sets how old (seconds) an oracle or e-mode price source observation may be before prices revert
+     */
+    function setMaxPriceAge(uint256 newMaxPriceAge) external onlyOwner {
+        require(newMaxPriceAge > 0, "Invalid max price age");
+        maxPriceAge = newMaxPriceAge;
+        emit MaxPriceAgeUpdated(newMaxPriceAge);
     }
 
-    // ============ Admin Functions ============
-    
     /**
      * @dev Updates asset price
      */
@@ -1293,36 +654,86 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
     }
     
     /**
-     * @dev Sets the configuration of the reserve (risk parameters only)
-     * @dev Use setInterestRateModel() to change interest rates
+     * @dev Creates or updates an e-mode category
+     * @param categoryId Category id (1-255)
+     * @param priceSource Optional IPriceOracle for the category's assets (address(0) = regular price)
      */
-    function setReserveConfiguration(
-        address asset,
+    function setEModeCategory(
+        uint8 categoryId,
         uint256 ltv,
         uint256 liquidationThreshold,
-        uint256 liquidationBonus
+        uint256 liquidationBonus,
+        address priceSource,
+        string calldata label
     ) external onlyOwner {
+        require(categoryId != 0, "Invalid category");
         require(ltv <= liquidationThreshold, "LTV must be <= liquidation threshold");
-        require(liquidationThreshold <= BASIS_POINTS_FACTOR, "Invalid liquidation threshold");
+        require(liquidationThreshold > 0 && liquidationThreshold <= BASIS_POINTS_FACTOR, "Invalid liquidation threshold");
         require(liquidationBonus <= BASIS_POINTS_FACTOR, "Invalid liquidation bonus");
-        require(reserves[asset].isActive, "Reserve not active");
         
+        eModeCategories[categoryId] = EModeCategory({
+            ltv: ltv,
+            liquidationThreshold: liquidationThreshold,
+            liquidationBonus: liquidationBonus,
+            priceSource: priceSource
+        });
+        
+        emit EModeCategoryUpdated(categoryId, ltv, liquidationThreshold, liquidationBonus, priceSource, label);
+    }
+
+    /**
+     * @dev Assigns a reserve to an e-mode category (0 removes it)
+     */
+    function setReserveEModeCategory(address asset, uint8 categoryId) external onlyOwner onlyValidReserve(asset) {
+        require(categoryId == 0 || eModeCategories[categoryId].liquidationThreshold != 0, "Category not configured");
+        reserveEModeCategory[asset] = categoryId;
+        
+        emit ReserveEModeCategoryUpdated(asset, categoryId);
+    }
+
+    /**
+     * @dev Sets supply and borrow caps in asset units (0 = no cap)
+     */
+    function setReserveCaps(address asset, uint256 supplyCap, uint256 borrowCap) external onlyOwner onlyValidReserve(asset) {
         ReserveData storage reserve = reserves[asset];
+        reserve.supplyCap = supplyCap;
+        reserve.borrowCap = borrowCap;
         
-        // Update state before changing configuration
-        updateState(reserve, asset);
+        emit ReserveCapsUpdated(asset, supplyCap, borrowCap);
+    }
+
+    /**
+     * @dev Configures isolation mode for a reserve
+     * @param debtCeiling Max debt (WAD units of the borrowed assets) backed by this asset as collateral; 0 disables isolation
+     * @param borrowableInIsolation Whether users with isolated collateral may borrow this asset
+     */
+    function setReserveIsolation(
+        address asset,
+        uint256 debtCeiling,
+        bool borrowableInIsolation
+    ) external onlyOwner onlyValidReserve(asset) {
+        ReserveData storage reserve = reserves[asset];
+        // Existing suppliers may already combine this asset with other collateral
+        require(reserve.debtCeiling != 0 || debtCeiling == 0 || reserve.scaledTotalSupply == 0, "Reserve has suppliers");
         
-        reserve.ltv = ltv;
-        reserve.liquidationThreshold = liquidationThreshold;
-        reserve.liquidationBonus = liquidationBonus;
+        reserve.debtCeiling = debtCeiling;
+        reserve.borrowableInIsolation = borrowableInIsolation;
+        if (debtCeiling == 0 && reserve.isolationModeTotalDebt != 0) {
+            reserve.isolationModeTotalDebt = 0;
+            emit IsolationModeTotalDebtUpdated(asset, 0);
+        }
         
-        emit ReserveDataUpdated(
-            asset,
-            0, // No longer using fixed liquidity rate
-            reserve.currentVariableBorrowRate, // Keep current dynamic rate
-            reserve.liquidityIndex,
-            reserve.variableBorrowIndex
-        );
+        emit ReserveIsolationUpdated(asset, debtCeiling, borrowableInIsolation);
+    }
+
+    /**
+     * @dev Registers the receipt tokens of a reserve (address(0) detaches them)
+     */
+    function setReserveTokens(address asset, address aToken, address variableDebtToken) external onlyOwner onlyValidReserve(asset) {
+        aTokens[asset] = aToken;
+        variableDebtTokens[asset] = variableDebtToken;
+        
+        emit ReserveTokensUpdated(asset, aToken, variableDebtToken);
     }
 
     /**
@@ -1333,17 +744,34 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
     function withdrawTreasuryFees(address asset, address to) external onlyOwner {
         require(to != address(0), "Invalid recipient address");
         require(reserves[asset].isActive, "Reserve not active");
+        require(_withdrawTreasuryFees(asset, to) > 0, "No fees to withdraw");
+    }
+
+    /**
+     * @dev Withdraws all accumulated protocol fees across all assets
+     * @param to The address to send the fees to
+     */
+    function withdrawAllTreasuryFees(address to) external onlyOwner {
+        require(to != address(0), "Invalid recipient address");
         
+        for (uint256 i = 0; i < reservesList.length; i++) {
+            address asset = reservesList[i];
+            if (!reserves[asset].isActive || reserves[asset].accruedToTreasury == 0) continue;
+            _withdrawTreasuryFees(asset, to);
+        }
+    }
+
+    function _withdrawTreasuryFees(address asset, address to) internal returns (uint256 actualAmount) {
         ReserveData storage reserve = reserves[asset];
         
         // Update state to ensure latest fees are accrued
         updateState(reserve, asset);
         
         uint256 accruedAmount = reserve.accruedToTreasury;
-        require(accruedAmount > 0, "No fees to withdraw");
+        if (accruedAmount == 0) return 0;
         
         // Convert scaled amount to actual amount
-        uint256 actualAmount = rayMul(accruedAmount, reserve.liquidityIndex);
+        actualAmount = rayMul(accruedAmount, reserve.liquidityIndex);
         
         // Reset accrued treasury balance
         reserve.accruedToTreasury = 0;
@@ -1354,38 +782,6 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         emit TreasuryWithdraw(asset, actualAmount, to);
     }
 
-    /**
-     * @dev Withdraws all accumulated protocol fees across all assets
-     * @param to The address to send the fees to
-     */
-    function withdrawAllTreasuryFees(address to) external onlyOwner {
-        require(to != address(0), "Invalid recipient address");
-        
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            ReserveData storage reserve = reserves[asset];
-            
-            if (!reserve.isActive || reserve.accruedToTreasury == 0) continue;
-            
-            // Update state to ensure latest fees are accrued
-            updateState(reserve, asset);
-            
-            uint256 accruedAmount = reserve.accruedToTreasury;
-            if (accruedAmount == 0) continue;
-            
-            // Convert scaled amount to actual amount
-            uint256 actualAmount = rayMul(accruedAmount, reserve.liquidityIndex);
-            
-            // Reset accrued treasury balance
-            reserve.accruedToTreasury = 0;
-            
-            // Transfer the fees
-            IERC20(asset).safeTransfer(to, actualAmount);
-            
-            emit TreasuryWithdraw(asset, actualAmount, to);
-        }
-    }
-
     /**
      * @dev Gets the accumulated treasury fees for a specific asset
      * @param asset The asset to check
@@ -1399,78 +795,16 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
     }
 
     /**
-     * @dev Gets total treasury fees across all assets (in USD value)
-     * @return totalFeesUSD Total fees value in USD (18 decimal precision)
-     */
-    function getTotalTreasuryFeesUSD() external view returns (uint256 totalFeesUSD) {
-        for (uint256 i = 0; i < reservesList.length; i++) {
-            address asset = reservesList[i];
-            ReserveData storage reserve = reserves[asset];
-            
-            if (!reserve.isActive || reserve.accruedToTreasury == 0) continue;
-            
-            uint256 actualAmount = rayMul(reserve.accruedToTreasury, reserve.liquidityIndex);
-            uint256 tokenUnit = 10**reserve.decimals;
-            uint256 price = assetPrices[asset];
-            
-            totalFeesUSD += (price * actualAmount) / tokenUnit;
-        }
-    }
-
-    /**
-     * @dev Sets the protocol fee rate
-     * @param newRate The new fee rate in basis points (e.g., 1000 = 10%)
+     * @dev Sets the flash loan fee rate
+     * @param newRate The new fee rate in basis points (e.g., 9 = 0.09%)
      */
-    function setProtocolFeeRate(uint256 newRate) external onlyOwner {
-        require(newRate <= 5000, "Fee rate too high (max 50%)"); // Max 50%
+    function setFlashLoanFeeRate(uint256 newRate) external onlyOwner {
+        require(newRate <= MAX_FLASH_LOAN_FEE_RATE, "Fee rate too high (max 1%)");
         
-        uint256 oldRate = protocolFeeRate;
-        protocolFeeRate = newRate;
+        uint256 oldRate = flashLoanFeeRate;
+        flashLoanFeeRate = newRate;
         
-        emit ProtocolFeeRateUpdated(oldRate, newRate);
-    }
-
-    /**
-     * @dev Sets the interest rate model for an asset
-     * @param asset The asset address
-     * @param baseRatePerYear Base interest rate (Ray format)
-     * @param multiplierPerYear Slope 1 rate (Ray format) 
-     * @param jumpMultiplierPerYear Slope 2 rate (Ray format)
-     * @param kink Optimal utilization rate (Ray format)
-     */
-    function setInterestRateModel(
-        address asset,
-        uint256 baseRatePerYear,
-        uint256 multiplierPerYear,
-        uint256 jumpMultiplierPerYear,
-        uint256 kink
-    ) external onlyOwner {
-        require(reserves[asset].isActive, "Reserve not active");
-        require(kink <= RAY, "Invalid kink value");
-        require(baseRatePerYear <= RAY, "Invalid base rate");
-        
-        // Update state before changing rate model
-        ReserveData storage reserve = reserves[asset];
-        updateState(reserve, asset);
-        
-        interestRateModels[asset] = InterestRateModel({
-            baseRatePerYear: baseRatePerYear,
-            multiplierPerYear: multiplierPerYear,
-            jumpMultiplierPerYear: jumpMultiplierPerYear,
-            kink: kink
-        });
-        
-        // Update current rate immediately
-        uint256 newRate = calculateCurrentVariableBorrowRate(asset);
-        reserve.currentVariableBorrowRate = newRate;
-        
-        emit ReserveDataUpdated(
-            asset,
-            0,
-            newRate,
-            reserve.liquidityIndex,
-            reserve.variableBorrowIndex
-        );
+        emit FlashLoanFeeRateUpdated(oldRate, newRate);
     }
 
     /**
@@ -1496,6 +830,140 @@ contract LendingProtocol is Ownable, ReentrancyGuard, Pausable {
         );
     }
 
+    // ============ Deficit (LendingProtocolExtension) ============
+
+    /**
+     * @dev Sets the LendingBackstop receiving collateral seized from insolvent accounts (address(0): treasury)
+     */
+    function setBackstop(address /* newBackstop */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Pays down a reserve's deficit, pulling at most the deficit from msg.sender; returns the amount covered
+     */
+    function coverDeficit(address /* asset */, uint256 /* amount */) external nonReentrant returns (uint256) {
+        return abi.decode(_delegateToExtension(), (uint256));
+    }
+
+    // ============ Parameter Timelock (LendingProtocolExtension) ============
+
+    /**
+     * @dev Queues new risk parameters (ltv, liquidationThreshold, liquidationBonus) for a reserve
+     */
+    function proposeReserveConfiguration(
+        address /* asset */,
+        uint256 /* ltv */,
+        uint256 /* liquidationThreshold */,
+        uint256 /* liquidationBonus */
+    ) external {
+        _delegateToExtension();
+    }
+
+    function executeReserveConfiguration(address /* asset */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Queues a new interest rate model (Ray values) for a reserve
+     */
+    function proposeInterestRateModel(
+        address /* asset */,
+        uint256 /* baseRatePerYear */,
+        uint256 /* multiplierPerYear */,
+        uint256 /* jumpMultiplierPerYear */,
+        uint256 /* kink */
+    ) external {
+        _delegateToExtension();
+    }
+
+    function executeInterestRateModel(address /* asset */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Queues a new protocol fee rate (basis points, max MAX_PROTOCOL_FEE_RATE)
+     */
+    function proposeProtocolFeeRate(uint256 /* newRate */) external {
+        _delegateToExtension();
+    }
+
+    function executeProtocolFeeRate() external {
+        _delegateToExtension();
+    }
+
+    function proposeTimelockDelay(uint256 /* delay */) external {
+        _delegateToExtension();
+    }
+
+    function executeTimelockDelay() external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Cancels a queued change; asset is address(0) for PROTOCOL_FEE_RATE and TIMELOCK_DELAY
+     */
+    function cancelPendingChange(bytes32 /* param */, address /* asset */) external {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Lists every queued parameter change
+     */
+    function getPendingChanges() external view returns (PendingChange[] memory changes) {
+        changes = new PendingChange[](pendingKeys.length);
+        for (uint256 i = 0; i < pendingKeys.length; i++) {
+            changes[i] = pendingChanges[pendingKeys[i]];
+        }
+    }
+
+    // ============ Fixed-Term Loans (LendingProtocolExtension) ============
+
+    /**
+     * @dev Borrows at a rate locked until maturity (variable rate after the borrow + the reserve premium);
+     * like borrow(), funds go to msg.sender and onBehalfOf must have delegated an allowance
+     */
+    function borrowFixed(
+        address /* asset */,
+        uint256 /* amount */,
+        uint256 /* term */,
+        address /* onBehalfOf */
+    ) external nonReentrant {
+        _delegateToExtension();
+    }
+
+    /**
+     * @dev Repays a fixed-term loan (use type(uint256).max to repay all); returns the amount repaid
+     */
+    function repayFixed(
+        address /* asset */,
+        uint256 /* amount */,
+        address /* onBehalfOf */
+    ) external nonReentrant returns (uint256) {
+        return abi.decode(_delegateToExtension(), (uint256));
+    }
+
+    /**
+     * @dev Converts a matured loan into variable debt, or reprices it while utilization is above the
+     * reserve's rebalance threshold and its rate is below the variable rate. Callable by anyone.
+     */
+    function rebalanceFixedLoan(address /* user */, address /* asset */) external nonReentrant {
+        _delegateToExtension();
+    }
+
+    function setFixedRateConfig(
+        address /* asset */,
+        bool /* enabled */,
+        uint256 /* premium */,
+        uint256 /* rebalanceUtilization */
+    ) external {
+        _delegateToExtension();
+    }
+
+    function _delegateToExtension() internal returns (bytes memory) {
+        return Address.functionDelegateCall(extension, msg.data);
+    }
+
     // ============ Emergency Functions ============
     
     function pause() external onlyOwner {
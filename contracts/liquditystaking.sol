@@ -11,6 +11,8 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/token/ERC1155/extensions/ERC1155Supply.sol";
 import "./interfaces/IXDCValidator.sol";
 import "./interfaces/IKYCVerifier.sol";
+import "./interfaces/IWithdrawalNFTDescriptor.sol";
+import "./interfaces/IAllocationStrategy.sol";
 import "./WXDC.sol";
 import "./RewardsVault.sol";
 import "@openzeppelin/contracts/interfaces/IERC4626.sol";
@@ -60,6 +62,12 @@ contract bXDC is ERC4626, AccessControl {
         _burn(from, amount);
     }
 
+    /// @dev Burn on behalf of `from`, spending `spender`'s allowance unless spender is the holder (ERC4626 redeem)
+    function burnFrom(address from, address spender, uint256 amount) external onlyStakingPool {
+        if (from != spender) _spendAllowance(from, spender, amount);
+        _burn(from, amount);
+    }
+
     /// @dev Use staking pool for deposits
     function deposit(uint256, address) public pure override returns (uint256) {
         revert("Use XDCLiquidityStaking.deposit or stake");
@@ -81,6 +89,11 @@ interface IXDCVault {
 contract WithdrawalRequestNFT is ERC1155Supply, AccessControl {
     bytes32 public constant STAKING_POOL_ROLE = keccak256("STAKING_POOL_ROLE");
     address public stakingPool;
+    IWithdrawalNFTDescriptor public descriptor;
+
+    /// @dev Batch ids each address holds a balance of
+    mapping(address => uint256[]) public heldBatches;
+    mapping(address => mapping(uint256 => uint256)) private heldBatchIndex; // index + 1, 0 = not held
 
     modifier onlyStakingPool() {
         require(msg.sender == stakingPool, "Only staking pool");
@@ -114,8 +127,46 @@ contract WithdrawalRequestNFT is ERC1155Supply, AccessControl {
         _burn(from, id, amount);
     }
 
-    function uri(uint256) public pure override returns (string memory) {
-        return "ipfs://withdrawal-request";
+    function setDescriptor(address _descriptor) external onlyStakingPool {
+        descriptor = IWithdrawalNFTDescriptor(_descriptor);
+        emit DescriptorSet(_descriptor);
+    }
+
+    event DescriptorSet(address indexed descriptor);
+
+    /// @dev On-chain JSON/SVG metadata from the descriptor; placeholder until one is set
+    function uri(uint256 id) public view override returns (string memory) {
+        if (address(descriptor) == address(0)) return "ipfs://withdrawal-request";
+        return descriptor.uri(id);
+    }
+
+    function getHeldBatches(address holder) external view returns (uint256[] memory) {
+        return heldBatches[holder];
+    }
+
+    /// @dev Keeps per-holder batch lists correct on every mint/burn/transfer
+    function _update(address from, address to, uint256[] memory ids, uint256[] memory values) internal override {
+        super._update(from, to, ids, values);
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (from != address(0) && balanceOf(from, ids[i]) == 0) {
+                _removeHeldBatch(from, ids[i]);
+            }
+            if (to != address(0) && heldBatchIndex[to][ids[i]] == 0) {
+                heldBatches[to].push(ids[i]);
+                heldBatchIndex[to][ids[i]] = heldBatches[to].length;
+            }
+        }
+    }
+
+    function _removeHeldBatch(address holder, uint256 batchId) internal {
+        uint256 index = heldBatchIndex[holder][batchId];
+        if (index == 0) return;
+        uint256[] storage batches = heldBatches[holder];
+        uint256 last = batches[batches.length - 1];
+        batches[index - 1] = last;
+        heldBatchIndex[holder][last] = index;
+        batches.pop();
+        delete heldBatchIndex[holder][batchId];
     }
 }
 
@@ -150,17 +201,19 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     uint256 public instantExitBuffer;
 
     mapping(uint256 => WithdrawalBatch) public withdrawalBatches;
-    mapping(address => uint256[]) public userWithdrawalBatches;
 
     struct WithdrawalBatch {
         uint256 xdcAmount;
         uint256 unlockBlock;
         bool redeemed;
+        uint256 bxdcAmount;
     }
 
     mapping(address => bool) public operators;
     address[] public operatorList;
     mapping(address => address[]) public masternodeOperators;
+    mapping(address => uint256) public operatorStake;
+    IAllocationStrategy public allocationStrategy;
 
     uint256 public minStakeAmount = 1 ether;
     uint256 public minWithdrawAmount = 0.1 ether;
@@ -171,10 +224,19 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     address public lendingProtocol;
     uint256 public bufferLendingLimit = 0;
 
+    /// @dev Fee recipient: receives protocolFeeBps of each harvest as newly minted bXDC
+    address public treasury;
+    uint256 public protocolFeeBps;
+    uint256 public constant MAX_PROTOCOL_FEE_BPS = 2_000;
+    /// @dev Lifetime fees taken, in XDC at harvest time and in bXDC shares minted
+    uint256 public totalProtocolFees;
+    uint256 public totalProtocolFeeShares;
+
     uint256 public timelockDelay = 1 days;
     uint256 public emergencyTimelockDelay = 1 hours;
 
     mapping(bytes32 => PendingChange) public pendingChanges;
+    bytes32[] private pendingKeys;
     uint256 public pendingPauseAt;
     uint256 public pendingUnpauseAt;
 
@@ -192,15 +254,20 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     event WithdrawalRedeemed(uint256 indexed batchId, address indexed user, uint256 xdcAmount);
     event WithdrawalNFTMinted(uint256 indexed batchId, address indexed user, uint256 xdcAmount);
     event MasternodeProposed(address indexed operator, uint256 amount);
+    event MasternodeVoted(address indexed operator, uint256 amount);
+    event MasternodeUnvoted(address indexed operator, uint256 amount);
     event OperatorAdded(address indexed operator);
     event OperatorRemoved(address indexed operator);
     event RewardsHarvested(uint256 amount, uint256 newExchangeRate);
+    event ProtocolFeeMinted(address indexed treasury, uint256 amount, uint256 shares);
     event LSPKYCSubmitted(string kycHash);
     event InstantExit(address indexed user, uint256 xdcAmount);
     event ParameterProposed(bytes32 indexed param, uint256 value, uint256 executableAt);
     event ParameterChanged(bytes32 indexed param, uint256 value);
     event AddressParameterProposed(bytes32 indexed param, address value, uint256 executableAt);
     event AddressParameterChanged(bytes32 indexed param, address value);
+    event ParameterProposalCancelled(bytes32 indexed param);
+    event RedeemRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 shares);
     event MasternodeResigned(address indexed operator, uint256 amount);
     event InstantExitBufferToppedUp(uint256 amount);
 
@@ -230,6 +297,29 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
         emit AddressParameterChanged(keccak256("KYC_VERIFIER"), _verifier);
     }
 
+    function setWithdrawalNFTDescriptor(address _descriptor) external onlyRole(LSP_ADMIN_ROLE) {
+        withdrawalNFT.setDescriptor(_descriptor);
+        emit AddressParameterChanged(keccak256("WITHDRAWAL_NFT_DESCRIPTOR"), _descriptor);
+    }
+
+    /// @dev address(0) falls back to auto-proposing a masternode for the first available operator
+    function proposeAllocationStrategy(address _strategy) external onlyRole(LSP_ADMIN_ROLE) {
+        _proposeAddressChange(keccak256("ALLOCATION_STRATEGY"), _strategy);
+    }
+
+    function executeAllocationStrategy() external onlyRole(LSP_ADMIN_ROLE) {
+        allocationStrategy = IAllocationStrategy(_executeAddressChange(keccak256("ALLOCATION_STRATEGY")));
+    }
+
+    function proposeTreasury(address _treasury) external onlyRole(LSP_ADMIN_ROLE) {
+        require(_treasury != address(0), "Invalid treasury");
+        _proposeAddressChange(keccak256("TREASURY"), _treasury);
+    }
+
+    function executeTreasury() external onlyRole(LSP_ADMIN_ROLE) {
+        treasury = _executeAddressChange(keccak256("TREASURY"));
+    }
+
     function setLendingProtocol(address _lending, uint256 _limit) external onlyRole(LSP_ADMIN_ROLE) {
         lendingProtocol = _lending;
         bufferLendingLimit = _limit;
@@ -256,9 +346,7 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     }
 
     function _verifyOperatorKYC(address operator) internal view {
-        if (address(kycVerifier) != address(0)) {
-            require(kycVerifier.getHashCount(operator) >= 1, "Operator not KYC'd");
-        }
+        require(address(kycVerifier) == address(0) || kycVerifier.getHashCount(operator) >= 1, "Operator not KYC'd");
     }
 
     /// @dev Add operator - must have KYC verified first (operator submits KYC doc before eligibility)
@@ -288,17 +376,38 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     function harvestRewards() external nonReentrant {
         uint256 amount = rewardsVault.collectRewards();
         if (amount > 0) {
-            totalPooledXDC += amount;
-            emit RewardsHarvested(amount, getExchangeRate());
+            _distributeRewards(amount);
         }
     }
 
     /// @dev Permissionless - anyone can call, but only validator sends to RewardsVault in practice.
     /// Kept for backward compat if rewards sent to staking contract directly; use harvestRewards for RewardsVault.
-    function depositRewards() external payable {
+    function depositRewards() external payable nonReentrant {
         require(msg.value > 0, "Reward amount must be > 0");
-        totalPooledXDC += msg.value;
-        emit RewardsHarvested(msg.value, getExchangeRate());
+        _distributeRewards(msg.value);
+    }
+
+    /// @dev All rewards stay in the pool; the treasury is minted bXDC worth protocolFeeBps of them,
+    /// so holders' exchange rate rises by the rewards net of the fee
+    function _distributeRewards(uint256 amount) internal {
+        totalPooledXDC += amount;
+        uint256 fee = (amount * protocolFeeBps) / 10_000;
+        if (fee > 0) {
+            // shares / (supply + shares) = fee / totalPooledXDC
+            uint256 shares = (fee * bxdcToken.totalSupply()) / (totalPooledXDC - fee);
+            if (shares > 0) {
+                bxdcToken.mint(treasury, shares);
+                totalProtocolFees += fee;
+                totalProtocolFeeShares += shares;
+                emit ProtocolFeeMinted(treasury, fee, shares);
+            }
+        }
+        emit RewardsHarvested(amount, getExchangeRate());
+    }
+
+    /// @return fees lifetime fees in XDC, shares lifetime bXDC minted, treasuryValue current XDC value of the treasury's bXDC
+    function getProtocolFeeInfo() external view returns (uint256 fees, uint256 shares, uint256 treasuryValue) {
+        return (totalProtocolFees, totalProtocolFeeShares, getXDCBybXDC(bxdcToken.balanceOf(treasury)));
     }
 
     function addToInstantExitBuffer() external payable onlyRole(LSP_ADMIN_ROLE) {
@@ -308,125 +417,63 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
     }
 
     function proposeMinStakeAmount(uint256 amount) external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MIN_STAKE_AMOUNT");
-        pendingChanges[key] = PendingChange({
-            value: amount,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, amount, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("MIN_STAKE_AMOUNT"), amount);
     }
 
     function executeMinStakeAmount() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MIN_STAKE_AMOUNT");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        minStakeAmount = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        minStakeAmount = _executeChange(keccak256("MIN_STAKE_AMOUNT"));
     }
 
     function proposeMinWithdrawAmount(uint256 amount) external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MIN_WITHDRAW_AMOUNT");
-        pendingChanges[key] = PendingChange({
-            value: amount,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, amount, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("MIN_WITHDRAW_AMOUNT"), amount);
     }
 
     function executeMinWithdrawAmount() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MIN_WITHDRAW_AMOUNT");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        minWithdrawAmount = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        minWithdrawAmount = _executeChange(keccak256("MIN_WITHDRAW_AMOUNT"));
     }
 
     function proposeWithdrawDelayBlocks(uint256 blocks) external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("WITHDRAW_DELAY_BLOCKS");
-        pendingChanges[key] = PendingChange({
-            value: blocks,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, blocks, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("WITHDRAW_DELAY_BLOCKS"), blocks);
     }
 
     function executeWithdrawDelayBlocks() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("WITHDRAW_DELAY_BLOCKS");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        withdrawDelayBlocks = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        withdrawDelayBlocks = _executeChange(keccak256("WITHDRAW_DELAY_BLOCKS"));
     }
 
     function proposeMaxWithdrawablePercentage(uint256 pct) external onlyRole(LSP_ADMIN_ROLE) {
         require(pct <= 100, "Invalid percentage");
-        bytes32 key = keccak256("MAX_WITHDRAWABLE_PERCENTAGE");
-        pendingChanges[key] = PendingChange({
-            value: pct,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, pct, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("MAX_WITHDRAWABLE_PERCENTAGE"), pct);
     }
 
     function executeMaxWithdrawablePercentage() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MAX_WITHDRAWABLE_PERCENTAGE");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        maxWithdrawablePercentage = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        maxWithdrawablePercentage = _executeChange(keccak256("MAX_WITHDRAWABLE_PERCENTAGE"));
     }
 
     function proposeMasternodeStakeAmount(uint256 amount) external onlyRole(LSP_ADMIN_ROLE) {
         require(amount >= DEFAULT_MASTERNODE_CAP, "Below min masternode cap");
-        bytes32 key = keccak256("MASTERNODE_STAKE_AMOUNT");
-        pendingChanges[key] = PendingChange({
-            value: amount,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, amount, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("MASTERNODE_STAKE_AMOUNT"), amount);
     }
 
     function executeMasternodeStakeAmount() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("MASTERNODE_STAKE_AMOUNT");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        masternodeStakeAmount = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        masternodeStakeAmount = _executeChange(keccak256("MASTERNODE_STAKE_AMOUNT"));
+    }
+
+    function proposeProtocolFeeBps(uint256 feeBps) external onlyRole(LSP_ADMIN_ROLE) {
+        require(feeBps <= MAX_PROTOCOL_FEE_BPS, "Fee too high");
+        require(feeBps == 0 || treasury != address(0), "Invalid treasury");
+        _proposeChange(keccak256("PROTOCOL_FEE_BPS"), feeBps);
+    }
+
+    function executeProtocolFeeBps() external onlyRole(LSP_ADMIN_ROLE) {
+        protocolFeeBps = _executeChange(keccak256("PROTOCOL_FEE_BPS"));
     }
 
     function proposeTimelockDelay(uint256 delay) external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("TIMELOCK_DELAY");
-        pendingChanges[key] = PendingChange({
-            value: delay,
-            executableAt: block.timestamp + timelockDelay,
-            isAddress: false,
-            addressValue: address(0)
-        });
-        emit ParameterProposed(key, delay, block.timestamp + timelockDelay);
+        _proposeChange(keccak256("TIMELOCK_DELAY"), delay);
     }
 
     function executeTimelockDelay() external onlyRole(LSP_ADMIN_ROLE) {
-        bytes32 key = keccak256("TIMELOCK_DELAY");
-        PendingChange storage pc = pendingChanges[key];
-        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
-        timelockDelay = pc.value;
-        delete pendingChanges[key];
-        emit ParameterChanged(key, pc.value);
+        timelockDelay = _executeChange(keccak256("TIMELOCK_DELAY"));
     }
 
     function proposePause() external onlyRole(LSP_ADMIN_ROLE) {
@@ -451,6 +498,95 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
         _unpause();
     }
 
+    /// @notice Cancels a queued proposal. `param` is the key emitted in ParameterProposed,
+    /// e.g. keccak256("MIN_STAKE_AMOUNT"), keccak256("PAUSE") or keccak256("UNPAUSE").
+    function cancelPendingChange(bytes32 param) external onlyRole(LSP_ADMIN_ROLE) {
+        if (param == keccak256("PAUSE")) {
+            require(pendingPauseAt > 0, "No pending change");
+            pendingPauseAt = 0;
+        } else if (param == keccak256("UNPAUSE")) {
+            require(pendingUnpauseAt > 0, "No pending change");
+            pendingUnpauseAt = 0;
+        } else {
+            require(pendingChanges[param].executableAt > 0, "No pending change");
+            _removePendingChange(param);
+        }
+        emit ParameterProposalCancelled(param);
+    }
+
+    /// @notice Lists every queued proposal, including pending pause/unpause (reported with value 1).
+    function getPendingChanges() external view returns (bytes32[] memory params, PendingChange[] memory changes) {
+        uint256 count = pendingKeys.length;
+        if (pendingPauseAt > 0) count++;
+        if (pendingUnpauseAt > 0) count++;
+        params = new bytes32[](count);
+        changes = new PendingChange[](count);
+
+        uint256 n;
+        for (; n < pendingKeys.length; n++) {
+            params[n] = pendingKeys[n];
+            changes[n] = pendingChanges[pendingKeys[n]];
+        }
+        if (pendingPauseAt > 0) {
+            params[n] = keccak256("PAUSE");
+            changes[n++] = PendingChange({value: 1, executableAt: pendingPauseAt, isAddress: false, addressValue: address(0)});
+        }
+        if (pendingUnpauseAt > 0) {
+            params[n] = keccak256("UNPAUSE");
+            changes[n] = PendingChange({value: 1, executableAt: pendingUnpauseAt, isAddress: false, addressValue: address(0)});
+        }
+    }
+
+    function _proposeChange(bytes32 key, uint256 value) internal {
+        emit ParameterProposed(key, value, _queueChange(key, value, false, address(0)));
+    }
+
+    function _proposeAddressChange(bytes32 key, address value) internal {
+        emit AddressParameterProposed(key, value, _queueChange(key, 0, true, value));
+    }
+
+    function _queueChange(bytes32 key, uint256 value, bool isAddress, address addressValue) internal returns (uint256 executableAt) {
+        if (pendingChanges[key].executableAt == 0) {
+            pendingKeys.push(key);
+        }
+        executableAt = block.timestamp + timelockDelay;
+        pendingChanges[key] = PendingChange({
+            value: value,
+            executableAt: executableAt,
+            isAddress: isAddress,
+            addressValue: addressValue
+        });
+    }
+
+    function _executeChange(bytes32 key) internal returns (uint256 value) {
+        value = _takeChange(key).value;
+        emit ParameterChanged(key, value);
+    }
+
+    function _executeAddressChange(bytes32 key) internal returns (address value) {
+        value = _takeChange(key).addressValue;
+        emit AddressParameterChanged(key, value);
+    }
+
+    /// @dev Returns the executable proposal for `key` and removes it from the queue
+    function _takeChange(bytes32 key) internal returns (PendingChange memory pc) {
+        pc = pendingChanges[key];
+        require(pc.executableAt > 0 && block.timestamp >= pc.executableAt, "Timelock not passed");
+        _removePendingChange(key);
+    }
+
+    function _removePendingChange(bytes32 key) internal {
+        delete pendingChanges[key];
+        uint256 len = pendingKeys.length;
+        for (uint256 i = 0; i < len; i++) {
+            if (pendingKeys[i] == key) {
+                pendingKeys[i] = pendingKeys[len - 1];
+                pendingKeys.pop();
+                break;
+            }
+        }
+    }
+
     function withdrawForValidator(uint256 amount) external onlyRole(LSP_ADMIN_ROLE) nonReentrant {
         require(amount > 0, "Amount must be > 0");
         uint256 balance = address(this).balance;
@@ -464,81 +600,133 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
 
     function proposeMasternode(address operator) external onlyRole(LSP_ADMIN_ROLE) nonReentrant whenNotPaused {
         require(lspKYCSubmitted, "LSP must submit KYC first");
-        require(operators[operator], "Operator not approved");
-        _verifyOperatorKYC(operator);
+        require(_isEligibleOperator(operator), "Operator not approved");
         require(!validator.isCandidate(operator), "Already candidate");
+        require(_idleBalance() >= masternodeStakeAmount, "Insufficient balance for masternode");
+        require(_tryStake(operator, masternodeStakeAmount, false), "Propose failed");
+    }
 
-        uint256 balance = address(this).balance;
-        require(balance >= masternodeStakeAmount, "Insufficient balance for masternode");
+    /// @dev Vote a sub-cap amount for an existing candidate run by an approved operator
+    function voteMasternode(address operator, uint256 amount) external onlyRole(LSP_ADMIN_ROLE) nonReentrant whenNotPaused {
+        require(_isEligibleOperator(operator), "Operator not approved");
+        require(validator.isCandidate(operator), "Not candidate");
+        require(amount <= _idleBalance(), "Insufficient balance");
+        require(_tryStake(operator, amount, true), "Vote failed");
+    }
 
-        validator.propose{value: masternodeStakeAmount}(operator);
-        totalStakedInMasternodes += masternodeStakeAmount;
-        masternodeOperators[operator].push(operator);
+    /// @dev Start unbonding part of the pool's vote; claim the XDC later with withdrawUnvoted
+    function unvoteMasternode(address operator, uint256 amount) external onlyRole(LSP_ADMIN_ROLE) nonReentrant {
+        require(amount > 0 && amount <= operatorStake[operator], "Invalid amount");
+        operatorStake[operator] -= amount;
+        totalStakedInMasternodes -= amount;
+        validator.unvote(operator, amount);
+        emit MasternodeUnvoted(operator, amount);
+    }
+
+    function withdrawUnvoted(uint256 blockNumber, uint256 index) external onlyRole(LSP_ADMIN_ROLE) nonReentrant {
+        validator.withdraw(blockNumber, index);
+    }
 
-        emit MasternodeProposed(operator, masternodeStakeAmount);
+    /// @dev Stake idle XDC (balance minus instant exit buffer and unbonding withdrawals) as the allocation strategy instructs
+    function allocateStake() external onlyRole(LSP_ADMIN_ROLE) nonReentrant whenNotPaused {
+        require(address(allocationStrategy) != address(0), "No allocation strategy");
+        (address[] memory targets, uint256[] memory amounts) = allocationStrategy.allocate(_idleBalance());
+        _executeAllocation(targets, amounts);
     }
 
-    /// @dev Stake native XDC - auto-deploys masternode when 10mil+ and KYC operator ready
+    /// @dev Stake native XDC - auto-deploys masternode when 10mil+ and KYC operator ready (only without an allocation strategy)
     function stake() external payable nonReentrant whenNotPaused {
         require(msg.value >= minStakeAmount, "Amount below minimum");
         uint256 shares = bxdcToken.previewDeposit(msg.value);
         require(shares > 0, "Invalid bXDC amount");
 
-        totalPooledXDC += msg.value;
-        bxdcToken.mint(msg.sender, shares);
+        _mintStake(msg.sender, msg.value, shares);
+    }
 
-        emit Staked(msg.sender, msg.value, shares, getExchangeRate());
+    function deposit(uint256 assets, address receiver) public nonReentrant whenNotPaused returns (uint256 shares) {
+        shares = bxdcToken.previewDeposit(assets);
+        _depositWXDC(receiver, assets, shares);
+    }
 
-        _tryAutoDeployMasternode();
+    function mint(uint256 shares, address receiver) public nonReentrant whenNotPaused returns (uint256 assets) {
+        assets = bxdcToken.previewMint(shares);
+        _depositWXDC(receiver, assets, shares);
     }
 
-    function deposit(uint256 assets, address receiver) public nonReentrant whenNotPaused returns (uint256) {
+    /// @dev ERC4626 deposit/mint: unwraps `assets` WXDC from the caller and stakes it for `receiver`
+    function _depositWXDC(address receiver, uint256 assets, uint256 shares) internal {
         require(assets >= minStakeAmount, "Amount below minimum");
         IERC20(address(wxdc)).safeTransferFrom(msg.sender, address(this), assets);
         wxdc.withdraw(assets);
-        totalPooledXDC += assets;
-        uint256 shares = bxdcToken.previewDeposit(assets);
-        bxdcToken.mint(receiver, shares);
         emit IERC4626.Deposit(msg.sender, receiver, assets, shares);
-        emit Staked(receiver, assets, shares, getExchangeRate());
-        _tryAutoDeployMasternode();
-        return shares;
+        _mintStake(receiver, assets, shares);
     }
 
-    function mint(uint256 shares, address receiver) public nonReentrant whenNotPaused returns (uint256) {
-        uint256 assets = bxdcToken.previewMint(shares);
-        require(assets >= minStakeAmount, "Amount below minimum");
-        IERC20(address(wxdc)).safeTransferFrom(msg.sender, address(this), assets);
-        wxdc.withdraw(assets);
+    function _mintStake(address receiver, uint256 assets, uint256 shares) internal {
         totalPooledXDC += assets;
         bxdcToken.mint(receiver, shares);
-        emit IERC4626.Deposit(msg.sender, receiver, assets, shares);
         emit Staked(receiver, assets, shares, getExchangeRate());
         _tryAutoDeployMasternode();
-        return assets;
     }
 
+    /// @dev Without an allocation strategy keeps the original behaviour of proposing one masternode.
+    /// With a strategy, deposits never call into it or the validator; a keeper runs allocateStake instead.
     function _tryAutoDeployMasternode() internal {
-        if (!lspKYCSubmitted || address(this).balance < masternodeStakeAmount) return;
+        if (address(allocationStrategy) != address(0)) return;
+        if (!lspKYCSubmitted || _idleBalance() < masternodeStakeAmount) return;
         for (uint256 i = 0; i < operatorList.length; i++) {
             address op = operatorList[i];
-            if (operators[op] && !validator.isCandidate(op) && address(this).balance >= masternodeStakeAmount) {
-                if (address(kycVerifier) != address(0) && kycVerifier.getHashCount(op) < 1) continue;
-                _proposeMasternodeInternal(op);
+            if (_isEligibleOperator(op) && !validator.isCandidate(op) && _tryStake(op, masternodeStakeAmount, false)) {
                 break;
             }
         }
     }
 
-    function _proposeMasternodeInternal(address operator) internal {
-        if (!lspKYCSubmitted || !operators[operator] || validator.isCandidate(operator)) return;
-        if (address(this).balance < masternodeStakeAmount) return;
-        if (address(kycVerifier) != address(0) && kycVerifier.getHashCount(operator) < 1) return;
+    /// @dev Skips entries the pool cannot execute: unapproved operators, non-candidates below
+    /// masternodeStakeAmount, votes below the validator's minVoterCap, amounts above idle balance,
+    /// entries past the shorter array and proposals/votes the validator rejects, so one bad entry
+    /// does not block the rest of the allocation.
+    function _executeAllocation(address[] memory targets, uint256[] memory amounts) internal {
+        uint256 idle = _idleBalance();
+        uint256 minVoterCap = validator.minVoterCap();
+        uint256 len = targets.length < amounts.length ? targets.length : amounts.length;
+        for (uint256 i = 0; i < len; i++) {
+            address op = targets[i];
+            uint256 amount = amounts[i];
+            if (amount == 0 || amount > idle || !_isEligibleOperator(op)) continue;
+            bool candidate = validator.isCandidate(op);
+            if (candidate ? amount < minVoterCap : !lspKYCSubmitted || amount < masternodeStakeAmount) continue;
+            if (_tryStake(op, amount, candidate)) idle -= amount;
+        }
+    }
+
+    /// @dev Votes `amount` for a candidate or proposes a new one; returns false if the validator reverts
+    function _tryStake(address operator, uint256 amount, bool candidate) internal returns (bool) {
+        bytes4 selector = candidate ? IXDCValidator.vote.selector : IXDCValidator.propose.selector;
+        (bool ok, ) = address(validator).call{value: amount}(abi.encodeWithSelector(selector, operator));
+        if (!ok) return false;
 
-        validator.propose{value: masternodeStakeAmount}(operator);
-        totalStakedInMasternodes += masternodeStakeAmount;
-        masternodeOperators[operator].push(operator);
-        emit MasternodeProposed(operator, masternodeStakeAmount);
+        totalStakedInMasternodes += amount;
+        operatorStake[operator] += amount;
+        if (candidate) {
+            emit MasternodeVoted(operator, amount);
+        } else {
+            masternodeOperators[operator].push(operator);
+            emit MasternodeProposed(operator, amount);
+        }
+        return true;
+    }
+
+    function _isEligibleOperator(address operator) internal view returns (bool) {
+        if (!operators[operator]) return false;
+        return address(kycVerifier) == address(0) || kycVerifier.getHashCount(operator) >= 1;
+    }
+
+    /// @dev XDC held by the pool that is not reserved for instant exits or owed to queued withdrawals
+    function _idleBalance() internal view returns (uint256) {
+        uint256 balance = address(this).balance;
+        uint256 reserved = instantExitBuffer + totalInUnbonding;
+        return balance > reserved ? balance - reserved : 0;
     }
 
     /// @dev Resign masternode - receive() updates totalStakedInMasternodes when XDC returns from validator
@@ -547,76 +735,142 @@ contract XDCLiquidityStaking is AccessControl, ReentrancyGuard, Pausable {
         uint256 cap = validator.getCandidateCap(operator);
         require(cap > 0, "No cap");
         pendingResignAmount = cap;
+        operatorStake[operator] = 0;
         validator.resign(operator);
         require(pendingResignAmount == 0, "Resign transfer failed");
         emit MasternodeResigned(operator, cap);
     }
 
-    function withdraw(uint256 bxdcAmount) external nonReentrant whenNotPaused {
-        require(bxdcAmount > 0, "Amount must be > 0");
-        require(bxdcToken.balanceOf(msg.sender) >= bxdcAmount, "Insufficient bXDC");
-        uint256 xdcAmount = bxdcToken.convertToAssets(bxdcAmount);
-        require(xdcAmount >= minWithdrawAmount, "Below min withdrawal");
+    /// @dev Redeems the caller's own `bxdcAmount` of bXDC shares, see redeem. Formerly `withdraw(uint256)`,
+    /// renamed so `withdraw` only means the ERC4626 asset-denominated call
+    function withdrawShares(uint256 bxdcAmount) external {
+        redeem(bxdcAmount, msg.sender, msg.sender);
+    }
 
-        bxdcToken.burn(msg.sender, bxdcAmount);
-        totalPooledXDC -= xdcAmount;
+    /// @dev ERC4626 withdraw: burns the bXDC worth `assets` (rounded up) from `owner`, paid out like redeem
+    function withdraw(uint256 assets, address receiver, address owner) external nonReentrant whenNotPaused returns (uint256 shares) {
+        require(assets > 0, "Amount must be > 0");
+        shares = bxdcToken.previewWithdraw(assets);
+        _exit(shares, assets, receiver, owner);
+    }
 
-        if (xdcAmount <= instantExitBuffer) {
-            instantExitBuffer -= xdcAmount;
-            (bool ok, ) = payable(msg.sender).call{value: xdcAmount}("");
-            require(ok, "Transfer failed");
-            emit InstantExit(msg.sender, xdcAmount);
-        } else {
-            uint256 batchId = nextWithdrawalBatchId++;
-            uint256 unlockBlock = block.number + withdrawDelayBlocks;
-            withdrawalBatches[batchId] = WithdrawalBatch({
-                xdcAmount: xdcAmount,
-                unlockBlock: unlockBlock,
-                redeemed: false
-            });
-            totalInUnbonding += xdcAmount;
-            userWithdrawalBatches[msg.sender].push(batchId);
-            withdrawalNFT.mint(msg.sender, batchId, xdcAmount);
-            emit WithdrawalNFTMinted(batchId, msg.sender, xdcAmount);
-        }
+    /// @dev ERC4626 redeem. Pays out instantly when the buffer covers it, otherwise `receiver`
+    /// gets a WithdrawalRequestNFT batch redeemable via redeemWithdrawal after unbonding.
+    function redeem(uint256 shares, address receiver, address owner) public nonReentrant whenNotPaused returns (uint256 assets) {
+        require(shares > 0, "Amount must be > 0");
+        assets = bxdcToken.convertToAssets(shares);
+        _exit(shares, assets, receiver, owner);
     }
 
-    function redeem(uint256 shares, address receiver, address owner) public nonReentrant whenNotPaused returns (uint256) {
+    /// @notice ERC-7540 style async redemption - always queues a WithdrawalRequestNFT batch for `controller`
+    /// @return requestId The batch id, claimable via redeemWithdrawal once unlocked
+    function requestRedeem(uint256 shares, address controller, address owner) external nonReentrant whenNotPaused returns (uint256 requestId) {
+        require(shares > 0, "Amount must be > 0");
         uint256 assets = bxdcToken.convertToAssets(shares);
-        require(assets <= instantExitBuffer, "Use withdraw for delayed redemption");
         require(assets >= minWithdrawAmount, "Below min withdrawal");
 
-        if (msg.sender != owner) {
-            IERC20(address(bxdcToken)).safeTransferFrom(owner, address(this), shares);
-            bxdcToken.burn(address(this), shares);
+        bxdcToken.burnFrom(owner, msg.sender, shares);
+        totalPooledXDC -= assets;
+        requestId = _queueWithdrawal(controller, shares, assets);
+        emit RedeemRequest(controller, owner, requestId, msg.sender, shares);
+    }
+
+    /// @notice bXDC shares of request `requestId` held by `controller` that are still unbonding
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return _requestShares(requestId, controller, false);
+    }
+
+    /// @notice bXDC shares of request `requestId` held by `controller` that can be redeemed now
+    function claimableRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return _requestShares(requestId, controller, true);
+    }
+
+    function _requestShares(uint256 requestId, address controller, bool claimable) internal view returns (uint256) {
+        WithdrawalBatch storage batch = withdrawalBatches[requestId];
+        if (batch.redeemed || (block.number >= batch.unlockBlock) != claimable) return 0;
+        return _batchShares(batch, withdrawalNFT.balanceOf(controller, requestId));
+    }
+
+    /// @dev Burns `shares` of `owner` (spending the caller's allowance) and pays `receiver` `assets` from the
+    /// instant exit buffer, or queues a withdrawal batch for `receiver` when the buffer is short.
+    function _exit(uint256 shares, uint256 assets, address receiver, address owner) internal {
+        require(assets >= minWithdrawAmount, "Below min withdrawal");
+
+        bxdcToken.burnFrom(owner, msg.sender, shares);
+        totalPooledXDC -= assets;
+
+        if (assets <= instantExitBuffer) {
+            instantExitBuffer -= assets;
+            (bool ok, ) = payable(receiver).call{value: assets}("");
+            require(ok, "Transfer failed");
+            emit IERC4626.Withdraw(msg.sender, receiver, owner, assets, shares);
+            emit InstantExit(receiver, assets);
         } else {
-            bxdcToken.burn(owner, shares);
+            _queueWithdrawal(receiver, shares, assets);
         }
-        totalPooledXDC -= assets;
-        instantExitBuffer -= assets;
+    }
 
-        (bool ok, ) = payable(receiver).call{value: assets}("");
-        require(ok, "Transfer failed");
+    function _queueWithdrawal(address to, uint256 shares, uint256 assets) internal returns (uint256 batchId) {
+        batchId = nextWithdrawalBatchId++;
+        withdrawalBatches[batchId] = WithdrawalBatch({
+            xdcAmount: assets,
+            unlockBlock: block.number + withdrawDelayBlocks,
+            redeemed: false,
+            bxdcAmount: shares
+        });
+        totalInUnbonding += assets;
+        withdrawalNFT.mint(to, batchId, assets);
+        emit WithdrawalRequested(batchId, to, shares, assets);
+        emit WithdrawalNFTMinted(batchId, to, assets);
+    }
 
-        emit IERC4626.Withdraw(msg.sender, receiver, owner, assets, shares);
-        emit InstantExit(receiver, assets);
-        return assets;
+    /// @dev bXDC shares represented by `xdcAmount` of a batch's NFT supply
+    function _batchShares(WithdrawalBatch storage batch, uint256 xdcAmount) internal view returns (uint256) {
+        if (batch.xdcAmount == 0) return 0;
+        return (xdcAmount * batch.bxdcAmount) / batch.xdcAmount;
     }
 
+    /// @dev Redeems the caller's whole balance of `batchId`. NFT units are XDC wei, so holders of a
+    /// fraction of a batch (e.g. after a transfer) each redeem their own part.
     function redeemWithdrawal(uint256 batchId) external nonReentrant {
         WithdrawalBatch storage batch = withdrawalBatches[batchId];
         require(!batch.redeemed, "Already redeemed");
         require(block.number >= batch.unlockBlock, "Still unbonding");
         uint256 amount = withdrawalNFT.balanceOf(msg.sender, batchId);
-        require(amount >= batch.xdcAmount, "Insufficient NFT balance");
+        require(amount > 0, "Insufficient NFT balance");
 
-        batch.redeemed = true;
-        totalInUnbonding -= batch.xdcAmount;
-        withdrawalNFT.burn(msg.sender, batchId, batch.xdcAmount);
+        totalInUnbonding -= amount;
+        withdrawalNFT.burn(msg.sender, batchId, amount);
+        if (withdrawalNFT.totalSupply(batchId) == 0) {
+            batch.redeemed = true;
+        }
 
-        (bool ok, ) = payable(msg.sender).call{value: batch.xdcAmount}("");
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
         require(ok, "Transfer failed");
-        emit WithdrawalRedeemed(batchId, msg.sender, batch.xdcAmount);
+        emit WithdrawalRedeemed(batchId, msg.sender, amount);
+    }
+
+    /// @notice `index`-th withdrawal batch `holder` holds a balance of
+    function userWithdrawalBatches(address holder, uint256 index) external view returns (uint256) {
+        return withdrawalNFT.heldBatches(holder, index);
+    }
+
+    /// @notice Unlocked batches `holder` can redeem now, with the XDC amount each would pay out
+    function getRedeemableBatches(address holder) external view returns (uint256[] memory batchIds, uint256[] memory amounts) {
+        uint256[] memory held = withdrawalNFT.getHeldBatches(holder);
+        uint256 count;
+        for (uint256 i = 0; i < held.length; i++) {
+            if (block.number >= withdrawalBatches[held[i]].unlockBlock) count++;
+        }
+        batchIds = new uint256[](count);
+        amounts = new uint256[](count);
+        uint256 n;
+        for (uint256 i = 0; i < held.length; i++) {
+            if (block.number >= withdrawalBatches[held[i]].unlockBlock) {
+                batchIds[n] = held[i];
+                amounts[n++] = withdrawalNFT.balanceOf(holder, held[i]);
+            }
+        }
     }
 
     /// @dev Handle XDC from validator (resign returns) - update totalStakedInMasternodes
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title MockAggregator
+ * @dev Mock for testing - Chainlink-style feed whose answer and timestamp are set directly
+ */
+contract MockAggregator is AggregatorV3Interface {
+    uint8 public override decimals;
+    string public override description;
+
+    uint80 public roundId;
+    int256 public answer;
+    uint256 public updatedAt;
+
+    constructor(uint8 _decimals, int256 _answer) {
+        decimals = _decimals;
+        description = "Mock / USD";
+        setAnswer(_answer);
+    }
+
+    function setAnswer(int256 _answer) public {
+        answer = _answer;
+        updatedAt = block.timestamp;
+        roundId++;
+    }
+
+    function setUpdatedAt(uint256 _updatedAt) external {
+        updatedAt = _updatedAt;
+    }
+
+    function latestRoundData() external view override returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IAllocationStrategy.sol";
+
+/**
+ * @title MockAllocationStrategy
+ * @dev Mock for testing - returns whatever allocation was set, without looking at `available`
+ */
+contract MockAllocationStrategy is IAllocationStrategy {
+    address[] private targets;
+    uint256[] private amounts;
+
+    function setAllocation(address[] calldata _targets, uint256[] calldata _amounts) external {
+        targets = _targets;
+        amounts = _amounts;
+    }
+
+    function allocate(uint256) external view returns (address[] memory, uint256[] memory) {
+        return (targets, amounts);
+    }
+}
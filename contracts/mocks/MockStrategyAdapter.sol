@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "../interfaces/IStrategyAdapter.sol";
+
+/**
+ * @title MockStrategyAdapter
+ * @dev Mock for testing - holds deposits itself, loses feeBps of every deposit / withdrawal and can be told to lose funds
+ */
+contract MockStrategyAdapter is IStrategyAdapter {
+    using SafeERC20 for IERC20;
+
+    address public immutable asset;
+    address public immutable manager;
+    uint256 public feeBps;
+
+    constructor(address _manager, address _asset) {
+        manager = _manager;
+        asset = _asset;
+    }
+
+    function setFeeBps(uint256 _feeBps) external {
+        feeBps = _feeBps;
+    }
+
+    /// @dev Sends `amount` of the position to `to`, as if the protocol lost it
+    function simulateLoss(address to, uint256 amount) external {
+        IERC20(asset).safeTransfer(to, amount);
+    }
+
+    function totalValue() public view returns (uint256) {
+        return IERC20(asset).balanceOf(address(this));
+    }
+
+    function pendingRewards() external pure returns (uint256) {
+        return 0;
+    }
+
+    function deposit(uint256 amount) external {
+        IERC20(asset).safeTransferFrom(manager, address(this), amount);
+        IERC20(asset).safeTransfer(address(0xdead), (amount * feeBps) / 10000);
+    }
+
+    function withdraw(uint256 amount) external returns (uint256 received) {
+        received = amount - (amount * feeBps) / 10000;
+        IERC20(asset).safeTransfer(address(0xdead), amount - received);
+        IERC20(asset).safeTransfer(manager, received);
+    }
+
+    function harvest() external pure returns (uint256) {
+        return 0;
+    }
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title MockSwapRouter
+ * @dev Mock for testing - swapTokensForExactTokens at a fixed rate, paid out of pre-funded balances
+ */
+contract MockSwapRouter {
+    using SafeERC20 for IERC20;
+
+    /// @dev tokenIn => tokenOut => raw tokenOut units per 1e18 raw tokenIn units
+    mapping(address => mapping(address => uint256)) public rates;
+
+    function setRate(address tokenIn, address tokenOut, uint256 outPerIn) external {
+        rates[tokenIn][tokenOut] = outPerIn;
+    }
+
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256
+    ) external returns (uint256[] memory amounts) {
+        require(path.length == 2, "Unsupported path");
+        uint256 rate = rates[path[0]][path[1]];
+        require(rate > 0, "No rate");
+        uint256 amountIn = (amountOut * 1e18 + rate - 1) / rate;
+        require(amountIn <= amountInMax, "Excessive input amount");
+
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[1]).safeTransfer(to, amountOut);
+
+        amounts = new uint256[](2);
+        amounts[0] = amountIn;
+        amounts[1] = amountOut;
+    }
+}
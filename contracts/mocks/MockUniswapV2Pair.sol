@@ -0,0 +1,47 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockUniswapV2Pair
+ * @dev Mock for testing - Uniswap V2 pair whose reserves and price accumulators are set directly.
+ * setReserves accrues the accumulators like UniswapV2Pair._update before storing the new reserves.
+ */
+contract MockUniswapV2Pair {
+    address public token0;
+    address public token1;
+
+    uint112 private reserve0;
+    uint112 private reserve1;
+    uint32 private blockTimestampLast;
+
+    uint256 public price0CumulativeLast;
+    uint256 public price1CumulativeLast;
+
+    constructor(address _token0, address _token1) {
+        token0 = _token0;
+        token1 = _token1;
+    }
+
+    function getReserves() external view returns (uint112, uint112, uint32) {
+        return (reserve0, reserve1, blockTimestampLast);
+    }
+
+    function setReserves(uint112 _reserve0, uint112 _reserve1) external {
+        uint32 blockTimestamp = uint32(block.timestamp % 2 ** 32);
+        unchecked {
+            uint32 elapsed = blockTimestamp - blockTimestampLast;
+            if (elapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                price0CumulativeLast += ((uint256(reserve1) << 112) / reserve0) * elapsed;
+                price1CumulativeLast += ((uint256(reserve0) << 112) / reserve1) * elapsed;
+            }
+        }
+        reserve0 = _reserve0;
+        reserve1 = _reserve1;
+        blockTimestampLast = blockTimestamp;
+    }
+
+    function setCumulativePrices(uint256 _price0CumulativeLast, uint256 _price1CumulativeLast) external {
+        price0CumulativeLast = _price0CumulativeLast;
+        price1CumulativeLast = _price1CumulativeLast;
+    }
+}
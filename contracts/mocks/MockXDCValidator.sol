@@ -18,6 +18,10 @@ contract MockXDCValidator {
 
     mapping(address => uint256) public kycHashCount;
 
+    function setMinCandidateCap(uint256 cap) external {
+        minCandidateCap = cap;
+    }
+
     function uploadKYC(string calldata) external {
         kycHashCount[msg.sender]++;
     }
@@ -42,7 +46,23 @@ contract MockXDCValidator {
         voterCap[_candidate][msg.sender] += msg.value;
     }
 
-    function unvote(address _candidate, uint256 _cap) external {}
+    mapping(address => uint256) public pendingWithdrawal;
+
+    function unvote(address _candidate, uint256 _cap) external {
+        require(voterCap[_candidate][msg.sender] >= _cap, "Exceeds voter cap");
+        voterCap[_candidate][msg.sender] -= _cap;
+        candidateCap[_candidate] -= _cap;
+        pendingWithdrawal[msg.sender] += _cap;
+    }
+
+    /// @dev No withdraw delay in the mock - pays out everything unvoted by the caller
+    function withdraw(uint256, uint256) external {
+        uint256 amount = pendingWithdrawal[msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+        pendingWithdrawal[msg.sender] = 0;
+        (bool ok, ) = payable(msg.sender).call{value: amount}("");
+        require(ok, "Withdraw transfer failed");
+    }
 
     function resign(address _candidate) external {
         require(isCandidate[_candidate], "Not candidate");
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracle.sol";
+import "../interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title ChainlinkOracleAdapter
+ * @dev Reads Chainlink-style USD feeds and scales the answer to 18 decimals.
+ * Staleness is left to the consumer (see CompositeOracle), which gets the feed's updatedAt.
+ */
+contract ChainlinkOracleAdapter is IPriceOracle, Ownable {
+    mapping(address => AggregatorV3Interface) public feeds;
+
+    event FeedSet(address indexed asset, address indexed feed);
+
+    constructor() Ownable(msg.sender) {}
+
+    /// @dev feed = address(0) removes the asset
+    function setFeed(address asset, address feed) external onlyOwner {
+        require(asset != address(0), "Invalid asset");
+        if (feed != address(0)) {
+            require(AggregatorV3Interface(feed).decimals() <= 18, "Unsupported decimals");
+        }
+        feeds[asset] = AggregatorV3Interface(feed);
+        emit FeedSet(asset, feed);
+    }
+
+    function getPrice(address asset) external view override returns (uint256 price, uint256 updatedAt) {
+        AggregatorV3Interface feed = feeds[asset];
+        require(address(feed) != address(0), "No feed");
+
+        (uint80 roundId, int256 answer, , uint256 feedUpdatedAt, uint80 answeredInRound) = feed.latestRoundData();
+        require(answer > 0, "Invalid answer");
+        require(feedUpdatedAt > 0 && answeredInRound >= roundId, "Incomplete round");
+
+        price = uint256(answer) * 10 ** (18 - feed.decimals());
+        updatedAt = feedUpdatedAt;
+    }
+}
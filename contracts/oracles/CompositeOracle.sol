@@ -0,0 +1,107 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IPriceOracle.sol";
+
+/**
+ * @title CompositeOracle
+ * @dev Combines several IPriceOracle sources per asset, in fallback or median mode.
+ * Sources that revert, return 0 or are older than maxStaleness are ignored. Every remaining
+ * price must lie within maxDeviationBps of the result, otherwise the price is rejected so a
+ * single manipulated source cannot move it.
+ */
+contract CompositeOracle is IPriceOracle, Ownable {
+    uint256 public constant BASIS_POINTS_FACTOR = 10000;
+    uint256 public constant MAX_SOURCES = 5;
+
+    enum Mode {
+        Fallback, // first fresh source in priority order
+        Median // median of all fresh sources
+    }
+
+    struct AssetConfig {
+        Mode mode;
+        uint32 maxStaleness; // seconds
+        uint16 maxDeviationBps; // 0 disables the deviation check
+        uint8 minSources; // minimum fresh sources required
+    }
+
+    mapping(address => IPriceOracle[]) internal sources;
+    mapping(address => AssetConfig) public configs;
+
+    event AssetSourcesSet(
+        address indexed asset,
+        IPriceOracle[] sources,
+        Mode mode,
+        uint256 maxStaleness,
+        uint256 maxDeviationBps,
+        uint256 minSources
+    );
+
+    constructor() Ownable(msg.sender) {}
+
+    function setAssetSources(address asset, IPriceOracle[] calldata _sources, AssetConfig calldata config)
+        external
+        onlyOwner
+    {
+        require(asset != address(0), "Invalid asset");
+        require(_sources.length > 0 && _sources.length <= MAX_SOURCES, "Invalid sources");
+        require(config.maxStaleness > 0, "Invalid staleness");
+        require(config.maxDeviationBps <= BASIS_POINTS_FACTOR, "Invalid deviation");
+        require(config.minSources > 0 && config.minSources <= _sources.length, "Invalid min sources");
+        for (uint256 i = 0; i < _sources.length; i++) {
+            require(address(_sources[i]) != address(0), "Invalid source");
+        }
+
+        sources[asset] = _sources;
+        configs[asset] = config;
+        emit AssetSourcesSet(asset, _sources, config.mode, config.maxStaleness, config.maxDeviationBps, config.minSources);
+    }
+
+    function getSources(address asset) external view returns (IPriceOracle[] memory) {
+        return sources[asset];
+    }
+
+    function getPrice(address asset) external view override returns (uint256 price, uint256 updatedAt) {
+        IPriceOracle[] memory assetSources = sources[asset];
+        require(assetSources.length > 0, "No sources");
+        AssetConfig memory config = configs[asset];
+
+        uint256[] memory prices = new uint256[](assetSources.length);
+        uint256 count;
+        updatedAt = type(uint256).max;
+        for (uint256 i = 0; i < assetSources.length; i++) {
+            try assetSources[i].getPrice(asset) returns (uint256 p, uint256 t) {
+                if (p == 0 || t > block.timestamp || block.timestamp - t > config.maxStaleness) continue;
+                prices[count++] = p;
+                if (t < updatedAt) updatedAt = t;
+            } catch {}
+        }
+        require(count >= config.minSources, "Not enough fresh prices");
+
+        price = config.mode == Mode.Median ? _median(prices, count) : prices[0];
+
+        if (config.maxDeviationBps > 0) {
+            for (uint256 i = 0; i < count; i++) {
+                uint256 diff = prices[i] > price ? prices[i] - price : price - prices[i];
+                require(diff * BASIS_POINTS_FACTOR <= price * config.maxDeviationBps, "Price deviation too high");
+            }
+        }
+    }
+
+    /// @dev Sorts the first `count` entries in place (count <= MAX_SOURCES); even counts average the middle two
+    function _median(uint256[] memory values, uint256 count) internal pure returns (uint256) {
+        for (uint256 i = 1; i < count; i++) {
+            uint256 v = values[i];
+            uint256 j = i;
+            while (j > 0 && values[j - 1] > v) {
+                values[j] = values[j - 1];
+                j--;
+            }
+            values[j] = v;
+        }
+        uint256 mid = count / 2;
+        return count % 2 == 1 ? values[mid] : (values[mid - 1] + values[mid]) / 2;
+    }
+}
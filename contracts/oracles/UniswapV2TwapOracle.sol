@@ -0,0 +1,133 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
+import {IUniswapV2Pair} from "@uniswap/v2-core/contracts/interfaces/IUniswapV2Pair.sol";
+import "../interfaces/IPriceOracle.sol";
+
+/**
+ * @title UniswapV2TwapOracle
+ * @dev Time-weighted average price of an asset in its Uniswap V2 pair, converted to USD through
+ * `quoteOracle` (e.g. the WXDC feed for BBB/WXDC or pump.fun graduate pairs).
+ * Anyone can call update() once per `period`; the average covers the time between the last two updates.
+ */
+contract UniswapV2TwapOracle is IPriceOracle, Ownable {
+    struct Observation {
+        address pair;
+        address quoteToken;
+        bool assetIsToken0;
+        uint8 assetDecimals;
+        uint8 quoteDecimals;
+        uint32 timestampLast; // pair clock (block.timestamp mod 2**32) at the last update
+        uint256 priceCumulativeLast;
+        uint256 priceAverage; // UQ112x112 quote per asset (raw units), 0 until the first full period
+        uint256 updatedAt;
+    }
+
+    IPriceOracle public immutable quoteOracle;
+    uint256 public immutable period;
+
+    mapping(address => Observation) public observations;
+
+    event PairAdded(address indexed asset, address indexed pair, address indexed quoteToken);
+    event PairRemoved(address indexed asset);
+    event TwapUpdated(address indexed asset, uint256 priceAverage, uint256 timestamp);
+
+    constructor(address _quoteOracle, uint256 _period) Ownable(msg.sender) {
+        require(_quoteOracle != address(0), "Invalid quote oracle");
+        require(_period > 0, "Invalid period");
+        quoteOracle = IPriceOracle(_quoteOracle);
+        period = _period;
+    }
+
+    function addPair(address asset, address pair) external onlyOwner {
+        address token0 = IUniswapV2Pair(pair).token0();
+        address token1 = IUniswapV2Pair(pair).token1();
+        require(asset == token0 || asset == token1, "Asset not in pair");
+        (uint112 reserve0, uint112 reserve1, ) = IUniswapV2Pair(pair).getReserves();
+        require(reserve0 > 0 && reserve1 > 0, "No reserves");
+
+        bool assetIsToken0 = asset == token0;
+        address quoteToken = assetIsToken0 ? token1 : token0;
+        (uint256 cumulative, uint32 timestamp) = _currentCumulativePrice(pair, assetIsToken0);
+        observations[asset] = Observation({
+            pair: pair,
+            quoteToken: quoteToken,
+            assetIsToken0: assetIsToken0,
+            assetDecimals: IERC20Metadata(asset).decimals(),
+            quoteDecimals: IERC20Metadata(quoteToken).decimals(),
+            timestampLast: timestamp,
+            priceCumulativeLast: cumulative,
+            priceAverage: 0,
+            updatedAt: 0
+        });
+        emit PairAdded(asset, pair, quoteToken);
+    }
+
+    function removePair(address asset) external onlyOwner {
+        require(observations[asset].pair != address(0), "Pair not set");
+        delete observations[asset];
+        emit PairRemoved(asset);
+    }
+
+    /// @dev Permissionless; call at least once per `period` (e.g. from a keeper) to keep the TWAP fresh
+    function update(address asset) external {
+        Observation storage obs = observations[asset];
+        require(obs.pair != address(0), "Pair not set");
+
+        (uint256 cumulative, uint32 timestamp) = _currentCumulativePrice(obs.pair, obs.assetIsToken0);
+        uint32 elapsed;
+        uint256 priceAverage;
+        unchecked {
+            // Pair accumulators and clock are designed to wrap
+            elapsed = timestamp - obs.timestampLast;
+            require(elapsed >= period, "Period not elapsed");
+            priceAverage = (cumulative - obs.priceCumulativeLast) / elapsed;
+        }
+
+        obs.priceCumulativeLast = cumulative;
+        obs.timestampLast = timestamp;
+        obs.priceAverage = priceAverage;
+        obs.updatedAt = block.timestamp;
+        emit TwapUpdated(asset, priceAverage, block.timestamp);
+    }
+
+    function getPrice(address asset) external view override returns (uint256 price, uint256 updatedAt) {
+        Observation memory obs = observations[asset];
+        require(obs.priceAverage > 0, "TWAP not ready");
+
+        // Quote raw units for one whole asset, then USD via the quote token's price
+        uint256 quoteAmount = Math.mulDiv(obs.priceAverage, 10 ** obs.assetDecimals, 2 ** 112);
+        (uint256 quotePrice, uint256 quoteUpdatedAt) = quoteOracle.getPrice(obs.quoteToken);
+        price = Math.mulDiv(quoteAmount, quotePrice, 10 ** obs.quoteDecimals);
+        require(price > 0, "Invalid price");
+        updatedAt = Math.min(obs.updatedAt, quoteUpdatedAt);
+    }
+
+    /// @dev UniswapV2OracleLibrary.currentCumulativePrices for one side, counterfactually accruing
+    /// the time since the pair's last sync so no swap or sync call is needed
+    function _currentCumulativePrice(address pair, bool assetIsToken0)
+        internal
+        view
+        returns (uint256 cumulative, uint32 timestamp)
+    {
+        timestamp = uint32(block.timestamp % 2 ** 32);
+        cumulative = assetIsToken0
+            ? IUniswapV2Pair(pair).price0CumulativeLast()
+            : IUniswapV2Pair(pair).price1CumulativeLast();
+
+        (uint112 reserve0, uint112 reserve1, uint32 timestampLast) = IUniswapV2Pair(pair).getReserves();
+        if (timestampLast != timestamp) {
+            unchecked {
+                uint32 elapsed = timestamp - timestampLast;
+                // UQ112x112 price of the asset in the quote token
+                uint256 spot = assetIsToken0
+                    ? (uint256(reserve1) << 112) / reserve0
+                    : (uint256(reserve0) << 112) / reserve1;
+                cumulative += spot * elapsed;
+            }
+        }
+    }
+}
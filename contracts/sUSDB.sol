@@ -3,17 +3,40 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC4626.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 
-contract sUSDB is ERC20, Ownable, ReentrancyGuard {
+/**
+ * @title sUSDB
+ * @dev ERC-4626 vault over USDB with a withdrawal cooldown.
+ *
+ * Deposits and mints are synchronous. Exits are asynchronous (ERC-7540): requestRedeem / requestWithdrawal burn
+ * shares and lock their USDB value at the current rate in a request of the controller; after WITHDRAWAL_DELAY it
+ * becomes claimable through the standard withdraw / redeem (or executeWithdrawal for one request).
+ * pendingRedeemRequest / claimableRedeemRequest report a request's state and maxWithdraw / maxRedeem what a
+ * controller can claim right now. As ERC-7540 requires, previewWithdraw / previewRedeem revert.
+ *
+ * totalAssets is tracked internally rather than read from the USDB balance, so donations cannot move the share
+ * price; together with ERC4626's virtual share this protects the first depositor against inflation attacks.
+ *
+ * Yield from compoundYield vests linearly over vestingPeriod and totalAssets only includes the vested part, so the
+ * exchange rate rises smoothly and depositing just before a harvest earns only the yield vested while staked.
+ * A new harvest restarts the schedule with the still-unvested yield added to it. Strategy losses reported through
+ * reportLoss are taken from the unvested yield first and then from totalAssets, lowering the exchange rate.
+ */
+contract sUSDB is ERC4626, Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     // USDB token contract address
     IERC20 public immutable usdbToken;
     
     // Withdrawal request structure
     struct WithdrawalRequest {
         uint256 usdbAmount;      // USDB amount to withdraw
-        uint256 sUSDBAmount;     // Original sUSDB amount (for cancellation)
+        uint256 sUSDBAmount;     // sUSDB burned for the request
         uint256 unlockTime;
         bool active;
     }
@@ -25,51 +48,67 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
     address[] public usersWithWithdrawals;
     mapping(address => bool) public hasWithdrawalRequests;
     
-
+    // USDB backing outstanding shares (excluding the current vesting schedule), and USDB locked in active
+    // withdrawal requests
+    uint256 private _managedAssets;
+    uint256 private _totalPendingWithdrawals;
+    
+    // Yield vesting schedule: vestingAmount vests linearly from vestingStart to vestingEnd
+    uint256 public vestingPeriod = 1 days;
+    uint256 public vestingAmount;
+    uint256 public vestingStart;
+    uint256 public vestingEnd;
     
     // Constants
     uint256 public constant WITHDRAWAL_DELAY = 7 days;
-    uint256 private constant PRECISION = 1e12;
+    uint256 public constant MAX_VESTING_PERIOD = 30 days;
     
     // Events
-    event Deposit(address indexed user, uint256 usdbAmount, uint256 sUSDBAmount);
     event WithdrawalRequested(address indexed user, uint256 sUSDBAmount, uint256 usdbAmount, uint256 unlockTime, uint256 requestIndex);
+    event RedeemRequest(address indexed controller, address indexed owner, uint256 indexed requestId, address sender, uint256 shares);
     event Withdrawn(address indexed user, uint256 usdbAmount, uint256 requestIndex);
     event WithdrawalCancelled(address indexed user, uint256 sUSDBAmount, uint256 usdbAmount, uint256 requestIndex);
     event AssetsDeposited(uint256 amount, uint256 newExchangeRate);
+    event YieldVestingUpdated(uint256 vestingAmount, uint256 vestingStart, uint256 vestingEnd);
+    event VestingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event LossAbsorbed(uint256 loss, uint256 absorbed, uint256 newExchangeRate);
     
-    constructor() 
+    constructor(address _usdbToken) 
         ERC20("Staked USDB", "sUSDB") 
+        ERC4626(IERC20(_usdbToken))
         Ownable(msg.sender) 
     {
-        usdbToken = IERC20(0xA23885c8E0743C734Bd6Da0df66e2631Ee9Bc6D8);
+        require(_usdbToken != address(0), "sUSDB: invalid USDB token");
+        usdbToken = IERC20(_usdbToken);
     }
     
     /**
-     * @dev Returns the number of decimals used to get its user representation.
+     * @dev Get the underlying USDB token address
      */
-    function decimals() public view virtual override returns (uint8) {
-        return 6;
+    function underlying() external view returns (IERC20) {
+        return usdbToken;
     }
     
     /**
-     * @dev Get the underlying USDB token address
+     * @dev Get total assets under management (USDB backing outstanding sUSDB, excluding pending withdrawals
+     * and unvested yield)
      */
-    function underlying() external view returns (IERC20) {
-        return usdbToken;
+    function totalAssets() public view override returns (uint256) {
+        return _managedAssets + vestingAmount - _unvestedYield();
     }
     
     /**
-     * @dev Get total assets under management (USDB held in contract excluding pending withdrawals)
+     * @dev Current yield vesting schedule and how much of it has vested
      */
-    function totalAssets() public view returns (uint256) {
-        uint256 contractBalance = usdbToken.balanceOf(address(this));
-        uint256 pendingWithdrawals = getTotalPendingWithdrawals();
-        
-        if (contractBalance > pendingWithdrawals) {
-            return contractBalance - pendingWithdrawals;
-        }
-        return usdbToken.balanceOf(address(this));
+    function getVestingSchedule() external view returns (
+        uint256 amount,
+        uint256 start,
+        uint256 end,
+        uint256 vested,
+        uint256 unvested
+    ) {
+        unvested = _unvestedYield();
+        return (vestingAmount, vestingStart, vestingEnd, vestingAmount - unvested, unvested);
     }
     
     /**
@@ -77,86 +116,111 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
      * Returns the amount of USDB that 1 sUSDB can be redeemed for
      */
     function getExchangeRate() public view returns (uint256) {
-        uint256 supply = totalSupply();
-        if (supply == 0) {
-            return 1e6; // 1:1 initial rate (6 decimals)
-        }
-        return (totalAssets() * 1e6) / supply;
+        return convertToAssets(10**decimals());
     }
     
     /**
-     * @dev Convert USDB amount to sUSDB amount based on current exchange rate
+     * @dev No deposits while paused
      */
-    function convertToShares(uint256 usdbAmount) public view returns (uint256) {
-        uint256 supply = totalSupply();
-        if (supply == 0) {
-            return usdbAmount; // 1:1 for first deposit
-        }
-        uint256 assets = totalAssets();
-        require(assets > 0, "sUSDB: no assets available for conversion");
-        return (usdbAmount * supply) / assets;
+    function maxDeposit(address) public view override returns (uint256) {
+        return paused ? 0 : type(uint256).max;
+    }
+    
+    function maxMint(address) public view override returns (uint256) {
+        return paused ? 0 : type(uint256).max;
     }
     
     /**
-     * @dev Convert sUSDB amount to USDB amount based on current exchange rate
+     * @dev USDB the controller can claim now from unlocked withdrawal requests
      */
-    function convertToAssets(uint256 sharesAmount) public view returns (uint256) {
-        uint256 supply = totalSupply();
-        if (supply == 0) {
-            return sharesAmount;
-        }
-        uint256 assets = totalAssets();
-        require(assets > 0, "sUSDB: no assets available for conversion");
-        return (sharesAmount * assets) / supply;
+    function maxWithdraw(address controller) public view override returns (uint256 assets) {
+        (assets, ) = _claimable(controller);
+    }
+    
+    /**
+     * @dev sUSDB (already burned) behind the controller's unlocked withdrawal requests
+     */
+    function maxRedeem(address controller) public view override returns (uint256 shares) {
+        (, shares) = _claimable(controller);
+    }
+    
+    /**
+     * @dev Exits are asynchronous: claims pay out at the rate locked by requestRedeem, so there is no preview.
+     * require(false) rather than revert keeps the overridden ERC4626 withdraw / redeem from compiling as unreachable.
+     */
+    function previewWithdraw(uint256) public pure override returns (uint256) {
+        require(false, "sUSDB: async withdrawal, use requestRedeem");
+        return 0;
+    }
+    
+    function previewRedeem(uint256) public pure override returns (uint256) {
+        require(false, "sUSDB: async withdrawal, use requestRedeem");
+        return 0;
     }
     
     /**
      * @dev Deposit USDB tokens to mint sUSDB based on exchange rate
      */
-    function deposit(uint256 usdbAmount) external nonReentrant {
+    function deposit(uint256 usdbAmount) external nonReentrant returns (uint256) {
         require(usdbAmount > 0, "sUSDB: amount must be greater than 0");
-        
-        // Calculate how many sUSDB shares to mint based on current exchange rate
-        uint256 sharesToMint = convertToShares(usdbAmount);
-        
-        // Transfer USDB from user to this contract
-        usdbToken.transferFrom(msg.sender, address(this), usdbAmount);
-        
-        // Mint sUSDB tokens
-        _mint(msg.sender, sharesToMint);
-        
-        emit Deposit(msg.sender, usdbAmount, sharesToMint);
+        return deposit(usdbAmount, msg.sender);
     }
     
     /**
      * @dev Request withdrawal of sUSDB tokens (7 days delay)
      */
     function requestWithdrawal(uint256 sUSDBAmount) external nonReentrant {
-        require(sUSDBAmount > 0, "sUSDB: amount must be greater than 0");
-        require(balanceOf(msg.sender) >= sUSDBAmount, "sUSDB: insufficient balance");
-        
-        // Calculate USDB amount based on current exchange rate
-        uint256 usdbAmount = convertToAssets(sUSDBAmount);
-        
-        // Burn sUSDB tokens
-        _burn(msg.sender, sUSDBAmount);
-        
-        // Create withdrawal request
-        uint256 unlockTime = block.timestamp + WITHDRAWAL_DELAY;
-        withdrawalRequests[msg.sender].push(WithdrawalRequest({
-            usdbAmount: usdbAmount,      // USDB amount to withdraw
-            sUSDBAmount: sUSDBAmount,    // Original sUSDB amount for cancellation
-            unlockTime: unlockTime,
-            active: true
-        }));
-        
-        // Track user if first withdrawal request
-        if (!hasWithdrawalRequests[msg.sender]) {
-            hasWithdrawalRequests[msg.sender] = true;
-            usersWithWithdrawals.push(msg.sender);
+        _requestRedeem(sUSDBAmount, msg.sender, msg.sender);
+    }
+    
+    /**
+     * @dev ERC-7540 redeem request: burns `shares` of `owner` (caller needs allowance unless it is the owner) and
+     * locks their USDB value in a request of `controller`; claim with withdraw / redeem once unlocked
+     * @return requestId Index in withdrawalRequests[controller]
+     */
+    function requestRedeem(uint256 shares, address controller, address owner) external nonReentrant returns (uint256 requestId) {
+        if (msg.sender != owner) {
+            _spendAllowance(owner, msg.sender, shares);
         }
-        
-        emit WithdrawalRequested(msg.sender, sUSDBAmount, usdbAmount, unlockTime, withdrawalRequests[msg.sender].length - 1);
+        return _requestRedeem(shares, controller, owner);
+    }
+    
+    /**
+     * @dev sUSDB of request `requestId` of `controller` that is still locked
+     */
+    function pendingRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return _requestShares(requestId, controller, false);
+    }
+    
+    /**
+     * @dev sUSDB of request `requestId` of `controller` that can be claimed now
+     */
+    function claimableRedeemRequest(uint256 requestId, address controller) external view returns (uint256) {
+        return _requestShares(requestId, controller, true);
+    }
+    
+    /**
+     * @dev Claims `assets` USDB from the controller's unlocked requests (oldest first)
+     * @return shares sUSDB that had been burned for the claimed USDB
+     */
+    function withdraw(uint256 assets, address receiver, address controller) public override nonReentrant returns (uint256 shares) {
+        uint256 maxAssets = maxWithdraw(controller);
+        if (assets > maxAssets) {
+            revert ERC4626ExceededMaxWithdraw(controller, assets, maxAssets);
+        }
+        shares = _claim(controller, receiver, assets, true);
+    }
+    
+    /**
+     * @dev Claims the USDB behind `shares` of the controller's unlocked requests (oldest first)
+     * @return assets USDB sent to `receiver`
+     */
+    function redeem(uint256 shares, address receiver, address controller) public override nonReentrant returns (uint256 assets) {
+        uint256 maxShares = maxRedeem(controller);
+        if (shares > maxShares) {
+            revert ERC4626ExceededMaxRedeem(controller, shares, maxShares);
+        }
+        assets = _claim(controller, receiver, shares, false);
     }
     
     /**
@@ -170,40 +234,38 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
         require(block.timestamp >= request.unlockTime, "sUSDB: withdrawal still locked");
         
         uint256 amount = request.usdbAmount;
-        
-        // More sophisticated balance check: ensure we have enough for this withdrawal
-        // considering other pending withdrawals and minimum reserve for rewards
-        uint256 contractBalance = usdbToken.balanceOf(address(this));
-        uint256 totalPendingWithdrawals = getTotalPendingWithdrawals();
-        
-        // Ensure we don't touch reward funds for withdrawals
-        require(contractBalance >= amount, "sUSDB: insufficient contract balance");
-        require(contractBalance >= totalPendingWithdrawals, "sUSDB: insufficient funds for all pending withdrawals");
+        uint256 shares = request.sUSDBAmount;
+        require(usdbToken.balanceOf(address(this)) >= amount, "sUSDB: insufficient contract balance");
         
         request.active = false;
+        _totalPendingWithdrawals -= amount;
         
         // Transfer USDB back to user
-        usdbToken.transfer(msg.sender, amount);
+        usdbToken.safeTransfer(msg.sender, amount);
         
         emit Withdrawn(msg.sender, amount, requestIndex);
+        emit Withdraw(msg.sender, msg.sender, msg.sender, amount, shares);
     }
     
     /**
-     * @dev Cancel withdrawal request and restore sUSDB tokens
+     * @dev Cancel a withdrawal request that is not yet unlocked; the locked USDB is deposited again at the current rate
      */
-    function cancelWithdrawal(uint256 requestIndex) external nonReentrant {
+    function cancelWithdrawal(uint256 requestIndex) external nonReentrant whenNotPaused {
         require(requestIndex < withdrawalRequests[msg.sender].length, "sUSDB: invalid request index");
         
         WithdrawalRequest storage request = withdrawalRequests[msg.sender][requestIndex];
         require(request.active, "sUSDB: request already executed or cancelled");
+        require(block.timestamp < request.unlockTime, "sUSDB: withdrawal already unlocked");
         
         uint256 usdbAmount = request.usdbAmount;
-        uint256 sUSDBAmount = request.sUSDBAmount; // Use original sUSDB amount
+        // Re-minting the original sUSDB would hand the canceller yield accrued while the request was pending
+        uint256 sUSDBAmount = previewDeposit(usdbAmount);
         
         // Mark request as inactive
         request.active = false;
+        _totalPendingWithdrawals -= usdbAmount;
+        _managedAssets += usdbAmount;
         
-        // Mint original sUSDB tokens back to user
         _mint(msg.sender, sUSDBAmount);
         
         emit WithdrawalCancelled(msg.sender, sUSDBAmount, usdbAmount, requestIndex);
@@ -412,20 +474,62 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
         return usersWithWithdrawals;
     }
     
+    
     /**
      * @dev Owner deposits USDB to compound yields for all sUSDB holders
-     * This increases the exchange rate, benefiting all holders automatically
+     * The yield and any still-unvested yield vest linearly over vestingPeriod, raising the exchange rate gradually
      */
     function compoundYield(uint256 amount) external onlyOwner nonReentrant {
         require(amount > 0, "sUSDB: amount must be greater than 0");
         require(totalSupply() > 0, "sUSDB: no tokens to compound yields to");
         
-        usdbToken.transferFrom(msg.sender, address(this), amount);
+        usdbToken.safeTransferFrom(msg.sender, address(this), amount);
+        
+        _syncVesting();
+        if (vestingPeriod == 0) {
+            _managedAssets += amount;
+        } else {
+            vestingAmount += amount;
+            vestingStart = block.timestamp;
+            vestingEnd = block.timestamp + vestingPeriod;
+            emit YieldVestingUpdated(vestingAmount, vestingStart, vestingEnd);
+        }
         
         emit AssetsDeposited(amount, getExchangeRate());
     }
     
-
+    /**
+     * @dev Owner (USDBManager) reports a strategy loss of `amount` USDB; holders absorb it, unvested yield first,
+     * and the absorbed USDB is sent to the owner to be burned. USDB locked in withdrawal requests is not touched.
+     * @return absorbed USDB taken from the vault (less than `amount` when the vault cannot cover the loss)
+     */
+    function reportLoss(uint256 amount) external onlyOwner nonReentrant returns (uint256 absorbed) {
+        require(amount > 0, "sUSDB: amount must be greater than 0");
+        
+        _syncVesting();
+        uint256 fromVesting = Math.min(amount, vestingAmount);
+        vestingAmount -= fromVesting;
+        uint256 fromAssets = Math.min(amount - fromVesting, _managedAssets);
+        _managedAssets -= fromAssets;
+        absorbed = fromVesting + fromAssets;
+        
+        if (absorbed > 0) {
+            usdbToken.safeTransfer(msg.sender, absorbed);
+        }
+        if (fromVesting > 0) {
+            emit YieldVestingUpdated(vestingAmount, vestingStart, vestingEnd);
+        }
+        emit LossAbsorbed(amount, absorbed, getExchangeRate());
+    }
+    
+    /**
+     * @dev Set the vesting period for future compoundYield calls (0 = yield is added at once)
+     */
+    function setVestingPeriod(uint256 period) external onlyOwner {
+        require(period <= MAX_VESTING_PERIOD, "sUSDB: vesting period too long");
+        emit VestingPeriodUpdated(vestingPeriod, period);
+        vestingPeriod = period;
+    }
     
     /**
      * @dev Emergency function to withdraw tokens (only owner)
@@ -446,10 +550,9 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
      */
     function getAvailableUSDBBalance() external view returns (uint256) {
         uint256 contractBalance = usdbToken.balanceOf(address(this));
-        uint256 pendingWithdrawals = getTotalPendingWithdrawals();
         
-        if (contractBalance > pendingWithdrawals) {
-            return contractBalance - pendingWithdrawals;
+        if (contractBalance > _totalPendingWithdrawals) {
+            return contractBalance - _totalPendingWithdrawals;
         }
         return 0;
     }
@@ -458,40 +561,25 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
      * @dev Get total amount of pending withdrawals
      */
     function getTotalPendingWithdrawals() public view returns (uint256) {
-        uint256 total = 0;
-        for (uint256 i = 0; i < usersWithWithdrawals.length; i++) {
-            address user = usersWithWithdrawals[i];
-            WithdrawalRequest[] memory requests = withdrawalRequests[user];
-            for (uint256 j = 0; j < requests.length; j++) {
-                if (requests[j].active) {
-                    total += requests[j].usdbAmount;
-                }
-            }
-        }
-        return total;
+        return _totalPendingWithdrawals;
     }
     
-
-    
     /**
      * @dev Security check: Verify contract state consistency
      */
     function verifyContractState() external view returns (bool) {
         uint256 contractBalance = usdbToken.balanceOf(address(this));
         uint256 currentSupply = totalSupply();
-        uint256 pendingWithdrawals = getTotalPendingWithdrawals();
         uint256 effectiveAssets = totalAssets();
         
         // Critical invariants:
-        // 1. Contract balance should cover pending withdrawals + effective assets
-        // 2. totalAssets should exclude pending withdrawals
-        // 3. Exchange rate should be stable (no manipulation possible)
+        // 1. Contract balance should cover pending withdrawals + effective assets (donations only add to it)
+        // 2. Outstanding sUSDB must be backed
         
-        bool balanceCheck = contractBalance >= (pendingWithdrawals + effectiveAssets);
-        bool assetCheck = effectiveAssets == (contractBalance >= pendingWithdrawals ? contractBalance - pendingWithdrawals : 0);
+        bool balanceCheck = contractBalance >= (_totalPendingWithdrawals + effectiveAssets + _unvestedYield());
         bool supplyCheck = (currentSupply == 0 || effectiveAssets > 0);
         
-        return balanceCheck && assetCheck && supplyCheck;
+        return balanceCheck && supplyCheck;
     }
     
     /**
@@ -501,13 +589,12 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
     function verifyExchangeRateIntegrity() external view returns (bool, uint256, string memory) {
         uint256 contractBalance = usdbToken.balanceOf(address(this));
         uint256 currentSupply = totalSupply();
-        uint256 pendingWithdrawals = getTotalPendingWithdrawals();
         uint256 effectiveAssets = totalAssets();
         uint256 exchangeRate = getExchangeRate();
         
-        // Check 1: Effective assets should equal contract balance minus pending withdrawals
-        if (effectiveAssets != (contractBalance >= pendingWithdrawals ? contractBalance - pendingWithdrawals : 0)) {
-            return (false, exchangeRate, "totalAssets calculation error");
+        // Check 1: The USDB balance should cover effective assets, pending withdrawals and unvested yield
+        if (contractBalance < effectiveAssets + _totalPendingWithdrawals + _unvestedYield()) {
+            return (false, exchangeRate, "totalAssets exceeds USDB balance");
         }
         
         // Check 2: Exchange rate should be reasonable (not astronomical due to manipulation)
@@ -537,21 +624,123 @@ contract sUSDB is ERC20, Ownable, ReentrancyGuard {
         paused = _paused;
     }
     
-    /**
-     * @dev Add pause protection to critical functions
-     */
-    function depositWithPauseCheck(uint256 usdbAmount) external nonReentrant whenNotPaused {
-        require(usdbAmount > 0, "sUSDB: amount must be greater than 0");
+    // Internal functions
+    
+    function _deposit(address caller, address receiver, uint256 assets, uint256 shares) internal override {
+        super._deposit(caller, receiver, assets, shares);
+        _managedAssets += assets;
+    }
+    
+    function _requestRedeem(uint256 shares, address controller, address owner) internal returns (uint256 requestId) {
+        require(shares > 0, "sUSDB: amount must be greater than 0");
+        require(controller != address(0), "sUSDB: invalid controller");
+        require(balanceOf(owner) >= shares, "sUSDB: insufficient balance");
+        
+        // Lock the USDB value at the current exchange rate (rounded down)
+        uint256 usdbAmount = _convertToAssets(shares, Math.Rounding.Floor);
+        require(usdbAmount > 0, "sUSDB: amount too small");
+        
+        _syncVesting();
+        _burn(owner, shares);
+        _managedAssets -= usdbAmount;
+        _totalPendingWithdrawals += usdbAmount;
+        
+        uint256 unlockTime = block.timestamp + WITHDRAWAL_DELAY;
+        withdrawalRequests[controller].push(WithdrawalRequest({
+            usdbAmount: usdbAmount,
+            sUSDBAmount: shares,
+            unlockTime: unlockTime,
+            active: true
+        }));
         
-        // Calculate how many sUSDB shares to mint based on current exchange rate
-        uint256 sharesToMint = convertToShares(usdbAmount);
+        // Track user if first withdrawal request
+        if (!hasWithdrawalRequests[controller]) {
+            hasWithdrawalRequests[controller] = true;
+            usersWithWithdrawals.push(controller);
+        }
         
-        // Transfer USDB from user to this contract
-        usdbToken.transferFrom(msg.sender, address(this), usdbAmount);
+        requestId = withdrawalRequests[controller].length - 1;
+        emit WithdrawalRequested(controller, shares, usdbAmount, unlockTime, requestId);
+        emit RedeemRequest(controller, owner, requestId, msg.sender, shares);
+    }
+    
+    function _requestShares(uint256 requestId, address controller, bool claimable) internal view returns (uint256) {
+        if (requestId >= withdrawalRequests[controller].length) return 0;
+        WithdrawalRequest storage request = withdrawalRequests[controller][requestId];
+        if (!request.active || (block.timestamp >= request.unlockTime) != claimable) return 0;
+        return request.sUSDBAmount;
+    }
+    
+    function _unvestedYield() internal view returns (uint256) {
+        if (block.timestamp >= vestingEnd) return 0;
+        return (vestingAmount * (vestingEnd - block.timestamp)) / (vestingEnd - vestingStart);
+    }
+    
+    /**
+     * @dev Moves the vested part of the schedule into _managedAssets; the rest keeps vesting at the same rate
+     */
+    function _syncVesting() internal {
+        uint256 unvested = _unvestedYield();
+        _managedAssets += vestingAmount - unvested;
+        vestingAmount = unvested;
+        vestingStart = block.timestamp;
+    }
+    
+    function _claimable(address controller) internal view returns (uint256 assets, uint256 shares) {
+        WithdrawalRequest[] storage requests = withdrawalRequests[controller];
+        for (uint256 i = 0; i < requests.length; i++) {
+            if (requests[i].active && block.timestamp >= requests[i].unlockTime) {
+                assets += requests[i].usdbAmount;
+                shares += requests[i].sUSDBAmount;
+            }
+        }
+    }
+    
+    /**
+     * @dev Consumes unlocked requests of `controller`, oldest first, for `amount` USDB (byAssets) or `amount` sUSDB.
+     * A partly consumed request keeps the rest at its own rate; rounding favours the vault.
+     * @return other The sUSDB (byAssets) or USDB consumed alongside `amount`
+     */
+    function _claim(address controller, address receiver, uint256 amount, bool byAssets) internal returns (uint256 other) {
+        uint256 remaining = amount;
+        WithdrawalRequest[] storage requests = withdrawalRequests[controller];
+        for (uint256 i = 0; i < requests.length && remaining > 0; i++) {
+            WithdrawalRequest storage request = requests[i];
+            if (!request.active || block.timestamp < request.unlockTime) continue;
+            
+            uint256 assets;
+            uint256 shares;
+            if (byAssets) {
+                assets = Math.min(remaining, request.usdbAmount);
+                shares = assets == request.usdbAmount
+                    ? request.sUSDBAmount
+                    : Math.mulDiv(assets, request.sUSDBAmount, request.usdbAmount, Math.Rounding.Ceil);
+                remaining -= assets;
+            } else {
+                shares = Math.min(remaining, request.sUSDBAmount);
+                assets = shares == request.sUSDBAmount
+                    ? request.usdbAmount
+                    : Math.mulDiv(shares, request.usdbAmount, request.sUSDBAmount);
+                remaining -= shares;
+            }
+            
+            request.usdbAmount -= assets;
+            request.sUSDBAmount -= shares;
+            if (request.usdbAmount == 0) {
+                request.active = false;
+            }
+            other += byAssets ? shares : assets;
+        }
         
-        // Mint sUSDB tokens
-        _mint(msg.sender, sharesToMint);
+        uint256 usdbAmount = byAssets ? amount : other;
+        uint256 sUSDBAmount = byAssets ? other : amount;
+        if (msg.sender != controller) {
+            // The shares are already burned; the allowance authorises claiming on the controller's behalf
+            _spendAllowance(controller, msg.sender, sUSDBAmount);
+        }
+        _totalPendingWithdrawals -= usdbAmount;
+        usdbToken.safeTransfer(receiver, usdbAmount);
         
-        emit Deposit(msg.sender, usdbAmount, sharesToMint);
+        emit Withdraw(msg.sender, receiver, controller, usdbAmount, sUSDBAmount);
     }
 }
@@ -5,6 +5,7 @@ require("@nomiclabs/hardhat-waffle");
 require("hardhat-gas-reporter");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
+require("./tasks/liquidityStaking");
 const network = require("./network.config.json");
 
 /**
@@ -12,13 +13,30 @@ const network = require("./network.config.json");
  */
 module.exports = {
   solidity: {
-    version: "0.8.23",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
+    compilers: [
+      {
+        version: "0.8.23",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 200,
+          },
+          viaIR: true,
+        },
+      },
+    ],
+    // XDCLiquidityStaking sits close to the 24576-byte runtime limit; optimize it for size
+    overrides: {
+      "contracts/liquditystaking.sol": {
+        version: "0.8.23",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1,
+          },
+          viaIR: true,
+        },
       },
-      viaIR: true,
     },
   },
   networks: {
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
 
 async function main() {
   // We get the contract to deploy
@@ -17,6 +18,7 @@ async function main() {
   await BBBFarmer.deployed();
 
   console.log("BBBFarmer deployed to:", BBBFarmer.address);
+  await recordDeployment(hre, "MegadropBBB", BBBFarmer);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -1,51 +1,56 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getAddress } = require("./lib/deployments");
 
 async function debugDeposit() {
     console.log("=== Debug Deposit Issues ===\n");
     
-    // Replace these with your actual addresses
-    const SUSDB_ADDRESS = "YOUR_SUSDB_CONTRACT_ADDRESS"; // Replace this
-    const USDB_ADDRESS = "0xA23885c8E0743C734Bd6Da0df66e2631Ee9Bc6D8";
+    // Resolved from deployments/<network>.json, overridable with SUSDB_ADDRESS; USDB is read from sUSDB.usdbToken()
+    const SUSDB_ADDRESS = getAddress(hre, "sUSDB", { env: "SUSDB_ADDRESS" });
+    const EXPECTED_USDB_ADDRESS = getAddress(hre, "USDB", { env: "USDB_ADDRESS", optional: true });
 
     const [user] = await ethers.getSigners();
     
     console.log("User address:", user.address);
     console.log("sUSDB address:", SUSDB_ADDRESS);
-    console.log("USDB address:", USDB_ADDRESS);
     
     try {
         // Get contract instances
         const sUSDB = await ethers.getContractAt("sUSDB", SUSDB_ADDRESS);
+        const USDB_ADDRESS = await sUSDB.usdbToken();
         const USDB = await ethers.getContractAt("IERC20", USDB_ADDRESS);
+        console.log("USDB address:", USDB_ADDRESS);
 
         console.log("\n=== Contract Information ===");
         const underlyingAddr = await sUSDB.underlying();
         console.log("sUSDB underlying token:", underlyingAddr);
-        console.log("Expected USDB address:", USDB_ADDRESS);
-        console.log("Addresses match:", underlyingAddr.toLowerCase() === USDB_ADDRESS.toLowerCase());
+        if (EXPECTED_USDB_ADDRESS) {
+            console.log("Expected USDB address:", EXPECTED_USDB_ADDRESS);
+            console.log("Addresses match:", USDB_ADDRESS.toLowerCase() === EXPECTED_USDB_ADDRESS.toLowerCase());
+        }
 
         console.log("\n=== Balance Checks ===");
         const usdbBalance = await USDB.balanceOf(user.address);
         const sUsdbBalance = await sUSDB.balanceOf(user.address);
         
-        console.log("User USDB balance:", ethers.formatUnits(usdbBalance, 6));
-        console.log("User sUSDB balance:", ethers.formatUnits(sUsdbBalance, 6));
+        console.log("User USDB balance:", ethers.utils.formatUnits(usdbBalance, 6));
+        console.log("User sUSDB balance:", ethers.utils.formatUnits(sUsdbBalance, 6));
 
         // Test with small amount
-        const testAmount = ethers.parseUnits("1", 6); // 1 USDB
+        const testAmount = ethers.utils.parseUnits("1", 6); // 1 USDB
         
         console.log("\n=== Allowance Checks ===");
         const currentAllowance = await USDB.allowance(user.address, SUSDB_ADDRESS);
-        console.log("Current allowance:", ethers.formatUnits(currentAllowance, 6));
-        console.log("Test amount:", ethers.formatUnits(testAmount, 6));
-        console.log("Sufficient allowance:", currentAllowance >= testAmount);
+        console.log("Current allowance:", ethers.utils.formatUnits(currentAllowance, 6));
+        console.log("Test amount:", ethers.utils.formatUnits(testAmount, 6));
+        console.log("Sufficient allowance:", currentAllowance.gte(testAmount));
 
-        if (usdbBalance < testAmount) {
+        if (usdbBalance.lt(testAmount)) {
             console.log("\n❌ ERROR: Insufficient USDB balance for test");
             return;
         }
 
-        if (currentAllowance < testAmount) {
+        if (currentAllowance.lt(testAmount)) {
             console.log("\n=== Approving USDB ===");
             try {
                 const approveTx = await USDB.approve(SUSDB_ADDRESS, testAmount);
@@ -54,7 +59,7 @@ async function debugDeposit() {
                 console.log("✅ Approval successful");
                 
                 const newAllowance = await USDB.allowance(user.address, SUSDB_ADDRESS);
-                console.log("New allowance:", ethers.formatUnits(newAllowance, 6));
+                console.log("New allowance:", ethers.utils.formatUnits(newAllowance, 6));
             } catch (error) {
                 console.log("❌ Approval failed:", error.message);
                 return;
@@ -64,16 +69,16 @@ async function debugDeposit() {
         console.log("\n=== Testing Deposit ===");
         
         // Check contract state before deposit
-        console.log("Contract USDB balance before:", ethers.formatUnits(await USDB.balanceOf(SUSDB_ADDRESS), 6));
-        console.log("Total sUSDB supply before:", ethers.formatUnits(await sUSDB.totalSupply(), 6));
+        console.log("Contract USDB balance before:", ethers.utils.formatUnits(await USDB.balanceOf(SUSDB_ADDRESS), 6));
+        console.log("Total sUSDB supply before:", ethers.utils.formatUnits(await sUSDB.totalSupply(), 6));
         
         try {
             // Estimate gas first
-            const gasEstimate = await sUSDB.deposit.estimateGas(testAmount);
+            const gasEstimate = await sUSDB.estimateGas["deposit(uint256)"](testAmount);
             console.log("Estimated gas:", gasEstimate.toString());
             
             // Try the deposit
-            const depositTx = await sUSDB.deposit(testAmount);
+            const depositTx = await sUSDB["deposit(uint256)"](testAmount);
             console.log("Deposit transaction hash:", depositTx.hash);
             
             const receipt = await depositTx.wait();
@@ -85,10 +90,10 @@ async function debugDeposit() {
             const newSUsdbBalance = await sUSDB.balanceOf(user.address);
             
             console.log("\n=== Results ===");
-            console.log("New USDB balance:", ethers.formatUnits(newUsdbBalance, 6));
-            console.log("New sUSDB balance:", ethers.formatUnits(newSUsdbBalance, 6));
-            console.log("Contract USDB balance:", ethers.formatUnits(await USDB.balanceOf(SUSDB_ADDRESS), 6));
-            console.log("Total sUSDB supply:", ethers.formatUnits(await sUSDB.totalSupply(), 6));
+            console.log("New USDB balance:", ethers.utils.formatUnits(newUsdbBalance, 6));
+            console.log("New sUSDB balance:", ethers.utils.formatUnits(newSUsdbBalance, 6));
+            console.log("Contract USDB balance:", ethers.utils.formatUnits(await USDB.balanceOf(SUSDB_ADDRESS), 6));
+            console.log("Total sUSDB supply:", ethers.utils.formatUnits(await sUSDB.totalSupply(), 6));
             
         } catch (error) {
             console.log("❌ Deposit failed:", error.message);
@@ -106,8 +111,8 @@ async function debugDeposit() {
             // Additional debugging
             console.log("\n=== Debug Information ===");
             console.log("Is contract deployed?", await ethers.provider.getCode(SUSDB_ADDRESS) !== "0x");
-            console.log("User USDB balance:", ethers.formatUnits(await USDB.balanceOf(user.address), 6));
-            console.log("Allowance:", ethers.formatUnits(await USDB.allowance(user.address, SUSDB_ADDRESS), 6));
+            console.log("User USDB balance:", ethers.utils.formatUnits(await USDB.balanceOf(user.address), 6));
+            console.log("Allowance:", ethers.utils.formatUnits(await USDB.allowance(user.address, SUSDB_ADDRESS), 6));
             
             // Check if USDB contract is working
             try {
@@ -125,7 +130,7 @@ async function debugDeposit() {
 
 // Quick contract verification
 async function verifyContract() {
-    const SUSDB_ADDRESS = "YOUR_SUSDB_CONTRACT_ADDRESS"; // Replace this
+    const SUSDB_ADDRESS = getAddress(hre, "sUSDB", { env: "SUSDB_ADDRESS" });
     
     try {
         const sUSDB = await ethers.getContractAt("sUSDB", SUSDB_ADDRESS);
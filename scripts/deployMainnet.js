@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
 
 async function main() {
     console.log("==========================================");
@@ -33,6 +34,25 @@ async function main() {
     const bxdcAddress = await stakingPool.bxdcToken();
     console.log("✅ bXDC token address:", bxdcAddress);
 
+    await recordDeployment(hre, "XDCLiquidityStaking", stakingPool, {
+        args: [validatorAddress, wxdcAddress, deployer.address]
+    });
+    await recordDeployment(hre, "bXDC", { address: bxdcAddress }, {
+        args: [wxdcAddress, stakingPoolAddress],
+        extra: { createdBy: "XDCLiquidityStaking" }
+    });
+
+    // On-chain metadata for WithdrawalRequestNFT (XDC block time ~2s, used to estimate unlock time)
+    console.log("Deploying WithdrawalNFTDescriptor contract...");
+    const WithdrawalNFTDescriptor = await hre.ethers.getContractFactory("WithdrawalNFTDescriptor");
+    const descriptor = await WithdrawalNFTDescriptor.deploy(stakingPoolAddress, 2);
+    await descriptor.deployed();
+    await (await stakingPool.setWithdrawalNFTDescriptor(descriptor.address)).wait();
+    console.log("✅ WithdrawalNFTDescriptor deployed to:", descriptor.address);
+    await recordDeployment(hre, "WithdrawalNFTDescriptor", descriptor, {
+        args: [stakingPoolAddress, 2]
+    });
+
     const minStakeAmount = await stakingPool.minStakeAmount();
     const minWithdrawAmount = await stakingPool.minWithdrawAmount();
     const maxWithdrawablePercentage = await stakingPool.maxWithdrawablePercentage();
@@ -0,0 +1,29 @@
+const hre = require("hardhat");
+const { deployAndRecord, getContract } = require("./lib/deployments");
+
+// Deploys LendingBackstop (safety pools + seized-collateral auctions) and registers it with
+// LendingProtocol.setBackstop (owner only):
+//
+//   npx hardhat run scripts/lendBackstopDeploy.js --network xdc
+//
+// Environment:
+//   LENDING_PROTOCOL_ADDRESS  pool address (defaults to deployments/<network>.json)
+//
+// Until a backstop is set, collateral seized from insolvent accounts goes to the treasury.
+
+async function main() {
+  const lending = await getContract(hre, "LendingProtocol", { env: "LENDING_PROTOCOL_ADDRESS" });
+
+  const backstop = await deployAndRecord(hre, "LendingBackstop", [lending.address]);
+  console.log("LendingBackstop deployed to:", backstop.address);
+
+  await (await lending.setBackstop(backstop.address)).wait();
+  console.log("Registered as backstop of", lending.address);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
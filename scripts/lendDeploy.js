@@ -1,12 +1,17 @@
 const hre = require("hardhat");
+const { recordDeployment, deployAndRecord } = require("./lib/deployments");
 
 async function main() {
+  // Liquidation and fixed-term loans run in the extension, delegatecalled by the pool
+  const extension = await deployAndRecord(hre, "LendingProtocolExtension", []);
+  console.log("LendingProtocolExtension deployed to:", extension.address);
+
   // We get the contract to deploy
   const BBBFarmerFactory = await hre.ethers.getContractFactory("LendingProtocol");
 
   let BBBFarmer;
   try {
-    BBBFarmer = await BBBFarmerFactory.deploy();
+    BBBFarmer = await BBBFarmerFactory.deploy(extension.address);
   } catch (e) {
     console.error(e, "\n");
     throw Error(
@@ -17,6 +22,12 @@ async function main() {
   await BBBFarmer.deployed();
 
   console.log("BBBFarmer deployed to:", BBBFarmer.address);
+  await recordDeployment(hre, "LendingProtocol", BBBFarmer, { args: [extension.address] });
+
+  // The pool deploys its own LendingDataProvider and forwards the aggregated views to it
+  const dataProvider = await hre.ethers.getContractAt("LendingDataProvider", await BBBFarmer.dataProvider());
+  await recordDeployment(hre, "LendingDataProvider", dataProvider, { args: [BBBFarmer.address] });
+  console.log("LendingDataProvider deployed to:", dataProvider.address);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
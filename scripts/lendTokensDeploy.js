@@ -0,0 +1,53 @@
+const hre = require("hardhat");
+const { deployAndRecord, getContract } = require("./lib/deployments");
+
+// Deploys an AToken and a VariableDebtToken for LendingProtocol reserves and registers them
+// with setReserveTokens (owner only):
+//
+//   npx hardhat run scripts/lendTokensDeploy.js --network xdc
+//
+// Environment:
+//   LENDING_PROTOCOL_ADDRESS  pool address (defaults to deployments/<network>.json)
+//   ASSETS=0x..,0x..          reserves to cover (defaults to every reserve without tokens)
+//
+// Tokens are recorded as AToken-<SYMBOL> / VariableDebtToken-<SYMBOL>.
+
+async function main() {
+  const lending = await getContract(hre, "LendingProtocol", { env: "LENDING_PROTOCOL_ADDRESS" });
+
+  let assets = process.env.ASSETS ? process.env.ASSETS.split(",").map((a) => a.trim()) : undefined;
+  if (!assets) {
+    assets = [];
+    for (const asset of await lending.getReservesList()) {
+      if ((await lending.aTokens(asset)) === hre.ethers.constants.AddressZero) assets.push(asset);
+    }
+  }
+
+  for (const asset of assets) {
+    const token = await hre.ethers.getContractAt("IERC20Metadata", asset);
+    const symbol = await token.symbol();
+
+    const aToken = await deployAndRecord(
+      hre,
+      "AToken",
+      [lending.address, asset, `BBB Lending ${symbol}`, `a${symbol}`],
+      { name: `AToken-${symbol}` }
+    );
+    const debtToken = await deployAndRecord(
+      hre,
+      "VariableDebtToken",
+      [lending.address, asset, `BBB Variable Debt ${symbol}`, `variableDebt${symbol}`],
+      { name: `VariableDebtToken-${symbol}` }
+    );
+
+    await (await lending.setReserveTokens(asset, aToken.address, debtToken.address)).wait();
+    console.log(`${symbol}: a${symbol} ${aToken.address}, variableDebt${symbol} ${debtToken.address}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,182 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "../../deployments");
+
+/**
+ * Path of the registry file for a network, e.g. deployments/xdc.json.
+ * The network name is the key used in hardhat.config.js `networks`.
+ */
+function registryPath(network) {
+  return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Reads the registry for a network. Returns an empty registry if nothing
+ * has been deployed there yet.
+ */
+function readRegistry(network) {
+  const file = registryPath(network);
+  if (!fs.existsSync(file)) {
+    return { network, chainId: null, contracts: {} };
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeRegistry(network, registry) {
+  if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  }
+  // Write to a temp file first so an interrupted run never leaves a truncated registry
+  const file = registryPath(network);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(registry, null, 2) + "\n");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Compiler version and settings the artifact was built with.
+ */
+async function getCompilerInfo(hre, contractName) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  if (!buildInfo) {
+    return { source: artifact.sourceName };
+  }
+  const { optimizer, viaIR, evmVersion } = buildInfo.input.settings;
+  return {
+    source: artifact.sourceName,
+    version: buildInfo.solcLongVersion,
+    optimizer,
+    viaIR: Boolean(viaIR),
+    evmVersion,
+  };
+}
+
+/**
+ * Records a deployed contract in deployments/<network>.json.
+ *
+ * @param hre Hardhat runtime environment
+ * @param name Registry key (defaults to the contract name when deploying via deployAndRecord)
+ * @param contract Deployed ethers contract, or a plain { address } for contracts
+ *                 created by another contract (e.g. bXDC created by XDCLiquidityStaking)
+ * @param options.contractName Artifact name, when it differs from the registry key
+ * @param options.args Constructor arguments
+ * @param options.extra Any additional fields to store with the entry
+ */
+async function recordDeployment(hre, name, contract, options = {}) {
+  const network = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const contractName = options.contractName || name;
+
+  const entry = {
+    contract: contractName,
+    address: contract.address,
+    args: (options.args || []).map((arg) => serialize(arg)),
+    txHash: null,
+    blockNumber: null,
+    deployer: null,
+    compiler: await getCompilerInfo(hre, contractName),
+    timestamp: new Date().toISOString(),
+    ...options.extra,
+  };
+
+  if (contract.deployTransaction) {
+    const receipt = await contract.deployTransaction.wait();
+    entry.txHash = receipt.transactionHash;
+    entry.blockNumber = receipt.blockNumber;
+    entry.deployer = receipt.from;
+  }
+
+  const registry = readRegistry(network);
+  registry.network = network;
+  registry.chainId = chainId;
+  registry.contracts[name] = entry;
+  writeRegistry(network, registry);
+
+  console.log(`💾 ${name} recorded in deployments/${network}.json`);
+  return entry;
+}
+
+/**
+ * Deploys a contract and records it in the registry.
+ *
+ * @param options.name Registry key (defaults to contractName)
+ * @param options.signer Signer to deploy with (defaults to the first account)
+ */
+async function deployAndRecord(hre, contractName, args = [], options = {}) {
+  const factory = await hre.ethers.getContractFactory(
+    contractName,
+    options.signer
+  );
+  const contract = await factory.deploy(...args);
+  await contract.deployed();
+  await recordDeployment(hre, options.name || contractName, contract, {
+    contractName,
+    args,
+    extra: options.extra,
+  });
+  return contract;
+}
+
+/**
+ * Returns the registry entry for `name` on a network, or undefined.
+ */
+function getDeployment(network, name) {
+  return readRegistry(network).contracts[name];
+}
+
+/**
+ * Resolves a contract address for the current network.
+ * An environment variable (options.env) takes precedence over the registry,
+ * so existing `STAKING_POOL_ADDRESS=0x... npx hardhat run ...` invocations keep working.
+ */
+function getAddress(hre, name, options = {}) {
+  if (options.env && process.env[options.env]) {
+    return process.env[options.env];
+  }
+  const entry = getDeployment(hre.network.name, name);
+  if (entry) {
+    return entry.address;
+  }
+  if (options.optional) {
+    return undefined;
+  }
+  const hint = options.env ? ` or set ${options.env}` : "";
+  throw new Error(
+    `${name} is not recorded in deployments/${hre.network.name}.json${hint}`
+  );
+}
+
+/**
+ * Returns an ethers contract instance for a registered deployment.
+ */
+async function getContract(hre, name, options = {}) {
+  const address = getAddress(hre, name, options);
+  const entry = getDeployment(hre.network.name, name);
+  const contractName =
+    options.contractName || (entry && entry.contract) || name;
+  return hre.ethers.getContractAt(contractName, address, options.signer);
+}
+
+function serialize(value) {
+  if (Array.isArray(value)) return value.map(serialize);
+  if (value && typeof value === "object" && value._isBigNumber) {
+    return value.toString();
+  }
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  registryPath,
+  readRegistry,
+  recordDeployment,
+  deployAndRecord,
+  getDeployment,
+  getAddress,
+  getContract,
+};
@@ -0,0 +1,116 @@
+const { utils } = require("ethers");
+
+// Timelocked XDCLiquidityStaking parameters: name => pendingChanges key,
+// propose/execute functions and the unit of the proposed value.
+const PARAMS = {
+  minStakeAmount: {
+    key: "MIN_STAKE_AMOUNT",
+    propose: "proposeMinStakeAmount",
+    execute: "executeMinStakeAmount",
+    unit: "xdc",
+  },
+  minWithdrawAmount: {
+    key: "MIN_WITHDRAW_AMOUNT",
+    propose: "proposeMinWithdrawAmount",
+    execute: "executeMinWithdrawAmount",
+    unit: "xdc",
+  },
+  withdrawDelayBlocks: {
+    key: "WITHDRAW_DELAY_BLOCKS",
+    propose: "proposeWithdrawDelayBlocks",
+    execute: "executeWithdrawDelayBlocks",
+    unit: "blocks",
+  },
+  maxWithdrawablePercentage: {
+    key: "MAX_WITHDRAWABLE_PERCENTAGE",
+    propose: "proposeMaxWithdrawablePercentage",
+    execute: "executeMaxWithdrawablePercentage",
+    unit: "percent",
+  },
+  masternodeStakeAmount: {
+    key: "MASTERNODE_STAKE_AMOUNT",
+    propose: "proposeMasternodeStakeAmount",
+    execute: "executeMasternodeStakeAmount",
+    unit: "xdc",
+  },
+  protocolFeeBps: {
+    key: "PROTOCOL_FEE_BPS",
+    propose: "proposeProtocolFeeBps",
+    execute: "executeProtocolFeeBps",
+    unit: "bps",
+  },
+  timelockDelay: {
+    key: "TIMELOCK_DELAY",
+    propose: "proposeTimelockDelay",
+    execute: "executeTimelockDelay",
+    unit: "seconds",
+  },
+  treasury: {
+    key: "TREASURY",
+    propose: "proposeTreasury",
+    execute: "executeTreasury",
+    unit: "address",
+  },
+  // address(0) falls back to auto-proposing a masternode for the first available operator
+  allocationStrategy: {
+    key: "ALLOCATION_STRATEGY",
+    propose: "proposeAllocationStrategy",
+    execute: "executeAllocationStrategy",
+    unit: "address",
+  },
+  // Guarded by emergencyTimelockDelay and stored in pendingPauseAt/pendingUnpauseAt
+  pause: {
+    key: "PAUSE",
+    propose: "proposePause",
+    execute: "executePause",
+    unit: "flag",
+  },
+  unpause: {
+    key: "UNPAUSE",
+    propose: "proposeUnpause",
+    execute: "executeUnpause",
+    unit: "flag",
+  },
+};
+
+// keccak256(key) as emitted in ParameterProposed => parameter name
+const NAMES_BY_HASH = Object.fromEntries(
+  Object.entries(PARAMS).map(([name, { key }]) => [utils.id(key), name])
+);
+
+function paramConfig(name) {
+  const config = PARAMS[name];
+  if (!config) {
+    throw new Error(
+      `Unknown parameter ${name}. Expected one of: ${Object.keys(PARAMS).join(", ")}`
+    );
+  }
+  return config;
+}
+
+/**
+ * Looks up a parameter by the bytes32 key emitted on-chain.
+ * Returns undefined for keys this tooling does not know about.
+ */
+function paramByHash(hash) {
+  const name = NAMES_BY_HASH[hash.toLowerCase()];
+  return name && { name, ...PARAMS[name] };
+}
+
+function parseValue(unit, value) {
+  if (unit === "address") return utils.getAddress(value);
+  return unit === "xdc" ? utils.parseEther(value) : utils.parseUnits(value, 0);
+}
+
+// Address parameters are proposed in AddressParameterProposed and stored in PendingChange.addressValue
+function formatValue(unit, value) {
+  return unit === "xdc" ? utils.formatEther(value) : value.toString();
+}
+
+module.exports = {
+  PARAMS,
+  paramConfig,
+  paramByHash,
+  parseValue,
+  formatValue,
+};
@@ -0,0 +1,258 @@
+const hre = require("hardhat");
+const { getContract, getDeployment, getAddress } = require("./lib/deployments");
+
+// Watches LendingProtocol borrowers and liquidates positions with health factor < 1:
+//
+//   npx hardhat run scripts/liquidationBot.js --network xdc
+//
+// Against a local fork:
+//
+//   npx hardhat node --fork <xdc rpc url>
+//   npx hardhat run scripts/liquidationBot.js --network localhost
+//
+// Environment:
+//   LENDING_PROTOCOL_ADDRESS  pool address (defaults to deployments/<network>.json)
+//   FLASH_LIQUIDATOR_ADDRESS  FlashLiquidator to liquidate with flash loans (defaults to the
+//                             registry; without one the bot repays from its own balance)
+//   FLASH=false               never use the flash liquidator
+//   FROM_BLOCK                first block to scan for borrowers (defaults to the deployment block)
+//   POLL_INTERVAL             seconds between new-block checks (default 3)
+//   BLOCK_RANGE               max blocks per eth_getLogs query (default 5000)
+//   WARN_HF                   log positions below this health factor (default 1.05)
+//   MIN_PROFIT_USD            skip liquidations with a smaller expected bonus (default 1)
+//   MAX_SLIPPAGE_BPS          extra collateral the flash swap may spend (default 100 = 1%)
+//   ONCE=true                 evaluate the current block once, then exit
+//   DRY_RUN=true              simulate liquidations with callStatic instead of sending them
+//
+// The borrower set is rebuilt from Supply/Borrow/FixedBorrow events (onBehalfOf); liquidationCall
+// covers variable and fixed-term debt of the debt asset together. The debt/collateral pair
+// is chosen like _calculateAvailableCollateralToLiquidate: seized collateral is the covered debt
+// plus the liquidation bonus (e-mode aware), capped at the user's collateral balance.
+
+const { BigNumber, utils } = hre.ethers;
+
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 3) * 1000;
+const BLOCK_RANGE = Number(process.env.BLOCK_RANGE || 5000);
+const WARN_HF = utils.parseEther(process.env.WARN_HF || "1.05");
+const MIN_PROFIT_USD = utils.parseEther(process.env.MIN_PROFIT_USD || "1");
+const MAX_SLIPPAGE_BPS = Number(process.env.MAX_SLIPPAGE_BPS || 100);
+const USE_FLASH = process.env.FLASH !== "false";
+const ONCE = process.env.ONCE === "true";
+const DRY_RUN = process.env.DRY_RUN === "true";
+
+const ONE = utils.parseEther("1");
+const BPS = BigNumber.from(10000);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+const formatHf = (hf) => (hf.eq(hre.ethers.constants.MaxUint256) ? "∞" : utils.formatEther(hf));
+
+async function scanBorrowers(lending, fromBlock, toBlock, borrowers) {
+  const filters = [lending.filters.Supply(), lending.filters.Borrow(), lending.filters.FixedBorrow()];
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+    for (const filter of filters) {
+      for (const { args } of await lending.queryFilter(filter, start, end)) {
+        if (!borrowers.has(args.onBehalfOf)) {
+          borrowers.set(args.onBehalfOf, { healthFactor: null });
+        }
+      }
+    }
+  }
+}
+
+// Reserve config is static between blocks; price and e-mode params are read per evaluation
+async function reserveParams(lending, asset, category, cache) {
+  if (!cache.has(asset)) {
+    const reserve = await lending.reserves(asset);
+    cache.set(asset, {
+      decimals: reserve.decimals,
+      liquidationBonus: reserve.liquidationBonus,
+      eModeCategory: await lending.reserveEModeCategory(asset),
+    });
+  }
+  const config = cache.get(asset);
+  let bonus = config.liquidationBonus;
+  let price;
+  if (category !== 0 && config.eModeCategory === category) {
+    const eMode = await lending.eModeCategories(category);
+    bonus = eMode.liquidationBonus;
+    if (eMode.priceSource !== hre.ethers.constants.AddressZero) {
+      const source = await hre.ethers.getContractAt("IPriceOracle", eMode.priceSource);
+      [price] = await source.getPrice(asset);
+    }
+  }
+  if (!price) price = await lending.getAssetPrice(asset);
+  return { unit: BigNumber.from(10).pow(config.decimals), bonus, price };
+}
+
+// Mirrors LendingProtocol._calculateAvailableCollateralToLiquidate
+function simulateLiquidation(debt, collateral, debtToCover, collateralBalance) {
+  let collateralAmount = debtToCover
+    .mul(debt.price)
+    .mul(BPS.add(collateral.bonus))
+    .div(BPS)
+    .mul(collateral.unit)
+    .div(collateral.price.mul(debt.unit));
+  let debtAmount = debtToCover;
+  if (collateralAmount.gt(collateralBalance)) {
+    collateralAmount = collateralBalance;
+    debtAmount = collateralBalance
+      .mul(collateral.price)
+      .mul(debt.unit)
+      .mul(BPS)
+      .div(debt.price.mul(collateral.unit).mul(BPS.add(collateral.bonus)));
+  }
+  const debtUsd = debtAmount.mul(debt.price).div(debt.unit);
+  const collateralUsd = collateralAmount.mul(collateral.price).div(collateral.unit);
+  return { debtAmount, collateralAmount, profitUsd: collateralUsd.sub(debtUsd) };
+}
+
+async function bestLiquidation(lending, user, cache, flashLiquidator) {
+  const [assets, supplyBalances, variableBalances, fixedBalances] = await lending.getUserAccountDataDetailed(user);
+  const borrowBalances = variableBalances.map((balance, i) => balance.add(fixedBalances[i]));
+  const category = await lending.userEModeCategory(user);
+
+  const params = {};
+  for (const asset of assets) {
+    params[asset] = await reserveParams(lending, asset, category, cache);
+  }
+
+  let best;
+  assets.forEach((debtAsset, i) => {
+    if (borrowBalances[i].isZero()) return;
+    assets.forEach((collateralAsset, j) => {
+      if (supplyBalances[j].isZero()) return;
+      const result = simulateLiquidation(params[debtAsset], params[collateralAsset], borrowBalances[i], supplyBalances[j]);
+      if (!best || result.profitUsd.gt(best.profitUsd)) {
+        best = { debtAsset, collateralAsset, ...result };
+      }
+    });
+  });
+  if (!best) return undefined;
+
+  if (flashLiquidator) {
+    const fee = await lending.flashFee(best.debtAsset, best.debtAmount);
+    const { price, unit } = params[best.debtAsset];
+    best.flashFee = fee;
+    best.profitUsd = best.profitUsd.sub(fee.mul(price).div(unit));
+  }
+  return best;
+}
+
+async function liquidate(lending, flashLiquidator, user, plan) {
+  const label =
+    `${user}: cover ${plan.debtAmount} of ${plan.debtAsset}, seize ${plan.collateralAmount} ` +
+    `of ${plan.collateralAsset}, expected profit $${utils.formatEther(plan.profitUsd)}`;
+
+  try {
+    if (flashLiquidator) {
+      // Slippage bound on the collateral the swap may take to repay loan + fee
+      const maxCollateralIn = plan.collateralAmount.mul(BPS.add(MAX_SLIPPAGE_BPS)).div(BPS);
+      const args = [plan.collateralAsset, plan.debtAsset, user, plan.debtAmount, maxCollateralIn];
+      await flashLiquidator.callStatic.liquidate(...args);
+      if (DRY_RUN) return log(`🧪 flash liquidation would succeed for ${label}`);
+      const tx = await flashLiquidator.liquidate(...args);
+      await tx.wait();
+      return log(`✅ flash liquidated ${label} (tx ${tx.hash})`);
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    const token = await hre.ethers.getContractAt("IERC20", plan.debtAsset);
+    if ((await token.balanceOf(signer.address)).lt(plan.debtAmount)) {
+      return log(`⚠️  not enough ${plan.debtAsset} to liquidate ${user} without a flash loan`);
+    }
+    if ((await token.allowance(signer.address, lending.address)).lt(plan.debtAmount)) {
+      await (await token.approve(lending.address, hre.ethers.constants.MaxUint256)).wait();
+    }
+    const args = [plan.collateralAsset, plan.debtAsset, user, plan.debtAmount, false];
+    await lending.callStatic.liquidationCall(...args);
+    if (DRY_RUN) return log(`🧪 liquidationCall would succeed for ${label}`);
+    const tx = await lending.liquidationCall(...args);
+    await tx.wait();
+    log(`✅ liquidated ${label} (tx ${tx.hash})`);
+  } catch (error) {
+    log(`❌ liquidation of ${user} failed: ${error.reason || error.message}`);
+  }
+}
+
+async function checkBorrowers(lending, flashLiquidator, borrowers, blockNumber, cache) {
+  let atRisk = 0;
+  for (const [user, state] of borrowers) {
+    const { totalDebtBase, healthFactor } = await lending.getUserAccountData(user);
+    if (totalDebtBase.isZero()) {
+      state.healthFactor = null;
+      continue;
+    }
+
+    if (healthFactor.lt(WARN_HF)) {
+      atRisk++;
+      if (!state.healthFactor || !state.healthFactor.eq(healthFactor)) {
+        log(`⚠️  block ${blockNumber}: ${user} health factor ${formatHf(healthFactor)}`);
+      }
+    }
+    state.healthFactor = healthFactor;
+    if (healthFactor.gte(ONE)) continue;
+
+    const plan = await bestLiquidation(lending, user, cache, flashLiquidator);
+    if (!plan) continue;
+    if (plan.profitUsd.lt(MIN_PROFIT_USD)) {
+      log(`⏭️  ${user}: best profit $${utils.formatEther(plan.profitUsd)} below MIN_PROFIT_USD`);
+      continue;
+    }
+    await liquidate(lending, flashLiquidator, user, plan);
+  }
+  return atRisk;
+}
+
+async function main() {
+  const lending = await getContract(hre, "LendingProtocol", {
+    env: "LENDING_PROTOCOL_ADDRESS",
+  });
+  const flashAddress = USE_FLASH
+    ? getAddress(hre, "FlashLiquidator", { env: "FLASH_LIQUIDATOR_ADDRESS", optional: true })
+    : undefined;
+  const flashLiquidator = flashAddress && (await hre.ethers.getContractAt("FlashLiquidator", flashAddress));
+
+  const deployment = getDeployment(hre.network.name, "LendingProtocol");
+  let fromBlock = Number(
+    process.env.FROM_BLOCK || (deployment && deployment.blockNumber) || 0
+  );
+
+  const [signer] = await hre.ethers.getSigners();
+  log(`Watching ${lending.address} on ${hre.network.name} as ${signer.address}`);
+  log(flashLiquidator ? `Liquidating through FlashLiquidator ${flashLiquidator.address}` : "Liquidating from the bot's own balance");
+  if (DRY_RUN) log("Dry run: liquidations are only simulated");
+
+  const borrowers = new Map(); // user => { healthFactor }
+  const cache = new Map(); // asset => static reserve config
+  let lastBlock = -1;
+  for (;;) {
+    const latest = await hre.ethers.provider.getBlockNumber();
+    if (latest > lastBlock) {
+      if (latest >= fromBlock) {
+        await scanBorrowers(lending, fromBlock, latest, borrowers);
+        fromBlock = latest + 1;
+      }
+      const atRisk = await checkBorrowers(lending, flashLiquidator, borrowers, latest, cache);
+      if (ONCE || latest % 100 === 0) {
+        log(`block ${latest}: ${borrowers.size} accounts, ${atRisk} below health factor ${utils.formatEther(WARN_HF)}`);
+      }
+      lastBlock = latest;
+    }
+
+    if (ONCE) break;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
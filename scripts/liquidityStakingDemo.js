@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { getAddress } = require("./lib/deployments");
 
 async function main() {
     console.log("XDC 流动性质押系统演示\n");
@@ -6,11 +7,11 @@ async function main() {
     // 获取账户
     const [owner, user1, user2] = await hre.ethers.getSigners();
     
-    // 这里替换为你部署的合约地址
-    const STAKING_POOL_ADDRESS = process.env.STAKING_POOL_ADDRESS || "YOUR_STAKING_POOL_ADDRESS";
+    // 优先使用环境变量 STAKING_POOL_ADDRESS，否则读取 deployments/<network>.json
+    const STAKING_POOL_ADDRESS = getAddress(hre, "XDCLiquidityStaking", { env: "STAKING_POOL_ADDRESS", optional: true });
     
-    if (STAKING_POOL_ADDRESS === "YOUR_STAKING_POOL_ADDRESS") {
-        console.log("❌ 请先设置环境变量 STAKING_POOL_ADDRESS");
+    if (!STAKING_POOL_ADDRESS) {
+        console.log("❌ 未找到已部署的质押池，请先部署或设置环境变量 STAKING_POOL_ADDRESS");
         console.log("例如: STAKING_POOL_ADDRESS=0x... npx hardhat run scripts/liquidityStakingDemo.js --network xdc");
         process.exit(1);
     }
@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
 
 async function main() {
     console.log("开始部署 XDC 流动性质押系统...");
@@ -24,6 +25,7 @@ async function main() {
         await wxdc.deployed();
         wxdcAddress = wxdc.address;
         console.log("✅ WXDC 合约已部署:", wxdcAddress);
+        await recordDeployment(hre, "WXDC", wxdc);
     }
 
     // 部署 XDCLiquidityStaking 合约（会自动创建 bXDC, WithdrawalRequestNFT, RewardsVault）
@@ -42,6 +44,35 @@ async function main() {
     console.log("✅ WithdrawalRequestNFT 地址:", withdrawalNFTAddress);
     console.log("✅ RewardsVault 地址 (注册为 masternode 奖励接收者):", rewardsVaultAddress);
 
+    // 写入 deployments/<network>.json 地址注册表（子合约由质押池在构造函数中创建）
+    await recordDeployment(hre, "XDCLiquidityStaking", stakingPool, {
+        args: [validatorAddress, wxdcAddress, deployer.address]
+    });
+    const createdBy = { createdBy: "XDCLiquidityStaking" };
+    await recordDeployment(hre, "bXDC", { address: bxdcAddress }, {
+        args: [wxdcAddress, stakingPoolAddress],
+        extra: createdBy
+    });
+    await recordDeployment(hre, "WithdrawalRequestNFT", { address: withdrawalNFTAddress }, {
+        args: [stakingPoolAddress],
+        extra: createdBy
+    });
+    await recordDeployment(hre, "RewardsVault", { address: rewardsVaultAddress }, {
+        args: [stakingPoolAddress],
+        extra: createdBy
+    });
+
+    // 部署 WithdrawalRequestNFT 的链上元数据渲染合约（XDC 出块时间约 2 秒，用于估算解锁时间）
+    console.log("\n部署 WithdrawalNFTDescriptor 合约...");
+    const WithdrawalNFTDescriptor = await hre.ethers.getContractFactory("WithdrawalNFTDescriptor");
+    const descriptor = await WithdrawalNFTDescriptor.deploy(stakingPoolAddress, 2);
+    await descriptor.deployed();
+    await (await stakingPool.setWithdrawalNFTDescriptor(descriptor.address)).wait();
+    console.log("✅ WithdrawalNFTDescriptor 地址:", descriptor.address);
+    await recordDeployment(hre, "WithdrawalNFTDescriptor", descriptor, {
+        args: [stakingPoolAddress, 2]
+    });
+
     // 获取初始参数
     const minStakeAmount = await stakingPool.minStakeAmount();
     const minWithdrawAmount = await stakingPool.minWithdrawAmount();
@@ -79,7 +110,8 @@ async function main() {
             WXDC: wxdcAddress,
             bXDC: bxdcAddress,
             WithdrawalRequestNFT: withdrawalNFTAddress,
-            RewardsVault: rewardsVaultAddress
+            RewardsVault: rewardsVaultAddress,
+            WithdrawalNFTDescriptor: descriptor.address
         },
         validatorAddress: validatorAddress,
         timestamp: new Date().toISOString(),
@@ -0,0 +1,41 @@
+const hre = require("hardhat");
+const { deployAndRecord, getContract } = require("./lib/deployments");
+
+// Deploys the LendingProtocol price oracle stack:
+//
+//   ChainlinkOracleAdapter  USD feeds (also prices the quote tokens of the TWAP pairs)
+//   UniswapV2TwapOracle     TWAP over UniswapV2Factory pairs, quoted through the adapter
+//   CompositeOracle         per-asset fallback/median over the two, with staleness and deviation checks
+//
+// Environment:
+//   TWAP_PERIOD=1800           minimum seconds between TWAP updates
+//   SET_LENDING_ORACLE=true    point the registered LendingProtocol at the CompositeOracle
+//
+// Feeds, pairs and asset sources are configured afterwards by the owner
+// (setFeed, addPair, setAssetSources); a keeper must call update(asset) on the TWAP oracle.
+
+async function main() {
+  const period = Number(process.env.TWAP_PERIOD || 1800);
+
+  const chainlink = await deployAndRecord(hre, "ChainlinkOracleAdapter");
+  console.log("ChainlinkOracleAdapter deployed to:", chainlink.address);
+
+  const twap = await deployAndRecord(hre, "UniswapV2TwapOracle", [chainlink.address, period]);
+  console.log("UniswapV2TwapOracle deployed to:", twap.address);
+
+  const composite = await deployAndRecord(hre, "CompositeOracle");
+  console.log("CompositeOracle deployed to:", composite.address);
+
+  if (process.env.SET_LENDING_ORACLE === "true") {
+    const lending = await getContract(hre, "LendingProtocol", { env: "LENDING_PROTOCOL_ADDRESS" });
+    await (await lending.setPriceOracle(composite.address)).wait();
+    console.log("LendingProtocol", lending.address, "now prices through", composite.address);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
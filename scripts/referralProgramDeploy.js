@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
 
 async function main() {
   // We get the contract to deploy
@@ -19,6 +20,7 @@ async function main() {
   await referralProgram.deployed();
 
   console.log("ReferralProgram deployed to:", referralProgram.address);
+  await recordDeployment(hre, "ReferralProgram", referralProgram);
 }
 
 // We recommend this pattern to be able to use async/await everywhere
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getContract, getDeployment } = require("./lib/deployments");
+
+// Harvests XDCLiquidityStaking RewardsVault rewards and records each harvest:
+//
+//   npx hardhat run scripts/rewardsKeeper.js --network xdc
+//
+// Environment:
+//   STAKING_POOL_ADDRESS   pool address (defaults to deployments/<network>.json)
+//   MIN_HARVEST            harvest once the vault holds at least this much XDC (default 100)
+//   MAX_HARVEST_INTERVAL   seconds after which any non-zero vault balance is harvested (default 86400)
+//   POLL_INTERVAL          seconds between checks (default 300)
+//   BLOCK_RANGE            max blocks per eth_getLogs query (default 5000)
+//   FROM_BLOCK             first block to scan for history (defaults to the last logged
+//                          block + 1, else the pool's deployment block)
+//   HISTORY_FILE           JSONL history path (default history/rewards-<network>.jsonl)
+//   ONCE=true              check, harvest and log once, then exit
+//   DRY_RUN=true           simulate harvestRewards() with callStatic instead of sending it
+//
+// Every RewardsHarvested event (from this keeper or anyone else) is appended to the
+// history with the protocol fee minted to the treasury, the resulting exchange rate and the APR implied
+// by the exchange rate change since the previous entry.
+
+const MIN_HARVEST = hre.ethers.utils.parseEther(process.env.MIN_HARVEST || "100");
+const MAX_HARVEST_INTERVAL = Number(process.env.MAX_HARVEST_INTERVAL || 86400);
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 300) * 1000;
+const BLOCK_RANGE = Number(process.env.BLOCK_RANGE || 5000);
+const ONCE = process.env.ONCE === "true";
+const DRY_RUN = process.env.DRY_RUN === "true";
+const HISTORY_FILE =
+  process.env.HISTORY_FILE ||
+  path.join(__dirname, "..", "history", `rewards-${hre.network.name}.jsonl`);
+
+const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function readHistory() {
+  if (!fs.existsSync(HISTORY_FILE)) return [];
+  return fs
+    .readFileSync(HISTORY_FILE, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+function appendHistory(entry) {
+  fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+  fs.appendFileSync(HISTORY_FILE, JSON.stringify(entry) + "\n");
+}
+
+// Annualised exchange rate growth between two history entries, in percent
+function computeApr(previous, exchangeRate, timestamp) {
+  if (!previous) return null;
+  const elapsed = timestamp - previous.timestamp;
+  const prevRate = Number(previous.exchangeRate);
+  if (elapsed <= 0 || prevRate <= 0) return null;
+  const growth = Number(exchangeRate) / prevRate - 1;
+  return (growth * SECONDS_PER_YEAR * 100) / elapsed;
+}
+
+async function scanHarvests(pool, fromBlock, toBlock, history) {
+  const { formatEther } = hre.ethers.utils;
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+    const harvests = await pool.queryFilter(pool.filters.RewardsHarvested(), start, end);
+    const fees = await pool.queryFilter(pool.filters.ProtocolFeeMinted(), start, end);
+
+    for (const event of harvests) {
+      const fee = fees.find((f) => f.transactionHash === event.transactionHash);
+      const { timestamp } = await event.getBlock();
+      const exchangeRate = formatEther(event.args.newExchangeRate);
+      const apr = computeApr(history[history.length - 1], exchangeRate, timestamp);
+      const entry = {
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
+        timestamp,
+        amount: formatEther(event.args.amount),
+        fee: fee ? formatEther(fee.args.amount) : "0.0",
+        feeShares: fee ? formatEther(fee.args.shares) : "0.0",
+        exchangeRate,
+        apr,
+      };
+      appendHistory(entry);
+      history.push(entry);
+      log(
+        `📈 Harvested ${entry.amount} XDC (fee ${entry.fee}) at block ${entry.blockNumber}, ` +
+          `rate ${exchangeRate}` +
+          (apr === null ? "" : `, APR ${apr.toFixed(2)}%`)
+      );
+    }
+  }
+}
+
+async function maybeHarvest(pool, vaultAddress, history) {
+  const balance = await hre.ethers.provider.getBalance(vaultAddress);
+  if (balance.isZero()) return false;
+
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  const last = history[history.length - 1];
+  const intervalElapsed = !last || now - last.timestamp >= MAX_HARVEST_INTERVAL;
+  if (balance.lt(MIN_HARVEST) && !intervalElapsed) return false;
+
+  const amount = hre.ethers.utils.formatEther(balance);
+  try {
+    await pool.callStatic.harvestRewards();
+    if (DRY_RUN) {
+      log(`🧪 harvestRewards() would collect ${amount} XDC`);
+      return false;
+    }
+    const tx = await pool.harvestRewards();
+    await tx.wait();
+    log(`✅ harvestRewards() collected ${amount} XDC (tx ${tx.hash})`);
+    return true;
+  } catch (error) {
+    log(`❌ harvestRewards() failed: ${error.reason || error.message}`);
+  }
+  return false;
+}
+
+async function main() {
+  const pool = await getContract(hre, "XDCLiquidityStaking", {
+    env: "STAKING_POOL_ADDRESS",
+  });
+  const vaultAddress = await pool.getRewardsVaultAddress();
+  const history = readHistory();
+  const deployment = getDeployment(hre.network.name, "XDCLiquidityStaking");
+  const lastLogged = history.length ? history[history.length - 1].blockNumber + 1 : 0;
+  let fromBlock = Number(
+    process.env.FROM_BLOCK || lastLogged || (deployment && deployment.blockNumber) || 0
+  );
+
+  const [signer] = await hre.ethers.getSigners();
+  log(`Keeping ${pool.address} (vault ${vaultAddress}) on ${hre.network.name} as ${signer.address}`);
+  log(
+    `Harvest at ${hre.ethers.utils.formatEther(MIN_HARVEST)} XDC or every ${MAX_HARVEST_INTERVAL}s, ` +
+      `history in ${HISTORY_FILE}`
+  );
+  if (DRY_RUN) log("Dry run: harvestRewards() is only simulated");
+
+  const syncHistory = async () => {
+    const latest = await hre.ethers.provider.getBlockNumber();
+    if (latest >= fromBlock) {
+      await scanHarvests(pool, fromBlock, latest, history);
+      fromBlock = latest + 1;
+    }
+  };
+
+  for (;;) {
+    // Catch up first so the interval check sees harvests made by others
+    await syncHistory();
+    if (await maybeHarvest(pool, vaultAddress, history)) await syncHistory();
+
+    if (ONCE) break;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
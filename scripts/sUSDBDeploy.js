@@ -1,6 +1,9 @@
 const hre = require("hardhat");
+const { getAddress, recordDeployment } = require("./lib/deployments");
 
 async function main() {
+  const usdbAddress = getAddress(hre, "USDB", { env: "USDB_ADDRESS" });
+
   // We get the contract to deploy
   const referralProgramFactory = await hre.ethers.getContractFactory(
     "sUSDB"
@@ -8,7 +11,7 @@ async function main() {
 
   let referralProgram;
   try {
-    referralProgram = await referralProgramFactory.deploy();
+    referralProgram = await referralProgramFactory.deploy(usdbAddress);
   } catch (e) {
     console.error(e, "\n");
     throw Error(
@@ -19,6 +22,7 @@ async function main() {
   await referralProgram.deployed();
 
   console.log("ReferralProgram deployed to:", referralProgram.address);
+  await recordDeployment(hre, "sUSDB", referralProgram, { args: [usdbAddress] });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
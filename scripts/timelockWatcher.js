@@ -0,0 +1,129 @@
+const hre = require("hardhat");
+const { getContract, getDeployment } = require("./lib/deployments");
+const { paramByHash, formatValue } = require("./lib/liquidityStakingParams");
+
+// Watches XDCLiquidityStaking timelock proposals and executes them once executable:
+//
+//   npx hardhat run scripts/timelockWatcher.js --network xdc
+//
+// Environment:
+//   STAKING_POOL_ADDRESS  pool address (defaults to deployments/<network>.json)
+//   FROM_BLOCK            first block to scan (defaults to the pool's deployment block)
+//   POLL_INTERVAL         seconds between scans (default 60)
+//   BLOCK_RANGE           max blocks per eth_getLogs query (default 5000)
+//   ONCE=true             scan and execute once, then exit
+//   DRY_RUN=true          simulate execute* calls with callStatic instead of sending them
+//
+// Proposals are discovered from ParameterProposed/AddressParameterProposed events and
+// confirmed against getPendingChanges(), so executed or cancelled ones are dropped.
+
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 60) * 1000;
+const BLOCK_RANGE = Number(process.env.BLOCK_RANGE || 5000);
+const ONCE = process.env.ONCE === "true";
+const DRY_RUN = process.env.DRY_RUN === "true";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function log(message) {
+  console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+function describe(hash) {
+  const param = paramByHash(hash);
+  return param ? param.name : hash;
+}
+
+async function scanProposals(pool, fromBlock, toBlock, proposals) {
+  const filters = [
+    pool.filters.ParameterProposed(),
+    pool.filters.AddressParameterProposed(),
+  ];
+  for (let start = fromBlock; start <= toBlock; start += BLOCK_RANGE) {
+    const end = Math.min(start + BLOCK_RANGE - 1, toBlock);
+    for (const filter of filters) {
+      const events = await pool.queryFilter(filter, start, end);
+      for (const { args, blockNumber } of events) {
+        const param = paramByHash(args.param);
+        const value =
+          args.value._isBigNumber && param
+            ? formatValue(param.unit, args.value)
+            : args.value.toString();
+        log(
+          `📥 ${describe(args.param)} proposed = ${value} at block ${blockNumber}, ` +
+            `executable at ${new Date(args.executableAt.toNumber() * 1000).toISOString()}`
+        );
+        proposals.set(args.param, { blockNumber });
+      }
+    }
+  }
+}
+
+async function executeReady(pool, proposals) {
+  const [params, changes] = await pool.getPendingChanges();
+  const pending = new Map(params.map((hash, i) => [hash, changes[i]]));
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+
+  for (const hash of [...proposals.keys()]) {
+    const change = pending.get(hash);
+    if (!change) {
+      log(`🗑️  ${describe(hash)} is no longer pending (executed or cancelled)`);
+      proposals.delete(hash);
+      continue;
+    }
+    if (change.executableAt.gt(now)) continue;
+
+    const param = paramByHash(hash);
+    if (!param) {
+      log(`⚠️  ${hash} is executable but has no known execute function, skipping`);
+      continue;
+    }
+
+    try {
+      await pool.callStatic[param.execute]();
+      if (DRY_RUN) {
+        log(`🧪 ${param.execute}() would succeed`);
+        continue;
+      }
+      const tx = await pool[param.execute]();
+      await tx.wait();
+      log(`✅ ${param.execute}() executed (tx ${tx.hash})`);
+      proposals.delete(hash);
+    } catch (error) {
+      log(`❌ ${param.execute}() failed: ${error.reason || error.message}`);
+    }
+  }
+}
+
+async function main() {
+  const pool = await getContract(hre, "XDCLiquidityStaking", {
+    env: "STAKING_POOL_ADDRESS",
+  });
+  const deployment = getDeployment(hre.network.name, "XDCLiquidityStaking");
+  let fromBlock = Number(
+    process.env.FROM_BLOCK || (deployment && deployment.blockNumber) || 0
+  );
+
+  const [signer] = await hre.ethers.getSigners();
+  log(`Watching ${pool.address} on ${hre.network.name} as ${signer.address}`);
+  if (DRY_RUN) log("Dry run: execute* calls are only simulated");
+
+  const proposals = new Map(); // param hash => { blockNumber }
+  for (;;) {
+    const latest = await hre.ethers.provider.getBlockNumber();
+    if (latest >= fromBlock) {
+      await scanProposals(pool, fromBlock, latest, proposals);
+      fromBlock = latest + 1;
+    }
+    await executeReady(pool, proposals);
+
+    if (ONCE) break;
+    await sleep(POLL_INTERVAL);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
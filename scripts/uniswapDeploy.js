@@ -1,4 +1,5 @@
 const hre = require("hardhat");
+const { recordDeployment } = require("./lib/deployments");
 
 async function main() {
   // We get the contract to deploy
@@ -21,6 +22,9 @@ async function main() {
   await referralProgram.deployed();
 
   console.log("ReferralProgram deployed to:", referralProgram.address);
+  await recordDeployment(hre, "UniswapV2Factory", referralProgram, {
+    args: ["0x2475dcd4fe333be814ef7c8f8ce8a1e9b5fcdea0"],
+  });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
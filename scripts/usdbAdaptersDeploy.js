@@ -0,0 +1,73 @@
+const hre = require("hardhat");
+const { deployAndRecord, getAddress, getContract } = require("./lib/deployments");
+
+// Deploys USDBManager strategy adapters for one USDB backing token and registers them as strategies
+// (authorizeProtocol + addStrategy, USDBManager owner only):
+//
+//   TOKEN=0x... npx hardhat run scripts/usdbAdaptersDeploy.js --network xdc
+//
+// Environment:
+//   TOKEN                     token to invest (must be supported by USDB)
+//   USDB_MANAGER_ADDRESS      manager address (defaults to deployments/<network>.json)
+//   LENDING_PROTOCOL_ADDRESS  pool for LendingSupplyAdapter (defaults to deployments/<network>.json)
+//   LENDING_TARGET_BPS        target allocation of the lending strategy (default 3000)
+//   LP_STAKE_ADDRESS          LpStake for LpStakeAdapter (defaults to deployments/<network>.json)
+//   LP_STAKE_PID              LpStake pool staking TOKEN; the LpStake adapter is skipped when unset
+//   LP_STAKE_TARGET_BPS       target allocation of the LpStake strategy (default 2000)
+//
+// Funds only move on USDBManager.invest / rebalance, so registering strategies is safe to do up front.
+
+async function addStrategy(manager, adapter, token, targetBps, description) {
+  await (await manager.authorizeProtocol(adapter.address)).wait();
+  await (await manager.addStrategy(adapter.address, token, targetBps, description)).wait();
+  const strategyId = (await manager.nextStrategyId()).sub(1);
+  console.log(`Strategy ${strategyId} (${description}): ${adapter.address}, target ${targetBps} bps`);
+}
+
+async function main() {
+  const token = process.env.TOKEN;
+  if (!token) throw new Error("Set TOKEN to the USDB backing token to invest");
+
+  const manager = await getContract(hre, "USDBManager", { env: "USDB_MANAGER_ADDRESS" });
+  const tokenSymbol = await (await hre.ethers.getContractAt("IERC20Metadata", token)).symbol();
+
+  const lending = getAddress(hre, "LendingProtocol", { env: "LENDING_PROTOCOL_ADDRESS" });
+  const lendingAdapter = await deployAndRecord(
+    hre,
+    "LendingSupplyAdapter",
+    [manager.address, lending, token],
+    { name: `LendingSupplyAdapter-${tokenSymbol}` }
+  );
+  await addStrategy(
+    manager,
+    lendingAdapter,
+    token,
+    Number(process.env.LENDING_TARGET_BPS || 3000),
+    `LendingProtocol ${tokenSymbol} supply`
+  );
+
+  if (process.env.LP_STAKE_PID !== undefined) {
+    const lpStake = getAddress(hre, "LpStake", { env: "LP_STAKE_ADDRESS" });
+    const pid = Number(process.env.LP_STAKE_PID);
+    const lpStakeAdapter = await deployAndRecord(
+      hre,
+      "LpStakeAdapter",
+      [manager.address, lpStake, pid],
+      { name: `LpStakeAdapter-${pid}` }
+    );
+    await addStrategy(
+      manager,
+      lpStakeAdapter,
+      token,
+      Number(process.env.LP_STAKE_TARGET_BPS || 2000),
+      `LpStake pool ${pid}`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getContract, getAddress } = require("./lib/deployments");
+
+// Proof-of-reserves attestation for USDB: snapshots supply vs. reserves at a block and writes a
+// signed JSON report:
+//
+//   npx hardhat run scripts/usdbAttestation.js --network xdc
+//
+// Environment:
+//   USDB_ADDRESS          USDB address (defaults to deployments/<network>.json)
+//   USDB_MANAGER_ADDRESS  USDBManager to mark strategy positions with (defaults to USDB.manager())
+//   BLOCK                 block to attest (default: latest)
+//   OUT                   report path (default attestations/usdb-<network>-<block>.json)
+//
+// Reserves come from USDB.getReserveBreakdown() (tokens held by USDB and the manager, plus the
+// amounts the manager has allocated to strategies). Strategy positions are also marked at their
+// adapters' totalValue (USDBManager.getAllPositions); when that is lower than the allocated amount
+// the unrealised loss (not yet booked with USDBManager.reportLoss) is deducted from markedReserves. The report is flagged (and the script
+// exits with code 2) when markedReserves is below totalSupply.
+//
+// The signature is an EIP-191 personal_sign by the first account over the JSON of `report`;
+// verify with ethers.utils.verifyMessage(JSON.stringify(report), signature).
+
+const { BigNumber, utils } = hre.ethers;
+
+const BPS = BigNumber.from(10000);
+
+// Token amount (token decimals) in USDB units (6 decimals), rounded down like USDB._toUSDBAmount
+function toUSDB(amount, decimals) {
+  if (decimals > 6) return amount.div(BigNumber.from(10).pow(decimals - 6));
+  return amount.mul(BigNumber.from(10).pow(6 - decimals));
+}
+
+const ratioBps = (reserves, supply) => (supply.isZero() ? null : reserves.mul(BPS).div(supply).toNumber());
+
+async function markedPositions(managerAddress, blockTag) {
+  const marked = new Map(); // token => marked strategy balance
+  if (managerAddress === hre.ethers.constants.AddressZero) return marked;
+
+  const manager = await hre.ethers.getContractAt("USDBManager", managerAddress);
+  // Every strategy has its own adapter, so positions never double count. Like getDeployedAmount,
+  // positions include deactivated strategies that still hold funds
+  for (const position of await manager.getAllPositions({ blockTag })) {
+    marked.set(position.token, (marked.get(position.token) || BigNumber.from(0)).add(position.amount));
+  }
+  return marked;
+}
+
+async function main() {
+  const usdb = await getContract(hre, "USDB", { env: "USDB_ADDRESS" });
+  const blockTag = process.env.BLOCK ? Number(process.env.BLOCK) : await hre.ethers.provider.getBlockNumber();
+  const block = await hre.ethers.provider.getBlock(blockTag);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const managerAddress =
+    getAddress(hre, "USDBManager", { env: "USDB_MANAGER_ADDRESS", optional: true }) ||
+    (await usdb.manager({ blockTag }));
+  const breakdown = await usdb.getReserveBreakdown({ blockTag });
+  const marked = await markedPositions(managerAddress, blockTag);
+
+  const tokens = [];
+  let markedReserves = BigNumber.from(0);
+  for (let i = 0; i < breakdown.tokens.length; i++) {
+    const address = breakdown.tokens[i];
+    const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+
+    const deployed = breakdown.deployed[i];
+    const deployedMarked = marked.has(address) ? marked.get(address) : deployed;
+    const loss = deployedMarked.lt(deployed) ? deployed.sub(deployedMarked) : BigNumber.from(0);
+    const liquid = breakdown.held[i].add(breakdown.managerHeld[i]);
+    markedReserves = markedReserves.add(toUSDB(liquid.add(deployed).sub(loss), decimals));
+
+    tokens.push({
+      token: address,
+      symbol,
+      decimals,
+      held: utils.formatUnits(breakdown.held[i], decimals),
+      managerHeld: utils.formatUnits(breakdown.managerHeld[i], decimals),
+      deployed: utils.formatUnits(deployed, decimals),
+      deployedMarked: utils.formatUnits(deployedMarked, decimals),
+      unrealisedLoss: utils.formatUnits(loss, decimals),
+      totalUSDB: utils.formatUnits(breakdown.totals[i], 6),
+    });
+  }
+
+  const { supply, totalReserves } = breakdown;
+  const undercollateralised = markedReserves.lt(supply);
+  const report = {
+    network: hre.network.name,
+    chainId,
+    blockNumber: block.number,
+    blockHash: block.hash,
+    blockTimestamp: block.timestamp,
+    usdb: usdb.address,
+    manager: managerAddress,
+    totalSupply: utils.formatUnits(supply, 6),
+    totalReserves: utils.formatUnits(totalReserves, 6),
+    markedReserves: utils.formatUnits(markedReserves, 6),
+    reserveRatioBps: ratioBps(totalReserves, supply),
+    markedReserveRatioBps: ratioBps(markedReserves, supply),
+    undercollateralised,
+    shortfall: undercollateralised ? utils.formatUnits(supply.sub(markedReserves), 6) : "0.0",
+    tokens,
+    generatedAt: new Date().toISOString(),
+  };
+
+  const [signer] = await hre.ethers.getSigners();
+  const signature = await signer.signMessage(JSON.stringify(report));
+
+  const out =
+    process.env.OUT ||
+    path.join(__dirname, "../attestations", `usdb-${hre.network.name}-${block.number}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify({ report, signer: signer.address, signature }, null, 2) + "\n");
+
+  console.log(`USDB ${usdb.address} at block ${block.number}`);
+  console.log(`  supply          ${report.totalSupply}`);
+  console.log(`  reserves        ${report.totalReserves} (${report.reserveRatioBps} bps)`);
+  console.log(`  marked reserves ${report.markedReserves} (${report.markedReserveRatioBps} bps)`);
+  console.log(`📝 report signed by ${signer.address} written to ${out}`);
+
+  if (undercollateralised) {
+    console.error(`🚨 USDB is undercollateralised: shortfall ${report.shortfall} USDB`);
+    process.exitCode = 2;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,4 +1,6 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { getAddress, recordDeployment } = require("./lib/deployments");
 
 async function main() {
     console.log("开始部署 USDBManager 合约...");
@@ -8,22 +10,15 @@ async function main() {
     console.log("部署者地址:", deployer.address);
 
     // 检查部署者余额
-    const balance = await deployer.provider.getBalance(deployer.address);
-    console.log("部署者余额:", ethers.formatEther(balance), "ETH");
+    const balance = await deployer.getBalance();
+    console.log("部署者余额:", ethers.utils.formatEther(balance), "ETH");
 
-    // USDB合约地址 (需要根据实际部署的地址修改)
-    const USDB_CONTRACT_ADDRESS = "0xA23885c8E0743C734Bd6Da0df66e2631Ee9Bc6D8";
-    
-    // 利润目标合约地址 (可以是任何接收利润的合约地址)
-    const PROFIT_DESTINATION_ADDRESS = "0x0000000000000000000000000000000000000000"; // 需要设置实际地址
-
-    // 如果没有设置利润目标地址，使用部署者地址作为临时地址
-    const profitDestination = PROFIT_DESTINATION_ADDRESS === "0x0000000000000000000000000000000000000000" 
-        ? deployer.address 
-        : PROFIT_DESTINATION_ADDRESS;
+    // USDB / sUSDB 地址从 deployments/<network>.json 读取，可用环境变量覆盖
+    const USDB_CONTRACT_ADDRESS = getAddress(hre, "USDB", { env: "USDB_ADDRESS" });
+    const SUSDB_CONTRACT_ADDRESS = getAddress(hre, "sUSDB", { env: "SUSDB_ADDRESS" });
 
     console.log("USDB合约地址:", USDB_CONTRACT_ADDRESS);
-    console.log("利润目标地址:", profitDestination);
+    console.log("sUSDB合约地址:", SUSDB_CONTRACT_ADDRESS);
 
     // 获取合约工厂
     const USDBManager = await ethers.getContractFactory("USDBManager");
@@ -32,22 +27,37 @@ async function main() {
     console.log("正在部署 USDBManager...");
     const usdbManager = await USDBManager.deploy(
         USDB_CONTRACT_ADDRESS,
-        profitDestination
+        SUSDB_CONTRACT_ADDRESS
     );
 
-    await usdbManager.waitForDeployment();
-    const usdbManagerAddress = await usdbManager.getAddress();
+    await usdbManager.deployed();
+    const usdbManagerAddress = usdbManager.address;
 
     console.log("✅ USDBManager 部署成功!");
     console.log("合约地址:", usdbManagerAddress);
 
+    await recordDeployment(hre, "USDBManager", usdbManager, {
+        args: [USDB_CONTRACT_ADDRESS, SUSDB_CONTRACT_ADDRESS]
+    });
+
     // 验证部署
     console.log("\n正在验证部署...");
     const deployedUSDBContract = await usdbManager.usdbContract();
-    const deployedProfitDestination = await usdbManager.profitDestination();
-    
+    const deployedSUSDBContract = await usdbManager.susdbContract();
+
     console.log("验证 - USDB合约地址:", deployedUSDBContract);
-    console.log("验证 - 利润目标地址:", deployedProfitDestination);
+    console.log("验证 - sUSDB合约地址:", deployedSUSDBContract);
+
+    // USDB 赎回按储备率检查，未登记 manager 时投入策略的资金不计入储备，投资后赎回会被拒绝
+    const usdbContract = await ethers.getContractAt("USDB", USDB_CONTRACT_ADDRESS);
+    const managerRegistered = (await usdbContract.owner()).toLowerCase() === deployer.address.toLowerCase();
+    if (managerRegistered) {
+        console.log("\n正在登记 USDBManager 到 USDB...");
+        await (await usdbContract.setManager(usdbManagerAddress)).wait();
+        console.log("✅ USDB.manager:", await usdbContract.manager());
+    } else {
+        console.log("\n⚠️ 部署者不是 USDB owner，需要由 owner 调用 setManager");
+    }
 
     // 显示关键信息
     console.log("\n=== 部署完成信息 ===");
@@ -56,41 +66,35 @@ async function main() {
     console.log("业绩费率:", "20%");
     console.log("紧急模式:", "false");
 
+    const LENDING_ADDRESS = getAddress(hre, "LendingProtocol", { optional: true }) || ethers.constants.AddressZero;
+    const LP_STAKE_ADDRESS = getAddress(hre, "LpStake", { optional: true }) || ethers.constants.AddressZero;
+
     // 提示后续操作
     console.log("\n=== 后续操作建议 ===");
-    console.log("1. 将 USDB 合约的 ownership 转移给 USDBManager:");
+    console.log("1. 在 USDB 合约登记 USDBManager（已投入策略的资金计入储备率），再转移 ownership:");
+    if (!managerRegistered) {
+        console.log(`   usdbContract.setManager("${usdbManagerAddress}")`);
+    }
     console.log(`   usdbContract.transferOwnership("${usdbManagerAddress}")`);
-    
-    console.log("\n2. 添加投资策略示例:");
-    console.log(`   usdbManager.addStrategy("usdb_staking", "${USDB_STAKE_ADDRESS}", 5000, "staking")`);
-    console.log(`   usdbManager.addStrategy("lending_protocol", "${LENDING_ADDRESS}", 3000, "lending")`);
-    
-    console.log("\n3. 从 USDB 合约提取资金:");
-    console.log(`   usdbManager.withdrawFromUSDB(tokenAddress, amount)`);
-    
-    console.log("\n4. 执行投资:");
-    console.log(`   usdbManager.executeInvestment("usdb_staking", tokenAddress, amount)`);
-
-    // 保存部署信息
-    const deploymentInfo = {
-        network: await deployer.provider.getNetwork(),
-        deployer: deployer.address,
-        usdbManager: usdbManagerAddress,
-        usdbContract: USDB_CONTRACT_ADDRESS,
-        profitDestination: profitDestination,
-        timestamp: new Date().toISOString(),
-        blockNumber: await deployer.provider.getBlockNumber()
-    };
-
-    console.log("\n部署信息已保存:", JSON.stringify(deploymentInfo, null, 2));
+    console.log(`   susdbContract.transferOwnership("${usdbManagerAddress}")  // compoundYield / reportLoss`);
+
+    console.log("\n2. 部署策略适配器并添加策略（scripts/usdbAdaptersDeploy.js 会完成授权和 addStrategy）:");
+    console.log(`   new LendingSupplyAdapter("${usdbManagerAddress}", "${LENDING_ADDRESS}", tokenAddress)`);
+    console.log(`   new LpStakeAdapter("${usdbManagerAddress}", "${LP_STAKE_ADDRESS}", pid)`);
+    console.log(`   usdbManager.authorizeProtocol(adapterAddress)`);
+    console.log(`   usdbManager.addStrategy(adapterAddress, tokenAddress, 3000, "lending")`);
+
+    console.log("\n3. 执行投资 / 提取（按 maxSlippageBps 检查滑点）:");
+    console.log(`   usdbManager.invest(strategyId, amount)`);
+    console.log(`   usdbManager.withdraw(strategyId, amount)`);
+
+    console.log("\n4. 收取收益复投到 sUSDB，确认策略亏损:");
+    console.log(`   usdbManager.harvestAndCompound()`);
+    console.log(`   usdbManager.reportLoss(strategyId)`);
 
     return usdbManagerAddress;
 }
 
-// 相关合约地址常量 (需要根据实际情况修改)
-const USDB_STAKE_ADDRESS = "0x0000000000000000000000000000000000000000"; // USDBStake合约地址
-const LENDING_ADDRESS = "0x0000000000000000000000000000000000000000";    // 借贷协议地址
-
 main()
     .then((address) => {
         console.log(`\n🎉 USDBManager 成功部署到: ${address}`);
@@ -99,4 +103,4 @@ main()
     .catch((error) => {
         console.error("❌ 部署失败:", error);
         process.exit(1);
-    }); 
\ No newline at end of file
+    });
@@ -0,0 +1,259 @@
+const hre = require("hardhat");
+const {
+  deployAndRecord,
+  getDeployment,
+} = require("./lib/deployments");
+
+// Deploys and wires the USDB stablecoin system:
+//
+//   npx hardhat run scripts/usdbStackDeploy.js --network xdc
+//
+// Re-running the script resumes a partial run: contracts already recorded in
+// deployments/<network>.json (with matching constructor args and code on-chain)
+// are reused, and wiring steps whose on-chain state is already correct are skipped.
+// An existing contract can be adopted instead of deployed via its env variable
+// (e.g. USDB_ADDRESS=0x...).
+//
+// Set USDB_MANAGER_OWNS_USDB=true to also hand USDB ownership to USDBManager
+// (required for USDBManager.invest, which pulls collateral via USDB.withdrawToken).
+// This is irreversible from the deployer's side, so it runs last and is opt-in.
+
+const CONTRACTS = [
+  {
+    id: "USDB",
+    contract: "USDB",
+    env: "USDB_ADDRESS",
+    args: () => [],
+  },
+  {
+    id: "sUSDB",
+    contract: "sUSDB",
+    env: "SUSDB_ADDRESS",
+    dependsOn: ["USDB"],
+    args: ({ USDB }) => [USDB.address],
+  },
+  {
+    id: "USDBStake",
+    contract: "USDBStake",
+    env: "USDB_STAKE_ADDRESS",
+    dependsOn: ["USDB"],
+    args: ({ USDB }) => [USDB.address],
+  },
+  {
+    id: "USDBManager",
+    contract: "USDBManager",
+    env: "USDB_MANAGER_ADDRESS",
+    dependsOn: ["USDB", "sUSDB"],
+    args: ({ USDB, sUSDB }) => [USDB.address, sUSDB.address],
+  },
+];
+
+const WIRING = [
+  {
+    id: "USDB.addMiner(USDBStake)",
+    dependsOn: ["USDB", "USDBStake"],
+    done: ({ USDB, USDBStake }) => USDB.isMiner(USDBStake.address),
+    apply: ({ USDB, USDBStake }) => USDB.addMiner(USDBStake.address),
+  },
+  {
+    // USDB.redeem enforces minReserveRatioBps over held tokens plus the manager's deployed funds; without
+    // this, investing through USDBManager lowers the reserve ratio and can block redemptions
+    id: "USDB.setManager(USDBManager)",
+    dependsOn: ["USDB", "USDBManager"],
+    done: async ({ USDB, USDBManager }) =>
+      sameAddress(await USDB.manager(), USDBManager.address),
+    apply: ({ USDB, USDBManager }) => USDB.setManager(USDBManager.address),
+  },
+  {
+    // USDBManager._compoundProfit and _realizeLoss call sUSDB.compoundYield / reportLoss, which are onlyOwner
+    id: "sUSDB.transferOwnership(USDBManager)",
+    dependsOn: ["sUSDB", "USDBManager"],
+    done: async ({ sUSDB, USDBManager }) =>
+      sameAddress(await sUSDB.owner(), USDBManager.address),
+    apply: ({ sUSDB, USDBManager }) =>
+      sUSDB.transferOwnership(USDBManager.address),
+  },
+  {
+    id: "USDB.transferOwnership(USDBManager)",
+    // Miner and manager wiring need USDB ownership, so they must happen first
+    dependsOn: [
+      "USDB",
+      "USDBManager",
+      "USDB.addMiner(USDBStake)",
+      "USDB.setManager(USDBManager)",
+    ],
+    enabled: () => process.env.USDB_MANAGER_OWNS_USDB === "true",
+    done: async ({ USDB, USDBManager }) =>
+      sameAddress(await USDB.owner(), USDBManager.address),
+    apply: ({ USDB, USDBManager }) =>
+      USDB.transferOwnership(USDBManager.address),
+  },
+];
+
+// Read-back checks run after every step has been applied
+const CHECKS = [
+  {
+    name: "sUSDB.usdbToken() == USDB",
+    actual: ({ sUSDB }) => sUSDB.usdbToken(),
+    expected: ({ USDB }) => USDB.address,
+  },
+  {
+    name: "USDBStake.usdbToken() == USDB",
+    actual: ({ USDBStake }) => USDBStake.usdbToken(),
+    expected: ({ USDB }) => USDB.address,
+  },
+  {
+    name: "USDBManager.usdbContract() == USDB",
+    actual: ({ USDBManager }) => USDBManager.usdbContract(),
+    expected: ({ USDB }) => USDB.address,
+  },
+  {
+    name: "USDBManager.susdbContract() == sUSDB",
+    actual: ({ USDBManager }) => USDBManager.susdbContract(),
+    expected: ({ sUSDB }) => sUSDB.address,
+  },
+  {
+    name: "USDBManager.usdbToken() == USDB",
+    actual: ({ USDBManager }) => USDBManager.usdbToken(),
+    expected: ({ USDB }) => USDB.address,
+  },
+];
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+function sameArgs(recorded, args) {
+  return (
+    JSON.stringify(recorded.map((a) => String(a).toLowerCase())) ===
+    JSON.stringify(args.map((a) => String(a).toLowerCase()))
+  );
+}
+
+/**
+ * Orders steps so every step runs after everything in its dependsOn list.
+ */
+function topologicalOrder(steps) {
+  const byId = new Map(steps.map((step) => [step.id, step]));
+  const ordered = [];
+  const state = new Map(); // id => "visiting" | "done"
+
+  const visit = (step, trail) => {
+    if (state.get(step.id) === "done") return;
+    if (state.get(step.id) === "visiting") {
+      throw new Error(`Dependency cycle: ${[...trail, step.id].join(" -> ")}`);
+    }
+    state.set(step.id, "visiting");
+    for (const dep of step.dependsOn || []) {
+      if (!byId.has(dep)) {
+        throw new Error(`${step.id} depends on unknown step ${dep}`);
+      }
+      visit(byId.get(dep), [...trail, step.id]);
+    }
+    state.set(step.id, "done");
+    ordered.push(step);
+  };
+
+  steps.forEach((step) => visit(step, []));
+  return ordered;
+}
+
+async function resolveContract(step, contracts) {
+  const args = step.args(contracts);
+
+  if (step.env && process.env[step.env]) {
+    console.log(`↪️  ${step.id}: using ${step.env}=${process.env[step.env]}`);
+    return hre.ethers.getContractAt(step.contract, process.env[step.env]);
+  }
+
+  const recorded = getDeployment(hre.network.name, step.id);
+  if (recorded) {
+    const code = await hre.ethers.provider.getCode(recorded.address);
+    if (code !== "0x" && sameArgs(recorded.args, args)) {
+      console.log(`↪️  ${step.id}: reusing ${recorded.address}`);
+      return hre.ethers.getContractAt(step.contract, recorded.address);
+    }
+    console.log(`⚠️  ${step.id}: recorded deployment is stale, redeploying`);
+  }
+
+  console.log(`🚀 ${step.id}: deploying ${step.contract}(${args.join(", ")})`);
+  const contract = await deployAndRecord(hre, step.contract, args, {
+    name: step.id,
+  });
+  console.log(`✅ ${step.id} deployed to: ${contract.address}`);
+  return contract;
+}
+
+async function applyWiring(step, contracts) {
+  if (step.enabled && !step.enabled()) {
+    console.log(`⏭️  ${step.id}: disabled`);
+    return;
+  }
+  if (await step.done(contracts)) {
+    console.log(`↪️  ${step.id}: already done`);
+    return;
+  }
+  console.log(`🔧 ${step.id}`);
+  const tx = await step.apply(contracts);
+  await tx.wait();
+  if (!(await step.done(contracts))) {
+    throw new Error(`${step.id} did not take effect (tx ${tx.hash})`);
+  }
+  console.log(`✅ ${step.id} (tx ${tx.hash})`);
+}
+
+async function verify(contracts) {
+  const results = [];
+
+  for (const check of CHECKS) {
+    const actual = await check.actual(contracts);
+    const expected = check.expected(contracts);
+    results.push({ name: check.name, ok: sameAddress(actual, expected) });
+  }
+  for (const step of WIRING) {
+    if (step.enabled && !step.enabled()) continue;
+    results.push({ name: step.id, ok: await step.done(contracts) });
+  }
+
+  console.log("\n🔍 On-chain verification:");
+  for (const { name, ok } of results) {
+    console.log(`${ok ? "✅" : "❌"} ${name}`);
+  }
+  return results.every(({ ok }) => ok);
+}
+
+async function main() {
+  const [deployer] = await hre.ethers.getSigners();
+  console.log(`Deploying USDB stack to ${hre.network.name}`);
+  console.log("Deployer:", deployer.address, "\n");
+
+  const steps = topologicalOrder([
+    ...CONTRACTS.map((step) => ({ ...step, kind: "contract" })),
+    ...WIRING.map((step) => ({ ...step, kind: "wiring" })),
+  ]);
+
+  const contracts = {};
+  for (const step of steps) {
+    if (step.kind === "contract") {
+      contracts[step.id] = await resolveContract(step, contracts);
+    } else {
+      await applyWiring(step, contracts);
+    }
+  }
+
+  if (!(await verify(contracts))) {
+    throw new Error("USDB stack wiring verification failed");
+  }
+
+  console.log("\n📝 Contract Addresses:");
+  for (const { id } of CONTRACTS) {
+    console.log(`${id}: ${contracts[id].address}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,12 +1,15 @@
 const hre = require("hardhat");
+const { getAddress, recordDeployment } = require("./lib/deployments");
 
 async function main() {
+  const usdbAddress = getAddress(hre, "USDB", { env: "USDB_ADDRESS" });
+
   // We get the contract to deploy
   const BBBFarmerFactory = await hre.ethers.getContractFactory("USDBStake");
 
   let BBBFarmer;
   try {
-    BBBFarmer = await BBBFarmerFactory.deploy();
+    BBBFarmer = await BBBFarmerFactory.deploy(usdbAddress);
   } catch (e) {
     console.error(e, "\n");
     throw Error(
@@ -17,6 +20,7 @@ async function main() {
   await BBBFarmer.deployed();
 
   console.log("BBBFarmer deployed to:", BBBFarmer.address);
+  await recordDeployment(hre, "USDBStake", BBBFarmer, { args: [usdbAddress] });
 }
 
 // We recommend this pattern to be able to use async/await everywhere
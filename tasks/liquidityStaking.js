@@ -0,0 +1,284 @@
+const { task, types } = require("hardhat/config");
+const { getAddress } = require("../scripts/lib/deployments");
+const {
+  PARAMS,
+  paramConfig,
+  paramByHash,
+  parseValue,
+  formatValue,
+} = require("../scripts/lib/liquidityStakingParams");
+
+// Non-interactive admin tasks for XDCLiquidityStaking.
+//
+//   npx hardhat lsp:status --network xdc [--json]
+//   npx hardhat lsp:propose --param minStakeAmount --value 2 --network xdc [--dry-run]
+//   npx hardhat lsp:execute --param minStakeAmount --network xdc [--dry-run]
+//
+// The pool address comes from --pool, STAKING_POOL_ADDRESS or deployments/<network>.json.
+// --dry-run simulates the call with callStatic (and estimates gas) without sending it.
+
+// pause/unpause have their own tasks since they take no value
+const VALUE_PARAMS = Object.keys(PARAMS).filter((name) => PARAMS[name].unit !== "flag");
+
+function valueParamConfig(name) {
+  const config = paramConfig(name);
+  if (config.unit === "flag") {
+    throw new Error(`Use lsp:${name} to propose or execute ${name}`);
+  }
+  return config;
+}
+
+async function getPool(hre, args) {
+  const address =
+    args.pool ||
+    getAddress(hre, "XDCLiquidityStaking", { env: "STAKING_POOL_ADDRESS" });
+  const [signer] = await hre.ethers.getSigners();
+  return hre.ethers.getContractAt("XDCLiquidityStaking", address, signer);
+}
+
+function output(args, result, lines) {
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    lines.forEach((line) => console.log(line));
+  }
+}
+
+/**
+ * Sends `pool[method](...params)`, or with --dry-run only simulates it via
+ * callStatic. Reverts surface as thrown errors in both modes.
+ */
+async function send(hre, args, pool, method, params = [], overrides = {}) {
+  const signer = await pool.signer.getAddress();
+  const base = { contract: pool.address, method, params: params.map(String), from: signer };
+  if (overrides.value) base.value = overrides.value.toString();
+
+  if (args.dryRun) {
+    await pool.callStatic[method](...params, overrides);
+    const gasEstimate = await pool.estimateGas[method](...params, overrides);
+    const result = { ...base, dryRun: true, gasEstimate: gasEstimate.toString() };
+    output(args, result, [
+      `🧪 ${method}(${base.params.join(", ")}) would succeed`,
+      `   estimated gas: ${result.gasEstimate}`,
+    ]);
+    return result;
+  }
+
+  const tx = await pool[method](...params, overrides);
+  const receipt = await tx.wait();
+  const result = {
+    ...base,
+    dryRun: false,
+    txHash: receipt.transactionHash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    events: receipt.events.filter((e) => e.event).map((e) => e.event),
+  };
+  output(args, result, [
+    `✅ ${method}(${base.params.join(", ")})`,
+    `   tx: ${result.txHash} (block ${result.blockNumber})`,
+  ]);
+  return result;
+}
+
+function lspTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("pool", "XDCLiquidityStaking address (defaults to the deployment registry)")
+    .addFlag("json", "Print machine-readable JSON")
+    .addFlag("dryRun", "Simulate with callStatic instead of sending the transaction");
+}
+
+lspTask("lsp:status", "Show XDCLiquidityStaking state and pending timelocked changes")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    const { formatEther } = hre.ethers.utils;
+    const bxdc = await hre.ethers.getContractAt("bXDC", await pool.bxdcToken());
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const [protocolFees, protocolFeeShares, treasuryValue] = await pool.getProtocolFeeInfo();
+
+    const pending = {};
+    const [params, changes] = await pool.getPendingChanges();
+    params.forEach((hash, i) => {
+      const param = paramByHash(hash);
+      const { value, executableAt, isAddress, addressValue } = changes[i];
+      pending[param ? param.name : hash] = {
+        value: isAddress ? addressValue : param ? formatValue(param.unit, value) : value.toString(),
+        executableAt: executableAt.toNumber(),
+        executable: executableAt.lte(now),
+      };
+    });
+
+    const status = {
+      pool: pool.address,
+      bxdc: bxdc.address,
+      paused: await pool.paused(),
+      totalPooledXDC: formatEther(await pool.totalPooledXDC()),
+      balance: formatEther(await hre.ethers.provider.getBalance(pool.address)),
+      bxdcTotalSupply: formatEther(await bxdc.totalSupply()),
+      exchangeRate: formatEther(await pool.getExchangeRate()),
+      instantExitBuffer: formatEther(await pool.instantExitBuffer()),
+      totalStakedInMasternodes: formatEther(await pool.totalStakedInMasternodes()),
+      totalInUnbonding: formatEther(await pool.totalInUnbonding()),
+      minStakeAmount: formatEther(await pool.minStakeAmount()),
+      minWithdrawAmount: formatEther(await pool.minWithdrawAmount()),
+      withdrawDelayBlocks: (await pool.withdrawDelayBlocks()).toString(),
+      maxWithdrawablePercentage: (await pool.maxWithdrawablePercentage()).toString(),
+      masternodeStakeAmount: formatEther(await pool.masternodeStakeAmount()),
+      timelockDelay: (await pool.timelockDelay()).toString(),
+      treasury: await pool.treasury(),
+      protocolFeeBps: (await pool.protocolFeeBps()).toString(),
+      protocolFees: formatEther(protocolFees),
+      protocolFeeShares: formatEther(protocolFeeShares),
+      treasuryValue: formatEther(treasuryValue),
+      pending,
+    };
+
+    const lines = [
+      `Pool:                  ${status.pool}`,
+      `bXDC:                  ${status.bxdc}`,
+      `Status:                ${status.paused ? "❌ paused" : "✅ running"}`,
+      `Total pooled:          ${status.totalPooledXDC} XDC`,
+      `Balance:               ${status.balance} XDC`,
+      `bXDC supply:           ${status.bxdcTotalSupply}`,
+      `Exchange rate:         1 bXDC = ${status.exchangeRate} XDC`,
+      `Instant exit buffer:   ${status.instantExitBuffer} XDC`,
+      `Staked in masternodes: ${status.totalStakedInMasternodes} XDC`,
+      `In unbonding:          ${status.totalInUnbonding} XDC`,
+      `Min stake:             ${status.minStakeAmount} XDC`,
+      `Min withdraw:          ${status.minWithdrawAmount} XDC`,
+      `Withdraw delay:        ${status.withdrawDelayBlocks} blocks`,
+      `Max withdrawable:      ${status.maxWithdrawablePercentage}%`,
+      `Masternode stake:      ${status.masternodeStakeAmount} XDC`,
+      `Timelock delay:        ${status.timelockDelay} s`,
+      `Treasury:              ${status.treasury}`,
+      `Protocol fee:          ${status.protocolFeeBps} bps`,
+      `Fees minted:           ${status.protocolFees} XDC (${status.protocolFeeShares} bXDC)`,
+      `Treasury bXDC value:   ${status.treasuryValue} XDC`,
+    ];
+    const pendingNames = Object.keys(pending);
+    lines.push(pendingNames.length ? "Pending changes:" : "Pending changes:       none");
+    for (const name of pendingNames) {
+      const { value, executableAt, executable } = pending[name];
+      const when = new Date(executableAt * 1000).toISOString();
+      lines.push(
+        `  ${name}${PARAMS[name] && PARAMS[name].unit === "flag" ? "" : ` = ${value}`} ` +
+          `(${executable ? "executable now" : `executable at ${when}`})`
+      );
+    }
+    output(args, status, lines);
+    return status;
+  });
+
+lspTask("lsp:propose", "Propose a timelocked parameter change")
+  .addParam("param", `One of: ${VALUE_PARAMS.join(", ")}`)
+  .addParam("value", "New value (XDC amounts in ether units, addresses as 0x...)")
+  .setAction(async (args, hre) => {
+    const { propose, unit } = valueParamConfig(args.param);
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, propose, [parseValue(unit, args.value)]);
+  });
+
+lspTask("lsp:execute", "Execute a proposed parameter change once its timelock has passed")
+  .addParam("param", `One of: ${VALUE_PARAMS.join(", ")}`)
+  .setAction(async (args, hre) => {
+    const { execute } = valueParamConfig(args.param);
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, execute);
+  });
+
+lspTask("lsp:cancel", "Cancel a queued proposal")
+  .addParam("param", `One of: ${Object.keys(PARAMS).join(", ")}, or a raw bytes32 key`)
+  .setAction(async (args, hre) => {
+    const key = hre.ethers.utils.isHexString(args.param, 32)
+      ? args.param
+      : hre.ethers.utils.id(paramConfig(args.param).key);
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "cancelPendingChange", [key]);
+  });
+
+lspTask("lsp:pause", "Propose a pause, or execute it with --execute after the emergency timelock")
+  .addFlag("execute", "Execute the pending pause")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, args.execute ? "executePause" : "proposePause");
+  });
+
+lspTask("lsp:unpause", "Propose an unpause, or execute it with --execute after the emergency timelock")
+  .addFlag("execute", "Execute the pending unpause")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, args.execute ? "executeUnpause" : "proposeUnpause");
+  });
+
+lspTask("lsp:withdraw-for-validator", "Withdraw pooled XDC to the admin for running validators")
+  .addParam("amount", "Amount in XDC")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "withdrawForValidator", [
+      hre.ethers.utils.parseEther(args.amount),
+    ]);
+  });
+
+lspTask("lsp:propose-masternode", "Stake masternodeStakeAmount for an approved operator")
+  .addParam("operator", "Operator (coinbase) address", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "proposeMasternode", [
+      hre.ethers.utils.getAddress(args.operator),
+    ]);
+  });
+
+lspTask("lsp:resign-masternode", "Resign a masternode run by the pool")
+  .addParam("operator", "Operator (coinbase) address", undefined, types.string)
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "resignMasternode", [
+      hre.ethers.utils.getAddress(args.operator),
+    ]);
+  });
+
+lspTask("lsp:vote-masternode", "Vote a sub-cap amount for an existing candidate")
+  .addParam("operator", "Operator (coinbase) address", undefined, types.string)
+  .addParam("amount", "Amount in XDC")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "voteMasternode", [
+      hre.ethers.utils.getAddress(args.operator),
+      hre.ethers.utils.parseEther(args.amount),
+    ]);
+  });
+
+lspTask("lsp:unvote-masternode", "Unvote part of the pool's stake from a candidate")
+  .addParam("operator", "Operator (coinbase) address", undefined, types.string)
+  .addParam("amount", "Amount in XDC")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "unvoteMasternode", [
+      hre.ethers.utils.getAddress(args.operator),
+      hre.ethers.utils.parseEther(args.amount),
+    ]);
+  });
+
+lspTask("lsp:allocate-stake", "Stake idle XDC across operators using the allocation strategy")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "allocateStake");
+  });
+
+lspTask("lsp:deposit-rewards", "Deposit staking rewards (raises the bXDC exchange rate)")
+  .addParam("amount", "Amount in XDC")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "depositRewards", [], {
+      value: hre.ethers.utils.parseEther(args.amount),
+    });
+  });
+
+lspTask("lsp:add-to-instant-exit-buffer", "Add XDC to the instant exit buffer")
+  .addParam("amount", "Amount in XDC")
+  .setAction(async (args, hre) => {
+    const pool = await getPool(hre, args);
+    return send(hre, args, pool, "addToInstantExitBuffer", [], {
+      value: hre.ethers.utils.parseEther(args.amount),
+    });
+  });
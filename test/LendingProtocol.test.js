@@ -0,0 +1,768 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Lending Protocol", function () {
+    let lending;
+    let wxdc;
+    let usdb;
+    let owner;
+    let supplier;
+    let borrower;
+    let liquidator;
+
+    const usd = (n) => ethers.utils.parseEther(n);
+    const usdbAmount = (n) => ethers.utils.parseUnits(n, 6);
+    const xdc = (n) => ethers.utils.parseEther(n);
+
+    beforeEach(async function () {
+        [owner, supplier, borrower, liquidator] = await ethers.getSigners();
+        // 每个用例都会把 XDC 包装成 WXDC，重置余额避免耗尽
+        for (const signer of [supplier, borrower, liquidator]) {
+            await ethers.provider.send("hardhat_setBalance", [signer.address, xdc("10000").toHexString()]);
+        }
+
+        const WXDC = await ethers.getContractFactory("WXDC");
+        wxdc = await WXDC.deploy();
+        await wxdc.deployed();
+
+        const USDB = await ethers.getContractFactory("USDB");
+        usdb = await USDB.deploy();
+        await usdb.deployed();
+        await usdb.addMiner(owner.address);
+
+        const LendingProtocolExtension = await ethers.getContractFactory("LendingProtocolExtension");
+        const extension = await LendingProtocolExtension.deploy();
+        const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+        lending = await LendingProtocol.deploy(extension.address);
+        await lending.deployed();
+
+        // WXDC 作抵押品，USDB 可借
+        await lending.initReserve(wxdc.address, true, false, 7500, 8500, 500, 0, 0);
+        await lending.initReserve(usdb.address, false, true, 0, 0, 0, 0, 0);
+        await lending.updatePrices([wxdc.address, usdb.address], [usd("1"), usd("1")]);
+
+        await usdb.mint(supplier.address, usdbAmount("10000"));
+        await usdb.connect(supplier).approve(lending.address, ethers.constants.MaxUint256);
+        await lending.connect(supplier).supply(usdb.address, usdbAmount("10000"), supplier.address, 0);
+
+        await wxdc.connect(borrower).deposit({ value: xdc("1000") });
+        await wxdc.connect(borrower).approve(lending.address, ethers.constants.MaxUint256);
+        await lending.connect(borrower).supply(wxdc.address, xdc("1000"), borrower.address, 0);
+        await lending.connect(borrower).borrow(usdb.address, usdbAmount("700"), borrower.address, 0);
+    });
+
+    describe("供应/借款上限", function () {
+        it("超过上限时应该拒绝供应和借款", async function () {
+            await expect(lending.connect(supplier).setReserveCaps(usdb.address, 0, 0)).to.be.reverted;
+            await expect(lending.setReserveCaps(usdb.address, usdbAmount("10500"), usdbAmount("1000")))
+                .to.emit(lending, "ReserveCapsUpdated")
+                .withArgs(usdb.address, usdbAmount("10500"), usdbAmount("1000"));
+
+            await usdb.mint(supplier.address, usdbAmount("1000"));
+            await expect(
+                lending.connect(supplier).supply(usdb.address, usdbAmount("600"), supplier.address, 0)
+            ).to.be.revertedWith("Supply cap exceeded");
+            await lending.connect(supplier).supply(usdb.address, usdbAmount("400"), supplier.address, 0);
+
+            await expect(
+                lending.connect(borrower).borrow(usdb.address, usdbAmount("400"), borrower.address, 0)
+            ).to.be.revertedWith("Borrow cap exceeded");
+            await lending.connect(borrower).borrow(usdb.address, usdbAmount("40"), borrower.address, 0);
+        });
+    });
+
+    describe("隔离模式", function () {
+        let meme;
+
+        beforeEach(async function () {
+            // 新上线的波动资产只能作为隔离抵押品
+            const WXDC = await ethers.getContractFactory("WXDC");
+            meme = await WXDC.deploy();
+            await lending.initReserve(meme.address, true, false, 5000, 6500, 1000, 0, 0);
+            await lending.updatePrice(meme.address, usd("1"));
+            await expect(lending.setReserveIsolation(meme.address, usd("100"), false))
+                .to.emit(lending, "ReserveIsolationUpdated")
+                .withArgs(meme.address, usd("100"), false);
+
+            await meme.connect(liquidator).deposit({ value: xdc("1000") });
+            await meme.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).supply(meme.address, xdc("1000"), liquidator.address, 0);
+        });
+
+        it("隔离抵押品只能借出允许的资产且受债务上限约束", async function () {
+            expect(await lending.getUserIsolationMode(liquidator.address)).to.equal(meme.address);
+            await expect(
+                lending.connect(liquidator).borrow(usdb.address, usdbAmount("50"), liquidator.address, 0)
+            ).to.be.revertedWith("Asset not borrowable in isolation");
+
+            await lending.setReserveIsolation(usdb.address, 0, true);
+            await expect(
+                lending.connect(liquidator).borrow(usdb.address, usdbAmount("150"), liquidator.address, 0)
+            ).to.be.revertedWith("Debt ceiling exceeded");
+            await lending.connect(liquidator).borrow(usdb.address, usdbAmount("100"), liquidator.address, 0);
+            expect((await lending.reserves(meme.address)).isolationModeTotalDebt).to.equal(usd("100"));
+
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).repay(usdb.address, usdbAmount("40"), liquidator.address);
+            expect((await lending.reserves(meme.address)).isolationModeTotalDebt).to.equal(usd("60"));
+        });
+
+        it("隔离模式下其他资产不会被启用为抵押品", async function () {
+            await wxdc.connect(liquidator).deposit({ value: xdc("1000") });
+            await wxdc.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).supply(wxdc.address, xdc("1000"), liquidator.address, 0);
+
+            // 只有 1000 meme * 50% LTV 计入借款能力
+            const { availableBorrowsBase } = await lending.getUserAccountData(liquidator.address);
+            expect(availableBorrowsBase).to.equal(usd("500"));
+            expect(await lending.getUserIsolationMode(liquidator.address)).to.equal(meme.address);
+
+            await expect(lending.setReserveIsolation(wxdc.address, usd("100"), false)).to.be.revertedWith("Reserve has suppliers");
+        });
+    });
+
+    describe("E-mode", function () {
+        let xdc2;
+
+        beforeEach(async function () {
+            // 与 WXDC 高度相关的资产（如 bXDC），同属 XDC 类别
+            const WXDC = await ethers.getContractFactory("WXDC");
+            xdc2 = await WXDC.deploy();
+            await lending.initReserve(xdc2.address, true, true, 7500, 8500, 500, 0, 0);
+            await lending.updatePrice(xdc2.address, usd("1"));
+            await xdc2.connect(supplier).deposit({ value: xdc("1000") });
+            await xdc2.connect(supplier).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(supplier).supply(xdc2.address, xdc("1000"), supplier.address, 0);
+
+            await expect(lending.setEModeCategory(1, 9000, 9300, 200, ethers.constants.AddressZero, "XDC correlated"))
+                .to.emit(lending, "EModeCategoryUpdated");
+            await lending.setReserveEModeCategory(wxdc.address, 1);
+            await lending.setReserveEModeCategory(xdc2.address, 1);
+
+            await wxdc.connect(liquidator).deposit({ value: xdc("1000") });
+            await wxdc.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).supply(wxdc.address, xdc("1000"), liquidator.address, 0);
+        });
+
+        it("启用 E-mode 后应该使用类别 LTV 并限制借款资产", async function () {
+            await expect(
+                lending.connect(liquidator).borrow(xdc2.address, xdc("880"), liquidator.address, 0)
+            ).to.be.revertedWith("Amount exceeds borrowing capacity");
+
+            await expect(lending.connect(liquidator).setUserEMode(1))
+                .to.emit(lending, "UserEModeSet")
+                .withArgs(liquidator.address, 1);
+            await lending.connect(liquidator).borrow(xdc2.address, xdc("880"), liquidator.address, 0);
+
+            const { ltv, currentLiquidationThreshold } = await lending.getUserAccountData(liquidator.address);
+            expect(ltv).to.equal(9000);
+            expect(currentLiquidationThreshold).to.equal(9300);
+
+            await expect(
+                lending.connect(liquidator).borrow(usdb.address, usdbAmount("10"), liquidator.address, 0)
+            ).to.be.revertedWith("Asset not in E-mode category");
+            // 退出后 1000 * 85% < 880，健康因子不足
+            await expect(lending.connect(liquidator).setUserEMode(0)).to.be.revertedWith("Health factor too low");
+        });
+
+        it("借入类别外资产时不能进入 E-mode", async function () {
+            await expect(lending.connect(borrower).setUserEMode(1)).to.be.revertedWith("Borrowed asset not in category");
+            await expect(lending.connect(borrower).setUserEMode(2)).to.be.revertedWith("Category not configured");
+        });
+
+        it("类别价格源应该用于类别内资产", async function () {
+            const MockAggregator = await ethers.getContractFactory("MockAggregator");
+            const feed = await MockAggregator.deploy(8, ethers.utils.parseUnits("1", 8));
+            const Adapter = await ethers.getContractFactory("ChainlinkOracleAdapter");
+            const adapter = await Adapter.deploy();
+            await adapter.setFeed(wxdc.address, feed.address);
+            await adapter.setFeed(xdc2.address, feed.address);
+            await lending.setEModeCategory(1, 9000, 9300, 200, adapter.address, "XDC correlated");
+
+            await lending.connect(liquidator).setUserEMode(1);
+            await lending.connect(liquidator).borrow(xdc2.address, xdc("880"), liquidator.address, 0);
+
+            // 市场价格下跌不影响按同一价格源计价的相关资产仓位
+            await lending.updatePrices([wxdc.address, xdc2.address], [usd("0.5"), usd("0.5")]);
+            const { healthFactor } = await lending.getUserAccountData(liquidator.address);
+            expect(healthFactor).to.be.closeTo(usd("1.0568"), usd("0.0001"));
+
+            // 类别价格源同样受 maxPriceAge 限制
+            const latest = (await ethers.provider.getBlock("latest")).timestamp;
+            await feed.setUpdatedAt(latest - 2 * 24 * 3600);
+            await expect(lending.getUserAccountData(liquidator.address)).to.be.revertedWith("Stale oracle price");
+        });
+    });
+
+    describe("清算", function () {
+        it("抵押品不足时应该按抵押品余额封顶（不同精度资产）", async function () {
+            // 1000 WXDC * 0.5 = 500 < 700 USDB 债务
+            await lending.updatePrice(wxdc.address, usd("0.5"));
+            await usdb.mint(liquidator.address, usdbAmount("700"));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+
+            await lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("700"), false);
+
+            // 全部 1000 WXDC 被清算，覆盖 1000 * 0.5 / 1.05 = 476.19 USDB
+            expect(await wxdc.balanceOf(liquidator.address)).to.equal(xdc("1000"));
+            expect(await usdb.balanceOf(liquidator.address)).to.be.closeTo(usdbAmount("223.81"), usdbAmount("0.01"));
+        });
+
+        it("未启用抵押的存款也计入偿付能力，核销坏账前一并扣押", async function () {
+            // USDB 不可作抵押品，但 300 USDB 存款仍归借款人所有
+            await usdb.mint(borrower.address, usdbAmount("300"));
+            await usdb.connect(borrower).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(borrower).supply(usdb.address, usdbAmount("300"), borrower.address, 0);
+            await usdb.mint(liquidator.address, usdbAmount("200"));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+
+            // 清算 100 后剩 790 × 0.5 + 300 = 695 ≥ 600 债务：不核销，存款保留
+            await lending.updatePrice(wxdc.address, usd("0.5"));
+            await expect(lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("100"), false))
+                .to.not.emit(lending, "DeficitRecorded");
+            expect(await lending.balanceOf(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("300"), 10);
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("600"), usdbAmount("0.01"));
+
+            // 再清算 100（扣押 350 WXDC）后剩 440 × 0.3 + 300 = 432 < 500 债务：核销并扣押全部存款
+            await lending.updatePrice(wxdc.address, usd("0.3"));
+            const [, treasuryBefore] = await lending.getTreasuryFees(usdb.address);
+            await expect(lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("100"), false))
+                .to.emit(lending, "DeficitRecorded")
+                .and.to.emit(lending, "CollateralSeized");
+            expect(await lending.balanceOf(borrower.address, usdb.address)).to.equal(0);
+            expect(await lending.balanceOf(borrower.address, wxdc.address)).to.equal(0);
+            const [, treasuryAfter] = await lending.getTreasuryFees(usdb.address);
+            expect(treasuryAfter.sub(treasuryBefore)).to.be.closeTo(usdbAmount("300"), usdbAmount("0.01"));
+        });
+    });
+
+    describe("坏账拍卖 / 安全池", function () {
+        let backstop;
+        let staker;
+
+        beforeEach(async function () {
+            staker = (await ethers.getSigners())[4];
+            const LendingBackstop = await ethers.getContractFactory("LendingBackstop");
+            backstop = await LendingBackstop.deploy(lending.address);
+            await expect(lending.connect(supplier).setBackstop(backstop.address)).to.be.reverted;
+            await expect(lending.setBackstop(backstop.address))
+                .to.emit(lending, "BackstopUpdated")
+                .withArgs(ethers.constants.AddressZero, backstop.address);
+
+            await usdb.mint(staker.address, usdbAmount("1000"));
+            await usdb.connect(staker).approve(backstop.address, ethers.constants.MaxUint256);
+            await backstop.connect(staker).deposit(usdb.address, usdbAmount("1000"));
+
+            // 1000 WXDC × 0.5 = 500 < 700 债务：清算 100 USDB（扣押 210 WXDC）后账户资不抵债
+            await lending.updatePrice(wxdc.address, usd("0.5"));
+            await usdb.mint(liquidator.address, usdbAmount("1000"));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await expect(lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("100"), false))
+                .to.emit(lending, "DeficitRecorded")
+                .and.to.emit(lending, "CollateralSeized")
+                .withArgs(wxdc.address, borrower.address, backstop.address, xdc("790"))
+                .and.to.emit(backstop, "AuctionStarted");
+        });
+
+        it("资不抵债时应该核销债务、记录赤字并把剩余抵押品交给 backstop", async function () {
+            expect(await wxdc.balanceOf(liquidator.address)).to.equal(xdc("210"));
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.equal(0);
+            expect(await lending.balanceOf(borrower.address, wxdc.address)).to.equal(0);
+            expect(await lending.balanceOf(backstop.address, wxdc.address)).to.equal(xdc("790"));
+
+            const [deficit, cumulative] = await lending.getReserveDeficit(usdb.address);
+            expect(deficit).to.be.closeTo(usdbAmount("600"), usdbAmount("0.01"));
+            expect(cumulative).to.equal(deficit);
+
+            const LendingDataProvider = await ethers.getContractFactory("LendingDataProvider");
+            const provider = await LendingDataProvider.deploy(lending.address);
+            const deficits = await provider.getReserveDeficits();
+            expect(deficits.deficits[1]).to.equal(deficit);
+            expect(deficits.totalDeficitUSD).to.equal(deficit.mul(1e12));
+        });
+
+        it("安全池最多承担 30%，拍卖收入先补赤字再分给质押者", async function () {
+            const [deficit] = await lending.getReserveDeficit(usdb.address);
+            await expect(backstop.coverShortfall(usdb.address))
+                .to.emit(lending, "DeficitCovered")
+                .withArgs(usdb.address, backstop.address, usdbAmount("300"), deficit.sub(usdbAmount("300")));
+            expect(await backstop.totalStaked(usdb.address)).to.equal(usdbAmount("700"));
+
+            // 3 小时后价格从 110% 线性降到 95%：790 × 0.5 × 95% = 375.25 USDB
+            await ethers.provider.send("evm_increaseTime", [3 * 3600]);
+            await ethers.provider.send("evm_mine", []);
+            const [priceBps, available] = await backstop.getAuction(wxdc.address);
+            expect(priceBps).to.equal(9500);
+            expect(available).to.equal(xdc("790"));
+
+            await usdb.connect(liquidator).approve(backstop.address, ethers.constants.MaxUint256);
+            await expect(backstop.connect(liquidator).bid(wxdc.address, xdc("1000"), usdb.address, usdbAmount("370")))
+                .to.be.revertedWith("Price above max payment");
+            await backstop.connect(liquidator).bid(wxdc.address, xdc("1000"), usdb.address, usdbAmount("376"));
+
+            expect(await wxdc.balanceOf(liquidator.address)).to.equal(xdc("1000"));
+            const [remaining, cumulative] = await lending.getReserveDeficit(usdb.address);
+            expect(remaining).to.equal(0);
+            expect(cumulative).to.equal(deficit);
+            expect(await backstop.totalStaked(usdb.address)).to.be.closeTo(usdbAmount("1375.25").sub(deficit), 2);
+            expect(await backstop.auctionStart(wxdc.address)).to.equal(0);
+        });
+
+        it("重复调用 coverShortfall 时每个周期最多承担 30%", async function () {
+            const DAY = 24 * 3600;
+            await backstop.coverShortfall(usdb.address);
+            expect(await backstop.slashingAllowance(usdb.address)).to.equal(0);
+            await expect(backstop.coverShortfall(usdb.address)).to.be.revertedWith("Nothing to cover");
+            expect(await backstop.totalStaked(usdb.address)).to.equal(usdbAmount("700"));
+
+            // 下一周期按周期开始时的池子计算：700 × 30% = 210
+            await ethers.provider.send("evm_increaseTime", [7 * DAY]);
+            await expect(backstop.coverShortfall(usdb.address))
+                .to.emit(backstop, "ShortfallCovered")
+                .withArgs(usdb.address, usdbAmount("210"));
+            await expect(backstop.coverShortfall(usdb.address)).to.be.revertedWith("Nothing to cover");
+            expect(await backstop.totalStaked(usdb.address)).to.equal(usdbAmount("490"));
+
+            await expect(backstop.connect(staker).setStakingParams(7 * DAY, 2 * DAY, 3000, 0)).to.be.reverted;
+            await expect(backstop.setStakingParams(7 * DAY, 2 * DAY, 3000, 0)).to.be.revertedWith("Invalid slashing period");
+            await expect(backstop.setStakingParams(7 * DAY, 2 * DAY, 5000, DAY))
+                .to.emit(backstop, "StakingParamsUpdated")
+                .withArgs(7 * DAY, 2 * DAY, 5000, DAY);
+        });
+
+        it("空安全池不会开启周期，质押后即可按新池子承担", async function () {
+            const LendingBackstop = await ethers.getContractFactory("LendingBackstop");
+            const emptyBackstop = await LendingBackstop.deploy(lending.address);
+            await expect(emptyBackstop.coverShortfall(usdb.address)).to.be.revertedWith("Nothing to cover");
+            expect(await emptyBackstop.slashingPeriodStart(usdb.address)).to.equal(0);
+
+            await usdb.mint(staker.address, usdbAmount("500"));
+            await usdb.connect(staker).approve(emptyBackstop.address, ethers.constants.MaxUint256);
+            await emptyBackstop.connect(staker).deposit(usdb.address, usdbAmount("500"));
+            await expect(emptyBackstop.coverShortfall(usdb.address))
+                .to.emit(emptyBackstop, "ShortfallCovered")
+                .withArgs(usdb.address, usdbAmount("150"));
+        });
+
+        it("质押者需要冷却期后在窗口内赎回", async function () {
+            const DAY = 24 * 3600;
+            const shares = await backstop.shares(usdb.address, staker.address);
+            await expect(backstop.connect(staker).withdraw(usdb.address, shares)).to.be.revertedWith("Cooldown not finished");
+
+            await backstop.connect(staker).cooldown(usdb.address);
+            await ethers.provider.send("evm_increaseTime", [7 * DAY]);
+            await ethers.provider.send("evm_mine", []);
+            await backstop.connect(staker).withdraw(usdb.address, shares.div(2));
+            expect(await usdb.balanceOf(staker.address)).to.be.closeTo(usdbAmount("500"), 1);
+
+            await ethers.provider.send("evm_increaseTime", [3 * DAY]);
+            await ethers.provider.send("evm_mine", []);
+            await expect(backstop.connect(staker).withdraw(usdb.address, shares.div(2))).to.be.revertedWith("Unstake window passed");
+        });
+    });
+
+    describe("参数时间锁", function () {
+        const ray = (n) => ethers.utils.parseUnits(n, 27);
+        const advanceTimelock = async () => {
+            await ethers.provider.send("evm_increaseTime", [86401]);
+        };
+
+        it("利率模型变更应该经时间锁生效并记录新旧值", async function () {
+            const param = await lending.INTEREST_RATE_MODEL();
+            const oldModel = await lending.getInterestRateModel(usdb.address);
+            const newModel = [ray("0.02"), ray("0.04"), ray("0.75"), ray("0.8")];
+
+            await expect(lending.connect(supplier).proposeInterestRateModel(usdb.address, ...newModel)).to.be.reverted;
+            await expect(lending.proposeInterestRateModel(usdb.address, 0, 0, 0, ray("1.1"))).to.be.revertedWith("Invalid kink value");
+            await expect(lending.proposeInterestRateModel(usdb.address, ...newModel))
+                .to.emit(lending, "ParameterProposed");
+
+            const [pending] = await lending.getPendingChanges();
+            expect(pending.param).to.equal(param);
+            expect(pending.asset).to.equal(usdb.address);
+            expect(pending.newValues).to.deep.equal(newModel);
+            await expect(lending.executeInterestRateModel(usdb.address)).to.be.revertedWith("Timelock not passed");
+
+            await advanceTimelock();
+            await expect(lending.executeInterestRateModel(usdb.address))
+                .to.emit(lending, "ParameterChanged")
+                .withArgs(param, usdb.address, [...oldModel], newModel);
+            expect(await lending.getInterestRateModel(usdb.address)).to.deep.equal(newModel);
+            expect(await lending.getPendingChanges()).to.have.lengthOf(0);
+        });
+
+        it("储备配置和协议费率应该经时间锁生效，可取消", async function () {
+            await expect(lending.proposeReserveConfiguration(wxdc.address, 9000, 8500, 500))
+                .to.be.revertedWith("LTV must be <= liquidation threshold");
+            await expect(lending.proposeProtocolFeeRate(5001)).to.be.revertedWith("Fee rate too high (max 50%)");
+
+            await lending.proposeReserveConfiguration(wxdc.address, 8000, 8800, 400);
+            await lending.proposeProtocolFeeRate(1000);
+            expect(await lending.getPendingChanges()).to.have.lengthOf(2);
+
+            const feeParam = await lending.PROTOCOL_FEE_RATE();
+            await expect(lending.cancelPendingChange(feeParam, ethers.constants.AddressZero))
+                .to.emit(lending, "ParameterProposalCancelled")
+                .withArgs(feeParam, ethers.constants.AddressZero);
+            await expect(lending.cancelPendingChange(feeParam, ethers.constants.AddressZero)).to.be.revertedWith("No pending change");
+
+            await advanceTimelock();
+            await expect(lending.executeProtocolFeeRate()).to.be.revertedWith("Timelock not passed");
+            await lending.executeReserveConfiguration(wxdc.address);
+            const [ltv, liquidationThreshold, liquidationBonus] = await lending.getConfiguration(wxdc.address);
+            expect([ltv, liquidationThreshold, liquidationBonus]).to.deep.equal([8000, 8800, 400].map(ethers.BigNumber.from));
+            expect(await lending.protocolFeeRate()).to.equal(3000);
+        });
+    });
+
+    describe("固定期限借款", function () {
+        const ray = (n) => ethers.utils.parseUnits(n, 27);
+        const DAY = 24 * 3600;
+
+        beforeEach(async function () {
+            // 再存 1000 WXDC，借款额度 1500，已借 700 浮动
+            await wxdc.connect(borrower).deposit({ value: xdc("1000") });
+            await lending.connect(borrower).supply(wxdc.address, xdc("1000"), borrower.address, 0);
+            await expect(lending.connect(supplier).setFixedRateConfig(usdb.address, true, ray("0.02"), ray("0.9"))).to.be.reverted;
+            await expect(lending.setFixedRateConfig(usdb.address, true, ray("0.02"), ray("0.9")))
+                .to.emit(lending, "FixedRateConfigUpdated")
+                .withArgs(usdb.address, true, ray("0.02"), ray("0.9"));
+        });
+
+        it("应该以借款后的浮动利率加溢价锁定利率，并单独计入账户数据", async function () {
+            await expect(
+                lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("300"), DAY, borrower.address)
+            ).to.be.revertedWith("Invalid term");
+            await expect(lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("300"), 30 * DAY, borrower.address))
+                .to.emit(lending, "FixedBorrow");
+
+            // 利用率 10%：浮动利率 1.2% + 溢价 2%
+            const loan = await lending.fixedLoans(borrower.address, usdb.address);
+            const variableRate = await lending.calculateCurrentVariableBorrowRate(usdb.address);
+            expect(variableRate).to.be.closeTo(ray("0.012"), ray("0.000001"));
+            expect(loan.rate).to.equal(variableRate.add(ray("0.02")));
+            await expect(
+                lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("10"), 30 * DAY, borrower.address)
+            ).to.be.revertedWith("Fixed loan already open");
+
+            const LendingDataProvider = await ethers.getContractFactory("LendingDataProvider");
+            const provider = await LendingDataProvider.deploy(lending.address);
+            const detailed = await provider.getUserAccountDataDetailed(borrower.address);
+            expect(detailed.fixedBorrowBalances[1]).to.be.closeTo(usdbAmount("300"), 10);
+            expect(detailed.borrowBalances[1]).to.be.closeTo(usdbAmount("700"), 10);
+            expect(detailed.totalDebtUSD).to.be.closeTo(usd("1000"), usd("0.001"));
+
+            // 一年后还清：300 × e^0.032 ≈ 309.75
+            await ethers.provider.send("evm_increaseTime", [365 * DAY]);
+            await usdb.mint(borrower.address, usdbAmount("10"));
+            await usdb.connect(borrower).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(borrower).repayFixed(usdb.address, ethers.constants.MaxUint256, borrower.address);
+            expect(await usdb.balanceOf(borrower.address)).to.be.closeTo(usdbAmount("700.245"), usdbAmount("0.01"));
+            expect(await lending.getUserFixedDebt(borrower.address, usdb.address)).to.equal(0);
+            expect(await lending.totalFixedDebt(usdb.address)).to.equal(0);
+        });
+
+        it("利用率飙升时可重新定价，到期后转为浮动债务", async function () {
+            await lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("300"), 30 * DAY, borrower.address);
+            await expect(
+                lending.connect(liquidator).rebalanceFixedLoan(borrower.address, usdb.address)
+            ).to.be.revertedWith("Rebalance conditions not met");
+
+            // 供应方提走大部分流动性，利用率升至 90% 以上
+            await lending.connect(supplier).withdraw(usdb.address, usdbAmount("8900"), supplier.address);
+            await expect(lending.connect(liquidator).rebalanceFixedLoan(borrower.address, usdb.address))
+                .to.emit(lending, "FixedLoanRebalanced");
+            const loan = await lending.fixedLoans(borrower.address, usdb.address);
+            const variableRate = await lending.calculateCurrentVariableBorrowRate(usdb.address);
+            expect(loan.rate).to.equal(variableRate.add(ray("0.02")));
+            expect(loan.maturity).to.be.gt(0);
+
+            await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+            await expect(lending.connect(liquidator).rebalanceFixedLoan(borrower.address, usdb.address))
+                .to.emit(lending, "FixedLoanConverted");
+            expect(await lending.getUserFixedDebt(borrower.address, usdb.address)).to.equal(0);
+            expect(await lending.totalFixedDebt(usdb.address)).to.equal(0);
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.be.gt(usdbAmount("1000"));
+        });
+
+        it("清算应该先覆盖浮动债务，再覆盖固定期限债务", async function () {
+            await lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("300"), 30 * DAY, borrower.address);
+
+            // 2000 WXDC × 0.55 × 85% = 935 < 1000 债务；清算后剩余抵押品仍高于债务，不会被核销
+            await lending.updatePrice(wxdc.address, usd("0.55"));
+            await usdb.mint(liquidator.address, usdbAmount("800"));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("800"), false);
+
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.equal(0);
+            expect(await lending.getUserFixedDebt(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("200"), usdbAmount("0.01"));
+            expect(await lending.totalFixedDebt(usdb.address)).to.be.closeTo(usdbAmount("200"), usdbAmount("0.01"));
+        });
+
+        it("固定利息应该随时间持续计入存款，不能被夹击 repayFixed 套取", async function () {
+            await lending.connect(borrower).borrowFixed(usdb.address, usdbAmount("300"), 30 * DAY, borrower.address);
+            const loan = await lending.fixedLoans(borrower.address, usdb.address);
+            expect(await lending.averageFixedRate(usdb.address)).to.equal(loan.rate);
+            const [suppliedBefore, borrowedBefore] = await lending.getReserveTotals(usdb.address);
+
+            // 20 天后存款方已按比例获得固定利息（扣除 30% 协议费）
+            await ethers.provider.send("evm_increaseTime", [20 * DAY]);
+            await ethers.provider.send("evm_mine", []);
+            const fixedInterest = (await lending.getUserFixedDebt(borrower.address, usdb.address)).sub(usdbAmount("300"));
+            expect(fixedInterest).to.be.gt(usdbAmount("0.5"));
+            const [suppliedAfter, borrowedAfter] = await lending.getReserveTotals(usdb.address);
+            expect(suppliedAfter.sub(suppliedBefore)).to.be.closeTo(
+                borrowedAfter.sub(borrowedBefore).add(fixedInterest).mul(7).div(10),
+                usdbAmount("0.001")
+            );
+
+            // 大额存入 → 代还 1 wei 固定债务 → 全部取出，不应分到已累计的固定利息
+            const amount = usdbAmount("90000");
+            await usdb.mint(liquidator.address, amount.add(1));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).supply(usdb.address, amount, liquidator.address, 0);
+            await lending.connect(liquidator).repayFixed(usdb.address, 1, borrower.address);
+            await lending.connect(liquidator).withdraw(usdb.address, ethers.constants.MaxUint256, liquidator.address);
+            expect(await usdb.balanceOf(liquidator.address)).to.be.closeTo(amount, usdbAmount("0.001"));
+        });
+    });
+
+    describe("信用委托", function () {
+        it("被委托人应该在额度内代借，债务记在委托人名下", async function () {
+            await expect(
+                lending.connect(liquidator).borrow(usdb.address, usdbAmount("10"), borrower.address, 0)
+            ).to.be.revertedWith("Borrow allowance too low");
+
+            await expect(lending.connect(borrower).approveDelegation(liquidator.address, usdb.address, usdbAmount("30")))
+                .to.emit(lending, "BorrowAllowanceDelegated")
+                .withArgs(borrower.address, liquidator.address, usdb.address, usdbAmount("30"));
+            await lending.connect(liquidator).borrow(usdb.address, usdbAmount("20"), borrower.address, 0);
+
+            expect(await usdb.balanceOf(liquidator.address)).to.equal(usdbAmount("20"));
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("720"), 10);
+            expect(await lending.getUserVariableDebt(liquidator.address, usdb.address)).to.equal(0);
+            expect(await lending.borrowAllowance(borrower.address, usdb.address, liquidator.address)).to.equal(usdbAmount("10"));
+
+            // 固定期限借款同样消耗额度
+            await lending.setFixedRateConfig(usdb.address, true, 0, ethers.utils.parseUnits("0.9", 27));
+            await expect(
+                lending.connect(liquidator).borrowFixed(usdb.address, usdbAmount("20"), 30 * 24 * 3600, borrower.address)
+            ).to.be.revertedWith("Borrow allowance too low");
+            await lending.connect(liquidator).borrowFixed(usdb.address, usdbAmount("10"), 30 * 24 * 3600, borrower.address);
+            expect(await lending.borrowAllowance(borrower.address, usdb.address, liquidator.address)).to.equal(0);
+
+            // 被委托人代为还款
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+            await lending.connect(liquidator).repay(usdb.address, usdbAmount("20"), borrower.address);
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("700"), 10);
+        });
+
+        it("应该支持 EIP-712 签名委托", async function () {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = { name: "LendingProtocol", version: "1", chainId, verifyingContract: lending.address };
+            const types = {
+                DelegationWithSig: [
+                    { name: "delegator", type: "address" },
+                    { name: "delegatee", type: "address" },
+                    { name: "asset", type: "address" },
+                    { name: "amount", type: "uint256" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                ],
+            };
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            const value = {
+                delegator: borrower.address,
+                delegatee: liquidator.address,
+                asset: usdb.address,
+                amount: usdbAmount("50"),
+                nonce: 0,
+                deadline: timestamp + 3600,
+            };
+            const sign = async (v) => ethers.utils.splitSignature(await borrower._signTypedData(domain, types, v));
+            const submit = (v, sig) =>
+                lending.connect(owner).delegationWithSig(v.delegator, v.delegatee, v.asset, v.amount, v.deadline, sig.v, sig.r, sig.s);
+
+            const sig = await sign(value);
+            await expect(submit({ ...value, amount: usdbAmount("60") }, sig)).to.be.revertedWith("Invalid signature");
+            await expect(submit(value, sig))
+                .to.emit(lending, "BorrowAllowanceDelegated")
+                .withArgs(borrower.address, liquidator.address, usdb.address, usdbAmount("50"));
+            expect(await lending.nonces(borrower.address)).to.equal(1);
+            expect(await lending.borrowAllowance(borrower.address, usdb.address, liquidator.address)).to.equal(usdbAmount("50"));
+
+            // 签名不能重放，过期签名无效
+            await expect(submit(value, sig)).to.be.revertedWith("Invalid signature");
+            const expired = { ...value, nonce: 1, deadline: timestamp };
+            await expect(submit(expired, await sign(expired))).to.be.revertedWith("Signature expired");
+        });
+    });
+
+    describe("存款凭证 / 债务凭证", function () {
+        let aWXDC;
+        let debtUSDB;
+
+        beforeEach(async function () {
+            const AToken = await ethers.getContractFactory("AToken");
+            const VariableDebtToken = await ethers.getContractFactory("VariableDebtToken");
+            aWXDC = await AToken.deploy(lending.address, wxdc.address, "BBB Lending WXDC", "aWXDC");
+            debtUSDB = await VariableDebtToken.deploy(lending.address, usdb.address, "BBB Variable Debt USDB", "variableDebtUSDB");
+            await expect(lending.setReserveTokens(wxdc.address, aWXDC.address, ethers.constants.AddressZero))
+                .to.emit(lending, "ReserveTokensUpdated")
+                .withArgs(wxdc.address, aWXDC.address, ethers.constants.AddressZero);
+            await lending.setReserveTokens(usdb.address, ethers.constants.AddressZero, debtUSDB.address);
+        });
+
+        it("余额应该跟随池子内的存款和债务", async function () {
+            expect(await aWXDC.decimals()).to.equal(18);
+            expect(await aWXDC.balanceOf(borrower.address)).to.equal(xdc("1000"));
+            expect(await aWXDC.totalSupply()).to.equal(xdc("1000"));
+            expect(await debtUSDB.decimals()).to.equal(6);
+            expect(await debtUSDB.balanceOf(borrower.address)).to.be.closeTo(usdbAmount("700"), 10);
+
+            await ethers.provider.send("evm_increaseTime", [365 * 86400]);
+            await ethers.provider.send("evm_mine", []);
+            expect(await debtUSDB.balanceOf(borrower.address)).to.be.gt(usdbAmount("700"));
+            expect(await debtUSDB.totalSupply()).to.equal(await lending.getUserVariableDebt(borrower.address, usdb.address));
+
+            await expect(debtUSDB.connect(borrower).transfer(liquidator.address, 1)).to.be.revertedWith("Debt tokens are not transferable");
+            await expect(debtUSDB.connect(borrower).approve(liquidator.address, 1)).to.be.revertedWith("Debt tokens are not transferable");
+        });
+
+        it("转账应该转移存款仓位并重新检查健康因子", async function () {
+            await expect(
+                lending.transferSupply(wxdc.address, borrower.address, owner.address, xdc("1"))
+            ).to.be.revertedWith("Caller is not the aToken");
+
+            // 700 债务需要 700 / 0.85 ≈ 823.5 WXDC 抵押
+            await expect(aWXDC.connect(borrower).transfer(liquidator.address, xdc("200"))).to.be.revertedWith("Health factor too low");
+            await expect(lending.connect(borrower).withdraw(wxdc.address, xdc("200"), borrower.address)).to.be.revertedWith("Health factor too low");
+
+            await expect(aWXDC.connect(borrower).transfer(liquidator.address, xdc("100")))
+                .to.emit(aWXDC, "Transfer")
+                .withArgs(borrower.address, liquidator.address, xdc("100"))
+                .and.to.emit(lending, "ReserveUsedAsCollateralEnabled")
+                .withArgs(wxdc.address, liquidator.address);
+            expect(await aWXDC.balanceOf(borrower.address)).to.equal(xdc("900"));
+            expect(await aWXDC.balanceOf(liquidator.address)).to.equal(xdc("100"));
+            expect(await aWXDC.totalSupply()).to.equal(xdc("1000"));
+
+            await expect(aWXDC.transferFrom(liquidator.address, owner.address, xdc("50"))).to.be.revertedWith("Insufficient allowance");
+            await aWXDC.connect(liquidator).approve(owner.address, xdc("50"));
+            await aWXDC.transferFrom(liquidator.address, owner.address, xdc("50"));
+            expect(await aWXDC.allowance(liquidator.address, owner.address)).to.equal(0);
+
+            await lending.connect(liquidator).withdraw(wxdc.address, xdc("50"), liquidator.address);
+            expect(await wxdc.balanceOf(liquidator.address)).to.equal(xdc("50"));
+        });
+
+        it("receiveAToken 清算应该把抵押仓位转给清算人", async function () {
+            await lending.updatePrice(wxdc.address, usd("0.8"));
+            await usdb.mint(liquidator.address, usdbAmount("300"));
+            await usdb.connect(liquidator).approve(lending.address, ethers.constants.MaxUint256);
+
+            await lending.connect(liquidator).liquidationCall(wxdc.address, usdb.address, borrower.address, usdbAmount("300"), true);
+
+            // 300 * 1.05 / 0.8 = 393.75 WXDC
+            expect(await aWXDC.balanceOf(liquidator.address)).to.be.closeTo(xdc("393.75"), xdc("0.001"));
+            expect(await aWXDC.balanceOf(borrower.address)).to.be.closeTo(xdc("606.25"), xdc("0.001"));
+            expect(await aWXDC.totalSupply()).to.be.closeTo(xdc("1000"), xdc("0.001"));
+        });
+    });
+
+    describe("LendingDataProvider", function () {
+        it("应该汇总用户仓位和利率", async function () {
+            const LendingDataProvider = await ethers.getContractFactory("LendingDataProvider");
+            const provider = await LendingDataProvider.deploy(lending.address);
+
+            const detailed = await provider.getUserAccountDataDetailed(borrower.address);
+            expect(detailed.assets).to.deep.equal([wxdc.address, usdb.address]);
+            expect(detailed.supplyBalances[0]).to.equal(xdc("1000"));
+            expect(detailed.borrowBalances[1]).to.equal(usdbAmount("700"));
+            expect(detailed.totalDebtUSD).to.equal(usd("700"));
+            const [, , , , , healthFactor] = await lending.getUserAccountData(borrower.address);
+            expect(detailed.healthFactor).to.equal(healthFactor);
+
+            // 利用率 7%，供应利率 = 借款利率 × 利用率 × (1 - 30%)
+            const [supplyRate, borrowRate, utilizationRate, , , utilizationPercent] = await provider.getAssetRates(usdb.address);
+            expect(utilizationPercent).to.equal(700);
+            const expected = borrowRate.mul(utilizationRate).div(ethers.constants.WeiPerEther.mul(1e9)).mul(7).div(10);
+            expect(supplyRate).to.be.closeTo(expected, 10);
+        });
+
+        it("池子上的汇总视图应该转发到内置的 LendingDataProvider", async function () {
+            const provider = await ethers.getContractAt("LendingDataProvider", await lending.dataProvider());
+            expect(await provider.lending()).to.equal(lending.address);
+
+            const [assets, , borrowBalances, , , , , , , healthFactor] = await lending.getUserAccountDataDetailed(borrower.address);
+            expect(assets).to.deep.equal([wxdc.address, usdb.address]);
+            expect(borrowBalances[1]).to.equal(usdbAmount("700"));
+            expect(healthFactor).to.equal((await provider.getUserAccountDataDetailed(borrower.address)).healthFactor);
+
+            const rates = await lending.getAssetRates(usdb.address);
+            expect(rates[5]).to.equal(700);
+            expect(rates).to.deep.equal(await provider.getAssetRates(usdb.address));
+            expect(await lending.calculateCurrentLiquidityRate(usdb.address)).to.equal(rates[0]);
+            expect(await lending.getAllAssetRates()).to.deep.equal(await provider.getAllAssetRates());
+            expect(await lending.getTotalTreasuryFeesUSD()).to.equal(await provider.getTotalTreasuryFeesUSD());
+        });
+    });
+
+    describe("闪电贷", function () {
+        it("应该按 ERC-3156 报告额度和费用", async function () {
+            expect(await lending.maxFlashLoan(usdb.address)).to.equal(usdbAmount("9300"));
+            expect(await lending.maxFlashLoan(owner.address)).to.equal(0);
+            expect(await lending.flashFee(usdb.address, usdbAmount("1000"))).to.equal(usdbAmount("0.9"));
+            await expect(lending.flashFee(owner.address, 1)).to.be.revertedWith("Reserve not active");
+
+            await expect(lending.setFlashLoanFeeRate(101)).to.be.revertedWith("Fee rate too high (max 1%)");
+            await expect(lending.setFlashLoanFeeRate(5))
+                .to.emit(lending, "FlashLoanFeeRateUpdated")
+                .withArgs(9, 5);
+        });
+
+        it("应该用闪电贷完成清算并把费用计入 treasury", async function () {
+            // WXDC 跌到 0.8：800 * 85% = 680 < 700 债务，健康因子 < 1
+            await lending.updatePrice(wxdc.address, usd("0.8"));
+
+            const MockSwapRouter = await ethers.getContractFactory("MockSwapRouter");
+            const router = await MockSwapRouter.deploy();
+            await router.setRate(wxdc.address, usdb.address, usdbAmount("0.8"));
+            await usdb.mint(router.address, usdbAmount("1000"));
+
+            const FlashLiquidator = await ethers.getContractFactory("FlashLiquidator");
+            const flashLiquidator = await FlashLiquidator.connect(liquidator).deploy(lending.address, router.address);
+
+            const [, treasuryBefore] = await lending.getTreasuryFees(usdb.address);
+            const debtToCover = usdbAmount("300");
+            const fee = await lending.flashFee(usdb.address, debtToCover);
+
+            await expect(
+                flashLiquidator.connect(liquidator).liquidate(wxdc.address, usdb.address, borrower.address, debtToCover, xdc("400"))
+            )
+                .to.emit(lending, "FlashLoan")
+                .withArgs(flashLiquidator.address, flashLiquidator.address, usdb.address, debtToCover, fee)
+                .and.to.emit(lending, "LiquidationCall");
+
+            // 300 * 1.05 / 0.8 = 393.75 WXDC 被清算，其中 (300 + 0.27) / 0.8 = 375.3375 用于偿还闪电贷
+            expect(await wxdc.balanceOf(flashLiquidator.address)).to.equal(xdc("18.4125"));
+            expect(await lending.getUserVariableDebt(borrower.address, usdb.address)).to.be.closeTo(usdbAmount("400"), usdbAmount("0.01"));
+
+            const [, treasuryAfter] = await lending.getTreasuryFees(usdb.address);
+            expect(treasuryAfter.sub(treasuryBefore)).to.be.closeTo(fee, usdbAmount("0.001"));
+        });
+
+        it("回调未返还资金时应该回滚", async function () {
+            const FlashLiquidator = await ethers.getContractFactory("FlashLiquidator");
+            const flashLiquidator = await FlashLiquidator.deploy(lending.address, ethers.constants.AddressZero);
+
+            // 健康仓位无法清算，整个闪电贷回滚
+            await expect(
+                flashLiquidator.liquidate(wxdc.address, usdb.address, borrower.address, usdbAmount("100"), 0)
+            ).to.be.revertedWith("Health factor not below threshold");
+            await expect(
+                lending.flashLoan(flashLiquidator.address, usdb.address, usdbAmount("100"), "0x")
+            ).to.be.revertedWith("Untrusted initiator");
+        });
+    });
+});
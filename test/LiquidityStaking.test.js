@@ -100,6 +100,30 @@ describe("XDC Liquidity Staking", function () {
             const balance = await bxdc.balanceOf(user2.address);
             expect(balance).to.be.closeTo(ethers.utils.parseEther("100"), ethers.utils.parseEther("0.001"));
         });
+
+        it("协议费应经时间锁生效并以 bXDC 铸造给 treasury", async function () {
+            await expect(stakingPool.connect(owner).proposeProtocolFeeBps(1000)).to.be.revertedWith("Invalid treasury");
+            await stakingPool.connect(owner).proposeTreasury(user2.address);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeTreasury();
+            await expect(stakingPool.connect(owner).proposeProtocolFeeBps(2001)).to.be.revertedWith("Fee too high");
+            await stakingPool.connect(owner).proposeProtocolFeeBps(1000);
+            await expect(stakingPool.connect(owner).executeProtocolFeeBps()).to.be.revertedWith("Timelock not passed");
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeProtocolFeeBps();
+            expect(await stakingPool.protocolFeeBps()).to.equal(1000);
+
+            await expect(stakingPool.connect(owner).depositRewards({ value: ethers.utils.parseEther("10") }))
+                .to.emit(stakingPool, "ProtocolFeeMinted");
+
+            // 10 XDC 奖励全部留在池中，treasury 获得价值 1 XDC 的 bXDC
+            expect(await stakingPool.totalPooledXDC()).to.equal(ethers.utils.parseEther("110"));
+            const [fees, shares, treasuryValue] = await stakingPool.getProtocolFeeInfo();
+            expect(fees).to.equal(ethers.utils.parseEther("1"));
+            expect(await bxdc.balanceOf(user2.address)).to.equal(shares);
+            expect(treasuryValue).to.be.closeTo(ethers.utils.parseEther("1"), 1000);
+            expect(await stakingPool.getExchangeRate()).to.be.closeTo(ethers.utils.parseEther("1.09"), 1000);
+        });
     });
 
     describe("赎回功能 - 即时退出", function () {
@@ -113,7 +137,7 @@ describe("XDC Liquidity Staking", function () {
             const withdrawAmount = ethers.utils.parseEther("10");
             const balanceBefore = await ethers.provider.getBalance(user1.address);
 
-            const tx = await stakingPool.connect(user1).withdraw(withdrawAmount);
+            const tx = await stakingPool.connect(user1).withdrawShares(withdrawAmount);
             await tx.wait();
 
             const balanceAfter = await ethers.provider.getBalance(user1.address);
@@ -140,7 +164,7 @@ describe("XDC Liquidity Staking", function () {
         it("无即时缓冲时应铸造 NFT", async function () {
             const withdrawAmount = ethers.utils.parseEther("10");
 
-            await stakingPool.connect(user1).withdraw(withdrawAmount);
+            await stakingPool.connect(user1).withdrawShares(withdrawAmount);
 
             const batchId = await stakingPool.userWithdrawalBatches(user1.address, 0);
             expect(batchId).to.equal(0);
@@ -154,7 +178,7 @@ describe("XDC Liquidity Staking", function () {
             await ethers.provider.send("evm_increaseTime", [86401]);
             await stakingPool.connect(owner).executeWithdrawDelayBlocks();
 
-            await stakingPool.connect(user1).withdraw(ethers.utils.parseEther("10"));
+            await stakingPool.connect(user1).withdrawShares(ethers.utils.parseEther("10"));
 
             const unlockBlock = (await stakingPool.withdrawalBatches(0)).unlockBlock;
             const currentBlock = await ethers.provider.getBlockNumber();
@@ -169,6 +193,129 @@ describe("XDC Liquidity Staking", function () {
             const received = balanceAfter.sub(balanceBefore);
             expect(received).to.be.closeTo(ethers.utils.parseEther("10"), ethers.utils.parseEther("0.01"));
         });
+
+        it("缓冲不足时 redeem 应为 receiver 铸造 NFT", async function () {
+            const shares = ethers.utils.parseEther("10");
+            await expect(stakingPool.connect(user2).redeem(shares, user2.address, user1.address)).to.be.reverted;
+
+            await bxdc.connect(user1).approve(user2.address, shares);
+            await stakingPool.connect(user2).redeem(shares, user2.address, user1.address);
+
+            expect(await bxdc.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("90"));
+            expect(await bxdc.allowance(user1.address, user2.address)).to.equal(0);
+            expect(await withdrawalNFT.balanceOf(user2.address, 0)).to.equal(ethers.utils.parseEther("10"));
+            expect(await stakingPool.userWithdrawalBatches(user2.address, 0)).to.equal(0);
+        });
+
+        it("ERC4626 withdraw 应按资产数量销毁份额并消耗授权", async function () {
+            await stakingPool.connect(owner).depositRewards({ value: ethers.utils.parseEther("10") });
+            await stakingPool.connect(owner).addToInstantExitBuffer({ value: ethers.utils.parseEther("50") });
+
+            const assets = ethers.utils.parseEther("11");
+            const shares = await bxdc.previewWithdraw(assets);
+            await expect(stakingPool.connect(user2).withdraw(assets, user2.address, user1.address))
+                .to.be.reverted;
+
+            await bxdc.connect(user1).approve(user2.address, shares);
+            const balanceBefore = await ethers.provider.getBalance(owner.address);
+            await expect(stakingPool.connect(user2).withdraw(assets, owner.address, user1.address))
+                .to.emit(stakingPool, "Withdraw")
+                .withArgs(user2.address, owner.address, user1.address, assets, shares);
+
+            expect((await ethers.provider.getBalance(owner.address)).sub(balanceBefore)).to.equal(assets);
+            expect(await bxdc.balanceOf(user1.address)).to.equal(ethers.utils.parseEther("100").sub(shares));
+            expect(await bxdc.allowance(user1.address, user2.address)).to.equal(0);
+            expect(await stakingPool.totalPooledXDC()).to.equal(ethers.utils.parseEther("99"));
+        });
+
+        it("requestRedeem 应排队并报告 pending/claimable", async function () {
+            await stakingPool.connect(owner).addToInstantExitBuffer({ value: ethers.utils.parseEther("50") });
+            await stakingPool.connect(owner).proposeWithdrawDelayBlocks(5);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeWithdrawDelayBlocks();
+
+            const shares = ethers.utils.parseEther("10");
+            await expect(stakingPool.connect(user1).requestRedeem(shares, user1.address, user1.address))
+                .to.emit(stakingPool, "RedeemRequest")
+                .withArgs(user1.address, user1.address, 0, user1.address, shares);
+
+            expect(await stakingPool.instantExitBuffer()).to.equal(ethers.utils.parseEther("50"));
+            expect(await stakingPool.pendingRedeemRequest(0, user1.address)).to.equal(shares);
+            expect(await stakingPool.claimableRedeemRequest(0, user1.address)).to.equal(0);
+
+            for (let i = 0; i < 5; i++) {
+                await ethers.provider.send("evm_mine", []);
+            }
+            expect(await stakingPool.pendingRedeemRequest(0, user1.address)).to.equal(0);
+            expect(await stakingPool.claimableRedeemRequest(0, user1.address)).to.equal(shares);
+
+            await stakingPool.connect(user1).redeemWithdrawal(0);
+            expect(await stakingPool.claimableRedeemRequest(0, user1.address)).to.equal(0);
+        });
+
+        it("NFT 部分转让后各持有人应能按比例赎回", async function () {
+            await stakingPool.connect(owner).proposeWithdrawDelayBlocks(5);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeWithdrawDelayBlocks();
+
+            await stakingPool.connect(user1).withdrawShares(ethers.utils.parseEther("10"));
+            await withdrawalNFT
+                .connect(user1)
+                .safeTransferFrom(user1.address, user2.address, 0, ethers.utils.parseEther("4"), "0x");
+            expect(await stakingPool.userWithdrawalBatches(user2.address, 0)).to.equal(0);
+
+            let [ids] = await stakingPool.getRedeemableBatches(user2.address);
+            expect(ids).to.have.lengthOf(0);
+            for (let i = 0; i < 5; i++) {
+                await ethers.provider.send("evm_mine", []);
+            }
+            let amounts;
+            [ids, amounts] = await stakingPool.getRedeemableBatches(user2.address);
+            expect(ids.map(Number)).to.deep.equal([0]);
+            expect(amounts[0]).to.equal(ethers.utils.parseEther("4"));
+
+            await stakingPool.connect(user2).redeemWithdrawal(0);
+            expect((await stakingPool.withdrawalBatches(0)).redeemed).to.equal(false);
+            await expect(stakingPool.userWithdrawalBatches(user2.address, 0)).to.be.reverted;
+
+            // 元数据显示批次剩余的未赎回数量
+            const Descriptor = await ethers.getContractFactory("WithdrawalNFTDescriptor");
+            const descriptor = await Descriptor.deploy(stakingPool.address, 2);
+            await stakingPool.connect(owner).setWithdrawalNFTDescriptor(descriptor.address);
+            const uri = await withdrawalNFT.uri(0);
+            const json = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            const traits = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+            expect(traits["XDC Amount"]).to.equal(6);
+
+            const balanceBefore = await ethers.provider.getBalance(user1.address);
+            await stakingPool.connect(user1).redeemWithdrawal(0);
+            const received = (await ethers.provider.getBalance(user1.address)).sub(balanceBefore);
+            expect(received).to.be.closeTo(ethers.utils.parseEther("6"), ethers.utils.parseEther("0.01"));
+            expect((await stakingPool.withdrawalBatches(0)).redeemed).to.equal(true);
+            expect(await stakingPool.totalInUnbonding()).to.equal(0);
+        });
+
+        it("NFT 应返回链上 JSON 元数据和 SVG", async function () {
+            await stakingPool.connect(user1).withdrawShares(ethers.utils.parseEther("12.5"));
+            expect(await withdrawalNFT.uri(0)).to.equal("ipfs://withdrawal-request");
+
+            const Descriptor = await ethers.getContractFactory("WithdrawalNFTDescriptor");
+            const descriptor = await Descriptor.deploy(stakingPool.address, 2);
+            await expect(withdrawalNFT.setDescriptor(descriptor.address)).to.be.reverted;
+            await stakingPool.connect(owner).setWithdrawalNFTDescriptor(descriptor.address);
+
+            const uri = await withdrawalNFT.uri(0);
+            const json = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+            expect(json.name).to.equal("XDC Withdrawal #0");
+            const traits = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+            expect(traits["XDC Amount"]).to.equal(12.5);
+            expect(traits["Status"]).to.equal("Unbonding");
+            const unlockBlock = (await stakingPool.withdrawalBatches(0)).unlockBlock;
+            expect(traits["Unlock Block"]).to.equal(unlockBlock.toNumber());
+            expect(Buffer.from(json.image.split(",")[1], "base64").toString()).to.contain("12.5 XDC");
+
+            await expect(withdrawalNFT.uri(1)).to.be.revertedWith("Nonexistent batch");
+        });
     });
 
     describe("Validator 资金管理", function () {
@@ -222,6 +369,127 @@ describe("XDC Liquidity Staking", function () {
         });
     });
 
+    describe("Masternode 分配策略", function () {
+        const million = (n) => ethers.utils.parseEther(String(n * 1_000_000));
+        let strategy;
+        let op1;
+        let op2;
+
+        beforeEach(async function () {
+            op1 = ethers.Wallet.createRandom().address;
+            op2 = ethers.Wallet.createRandom().address;
+            await ethers.provider.send("hardhat_setBalance", [user1.address, million(100).toHexString()]);
+
+            await stakingPool.connect(owner).submitKYC("lsp-kyc");
+            await stakingPool.connect(owner).addOperator(op1);
+            await stakingPool.connect(owner).addOperator(op2);
+
+            const Strategy = await ethers.getContractFactory("WeightedAllocationStrategy");
+            strategy = await Strategy.deploy(stakingPool.address);
+            await strategy.setWeight(op1, 1);
+            await strategy.setWeight(op2, 3);
+            await stakingPool.connect(owner).proposeAllocationStrategy(strategy.address);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeAllocationStrategy();
+        });
+
+        it("设置策略后质押不分配，由 allocateStake 按权重提议 masternode，再以投票补足", async function () {
+            await stakingPool.connect(user1).stake({ value: million(40) });
+            expect(await stakingPool.totalStakedInMasternodes()).to.equal(0);
+
+            // 非候选人只能以完整 masternodeStakeAmount 提议
+            await stakingPool.connect(owner).allocateStake();
+            expect(await stakingPool.operatorStake(op1)).to.equal(million(10));
+            expect(await stakingPool.operatorStake(op2)).to.equal(million(10));
+
+            await expect(stakingPool.connect(owner).allocateStake())
+                .to.emit(stakingPool, "MasternodeVoted")
+                .withArgs(op2, million(20));
+            expect(await stakingPool.operatorStake(op2)).to.equal(million(30));
+            expect(await stakingPool.totalStakedInMasternodes()).to.equal(million(40));
+        });
+
+        it("排队中的赎回不应被分配给 masternode", async function () {
+            await stakingPool.connect(owner).proposeWithdrawDelayBlocks(5);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeWithdrawDelayBlocks();
+
+            await stakingPool.connect(user1).stake({ value: million(9) });
+            await stakingPool.connect(user1).withdrawShares(million(2));
+            expect(await stakingPool.totalInUnbonding()).to.equal(million(2));
+
+            // 余额达到 10M，但其中 2M 属于排队中的赎回
+            await stakingPool.connect(user1).stake({ value: million(3) });
+            expect(await stakingPool.totalStakedInMasternodes()).to.equal(0);
+            await stakingPool.connect(owner).allocateStake();
+            expect(await stakingPool.totalStakedInMasternodes()).to.equal(0);
+
+            for (let i = 0; i < 5; i++) {
+                await ethers.provider.send("evm_mine", []);
+            }
+            await expect(stakingPool.connect(user1).redeemWithdrawal(0))
+                .to.emit(stakingPool, "WithdrawalRedeemed")
+                .withArgs(0, user1.address, million(2));
+            expect(await ethers.provider.getBalance(stakingPool.address)).to.equal(million(10));
+        });
+
+        it("无法执行的分配条目应被跳过而不阻塞其余分配", async function () {
+            const MockStrategy = await ethers.getContractFactory("MockAllocationStrategy");
+            const mockStrategy = await MockStrategy.deploy();
+            await stakingPool.connect(owner).proposeAllocationStrategy(mockStrategy.address);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeAllocationStrategy();
+
+            // 数组长度不一致：只执行前一个条目
+            await mockStrategy.setAllocation([op1, op2], [million(10)]);
+            await stakingPool.connect(user1).stake({ value: million(20) });
+            await stakingPool.connect(owner).allocateStake();
+            expect(await stakingPool.operatorStake(op1)).to.equal(million(10));
+            expect(await stakingPool.operatorStake(op2)).to.equal(0);
+
+            // validator 拒绝提议时跳过该条目
+            await mockValidator.setMinCandidateCap(million(20));
+            await mockStrategy.setAllocation([op2], [million(10)]);
+            await stakingPool.connect(user1).stake({ value: million(10) });
+            await stakingPool.connect(owner).allocateStake();
+            expect(await stakingPool.operatorStake(op2)).to.equal(0);
+            expect(await stakingPool.totalStakedInMasternodes()).to.equal(million(10));
+        });
+
+        it("表现分数应降低分配，并支持部分取消投票", async function () {
+            await strategy.setPerformanceScore(op2, 5000);
+            await stakingPool.connect(user1).stake({ value: million(25) });
+            // 第一轮提议候选人，第二轮为候选人追加投票
+            await stakingPool.connect(owner).allocateStake();
+            await stakingPool.connect(owner).allocateStake();
+
+            // 有效权重 1 : 1.5 → 目标 10M : 15M
+            expect(await stakingPool.operatorStake(op1)).to.equal(million(10));
+            expect(await stakingPool.operatorStake(op2)).to.equal(million(15));
+
+            await stakingPool.connect(owner).unvoteMasternode(op2, million(5));
+            expect(await stakingPool.operatorStake(op2)).to.equal(million(10));
+            await expect(stakingPool.connect(owner).unvoteMasternode(op2, million(11))).to.be.revertedWith("Invalid amount");
+
+            const balanceBefore = await ethers.provider.getBalance(stakingPool.address);
+            await stakingPool.connect(owner).withdrawUnvoted(0, 0);
+            expect((await ethers.provider.getBalance(stakingPool.address)).sub(balanceBefore)).to.equal(million(5));
+        });
+
+        it("应允许以低于 masternode 上限的金额投票", async function () {
+            await stakingPool.connect(owner).proposeAllocationStrategy(ethers.constants.AddressZero);
+            await ethers.provider.send("evm_increaseTime", [86401]);
+            await stakingPool.connect(owner).executeAllocationStrategy();
+            // 未设置策略时沿用原逻辑：自动为第一个 operator 提议 masternode
+            await stakingPool.connect(user1).stake({ value: million(11) });
+
+            await stakingPool.connect(owner).voteMasternode(op1, ethers.utils.parseEther("500"));
+            expect(await stakingPool.operatorStake(op1)).to.equal(million(10).add(ethers.utils.parseEther("500")));
+            await expect(stakingPool.connect(owner).voteMasternode(op2, ethers.utils.parseEther("500"))).to.be.revertedWith("Not candidate");
+            await expect(stakingPool.connect(user1).voteMasternode(op1, ethers.utils.parseEther("500"))).to.be.reverted;
+        });
+    });
+
     describe("KYC", function () {
         it("LSP 应能提交 KYC", async function () {
             await stakingPool.connect(owner).submitKYC("ipfs://kyc-hash");
@@ -255,11 +523,90 @@ describe("XDC Liquidity Staking", function () {
             expect(await stakingPool.maxWithdrawablePercentage()).to.equal(70);
         });
 
+        it("分配策略地址变更应经时间锁并可取消", async function () {
+            const key = ethers.utils.id("ALLOCATION_STRATEGY");
+            await expect(stakingPool.connect(owner).proposeAllocationStrategy(user1.address))
+                .to.emit(stakingPool, "AddressParameterProposed");
+            const [params, changes] = await stakingPool.getPendingChanges();
+            expect(params).to.deep.equal([key]);
+            expect(changes[0].isAddress).to.equal(true);
+            expect(changes[0].addressValue).to.equal(user1.address);
+            await expect(stakingPool.connect(owner).executeAllocationStrategy()).to.be.revertedWith("Timelock not passed");
+
+            await stakingPool.connect(owner).cancelPendingChange(key);
+            await stakingPool.connect(owner).proposeAllocationStrategy(user2.address);
+            await advanceTimelock();
+            await expect(stakingPool.connect(owner).executeAllocationStrategy())
+                .to.emit(stakingPool, "AddressParameterChanged")
+                .withArgs(key, user2.address);
+            expect(await stakingPool.allocationStrategy()).to.equal(user2.address);
+        });
+
+        it("treasury 地址变更应经时间锁并可取消", async function () {
+            const key = ethers.utils.id("TREASURY");
+            await expect(stakingPool.connect(owner).proposeTreasury(ethers.constants.AddressZero))
+                .to.be.revertedWith("Invalid treasury");
+            await expect(stakingPool.connect(owner).proposeTreasury(user1.address))
+                .to.emit(stakingPool, "AddressParameterProposed");
+            const [params, changes] = await stakingPool.getPendingChanges();
+            expect(params).to.deep.equal([key]);
+            expect(changes[0].isAddress).to.equal(true);
+            expect(changes[0].addressValue).to.equal(user1.address);
+            await expect(stakingPool.connect(owner).executeTreasury()).to.be.revertedWith("Timelock not passed");
+
+            await stakingPool.connect(owner).cancelPendingChange(key);
+            await stakingPool.connect(owner).proposeTreasury(user2.address);
+            await advanceTimelock();
+            await expect(stakingPool.connect(owner).executeTreasury())
+                .to.emit(stakingPool, "AddressParameterChanged")
+                .withArgs(key, user2.address);
+            expect(await stakingPool.treasury()).to.equal(user2.address);
+        });
+
         it("非管理员不应该能够更新参数", async function () {
             await expect(
                 stakingPool.connect(user1).proposeMinStakeAmount(ethers.utils.parseEther("5"))
             ).to.be.reverted;
         });
+
+        it("应该列出所有待执行的提议", async function () {
+            await stakingPool.connect(owner).proposeMinStakeAmount(ethers.utils.parseEther("5"));
+            await stakingPool.connect(owner).proposeMaxWithdrawablePercentage(70);
+            await stakingPool.connect(owner).proposePause();
+
+            const [params, changes] = await stakingPool.getPendingChanges();
+            expect(params).to.deep.equal([
+                ethers.utils.id("MIN_STAKE_AMOUNT"),
+                ethers.utils.id("MAX_WITHDRAWABLE_PERCENTAGE"),
+                ethers.utils.id("PAUSE"),
+            ]);
+            expect(changes[0].value).to.equal(ethers.utils.parseEther("5"));
+            expect(changes[2].executableAt).to.equal(await stakingPool.pendingPauseAt());
+
+            await advanceTimelock();
+            await stakingPool.connect(owner).executeMinStakeAmount();
+            const [remaining] = await stakingPool.getPendingChanges();
+            expect(remaining).to.have.lengthOf(2);
+        });
+
+        it("管理员应该能够取消提议", async function () {
+            const key = ethers.utils.id("MIN_STAKE_AMOUNT");
+            await stakingPool.connect(owner).proposeMinStakeAmount(ethers.utils.parseEther("5"));
+            await expect(stakingPool.connect(user1).cancelPendingChange(key)).to.be.reverted;
+
+            await expect(stakingPool.connect(owner).cancelPendingChange(key))
+                .to.emit(stakingPool, "ParameterProposalCancelled")
+                .withArgs(key);
+            await advanceTimelock();
+            await expect(stakingPool.connect(owner).executeMinStakeAmount()).to.be.revertedWith("Timelock not passed");
+            await expect(stakingPool.connect(owner).cancelPendingChange(key)).to.be.revertedWith("No pending change");
+
+            await stakingPool.connect(owner).proposePause();
+            await stakingPool.connect(owner).cancelPendingChange(ethers.utils.id("PAUSE"));
+            expect(await stakingPool.pendingPauseAt()).to.equal(0);
+            const [params] = await stakingPool.getPendingChanges();
+            expect(params).to.have.lengthOf(0);
+        });
     });
 
     describe("暂停功能", function () {
@@ -315,7 +662,7 @@ describe("XDC Liquidity Staking", function () {
 
             await stakingPool.connect(owner).addToInstantExitBuffer({ value: ethers.utils.parseEther("60") });
 
-            await stakingPool.connect(user1).withdraw(ethers.utils.parseEther("50"));
+            await stakingPool.connect(user1).withdrawShares(ethers.utils.parseEther("50"));
 
             expect(await stakingPool.totalPooledXDC()).to.be.closeTo(ethers.utils.parseEther("110"), ethers.utils.parseEther("0.01"));
             expect(await bxdc.totalSupply()).to.equal(ethers.utils.parseEther("100"));
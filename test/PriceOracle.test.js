@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const MEDIAN = 1;
+const FALLBACK = 0;
+
+describe("Price Oracles", function () {
+    let owner;
+    let asset;
+    let adapter;
+    let composite;
+    let feeds;
+
+    const usd8 = (n) => ethers.utils.parseUnits(n, 8);
+    const usd18 = (n) => ethers.utils.parseEther(n);
+
+    beforeEach(async function () {
+        [owner] = await ethers.getSigners();
+        asset = ethers.Wallet.createRandom().address;
+
+        const MockAggregator = await ethers.getContractFactory("MockAggregator");
+        feeds = [];
+        for (const price of ["1.00", "1.01", "0.99"]) {
+            const feed = await MockAggregator.deploy(8, usd8(price));
+            await feed.deployed();
+            feeds.push(feed);
+        }
+
+        // 每个 feed 一个 adapter，作为 CompositeOracle 的独立价格源
+        const Adapter = await ethers.getContractFactory("ChainlinkOracleAdapter");
+        const adapters = [];
+        for (const feed of feeds) {
+            const a = await Adapter.deploy();
+            await a.setFeed(asset, feed.address);
+            adapters.push(a);
+        }
+        adapter = adapters[0];
+
+        const CompositeOracle = await ethers.getContractFactory("CompositeOracle");
+        composite = await CompositeOracle.deploy();
+        await composite.setAssetSources(asset, adapters.map((a) => a.address), {
+            mode: MEDIAN,
+            maxStaleness: 3600,
+            maxDeviationBps: 500,
+            minSources: 2,
+        });
+    });
+
+    describe("ChainlinkOracleAdapter", function () {
+        it("应该把 feed 精度换算为 18 位", async function () {
+            const [price, updatedAt] = await adapter.getPrice(asset);
+            expect(price).to.equal(usd18("1"));
+            expect(updatedAt).to.equal(await feeds[0].updatedAt());
+        });
+
+        it("应该拒绝非正价格和未配置的资产", async function () {
+            await feeds[0].setAnswer(0);
+            await expect(adapter.getPrice(asset)).to.be.revertedWith("Invalid answer");
+            await expect(adapter.getPrice(owner.address)).to.be.revertedWith("No feed");
+        });
+    });
+
+    describe("CompositeOracle", function () {
+        it("中位数模式应该返回中位价格", async function () {
+            const [price] = await composite.getPrice(asset);
+            expect(price).to.equal(usd18("1"));
+        });
+
+        it("应该忽略过期价格源，新鲜源不足时拒绝", async function () {
+            const stale = (await ethers.provider.getBlock("latest")).timestamp - 7200;
+            await feeds[1].setUpdatedAt(stale);
+            // 剩余 1.00 和 0.99，取平均
+            expect((await composite.getPrice(asset))[0]).to.equal(usd18("0.995"));
+
+            await feeds[2].setUpdatedAt(stale);
+            await expect(composite.getPrice(asset)).to.be.revertedWith("Not enough fresh prices");
+        });
+
+        it("价格偏离过大时应该拒绝", async function () {
+            await feeds[1].setAnswer(usd8("1.20"));
+            await expect(composite.getPrice(asset)).to.be.revertedWith("Price deviation too high");
+        });
+
+        it("回退模式应该使用第一个新鲜价格源", async function () {
+            const sources = await composite.getSources(asset);
+            await composite.setAssetSources(asset, sources, {
+                mode: FALLBACK,
+                maxStaleness: 3600,
+                maxDeviationBps: 0,
+                minSources: 1,
+            });
+            await feeds[0].setAnswer(0);
+            expect((await composite.getPrice(asset))[0]).to.equal(usd18("1.01"));
+        });
+    });
+
+    describe("UniswapV2TwapOracle", function () {
+        const PERIOD = 3600;
+        let twap;
+        let usdb;
+        let wxdc;
+
+        const setNextTimestamp = (timestamp) => ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+
+        beforeEach(async function () {
+            // USDB 6 位精度、WXDC 18 位精度，WXDC 报价 $0.05
+            const USDB = await ethers.getContractFactory("USDB");
+            usdb = await USDB.deploy();
+            const WXDC = await ethers.getContractFactory("WXDC");
+            wxdc = await WXDC.deploy();
+            const MockAggregator = await ethers.getContractFactory("MockAggregator");
+            const wxdcFeed = await MockAggregator.deploy(8, usd8("0.05"));
+            const Adapter = await ethers.getContractFactory("ChainlinkOracleAdapter");
+            const quoteOracle = await Adapter.deploy();
+            await quoteOracle.setFeed(wxdc.address, wxdcFeed.address);
+
+            const UniswapV2TwapOracle = await ethers.getContractFactory("UniswapV2TwapOracle");
+            twap = await UniswapV2TwapOracle.deploy(quoteOracle.address, PERIOD);
+        });
+
+        it("addPair 应该校验资产和储备", async function () {
+            const MockUniswapV2Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+            const pair = await MockUniswapV2Pair.deploy(usdb.address, wxdc.address);
+            await expect(twap.addPair(owner.address, pair.address)).to.be.revertedWith("Asset not in pair");
+            await expect(twap.addPair(usdb.address, pair.address)).to.be.revertedWith("No reserves");
+
+            await pair.setReserves(ethers.utils.parseUnits("1000", 6), ethers.utils.parseEther("20000"));
+            await expect(twap.addPair(usdb.address, pair.address))
+                .to.emit(twap, "PairAdded")
+                .withArgs(usdb.address, pair.address, wxdc.address);
+            const obs = await twap.observations(usdb.address);
+            expect(obs.assetIsToken0).to.equal(true);
+            expect(obs.assetDecimals).to.equal(6);
+            expect(obs.quoteDecimals).to.equal(18);
+        });
+
+        it("update 应该按时间加权并换算精度和 USD 价格", async function () {
+            const MockUniswapV2Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+            const pair = await MockUniswapV2Pair.deploy(usdb.address, wxdc.address);
+            // 1 USDB = 20 WXDC
+            await pair.setReserves(ethers.utils.parseUnits("1000", 6), ethers.utils.parseEther("20000"));
+            await twap.addPair(usdb.address, pair.address);
+            const start = (await ethers.provider.getBlock("latest")).timestamp;
+
+            await expect(twap.update(usdb.address)).to.be.revertedWith("Period not elapsed");
+            await expect(twap.getPrice(usdb.address)).to.be.revertedWith("TWAP not ready");
+
+            // 半个周期后变为 1 USDB = 40 WXDC，平均 30 WXDC = $1.5
+            await setNextTimestamp(start + PERIOD / 2);
+            await pair.setReserves(ethers.utils.parseUnits("1000", 6), ethers.utils.parseEther("40000"));
+            await setNextTimestamp(start + PERIOD - 1);
+            await expect(twap.update(usdb.address)).to.be.revertedWith("Period not elapsed");
+            await setNextTimestamp(start + PERIOD);
+            await expect(twap.update(usdb.address)).to.emit(twap, "TwapUpdated");
+
+            const [price] = await twap.getPrice(usdb.address);
+            expect(price).to.equal(usd18("1.5"));
+            await expect(twap.update(usdb.address)).to.be.revertedWith("Period not elapsed");
+        });
+
+        it("时钟和累计价格溢出回绕时 TWAP 仍然正确", async function () {
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+            const wrap = 2 ** 32;
+
+            // 资产为 token1，累计价格接近 uint256 上限
+            const MockUniswapV2Pair = await ethers.getContractFactory("MockUniswapV2Pair");
+            const pair = await MockUniswapV2Pair.deploy(wxdc.address, usdb.address);
+            await setNextTimestamp(wrap - 600);
+            await pair.setReserves(ethers.utils.parseEther("20000"), ethers.utils.parseUnits("1000", 6));
+            await pair.setCumulativePrices(0, ethers.constants.MaxUint256.sub(1000));
+            await setNextTimestamp(wrap - 500);
+            await twap.addPair(usdb.address, pair.address);
+
+            await setNextTimestamp(wrap - 500 + PERIOD);
+            await twap.update(usdb.address);
+            const obs = await twap.observations(usdb.address);
+            expect(obs.assetIsToken0).to.equal(false);
+            expect(obs.timestampLast).to.equal(PERIOD - 500);
+            expect((await twap.getPrice(usdb.address))[0]).to.equal(usd18("1"));
+
+            await ethers.provider.send("evm_revert", [snapshot]);
+        });
+    });
+
+    describe("LendingProtocol 集成", function () {
+        it("设置 priceOracle 后应该使用预言机价格", async function () {
+            const LendingProtocolExtension = await ethers.getContractFactory("LendingProtocolExtension");
+            const extension = await LendingProtocolExtension.deploy();
+            const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+            const lending = await LendingProtocol.deploy(extension.address);
+            await lending.updatePrice(asset, usd18("2"));
+            expect(await lending.getAssetPrice(asset)).to.equal(usd18("2"));
+
+            await expect(lending.setPriceOracle(composite.address))
+                .to.emit(lending, "PriceOracleUpdated")
+                .withArgs(ethers.constants.AddressZero, composite.address);
+            expect(await lending.getAssetPrice(asset)).to.equal(usd18("1"));
+
+            await lending.setPriceOracle(ethers.constants.AddressZero);
+            expect(await lending.getAssetPrice(asset)).to.equal(usd18("2"));
+        });
+
+        it("预言机价格超过 maxPriceAge 时应该拒绝", async function () {
+            const LendingProtocolExtension = await ethers.getContractFactory("LendingProtocolExtension");
+            const extension = await LendingProtocolExtension.deploy();
+            const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+            const lending = await LendingProtocol.deploy(extension.address);
+            // ChainlinkOracleAdapter 本身不检查过期
+            await lending.setPriceOracle(adapter.address);
+
+            const latest = (await ethers.provider.getBlock("latest")).timestamp;
+            await feeds[0].setUpdatedAt(latest - 2 * 24 * 3600);
+            await expect(lending.getAssetPrice(asset)).to.be.revertedWith("Stale oracle price");
+            await feeds[0].setUpdatedAt(latest + 3600);
+            await expect(lending.getAssetPrice(asset)).to.be.revertedWith("Stale oracle price");
+
+            await feeds[0].setUpdatedAt(latest - 2 * 24 * 3600);
+            await expect(lending.setMaxPriceAge(0)).to.be.revertedWith("Invalid max price age");
+            await expect(lending.setMaxPriceAge(3 * 24 * 3600))
+                .to.emit(lending, "MaxPriceAgeUpdated")
+                .withArgs(3 * 24 * 3600);
+            expect(await lending.getAssetPrice(asset)).to.equal(usd18("1"));
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { usdbAmount, deployUSDBWithStablecoin } = require("./helpers/usdb");
+
+describe("USDB", function () {
+    let usdb;
+    let usdt;
+    let wxdc;
+    let owner;
+    let user;
+
+    const xdc = (n) => ethers.utils.parseEther(n);
+    const DAY = 24 * 3600;
+
+    beforeEach(async function () {
+        [owner, user] = await ethers.getSigners();
+
+        ({ usdb, usdt } = await deployUSDBWithStablecoin(owner, user, "1000"));
+
+        // WXDC 充当 18 位精度的代币
+        const WXDC = await ethers.getContractFactory("WXDC");
+        wxdc = await WXDC.deploy();
+        await wxdc.connect(user).deposit({ value: xdc("100") });
+        await usdb.addSupportedToken(wxdc.address);
+        await wxdc.connect(user).approve(usdb.address, ethers.constants.MaxUint256);
+    });
+
+    it("非 6 位精度代币应该按精度换算铸造和赎回，并扣除赎回费", async function () {
+        await expect(usdb.connect(user).deposit(wxdc.address, xdc("100")))
+            .to.emit(usdb, "Deposited")
+            .withArgs(user.address, wxdc.address, xdc("100"), usdbAmount("100"));
+        expect(await usdb.balanceOf(user.address)).to.equal(usdbAmount("1100"));
+        await expect(usdb.connect(user).deposit(wxdc.address, 1)).to.be.revertedWith("USDB: deposit amount too small");
+
+        await expect(usdb.setRedemptionConfig(wxdc.address, 600, 0)).to.be.revertedWith("USDB: fee too high");
+        await expect(usdb.setRedemptionConfig(wxdc.address, 50, 0))
+            .to.emit(usdb, "RedemptionConfigUpdated")
+            .withArgs(wxdc.address, 50, 0);
+
+        // 0.5% 手续费留在合约里作为储备
+        await expect(usdb.connect(user).redeem(wxdc.address, usdbAmount("40")))
+            .to.emit(usdb, "Redeemed")
+            .withArgs(user.address, wxdc.address, usdbAmount("40"), xdc("39.8"), usdbAmount("0.2"));
+        expect(await wxdc.balanceOf(user.address)).to.equal(xdc("39.8"));
+        expect(await usdb.totalSupply()).to.equal(usdbAmount("1060"));
+        expect(await usdb.getTotalBacking()).to.equal(usdbAmount("1060.2"));
+    });
+
+    it("每日赎回额度用完后应该拒绝，次日恢复", async function () {
+        await usdb.setRedemptionConfig(usdt.address, 0, usdbAmount("300"));
+        await usdb.connect(user).redeem(usdt.address, usdbAmount("200"));
+        expect(await usdb.getRemainingDailyRedemption(usdt.address)).to.equal(usdbAmount("100"));
+        await expect(usdb.connect(user).redeem(usdt.address, usdbAmount("200")))
+            .to.be.revertedWith("USDB: daily redemption limit exceeded");
+
+        await ethers.provider.send("evm_increaseTime", [DAY]);
+        await ethers.provider.send("evm_mine", []);
+        expect(await usdb.getRemainingDailyRedemption(usdt.address)).to.equal(usdbAmount("300"));
+        await usdb.connect(user).redeem(usdt.address, usdbAmount("200"));
+        expect(await usdt.balanceOf(user.address)).to.equal(usdbAmount("400"));
+    });
+
+    it("储备率低于下限时应该拒绝赎回", async function () {
+        // 一半储备被提走（例如投入策略但未登记 manager）
+        await usdb.withdrawToken(usdt.address, usdbAmount("500"));
+        expect(await usdb.getReserveRatio()).to.equal(5000);
+        await expect(usdb.connect(user).redeem(usdt.address, usdbAmount("100")))
+            .to.be.revertedWith("USDB: reserve ratio too low");
+
+        await expect(usdb.connect(user).setMinReserveRatio(4000)).to.be.reverted;
+        await expect(usdb.setMinReserveRatio(4000))
+            .to.emit(usdb, "MinReserveRatioUpdated")
+            .withArgs(10000, 4000);
+        // 赎回 100 后储备率 400 / 900 = 44.44%
+        await usdb.connect(user).redeem(usdt.address, usdbAmount("100"));
+        expect(await usdb.getReserveRatio()).to.equal(4444);
+        await expect(usdb.connect(user).redeem(usdt.address, usdbAmount("300")))
+            .to.be.revertedWith("USDB: reserve ratio too low");
+    });
+
+    it("储备明细应该汇总合约持有、manager 闲置和已投入策略的资金", async function () {
+        const SUSDB = await ethers.getContractFactory("sUSDB");
+        const susdb = await SUSDB.deploy(usdb.address);
+        const USDBManager = await ethers.getContractFactory("USDBManager");
+        const manager = await USDBManager.deploy(usdb.address, susdb.address);
+        await expect(usdb.setManager(manager.address))
+            .to.emit(usdb, "ManagerUpdated")
+            .withArgs(ethers.constants.AddressZero, manager.address);
+
+        await usdb.connect(user).deposit(wxdc.address, xdc("50"));
+        // 300 USDT 转给 manager 闲置
+        await usdb.withdrawToken(usdt.address, usdbAmount("300"));
+        await usdt.transfer(manager.address, usdbAmount("300"));
+
+        const breakdown = await usdb.getReserveBreakdown();
+        expect(breakdown.tokens).to.deep.equal([usdt.address, wxdc.address]);
+        expect(breakdown.held).to.deep.equal([usdbAmount("700"), xdc("50")]);
+        expect(breakdown.managerHeld).to.deep.equal([usdbAmount("300"), 0].map(ethers.BigNumber.from));
+        expect(breakdown.deployed).to.deep.equal([0, 0].map(ethers.BigNumber.from));
+        expect(breakdown.totals).to.deep.equal([usdbAmount("1000"), usdbAmount("50")]);
+        expect(breakdown.totalReserves).to.equal(usdbAmount("1050"));
+        expect(breakdown.supply).to.equal(usdbAmount("1050"));
+        expect(await usdb.getReserveRatio()).to.equal(10000);
+    });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { usdbAmount, deployUSDBWithStablecoin } = require("./helpers/usdb");
+
+describe("USDBManager", function () {
+    let usdb;
+    let susdb;
+    let usdt;
+    let manager;
+    let owner;
+    let user;
+    let borrower;
+
+    const usd = (n) => ethers.utils.parseEther(n);
+    const xdc = (n) => ethers.utils.parseEther(n);
+
+    beforeEach(async function () {
+        [owner, user, borrower] = await ethers.getSigners();
+
+        ({ usdb, usdt } = await deployUSDBWithStablecoin(owner, user, "10000"));
+
+        const SUSDB = await ethers.getContractFactory("sUSDB");
+        susdb = await SUSDB.deploy(usdb.address);
+        await usdb.connect(user).approve(susdb.address, ethers.constants.MaxUint256);
+        await susdb.connect(user)["deposit(uint256,address)"](usdbAmount("5000"), user.address);
+
+        const USDBManager = await ethers.getContractFactory("USDBManager");
+        manager = await USDBManager.deploy(usdb.address, susdb.address);
+        await susdb.transferOwnership(manager.address);
+        await usdb.setManager(manager.address);
+        await usdb.transferOwnership(manager.address);
+    });
+
+    it("应该通过 LendingSupplyAdapter 投入借贷协议，并把利息复投到 sUSDB", async function () {
+        const LendingProtocolExtension = await ethers.getContractFactory("LendingProtocolExtension");
+        const extension = await LendingProtocolExtension.deploy();
+        const LendingProtocol = await ethers.getContractFactory("LendingProtocol");
+        const lending = await LendingProtocol.deploy(extension.address);
+        const WXDC = await ethers.getContractFactory("WXDC");
+        const wxdc = await WXDC.deploy();
+        await lending.initReserve(wxdc.address, true, false, 7500, 8500, 500, 0, 0);
+        await lending.initReserve(usdt.address, false, true, 0, 0, 0, 0, 0);
+        await lending.updatePrices([wxdc.address, usdt.address], [usd("1"), usd("1")]);
+
+        const LendingSupplyAdapter = await ethers.getContractFactory("LendingSupplyAdapter");
+        const adapter = await LendingSupplyAdapter.deploy(manager.address, lending.address, usdt.address);
+        await expect(manager.addStrategy(adapter.address, usdt.address, 5000, "lending"))
+            .to.be.revertedWith("USDBManager: protocol not authorized");
+        await manager.authorizeProtocol(adapter.address);
+        await manager.addStrategy(adapter.address, usdt.address, 5000, "lending");
+        await expect(manager.addStrategy(adapter.address, usdt.address, 5000, "lending"))
+            .to.be.revertedWith("USDBManager: adapter already in use");
+        await expect(adapter.deposit(1)).to.be.revertedWith("StrategyAdapter: caller is not the manager");
+
+        await expect(manager.invest(0, usdbAmount("4000")))
+            .to.emit(manager, "InvestmentMade")
+            .withArgs(adapter.address, usdt.address, usdbAmount("4000"), 0);
+        expect(await lending.balanceOf(adapter.address, usdt.address)).to.equal(usdbAmount("4000"));
+        expect(await manager.getDeployedAmount(usdt.address)).to.equal(usdbAmount("4000"));
+        expect(await usdb.getReserveRatio()).to.equal(10000);
+
+        // 借款人借走一半，一年后供应余额产生利息
+        await wxdc.connect(borrower).deposit({ value: xdc("5000") });
+        await wxdc.connect(borrower).approve(lending.address, ethers.constants.MaxUint256);
+        await lending.connect(borrower).supply(wxdc.address, xdc("5000"), borrower.address, 0);
+        await lending.connect(borrower).borrow(usdt.address, usdbAmount("2000"), borrower.address, 0);
+        await ethers.provider.send("evm_increaseTime", [365 * 24 * 3600]);
+        await ethers.provider.send("evm_mine", []);
+        const [position] = await manager.getAllPositions();
+        expect(position.amount).to.be.gt(usdbAmount("4000"));
+
+        await expect(manager.harvestAndCompound()).to.emit(manager, "ProfitCompounded");
+        const schedule = await susdb.getVestingSchedule();
+        expect(schedule.amount).to.be.gt(0);
+        expect(await manager.totalProfitGenerated()).to.equal(schedule.amount);
+        expect((await manager.getStrategy(0)).allocatedAmount).to.equal(usdbAmount("4000"));
+        expect(await adapter.totalValue()).to.be.closeTo(usdbAmount("4000"), 10);
+        expect(await usdb.getReserveRatio()).to.be.gte(9999);
+
+        await manager.withdraw(0, usdbAmount("1000"));
+        expect(await usdt.balanceOf(manager.address)).to.equal(usdbAmount("1000"));
+        expect((await manager.getStrategy(0)).allocatedAmount).to.equal(usdbAmount("3000"));
+    });
+
+    it("滑点超过上限应该回滚，确认的亏损应该由 sUSDB 承担并销毁对应 USDB", async function () {
+        const MockStrategyAdapter = await ethers.getContractFactory("MockStrategyAdapter");
+        const adapter = await MockStrategyAdapter.deploy(manager.address, usdt.address);
+        await manager.authorizeProtocol(adapter.address);
+        await manager.addStrategy(adapter.address, usdt.address, 5000, "mock");
+
+        await adapter.setFeeBps(500);
+        await expect(manager.invest(0, usdbAmount("1000"))).to.be.revertedWith("USDBManager: slippage too high");
+
+        // 1% 滑点在 3% 上限以内，差额立即确认为亏损
+        await adapter.setFeeBps(100);
+        await expect(manager.invest(0, usdbAmount("1000")))
+            .to.emit(manager, "LossReported")
+            .withArgs(0, usdt.address, usdbAmount("10"), usdbAmount("10"));
+        expect((await manager.getStrategy(0)).allocatedAmount).to.equal(usdbAmount("990"));
+        expect(await susdb.totalAssets()).to.equal(usdbAmount("4990"));
+        expect(await usdb.totalSupply()).to.equal(usdbAmount("9990"));
+        expect(await usdb.getReserveRatio()).to.equal(10000);
+
+        // 协议亏损 90，reportLoss 把账面价值下调到 totalValue
+        await adapter.setFeeBps(0);
+        await adapter.simulateLoss(owner.address, usdbAmount("90"));
+        await expect(manager.connect(user).reportLoss(0)).to.be.revertedWith("USDBManager: not authorized manager");
+        await expect(manager.reportLoss(0))
+            .to.emit(susdb, "LossAbsorbed")
+            .withArgs(usdbAmount("90"), usdbAmount("90"), 980000);
+        expect((await manager.getStrategy(0)).allocatedAmount).to.equal(usdbAmount("900"));
+        expect(await manager.totalLossRealized()).to.equal(usdbAmount("100"));
+        expect(await susdb.convertToAssets(usdbAmount("5000"))).to.be.closeTo(usdbAmount("4900"), 1);
+        expect(await usdb.totalSupply()).to.equal(usdbAmount("9900"));
+        expect(await usdb.getReserveRatio()).to.equal(10000);
+        await expect(manager.reportLoss(0)).to.be.revertedWith("USDBManager: no loss to report");
+
+        // 停用但仍有资金的策略同时计入持仓和已投入金额，储备证明不会误报未实现亏损
+        await manager.updateStrategy(0, 0, false);
+        const positions = await manager.getAllPositions();
+        expect(positions.length).to.equal(1);
+        expect(positions[0].amount).to.equal(usdbAmount("900"));
+        expect(await manager.getDeployedAmount(usdt.address)).to.equal(usdbAmount("900"));
+    });
+
+    it("LpStakeAdapter 应该质押到 LpStake 并把同币种奖励复投到 sUSDB", async function () {
+        const LpStake = await ethers.getContractFactory("LpStake");
+        const lpStake = await LpStake.deploy();
+        await lpStake.addPool(usdt.address, usdt.address, usdbAmount("1"), 0);
+        await usdt.mint(lpStake.address, usdbAmount("1000"));
+
+        const LpStakeAdapter = await ethers.getContractFactory("LpStakeAdapter");
+        const adapter = await LpStakeAdapter.deploy(manager.address, lpStake.address, 0);
+        expect(await adapter.asset()).to.equal(usdt.address);
+        await manager.authorizeProtocol(adapter.address);
+        await manager.addStrategy(adapter.address, usdt.address, 5000, "lp stake");
+
+        await manager.invest(0, usdbAmount("1000"));
+        for (let i = 0; i < 9; i++) {
+            await ethers.provider.send("evm_mine", []);
+        }
+        expect(await adapter.pendingRewards()).to.equal(usdbAmount("9"));
+        expect(await adapter.totalValue()).to.equal(usdbAmount("1009"));
+
+        // 收取时又过了一个区块
+        await expect(manager.harvestAndCompound())
+            .to.emit(manager, "ProfitCompounded")
+            .withArgs(usdbAmount("10"), usdbAmount("10"));
+        expect(await adapter.totalValue()).to.equal(usdbAmount("1000"));
+        expect((await susdb.getVestingSchedule()).amount).to.equal(usdbAmount("10"));
+        expect(await usdb.getReserveRatio()).to.equal(10000);
+
+        // 池子停用后 claimReward 会回滚，收获应跳过而不是阻塞
+        await lpStake.setPoolStatus(0, false);
+        await expect(manager.harvestAndCompound()).to.not.be.reverted;
+        expect(await adapter.totalValue()).to.equal(usdbAmount("1000"));
+    });
+});
@@ -0,0 +1,23 @@
+const { ethers } = require("hardhat");
+
+const usdbAmount = (n) => ethers.utils.parseUnits(n, 6);
+
+// 部署以 6 位精度稳定币为储备的 USDB，并为 user 存入 amount 铸造 USDB
+async function deployUSDBWithStablecoin(owner, user, amount) {
+    const USDB = await ethers.getContractFactory("USDB");
+    const usdb = await USDB.deploy();
+    // 构造函数里的主网代币在本地网络没有代码
+    await usdb.removeSupportedToken(await usdb.supportedTokenList(0));
+
+    // 另一个 USDB 实例充当 6 位精度的稳定币
+    const usdt = await USDB.deploy();
+    await usdt.addMiner(owner.address);
+    await usdt.mint(user.address, usdbAmount(amount));
+    await usdb.addSupportedToken(usdt.address);
+    await usdt.connect(user).approve(usdb.address, ethers.constants.MaxUint256);
+    await usdb.connect(user).deposit(usdt.address, usdbAmount(amount));
+
+    return { usdb, usdt };
+}
+
+module.exports = { usdbAmount, deployUSDBWithStablecoin };
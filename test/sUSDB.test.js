@@ -0,0 +1,190 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("sUSDB", function () {
+    let usdb;
+    let susdb;
+    let owner;
+    let alice;
+    let bob;
+
+    const usdbAmount = (n) => ethers.utils.parseUnits(n, 6);
+    const DAY = 24 * 3600;
+
+    const increaseTime = async (seconds) => {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+    };
+
+    beforeEach(async function () {
+        [owner, alice, bob] = await ethers.getSigners();
+
+        const USDB = await ethers.getContractFactory("USDB");
+        usdb = await USDB.deploy();
+        await usdb.addMiner(owner.address);
+
+        const SUSDB = await ethers.getContractFactory("sUSDB");
+        susdb = await SUSDB.deploy(usdb.address);
+
+        for (const signer of [owner, alice, bob]) {
+            await usdb.mint(signer.address, usdbAmount("10000"));
+            await usdb.connect(signer).approve(susdb.address, ethers.constants.MaxUint256);
+        }
+    });
+
+    it("应该实现 ERC-4626 接口并按有利于金库的方向取整", async function () {
+        expect(await susdb.asset()).to.equal(usdb.address);
+        expect(await susdb.decimals()).to.equal(6);
+
+        await expect(susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("3"), alice.address))
+            .to.emit(susdb, "Deposit")
+            .withArgs(alice.address, alice.address, usdbAmount("3"), usdbAmount("3"));
+        // 收益释放完后 4 USDB 对应 3 sUSDB，1 份额价值 1.333333 USDB
+        await susdb.compoundYield(usdbAmount("1"));
+        await increaseTime(DAY);
+        expect(await susdb.totalAssets()).to.equal(usdbAmount("4"));
+        expect(await susdb.getExchangeRate()).to.equal(1333333);
+
+        expect(await susdb.previewDeposit(1)).to.equal(0);
+        expect(await susdb.previewMint(1)).to.equal(2);
+        // 赎回是异步的（ERC-7540），没有预览
+        await expect(susdb.previewWithdraw(1)).to.be.revertedWith("sUSDB: async withdrawal, use requestRedeem");
+        await expect(susdb.previewRedeem(1)).to.be.revertedWith("sUSDB: async withdrawal, use requestRedeem");
+        expect(await susdb.convertToAssets(1)).to.equal(1);
+        expect(await susdb.previewDeposit(usdbAmount("4"))).to.equal(usdbAmount("3"));
+        expect(await susdb.previewDeposit(usdbAmount("4").sub(1))).to.equal(usdbAmount("3").sub(1));
+        expect(await susdb.previewMint(usdbAmount("3"))).to.equal(usdbAmount("4"));
+
+        const before = await usdb.balanceOf(bob.address);
+        const assets = await susdb.previewMint(usdbAmount("1.5"));
+        await susdb.connect(bob).mint(usdbAmount("1.5"), bob.address);
+        expect(before.sub(await usdb.balanceOf(bob.address))).to.equal(assets);
+        expect(await susdb.balanceOf(bob.address)).to.equal(usdbAmount("1.5"));
+        expect(assets.mul(3)).to.be.gte(usdbAmount("1.5").mul(4));
+
+        await susdb.setPaused(true);
+        expect(await susdb.maxDeposit(alice.address)).to.equal(0);
+        await expect(susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("1"), alice.address)).to.be.reverted;
+    });
+
+    it("withdraw / redeem 应该在冷却期后领取已锁定的赎回请求", async function () {
+        await susdb.connect(alice)["deposit(uint256)"](usdbAmount("1000"));
+        await susdb.connect(bob)["deposit(uint256,address)"](usdbAmount("1000"), bob.address);
+
+        await expect(susdb.connect(alice).requestRedeem(usdbAmount("600"), alice.address, alice.address))
+            .to.emit(susdb, "RedeemRequest")
+            .withArgs(alice.address, alice.address, 0, alice.address, usdbAmount("600"));
+        expect(await susdb.pendingRedeemRequest(0, alice.address)).to.equal(usdbAmount("600"));
+        expect(await susdb.claimableRedeemRequest(0, alice.address)).to.equal(0);
+        expect(await susdb.getTotalPendingWithdrawals()).to.equal(usdbAmount("600"));
+        expect(await susdb.maxWithdraw(alice.address)).to.equal(0);
+        await expect(susdb.connect(alice).withdraw(1, alice.address, alice.address)).to.be.reverted;
+
+        // 冷却期内的收益只归仍在金库中的份额
+        await susdb.compoundYield(usdbAmount("140"));
+        await increaseTime(7 * DAY);
+        expect(await susdb.convertToAssets(usdbAmount("1400"))).to.be.closeTo(usdbAmount("1540"), 1);
+        expect(await susdb.maxWithdraw(alice.address)).to.equal(usdbAmount("600"));
+        expect(await susdb.maxRedeem(alice.address)).to.equal(usdbAmount("600"));
+        expect(await susdb.pendingRedeemRequest(0, alice.address)).to.equal(0);
+        expect(await susdb.claimableRedeemRequest(0, alice.address)).to.equal(usdbAmount("600"));
+
+        await expect(susdb.connect(alice).withdraw(usdbAmount("200"), alice.address, alice.address))
+            .to.emit(susdb, "Withdraw")
+            .withArgs(alice.address, alice.address, alice.address, usdbAmount("200"), usdbAmount("200"));
+
+        // 第三方需要额度才能代为领取
+        await expect(susdb.connect(bob).redeem(usdbAmount("400"), bob.address, alice.address)).to.be.reverted;
+        await susdb.connect(alice).approve(bob.address, usdbAmount("400"));
+        await susdb.connect(bob).redeem(usdbAmount("400"), bob.address, alice.address);
+        expect(await usdb.balanceOf(bob.address)).to.equal(usdbAmount("9400"));
+        expect(await usdb.balanceOf(alice.address)).to.equal(usdbAmount("9200"));
+        expect(await susdb.maxWithdraw(alice.address)).to.equal(0);
+        expect(await susdb.getTotalPendingWithdrawals()).to.equal(0);
+        expect(await susdb.verifyContractState()).to.equal(true);
+    });
+
+    it("取消赎回应该按当前汇率重新铸造份额", async function () {
+        await susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("1000"), alice.address);
+        await susdb.connect(bob)["deposit(uint256,address)"](usdbAmount("1000"), bob.address);
+        await susdb.connect(alice).requestWithdrawal(usdbAmount("1000"));
+
+        // 汇率从 1 涨到 2，取消后 1000 USDB 只换回 500 sUSDB
+        await susdb.compoundYield(usdbAmount("1000"));
+        await increaseTime(DAY);
+        await expect(susdb.connect(alice).cancelWithdrawal(0))
+            .to.emit(susdb, "WithdrawalCancelled")
+            .withArgs(alice.address, usdbAmount("500"), usdbAmount("1000"), 0);
+        expect(await susdb.convertToAssets(await susdb.balanceOf(bob.address))).to.be.closeTo(usdbAmount("2000"), 1);
+    });
+
+    it("代他人发起的赎回请求归 controller，暂停或解锁后不能取消", async function () {
+        await susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("1000"), alice.address);
+        await expect(susdb.connect(bob).requestRedeem(usdbAmount("100"), bob.address, alice.address)).to.be.reverted;
+        await susdb.connect(alice).approve(bob.address, usdbAmount("300"));
+        await expect(susdb.connect(bob).requestRedeem(usdbAmount("300"), bob.address, alice.address))
+            .to.emit(susdb, "RedeemRequest")
+            .withArgs(bob.address, alice.address, 0, bob.address, usdbAmount("300"));
+        expect(await susdb.balanceOf(alice.address)).to.equal(usdbAmount("700"));
+        expect(await susdb.pendingRedeemRequest(0, bob.address)).to.equal(usdbAmount("300"));
+        expect(await susdb.pendingRedeemRequest(0, alice.address)).to.equal(0);
+
+        await susdb.setPaused(true);
+        await expect(susdb.connect(bob).cancelWithdrawal(0)).to.be.revertedWith("sUSDB: contract is paused");
+        await susdb.setPaused(false);
+
+        await increaseTime(7 * DAY);
+        await expect(susdb.connect(bob).cancelWithdrawal(0)).to.be.revertedWith("sUSDB: withdrawal already unlocked");
+        await susdb.connect(bob).redeem(usdbAmount("300"), bob.address, bob.address);
+        expect(await usdb.balanceOf(bob.address)).to.equal(usdbAmount("10300"));
+    });
+
+    it("直接转入 USDB 不应该改变汇率（防通胀攻击）", async function () {
+        // 攻击者先存 1 wei，再直接转入大量 USDB 试图抬高份额价格
+        await susdb.connect(bob)["deposit(uint256,address)"](1, bob.address);
+        await usdb.connect(bob).transfer(susdb.address, usdbAmount("5000"));
+        expect(await susdb.totalAssets()).to.equal(1);
+        expect(await susdb.getExchangeRate()).to.equal(usdbAmount("1"));
+
+        await susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("1000"), alice.address);
+        expect(await susdb.balanceOf(alice.address)).to.equal(usdbAmount("1000"));
+        expect(await susdb.convertToAssets(await susdb.balanceOf(alice.address))).to.equal(usdbAmount("1000"));
+        expect(await susdb.convertToAssets(1)).to.equal(1);
+        expect(await susdb.verifyContractState()).to.equal(true);
+    });
+
+    it("收益应该在释放周期内线性计入 totalAssets，抢跑存款只能分到已释放部分", async function () {
+        await susdb.connect(alice)["deposit(uint256,address)"](usdbAmount("1000"), alice.address);
+
+        await expect(susdb.compoundYield(usdbAmount("100")))
+            .to.emit(susdb, "YieldVestingUpdated");
+        expect(await susdb.totalAssets()).to.equal(usdbAmount("1000"));
+
+        // 收益发放后立刻存入、立刻申请赎回，拿不到收益
+        await susdb.connect(bob)["deposit(uint256,address)"](usdbAmount("1000"), bob.address);
+        await susdb.connect(bob).requestRedeem(await susdb.balanceOf(bob.address), bob.address, bob.address);
+        const [request] = await susdb.getUserWithdrawalRequests(bob.address);
+        expect(request.usdbAmount).to.be.closeTo(usdbAmount("1000"), usdbAmount("0.01"));
+
+        // 半个周期后释放一半；再次发放收益时未释放部分并入新周期
+        await increaseTime(DAY / 2);
+        let schedule = await susdb.getVestingSchedule();
+        expect(schedule.vested).to.be.closeTo(usdbAmount("50"), usdbAmount("0.01"));
+        expect(await susdb.totalAssets()).to.be.closeTo(usdbAmount("1050"), usdbAmount("0.01"));
+
+        await susdb.compoundYield(usdbAmount("50"));
+        schedule = await susdb.getVestingSchedule();
+        expect(schedule.amount).to.be.closeTo(usdbAmount("100"), usdbAmount("0.01"));
+        expect(schedule.end.sub(schedule.start)).to.equal(DAY);
+        expect(await susdb.verifyContractState()).to.equal(true);
+
+        await increaseTime(DAY);
+        expect(await susdb.totalAssets()).to.be.closeTo(usdbAmount("1150"), usdbAmount("0.01"));
+
+        await expect(susdb.connect(alice).setVestingPeriod(0)).to.be.reverted;
+        await expect(susdb.setVestingPeriod(31 * DAY)).to.be.revertedWith("sUSDB: vesting period too long");
+        await susdb.setVestingPeriod(0);
+        await susdb.compoundYield(usdbAmount("10"));
+        expect(await susdb.totalAssets()).to.be.closeTo(usdbAmount("1160"), usdbAmount("0.01"));
+    });
+});